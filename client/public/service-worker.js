@@ -0,0 +1,34 @@
+/* eslint-disable no-restricted-globals */
+
+// Shows web push notifications sent by the server (see server
+// services/push.service: { title, body, url, tag }) and opens their page
+// when clicked.
+
+self.addEventListener('push', (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (error) {
+    message = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(message.title || 'Studio Booking Assistant', {
+      body: message.body,
+      tag: message.tag,
+      data: { url: message.url || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -14,6 +14,7 @@ import { checkAuthStatus } from './features/auth/authSlice';
 // Public pages
 import Home from './pages/Home';
 import About from './pages/About';
+import WaitlistAccept from './pages/WaitlistAccept';
 
 // Protected pages
 import Dashboard from './pages/Dashboard';
@@ -52,6 +53,7 @@ function App() {
         <Route path="about" element={<About />} />
         <Route path="login" element={<Login />} />
         <Route path="register" element={<Register />} />
+        <Route path="waitlist/accept/:token" element={<WaitlistAccept />} />
         
         {/* Protected routes */}
         <Route path="dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
@@ -0,0 +1,38 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, FormControlLabel, Stack, Switch } from '@mui/material';
+import {
+  fetchPushStatus,
+  enablePushNotifications,
+  disablePushNotifications,
+} from '../../features/notifications/notificationSlice';
+
+// Turns browser push notifications on or off for this device
+const PushNotificationsSwitch = () => {
+  const dispatch = useDispatch();
+  const { pushSupported, pushEnabled, isLoading, error } = useSelector((state) => state.notifications);
+
+  useEffect(() => {
+    dispatch(fetchPushStatus());
+  }, [dispatch]);
+
+  if (!pushSupported) {
+    return null;
+  }
+
+  const handleChange = (event) => {
+    dispatch(event.target.checked ? enablePushNotifications() : disablePushNotifications());
+  };
+
+  return (
+    <Stack spacing={1}>
+      <FormControlLabel
+        control={<Switch checked={pushEnabled} onChange={handleChange} disabled={isLoading} />}
+        label="Push notifications on this device"
+      />
+      {error && <Alert severity="error">{error}</Alert>}
+    </Stack>
+  );
+};
+
+export default PushNotificationsSwitch;
@@ -1,4 +1,4 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
 import axios from 'axios';
 
 export const fetchBookings = createAsyncThunk(
@@ -37,6 +37,66 @@ export const createBooking = createAsyncThunk(
   }
 );
 
+export const fetchBookingQuote = createAsyncThunk(
+  'bookings/fetchBookingQuote',
+  async (bookingData, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/bookings/quote', bookingData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data);
+    }
+  }
+);
+
+export const holdSlot = createAsyncThunk(
+  'bookings/holdSlot',
+  async (slotData, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/holds', slotData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data);
+    }
+  }
+);
+
+export const convertHold = createAsyncThunk(
+  'bookings/convertHold',
+  async ({ id, bookingData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/holds/${id}/convert`, bookingData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data);
+    }
+  }
+);
+
+export const releaseHold = createAsyncThunk(
+  'bookings/releaseHold',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/holds/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response.data);
+    }
+  }
+);
+
+export const acceptWaitlistOffer = createAsyncThunk(
+  'bookings/acceptWaitlistOffer',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/waitlist/accept', { token });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data);
+    }
+  }
+);
+
 export const updateBooking = createAsyncThunk(
   'bookings/updateBooking',
   async ({ id, bookingData }, { rejectWithValue }) => {
@@ -61,9 +121,14 @@ export const deleteBooking = createAsyncThunk(
   }
 );
 
+// Bookings in these statuses are not shown in booking lists and calendars
+const UNLISTED_STATUSES = ['held', 'expired', 'cancelled', 'rejected'];
+
 const initialState = {
   bookings: [],
   selectedBooking: null,
+  quote: null,
+  hold: null,
   isLoading: false,
   error: null,
 };
@@ -78,6 +143,36 @@ const bookingSlice = createSlice({
     clearSelectedBooking: (state) => {
       state.selectedBooking = null;
     },
+    clearBookingQuote: (state) => {
+      state.quote = null;
+    },
+    // Apply a booking event from the server (see subscribeToBookingEvents)
+    bookingEventReceived: (state, action) => {
+      const { type, booking } = action.payload;
+
+      if (type === 'booking.deleted') {
+        state.bookings = state.bookings.filter((existing) => existing.id !== booking.id);
+        if (state.selectedBooking && state.selectedBooking.id === booking.id) {
+          state.selectedBooking = null;
+        }
+        return;
+      }
+
+      if (state.selectedBooking && state.selectedBooking.id === booking.id) {
+        state.selectedBooking = booking;
+      }
+      if (UNLISTED_STATUSES.includes(booking.status)) {
+        state.bookings = state.bookings.filter((existing) => existing.id !== booking.id);
+        return;
+      }
+
+      const index = state.bookings.findIndex((existing) => existing.id === booking.id);
+      if (index !== -1) {
+        state.bookings[index] = booking;
+      } else {
+        state.bookings.push(booking);
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -123,6 +218,66 @@ const bookingSlice = createSlice({
         state.error = action.payload?.message || 'Failed to create booking';
       })
       
+      // Fetch booking quote cases
+      .addCase(fetchBookingQuote.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(fetchBookingQuote.fulfilled, (state, action) => {
+        state.quote = action.payload;
+      })
+      .addCase(fetchBookingQuote.rejected, (state, action) => {
+        state.quote = null;
+        state.error = action.payload?.message || 'Failed to get booking quote';
+      })
+      
+      // Hold slot cases
+      .addCase(holdSlot.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(holdSlot.fulfilled, (state, action) => {
+        state.hold = action.payload;
+      })
+      .addCase(holdSlot.rejected, (state, action) => {
+        state.hold = null;
+        state.error = action.payload?.message || 'This slot is no longer available';
+      })
+      
+      // Convert hold cases
+      .addCase(convertHold.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(convertHold.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.hold = null;
+        state.bookings.push(action.payload);
+      })
+      .addCase(convertHold.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload?.message || 'Failed to create booking';
+      })
+      
+      // Accept waitlist offer cases
+      .addCase(acceptWaitlistOffer.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(acceptWaitlistOffer.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.bookings.push(action.payload.booking);
+      })
+      .addCase(acceptWaitlistOffer.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload?.message || 'Failed to accept the offer';
+      })
+      
+      // Release hold cases
+      .addCase(releaseHold.fulfilled, (state, action) => {
+        if (state.hold && state.hold.id === action.payload) {
+          state.hold = null;
+        }
+      })
+      
       // Update booking cases
       .addCase(updateBooking.pending, (state) => {
         state.isLoading = true;
@@ -160,5 +315,83 @@ const bookingSlice = createSlice({
   },
 });
 
-export const { clearBookingError, clearSelectedBooking } = bookingSlice.actions;
+export const {
+  clearBookingError,
+  clearSelectedBooking,
+  clearBookingQuote,
+  bookingEventReceived,
+} = bookingSlice.actions;
+
+// Delay before reopening a booking event stream the server closed
+const EVENT_STREAM_RECONNECT_MS = 5000;
+const BOOKING_EVENT_TYPES = ['booking.created', 'booking.updated', 'booking.cancelled', 'booking.deleted'];
+
+/**
+ * Follow the server's booking event stream and apply its events to the
+ * bookings in the store. Bookings are reloaded whenever the stream
+ * (re)connects so nothing missed while disconnected is lost.
+ *
+ * Usage: useEffect(() => dispatch(subscribeToBookingEvents()), [dispatch]);
+ *
+ * @returns {Function} closes the stream
+ */
+export const subscribeToBookingEvents = () => (dispatch) => {
+  let source = null;
+  let reconnectTimer = null;
+  let stopped = false;
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    if (source) source.close();
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, EVENT_STREAM_RECONNECT_MS);
+  };
+
+  const connect = async () => {
+    try {
+      // EventSource cannot send the Authorization header, so the stream is
+      // opened with a short-lived ticket
+      const response = await axios.post('/api/events/ticket');
+      if (stopped) return;
+
+      source = new EventSource(`/api/events/bookings?ticket=${encodeURIComponent(response.data.ticket)}`);
+      source.addEventListener('ready', () => dispatch(fetchBookings()));
+      BOOKING_EVENT_TYPES.forEach((type) => {
+        source.addEventListener(type, (event) => {
+          dispatch(bookingEventReceived({ type, ...JSON.parse(event.data) }));
+        });
+      });
+      // The browser retries dropped streams itself; a closed one (e.g. an
+      // expired ticket) needs a new ticket
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) scheduleReconnect();
+      };
+    } catch (error) {
+      scheduleReconnect();
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    if (source) source.close();
+  };
+};
+
+// Calendar lanes: bookings grouped by room id. A multi-room booking appears
+// in the lane of every room it reserves.
+export const selectBookingsByRoom = createSelector(
+  (state) => state.bookings.bookings,
+  (bookings) =>
+    bookings.reduce((lanes, booking) => {
+      const rooms = booking.rooms && booking.rooms.length ? booking.rooms : [booking.room];
+      rooms.forEach((room) => {
+        lanes[room.id] = [...(lanes[room.id] || []), booking];
+      });
+      return lanes;
+    }, {})
+);
+
 export default bookingSlice.reducer;
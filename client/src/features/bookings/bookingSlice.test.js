@@ -0,0 +1,46 @@
+import reducer, { bookingEventReceived } from './bookingSlice';
+
+const booking = { id: 'booking-1', status: 'pending' };
+
+const stateWith = (bookings, selectedBooking = null) => ({
+  ...reducer(undefined, { type: '@@INIT' }),
+  bookings,
+  selectedBooking,
+});
+
+describe('bookingEventReceived', () => {
+  it('adds new bookings and replaces changed ones', () => {
+    let state = reducer(stateWith([]), bookingEventReceived({ type: 'booking.created', booking }));
+    expect(state.bookings).toEqual([booking]);
+
+    const confirmed = { ...booking, status: 'confirmed' };
+    state = reducer(state, bookingEventReceived({ type: 'booking.updated', booking: confirmed }));
+    expect(state.bookings).toEqual([confirmed]);
+  });
+
+  it.each(['held', 'expired', 'cancelled', 'rejected'])('does not list %s bookings', (status) => {
+    const other = { id: 'booking-2', status: 'confirmed' };
+    const changed = { ...booking, status };
+
+    expect(reducer(stateWith([]), bookingEventReceived({ type: 'booking.created', booking: changed })).bookings)
+      .toEqual([]);
+    expect(reducer(stateWith([booking, other]), bookingEventReceived({ type: 'booking.updated', booking: changed })).bookings)
+      .toEqual([other]);
+  });
+
+  it('keeps showing the selected booking once cancelled', () => {
+    const cancelled = { ...booking, status: 'cancelled' };
+
+    const state = reducer(stateWith([booking], booking), bookingEventReceived({ type: 'booking.cancelled', booking: cancelled }));
+
+    expect(state.bookings).toEqual([]);
+    expect(state.selectedBooking).toEqual(cancelled);
+  });
+
+  it('removes deleted bookings', () => {
+    const state = reducer(stateWith([booking], booking), bookingEventReceived({ type: 'booking.deleted', booking }));
+
+    expect(state.bookings).toEqual([]);
+    expect(state.selectedBooking).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+
+// Served from public/, so it controls the whole app
+const SERVICE_WORKER_URL = '/service-worker.js';
+
+const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// PushManager.subscribe() takes the VAPID key as bytes
+const toApplicationServerKey = (base64url) => {
+  const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+const getRegistration = async () => {
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+export const fetchPushStatus = createAsyncThunk(
+  'notifications/fetchPushStatus',
+  async () => {
+    if (!isPushSupported()) return { supported: false, enabled: false };
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    const subscription = registration && await registration.pushManager.getSubscription();
+    return { supported: true, enabled: Boolean(subscription) };
+  }
+);
+
+export const enablePushNotifications = createAsyncThunk(
+  'notifications/enablePush',
+  async (_, { rejectWithValue }) => {
+    if (!isPushSupported()) {
+      return rejectWithValue({ message: 'This browser does not support push notifications' });
+    }
+
+    try {
+      if (await Notification.requestPermission() !== 'granted') {
+        return rejectWithValue({ message: 'Notifications are blocked for this site' });
+      }
+
+      const { data } = await axios.get('/api/notifications/push/public-key');
+      const registration = await getRegistration();
+      const subscription = await registration.pushManager.getSubscription()
+        || await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: toApplicationServerKey(data.publicKey),
+        });
+
+      await axios.post('/api/notifications/push/subscriptions', subscription.toJSON());
+      return true;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message });
+    }
+  }
+);
+
+export const disablePushNotifications = createAsyncThunk(
+  'notifications/disablePush',
+  async (_, { rejectWithValue }) => {
+    try {
+      const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+      const subscription = registration && await registration.pushManager.getSubscription();
+      if (subscription) {
+        await axios.delete('/api/notifications/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+        await subscription.unsubscribe();
+      }
+      return false;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: error.message });
+    }
+  }
+);
+
+const initialState = {
+  pushSupported: false,
+  pushEnabled: false,
+  isLoading: false,
+  error: null,
+};
+
+const notificationSlice = createSlice({
+  name: 'notifications',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchPushStatus.fulfilled, (state, action) => {
+        state.pushSupported = action.payload.supported;
+        state.pushEnabled = action.payload.enabled;
+      })
+      .addCase(enablePushNotifications.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(enablePushNotifications.fulfilled, (state) => {
+        state.isLoading = false;
+        state.pushEnabled = true;
+      })
+      .addCase(enablePushNotifications.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload?.message || 'Failed to turn on push notifications';
+      })
+      .addCase(disablePushNotifications.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(disablePushNotifications.fulfilled, (state) => {
+        state.isLoading = false;
+        state.pushEnabled = false;
+      })
+      .addCase(disablePushNotifications.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload?.message || 'Failed to turn off push notifications';
+      });
+  },
+});
+
+export default notificationSlice.reducer;
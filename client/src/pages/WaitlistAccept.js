@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, Box, Button, Paper, Typography } from '@mui/material';
+import { acceptWaitlistOffer } from '../features/bookings/bookingSlice';
+
+// Landing page of the emailed waitlist offer link. The offer is only
+// accepted on an explicit click, so link previews cannot book the session.
+const WaitlistAccept = () => {
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const { isLoading, error } = useSelector((state) => state.bookings);
+  const [booking, setBooking] = useState(null);
+
+  const handleAccept = async () => {
+    const result = await dispatch(acceptWaitlistOffer(token));
+    if (acceptWaitlistOffer.fulfilled.match(result)) {
+      setBooking(result.payload.booking);
+    }
+  };
+
+  return (
+    <Box sx={{ maxWidth: 480, mx: 'auto', mt: 6 }}>
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Waitlist offer
+        </Typography>
+
+        {booking ? (
+          <>
+            <Alert severity="success" sx={{ mb: 2 }}>
+              The session is booked for you.
+            </Alert>
+            <Button component={RouterLink} to="/dashboard" variant="contained">
+              Go to your bookings
+            </Button>
+          </>
+        ) : (
+          <>
+            <Typography sx={{ mb: 2 }}>
+              A session you were waiting for is available. Accept the offer to book it.
+            </Typography>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Button variant="contained" onClick={handleAccept} disabled={isLoading}>
+              Book this session
+            </Button>
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default WaitlistAccept;
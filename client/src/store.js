@@ -6,6 +6,7 @@ import equipmentReducer from './features/equipment/equipmentSlice';
 import staffReducer from './features/staff/staffSlice';
 import clientReducer from './features/clients/clientSlice';
 import paymentReducer from './features/payments/paymentSlice';
+import notificationReducer from './features/notifications/notificationSlice';
 
 export const store = configureStore({
   reducer: {
@@ -16,5 +17,6 @@ export const store = configureStore({
     staff: staffReducer,
     clients: clientReducer,
     payments: paymentReducer,
+    notifications: notificationReducer,
   },
 });
@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+/**
+ * Knex configuration for Studio Booking Assistant
+ */
+const connection = {
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+};
+
+const shared = {
+  client: 'pg',
+  connection,
+  migrations: {
+    directory: './src/database/migrations',
+  },
+  seeds: {
+    directory: './src/database/seeds',
+  },
+};
+
+module.exports = {
+  development: shared,
+  test: shared,
+  production: {
+    ...shared,
+    pool: { min: 2, max: 10 },
+  },
+};
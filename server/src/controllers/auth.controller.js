@@ -2,7 +2,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const User = require('../models/user.model');
-const { sendEmail } = require('../utils/email');
+const notificationService = require('../services/notification.service');
 
 /**
  * Generate JWT token
@@ -24,42 +24,43 @@ exports.register = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, email, password, userType } = req.body;
+  const { name, email, phone, password, userType, locale } = req.body;
 
   try {
     // Check if user already exists
-    let user = await User.findOne({ email });
+    const existingUser = await User.findByEmail(email);
 
-    if (user) {
+    if (existingUser) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create new user
-    user = new User({
-      name,
-      email,
-      password,
-      userType,
-    });
-
     // Hash password
     const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
+    const hashedPassword = await bcrypt.hash(password, salt);
 
     // Save user to database
-    await user.save();
+    const user = await User.create({
+      name,
+      email,
+      phone,
+      password: hashedPassword,
+      userType,
+      locale,
+    });
 
     // Generate JWT token
-    const token = generateToken(user._id);
+    const token = generateToken(user.id);
 
     // Return user data and token
     res.status(201).json({
       token,
       user: {
-        id: user._id,
+        id: user.id,
         name: user.name,
         email: user.email,
         userType: user.userType,
+        phone: user.phone,
+        locale: user.locale,
       },
     });
   } catch (error) {
@@ -83,7 +84,7 @@ exports.login = async (req, res) => {
 
   try {
     // Check if user exists
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findByEmail(email, { withPassword: true });
 
     if (!user) {
       return res.status(401).json({ message: 'Invalid credentials' });
@@ -97,13 +98,13 @@ exports.login = async (req, res) => {
     }
 
     // Generate JWT token
-    const token = generateToken(user._id);
+    const token = generateToken(user.id);
 
     // Return user data and token
     res.json({
       token,
       user: {
-        id: user._id,
+        id: user.id,
         name: user.name,
         email: user.email,
         userType: user.userType,
@@ -125,10 +126,12 @@ exports.getCurrentUser = async (req, res) => {
     // User is already available in req.user from protect middleware
     res.json({
       user: {
-        id: req.user._id,
+        id: req.user.id,
         name: req.user.name,
         email: req.user.email,
         userType: req.user.userType,
+        phone: req.user.phone,
+        locale: req.user.locale,
       },
     });
   } catch (error) {
@@ -143,15 +146,23 @@ exports.getCurrentUser = async (req, res) => {
  * @access  Private
  */
 exports.updateProfile = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { name, email, currentPassword, newPassword } = req.body;
+    const { name, email, phone, locale, currentPassword, newPassword } = req.body;
 
     // Get user
-    const user = await User.findById(req.user._id).select('+password');
+    const user = await User.findById(req.user.id, { withPassword: true });
+    const changes = {};
 
     // Update fields if provided
-    if (name) user.name = name;
-    if (email) user.email = email;
+    if (name) changes.name = name;
+    if (email) changes.email = email;
+    if (phone !== undefined) changes.phone = phone || null;
+    if (locale) changes.locale = locale;
 
     // If user wants to update password
     if (currentPassword && newPassword) {
@@ -164,19 +175,21 @@ exports.updateProfile = async (req, res) => {
 
       // Hash new password
       const salt = await bcrypt.genSalt(10);
-      user.password = await bcrypt.hash(newPassword, salt);
+      changes.password = await bcrypt.hash(newPassword, salt);
     }
 
     // Save updated user
-    await user.save();
+    const updatedUser = await User.update(user.id, changes);
 
     // Return updated user data
     res.json({
       user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        userType: user.userType,
+        id: updatedUser.id,
+        name: updatedUser.name,
+        email: updatedUser.email,
+        userType: updatedUser.userType,
+        phone: updatedUser.phone,
+        locale: updatedUser.locale,
       },
     });
   } catch (error) {
@@ -200,21 +213,22 @@ exports.forgotPassword = async (req, res) => {
 
   try {
     // Find user by email
-    const user = await User.findOne({ email });
+    const user = await User.findByEmail(email);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Generate reset token
-    const resetToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
+    const resetToken = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
       expiresIn: '1h',
     });
 
     // Save reset token to user
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    await user.save({ validateBeforeSave: false });
+    await User.update(user.id, {
+      resetPasswordToken: resetToken,
+      resetPasswordExpires: new Date(Date.now() + 3600000), // 1 hour
+    });
 
     // Create reset URL
     const resetUrl = `${req.protocol}://${req.get(
@@ -222,11 +236,9 @@ exports.forgotPassword = async (req, res) => {
     )}/reset-password/${resetToken}`;
 
     // Send email
-    await sendEmail({
-      to: user.email,
-      subject: 'Password Reset',
-      text: `You requested a password reset. Please go to this link to reset your password: ${resetUrl}`,
-      html: `<p>You requested a password reset.</p><p>Please click <a href="${resetUrl}">here</a> to reset your password.</p>`,
+    await notificationService.notify('password_reset', {
+      to: user,
+      data: { resetUrl },
     });
 
     res.json({ message: 'Password reset email sent' });
@@ -253,35 +265,35 @@ exports.resetPassword = async (req, res) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Find user by id and token
-    const user = await User.findOne({
-      _id: decoded.id,
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: Date.now() },
-    });
+    // Find user by id and check the stored token
+    const user = await User.findById(decoded.id, { withPassword: true });
 
-    if (!user) {
+    if (
+      !user ||
+      user.resetPasswordToken !== token ||
+      !user.resetPasswordExpires ||
+      new Date(user.resetPasswordExpires) <= new Date()
+    ) {
       return res.status(400).json({ message: 'Invalid or expired token' });
     }
 
     // Hash new password
     const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
 
-    // Clear reset token fields
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-
-    // Save user
-    await user.save();
+    // Save new password and clear reset token fields
+    await User.update(user.id, {
+      password: await bcrypt.hash(password, salt),
+      resetPasswordToken: null,
+      resetPasswordExpires: null,
+    });
 
     // Generate new JWT token
-    const newToken = generateToken(user._id);
+    const newToken = generateToken(user.id);
 
     res.json({
       token: newToken,
       user: {
-        id: user._id,
+        id: user.id,
         name: user.name,
         email: user.email,
         userType: user.userType,
@@ -0,0 +1,68 @@
+const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availability.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Read availability search options from the query string
+ */
+const getSearchOptions = (query) => ({
+  from: query.from,
+  to: query.to,
+  minDuration: query.minDuration,
+  equipmentIds: query.equipmentIds ? String(query.equipmentIds).split(',').filter(Boolean) : [],
+  staffIds: query.staffIds ? String(query.staffIds).split(',').filter(Boolean) : [],
+});
+
+/**
+ * @desc    Get free slots of a room
+ * @route   GET /api/rooms/:id/availability
+ * @access  Private (all users)
+ */
+exports.getRoomAvailability = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const availability = await availabilityService.findRoomAvailability(
+      req.params.id,
+      getSearchOptions(req.query)
+    );
+
+    res.json(availability);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Get room availability error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get free slots of every room in a studio
+ * @route   GET /api/studios/:id/availability
+ * @access  Private (all users)
+ */
+exports.getStudioAvailability = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const availability = await availabilityService.findStudioAvailability(
+      req.params.id,
+      getSearchOptions(req.query)
+    );
+
+    res.json(availability);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Get studio availability error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,9 +1,28 @@
 const { validationResult } = require('express-validator');
 const Booking = require('../models/booking.model');
-const Room = require('../models/room.model');
-const Equipment = require('../models/equipment.model');
-const User = require('../models/user.model');
-const { sendEmail } = require('../utils/email');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const bookingService = require('../services/booking.service');
+const bookingAuditService = require('../services/bookingAudit.service');
+const bookingSeriesService = require('../services/bookingSeries.service');
+const invoiceService = require('../services/invoice.service');
+const pricingService = require('../services/pricing.service');
+const { checkBookingTimes } = require('../services/bookingRules.service');
+const { AppError } = require('../utils/errors');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceRenderer');
+
+const { getAccess } = bookingService;
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
 
 /**
  * @desc    Get all bookings
@@ -12,42 +31,30 @@ const { sendEmail } = require('../utils/email');
  */
 exports.getAllBookings = async (req, res) => {
   try {
-    let query = {};
+    const filter = {};
 
     // If user is a studio owner, only show bookings for their studios
     if (req.user.userType === 'studio_owner') {
-      const studios = await Studio.find({ owner: req.user._id }).select('_id');
-      const studioIds = studios.map(studio => studio._id);
-      const rooms = await Room.find({ studio: { $in: studioIds } }).select('_id');
-      const roomIds = rooms.map(room => room._id);
-      query.room = { $in: roomIds };
+      const studios = await Studio.findByOwner(req.user.id);
+      filter.studioIds = studios.map(studio => studio.id);
     }
 
     // If user is staff, only show bookings for their assigned studio
     if (req.user.userType === 'staff') {
-      const staff = await Staff.findOne({ user: req.user._id }).select('studio');
-      if (!staff) {
+      const staff = await Staff.findByUser(req.user.id);
+      if (!staff.length) {
         return res.status(404).json({ message: 'Staff record not found' });
       }
-      const rooms = await Room.find({ studio: staff.studio }).select('_id');
-      const roomIds = rooms.map(room => room._id);
-      query.room = { $in: roomIds };
+      filter.studioIds = staff.map(member => member.studioId);
+    }
+
+    // Anyone else only sees their own bookings
+    if (!filter.studioIds) {
+      filter.clientId = req.user.id;
     }
 
-    // Get bookings with populated data
-    const bookings = await Booking.find(query)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address',
-        },
-      })
-      .populate('client', 'name email')
-      .populate('equipment', 'name')
-      .populate('staff', 'name')
-      .sort({ startTime: 1 });
+    // Get bookings with room, studio, client, equipment and staff
+    const bookings = await Booking.find(filter);
 
     res.json(bookings);
   } catch (error) {
@@ -63,29 +70,13 @@ exports.getAllBookings = async (req, res) => {
  */
 exports.getUserBookings = async (req, res) => {
   try {
-    let query = {};
-
-    // If user is a musician, only show their bookings
-    if (req.user.userType === 'musician') {
-      query.client = req.user._id;
-    } else {
-      // For studio owners and staff, use the same logic as getAllBookings
-      return this.getAllBookings(req, res);
+    // For studio owners and staff, use the same logic as getAllBookings
+    if (req.user.userType !== 'musician') {
+      return exports.getAllBookings(req, res);
     }
 
-    // Get bookings with populated data
-    const bookings = await Booking.find(query)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address',
-        },
-      })
-      .populate('equipment', 'name')
-      .populate('staff', 'name')
-      .sort({ startTime: 1 });
+    // If user is a musician, only show their bookings
+    const bookings = await Booking.find({ clientId: req.user.id });
 
     res.json(bookings);
   } catch (error) {
@@ -101,27 +92,14 @@ exports.getUserBookings = async (req, res) => {
  */
 exports.getBookingById = async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address owner',
-        },
-      })
-      .populate('client', 'name email phone')
-      .populate('equipment', 'name')
-      .populate('staff', 'name');
+    const booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
     // Check if user has access to this booking
-    const isClient = booking.client._id.toString() === req.user._id.toString();
-    const isStudioOwner = booking.room.studio.owner.toString() === req.user._id.toString();
-    const isStaff = req.user.userType === 'staff' && await Staff.exists({ user: req.user._id, studio: booking.room.studio._id });
+    const { isClient, isStudioOwner, isStaff } = await getAccess(booking, req.user);
 
     if (!isClient && !isStudioOwner && !isStaff) {
       return res.status(403).json({ message: 'Not authorized to access this booking' });
@@ -135,150 +113,105 @@ exports.getBookingById = async (req, res) => {
 };
 
 /**
- * @desc    Create a new booking
- * @route   POST /api/bookings
- * @access  Private (all users)
+ * @desc    Get the audit history of a booking
+ * @route   GET /api/bookings/:id/history
+ * @access  Private (studio_owner, staff of the booking's studio)
  */
-exports.createBooking = async (req, res) => {
+exports.getBookingHistory = async (req, res) => {
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+
+    // Only the studio can see who changed what
+    const { isStudioOwner, isStaff } = await getAccess(booking, req.user);
+    if (!isStudioOwner && !isStaff) {
+      return res.status(403).json({ message: 'Not authorized to view the history of this booking' });
+    }
+
+    const history = await bookingAuditService.getHistory(booking.id);
+
+    res.json(history);
+  } catch (error) {
+    handleError(res, error, 'Get booking history');
+  }
+};
+
+/**
+ * @desc    Download the invoice (or receipt once paid) of a booking
+ * @route   GET /api/bookings/:id/invoice
+ * @access  Private (booking owner, studio_owner, staff)
+ */
+exports.getBookingInvoice = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { roomId, startTime, endTime, equipmentIds = [], staffIds = [], notes } = req.body;
-
   try {
-    // Check if the room exists
-    const room = await Room.findById(roomId).populate('studio', 'name owner');
-    if (!room) {
-      return res.status(404).json({ message: 'Room not found' });
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+
+    // Check if user has access to this booking
+    const { isClient, isStudioOwner, isStaff } = await getAccess(booking, req.user);
+    if (!isClient && !isStudioOwner && !isStaff) {
+      return res.status(403).json({ message: 'Not authorized to access this booking' });
     }
 
-    // Check if the room is available for the requested time
-    const conflictingBooking = await Booking.findOne({
-      room: roomId,
-      status: { $ne: 'cancelled' },
-      $or: [
-        // New booking starts during an existing booking
-        { startTime: { $lte: new Date(startTime) }, endTime: { $gt: new Date(startTime) } },
-        // New booking ends during an existing booking
-        { startTime: { $lt: new Date(endTime) }, endTime: { $gte: new Date(endTime) } },
-        // New booking completely contains an existing booking
-        { startTime: { $gte: new Date(startTime) }, endTime: { $lte: new Date(endTime) } },
-      ],
-    });
+    const document = await invoiceService.getInvoiceDocument(booking);
 
-    if (conflictingBooking) {
-      return res.status(400).json({ message: 'Room is not available for the requested time' });
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderInvoiceHtml(document));
     }
 
-    // Check if equipment exists and is available
-    if (equipmentIds && equipmentIds.length > 0) {
-      const equipment = await Equipment.find({ _id: { $in: equipmentIds } });
-      if (equipment.length !== equipmentIds.length) {
-        return res.status(400).json({ message: 'One or more equipment items not found' });
-      }
+    const pdf = await renderInvoicePdf(document);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${document.invoice.invoiceNumber}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (error) {
+    handleError(res, error, 'Get booking invoice');
+  }
+};
 
-      // Check if equipment is available (not being used in another booking during the same time)
-      for (const equipId of equipmentIds) {
-        const equipmentConflict = await Booking.findOne({
-          equipment: equipId,
-          status: { $ne: 'cancelled' },
-          $or: [
-            { startTime: { $lte: new Date(startTime) }, endTime: { $gt: new Date(startTime) } },
-            { startTime: { $lt: new Date(endTime) }, endTime: { $gte: new Date(endTime) } },
-            { startTime: { $gte: new Date(startTime) }, endTime: { $lte: new Date(endTime) } },
-          ],
-        });
-
-        if (equipmentConflict) {
-          const conflictingEquipment = await Equipment.findById(equipId);
-          return res.status(400).json({
-            message: `Equipment ${conflictingEquipment.name} is not available for the requested time`,
-          });
-        }
-      }
-    }
+/**
+ * @desc    Create a new booking
+ * @route   POST /api/bookings
+ * @access  Private (all users)
+ */
+exports.createBooking = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Check if staff exists and is available
-    if (staffIds && staffIds.length > 0) {
-      const staff = await Staff.find({ _id: { $in: staffIds } });
-      if (staff.length !== staffIds.length) {
-        return res.status(400).json({ message: 'One or more staff members not found' });
-      }
+  try {
+    const booking = await bookingService.createBooking(req.user, req.body);
 
-      // Check if staff is available
-      for (const staffId of staffIds) {
-        const staffConflict = await Booking.findOne({
-          staff: staffId,
-          status: { $ne: 'cancelled' },
-          $or: [
-            { startTime: { $lte: new Date(startTime) }, endTime: { $gt: new Date(startTime) } },
-            { startTime: { $lt: new Date(endTime) }, endTime: { $gte: new Date(endTime) } },
-            { startTime: { $gte: new Date(startTime) }, endTime: { $lte: new Date(endTime) } },
-          ],
-        });
-
-        if (staffConflict) {
-          const conflictingStaff = await Staff.findById(staffId).populate('user', 'name');
-          return res.status(400).json({
-            message: `Staff member ${conflictingStaff.user.name} is not available for the requested time`,
-          });
-        }
-      }
-    }
+    res.status(201).json(booking);
+  } catch (error) {
+    handleError(res, error, 'Create booking');
+  }
+};
 
-    // Calculate booking duration in hours
-    const startDate = new Date(startTime);
-    const endDate = new Date(endTime);
-    const durationHours = (endDate - startDate) / (1000 * 60 * 60);
-
-    // Calculate total amount
-    let totalAmount = room.hourlyRate * durationHours;
-
-    // Create the booking
-    const booking = new Booking({
-      room: roomId,
-      client: req.user._id,
-      startTime,
-      endTime,
-      equipment: equipmentIds,
-      staff: staffIds,
-      totalAmount,
-      notes,
-      status: 'pending', // New bookings start as pending until confirmed
-    });
+/**
+ * @desc    Get an itemized price for a prospective booking
+ * @route   POST /api/bookings/quote
+ * @access  Private (all users)
+ */
+exports.getBookingQuote = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Save booking to database
-    await booking.save();
+  try {
+    const { studio, price } = await pricingService.quoteBooking(req.body);
 
-    // Send notification email to studio owner
-    const studioOwner = await User.findById(room.studio.owner);
-    await sendEmail({
-      to: studioOwner.email,
-      subject: 'New Booking Request',
-      text: `A new booking request has been made for ${room.studio.name}. Please log in to confirm or reject the booking.`,
-      html: `<p>A new booking request has been made for ${room.studio.name}.</p><p>Please log in to confirm or reject the booking.</p>`,
-    });
+    // Report rule violations alongside the price so clients can adjust early
+    const violations = checkBookingTimes(studio, req.body.startTime, req.body.endTime);
 
-    // Return the saved booking with populated data
-    const savedBooking = await Booking.findById(booking._id)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address',
-        },
-      })
-      .populate('client', 'name email')
-      .populate('equipment', 'name')
-      .populate('staff', 'name');
-
-    res.status(201).json(savedBooking);
+    res.json({ ...price, violations });
   } catch (error) {
-    console.error('Create booking error:', error.message);
-    res.status(500).json({ message: 'Server error' });
+    handleError(res, error, 'Get booking quote');
   }
 };
 
@@ -288,113 +221,80 @@ exports.createBooking = async (req, res) => {
  * @access  Private (booking owner, studio_owner, staff)
  */
 exports.updateBooking = async (req, res) => {
-  try {
-    let booking = await Booking.findById(req.params.id);
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
-
-    // Check if user has permission to update this booking
-    const isClient = booking.client.toString() === req.user._id.toString();
-    const room = await Room.findById(booking.room).populate('studio');
-    const isStudioOwner = room.studio.owner.toString() === req.user._id.toString();
-    const isStaff = req.user.userType === 'staff' && await Staff.exists({ user: req.user._id, studio: room.studio._id });
-
-    if (!isClient && !isStudioOwner && !isStaff) {
-      return res.status(403).json({ message: 'Not authorized to update this booking' });
-    }
-
-    // Different update logic based on user role
-    if (isClient) {
-      // Clients can only update pending bookings and only certain fields
-      if (booking.status !== 'pending') {
-        return res.status(400).json({ message: 'Cannot update a confirmed or cancelled booking' });
-      }
-
-      // Allow clients to update certain fields (e.g., notes, equipment)
-      const { notes, equipmentIds } = req.body;
-      if (notes) booking.notes = notes;
-      if (equipmentIds) booking.equipment = equipmentIds;
-
-      // Save the updated booking
-      await booking.save();
-    } else {
-      // Studio owners and staff can update more fields
-      const { status, staffIds, notes } = req.body;
-      if (status) booking.status = status;
-      if (staffIds) booking.staff = staffIds;
-      if (notes) booking.notes = notes;
-
-      // Save the updated booking
-      await booking.save();
-
-      // If status was updated, send notification to client
-      if (status && status !== booking.status) {
-        const client = await User.findById(booking.client);
-        await sendEmail({
-          to: client.email,
-          subject: `Booking ${status === 'confirmed' ? 'Confirmed' : 'Updated'}`,
-          text: `Your booking for ${room.studio.name} has been ${status === 'confirmed' ? 'confirmed' : 'updated'}. Please log in to view details.`,
-          html: `<p>Your booking for ${room.studio.name} has been ${status === 'confirmed' ? 'confirmed' : 'updated'}.</p><p>Please log in to view details.</p>`,
-        });
-      }
-    }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Return the updated booking with populated data
-    const updatedBooking = await Booking.findById(req.params.id)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address',
-        },
-      })
-      .populate('client', 'name email')
-      .populate('equipment', 'name')
-      .populate('staff', 'name');
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const updatedBooking = await bookingService.updateBooking(booking, req.user, req.body);
 
     res.json(updatedBooking);
   } catch (error) {
-    console.error('Update booking error:', error.message);
-    res.status(500).json({ message: 'Server error' });
+    handleError(res, error, 'Update booking');
   }
 };
 
 /**
- * @desc    Delete a booking
+ * @desc    Soft-delete a booking (restorable by the studio owner)
  * @route   DELETE /api/bookings/:id
  * @access  Private (booking owner, studio_owner, staff)
  */
 exports.deleteBooking = async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    await bookingService.deleteBooking(booking, req.user);
 
-    // Check if user has permission to delete this booking
-    const isClient = booking.client.toString() === req.user._id.toString();
-    const room = await Room.findById(booking.room).populate('studio');
-    const isStudioOwner = room.studio.owner.toString() === req.user._id.toString();
-    const isStaff = req.user.userType === 'staff' && await Staff.exists({ user: req.user._id, studio: room.studio._id });
+    res.json({ message: 'Booking deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Delete booking');
+  }
+};
 
-    if (!isClient && !isStudioOwner && !isStaff) {
-      return res.status(403).json({ message: 'Not authorized to delete this booking' });
-    }
+/**
+ * @desc    Get soft-deleted bookings of the owner's studios
+ * @route   GET /api/bookings/deleted
+ * @access  Private (studio_owner)
+ */
+exports.getDeletedBookings = async (req, res) => {
+  try {
+    const bookings = await bookingService.getDeletedBookings(req.user);
 
-    // Clients can only delete pending bookings
-    if (isClient && booking.status !== 'pending') {
-      return res.status(400).json({ message: 'Cannot delete a confirmed booking. Please use cancel instead.' });
-    }
+    res.json(bookings);
+  } catch (error) {
+    handleError(res, error, 'Get deleted bookings');
+  }
+};
 
-    // Delete the booking
-    await booking.remove();
+/**
+ * @desc    Restore a soft-deleted booking
+ * @route   POST /api/bookings/:id/restore
+ * @access  Private (studio_owner)
+ */
+exports.restoreBooking = async (req, res) => {
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id, { withDeleted: true });
+    const restoredBooking = await bookingService.restoreBooking(booking, req.user);
 
-    res.json({ message: 'Booking deleted successfully' });
+    res.json(restoredBooking);
   } catch (error) {
-    console.error('Delete booking error:', error.message);
-    res.status(500).json({ message: 'Server error' });
+    handleError(res, error, 'Restore booking');
+  }
+};
+
+/**
+ * @desc    Permanently remove bookings deleted longer ago than the retention period
+ * @route   POST /api/bookings/purge
+ * @access  Private (studio_owner)
+ */
+exports.purgeDeletedBookings = async (req, res) => {
+  try {
+    const result = await bookingService.purgeDeletedBookings(req.user);
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Purge deleted bookings');
   }
 };
 
@@ -405,51 +305,35 @@ exports.deleteBooking = async (req, res) => {
  */
 exports.confirmBooking = async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const updatedBooking = await bookingService.confirmBooking(booking, req.user);
 
-    // Check if user has permission to confirm this booking
-    const room = await Room.findById(booking.room).populate('studio');
-    const isStudioOwner = room.studio.owner.toString() === req.user._id.toString();
-    const isStaff = req.user.userType === 'staff' && await Staff.exists({ user: req.user._id, studio: room.studio._id });
+    res.json(updatedBooking);
+  } catch (error) {
+    handleError(res, error, 'Confirm booking');
+  }
+};
 
-    if (!isStudioOwner && !isStaff) {
-      return res.status(403).json({ message: 'Not authorized to confirm this booking' });
-    }
+/**
+ * @desc    Move a booking to another status
+ * @route   POST /api/bookings/:id/status
+ * @access  Private (booking owner, studio_owner, staff; guarded per transition)
+ */
+exports.changeBookingStatus = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Update booking status to confirmed
-    booking.status = 'confirmed';
-    await booking.save();
-
-    // Send confirmation email to client
-    const client = await User.findById(booking.client);
-    await sendEmail({
-      to: client.email,
-      subject: 'Booking Confirmed',
-      text: `Your booking for ${room.studio.name} has been confirmed.`,
-      html: `<p>Your booking for ${room.studio.name} has been confirmed.</p><p>Please log in to view details.</p>`,
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const updatedBooking = await bookingService.changeStatus(booking, req.user, req.body.status, {
+      reason: req.body.reason,
     });
 
-    // Return the updated booking with populated data
-    const updatedBooking = await Booking.findById(req.params.id)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address',
-        },
-      })
-      .populate('client', 'name email')
-      .populate('equipment', 'name')
-      .populate('staff', 'name');
-
     res.json(updatedBooking);
   } catch (error) {
-    console.error('Confirm booking error:', error.message);
-    res.status(500).json({ message: 'Server error' });
+    handleError(res, error, 'Change booking status');
   }
 };
 
@@ -460,69 +344,103 @@ exports.confirmBooking = async (req, res) => {
  */
 exports.cancelBooking = async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const updatedBooking = await bookingService.cancelBooking(booking, req.user, req.body.reason);
 
-    // Check if user has permission to cancel this booking
-    const isClient = booking.client.toString() === req.user._id.toString();
-    const room = await Room.findById(booking.room).populate('studio');
-    const isStudioOwner = room.studio.owner.toString() === req.user._id.toString();
-    const isStaff = req.user.userType === 'staff' && await Staff.exists({ user: req.user._id, studio: room.studio._id });
+    res.json(updatedBooking);
+  } catch (error) {
+    handleError(res, error, 'Cancel booking');
+  }
+};
 
-    if (!isClient && !isStudioOwner && !isStaff) {
-      return res.status(403).json({ message: 'Not authorized to cancel this booking' });
-    }
+/**
+ * @desc    Create a recurring booking series
+ * @route   POST /api/bookings/series
+ * @access  Private (all users)
+ */
+exports.createBookingSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Update booking status to cancelled
-    booking.status = 'cancelled';
-    booking.cancellationReason = req.body.reason || 'No reason provided';
-    booking.cancelledBy = req.user._id;
-    booking.cancelledAt = Date.now();
-    await booking.save();
-
-    // Send cancellation email to relevant parties
-    const client = await User.findById(booking.client);
-    const studioOwner = await User.findById(room.studio.owner);
-
-    // Send email to client if cancelled by studio owner or staff
-    if (!isClient) {
-      await sendEmail({
-        to: client.email,
-        subject: 'Booking Cancelled',
-        text: `Your booking for ${room.studio.name} has been cancelled. Reason: ${booking.cancellationReason}`,
-        html: `<p>Your booking for ${room.studio.name} has been cancelled.</p><p>Reason: ${booking.cancellationReason}</p>`,
-      });
-    }
+  try {
+    const result = await bookingSeriesService.createSeries(req.user, req.body);
+
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Create booking series');
+  }
+};
+
+/**
+ * @desc    Get a recurring booking series with its occurrences
+ * @route   GET /api/bookings/series/:seriesId
+ * @access  Private (series owner, studio_owner, staff)
+ */
+exports.getBookingSeries = async (req, res) => {
+  try {
+    const { series, occurrences } = await bookingSeriesService.getSeries(req.params.seriesId);
 
-    // Send email to studio owner if cancelled by client
-    if (isClient) {
-      await sendEmail({
-        to: studioOwner.email,
-        subject: 'Booking Cancelled by Client',
-        text: `A booking for ${room.studio.name} has been cancelled by the client. Reason: ${booking.cancellationReason}`,
-        html: `<p>A booking for ${room.studio.name} has been cancelled by the client.</p><p>Reason: ${booking.cancellationReason}</p>`,
-      });
+    // Check if user has access to the series through one of its occurrences
+    if (series.clientId !== req.user.id) {
+      const access = occurrences.length ? await getAccess(occurrences[0], req.user) : {};
+      if (!access.isStudioOwner && !access.isStaff) {
+        return res.status(403).json({ message: 'Not authorized to access this booking series' });
+      }
     }
 
-    // Return the updated booking with populated data
-    const updatedBooking = await Booking.findById(req.params.id)
-      .populate({
-        path: 'room',
-        select: 'name hourlyRate studio',
-        populate: {
-          path: 'studio',
-          select: 'name address',
-        },
-      })
-      .populate('client', 'name email')
-      .populate('equipment', 'name')
-      .populate('staff', 'name');
+    res.json({ ...series, occurrences });
+  } catch (error) {
+    handleError(res, error, 'Get booking series');
+  }
+};
 
-    res.json(updatedBooking);
+/**
+ * @desc    Update this, this and following, or all occurrences of a series
+ * @route   PUT /api/bookings/:id/series
+ * @access  Private (booking owner, studio_owner, staff)
+ */
+exports.updateBookingSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { scope, ...changes } = req.body;
+
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const result = await bookingSeriesService.updateSeries(booking, req.user, scope, changes);
+
+    res.json(result);
   } catch (error) {
-    console.error('Cancel booking error:', error.message);
-    res.status(500).json({ message: 'Server error' });
+    handleError(res, error, 'Update booking series');
+  }
+};
+
+/**
+ * @desc    Cancel this, this and following, or all occurrences of a series
+ * @route   POST /api/bookings/:id/series/cancel
+ * @access  Private (booking owner, studio_owner, staff)
+ */
+exports.cancelBookingSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const result = await bookingSeriesService.cancelSeries(
+      booking,
+      req.user,
+      req.body.scope,
+      req.body.reason
+    );
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Cancel booking series');
   }
 };
@@ -0,0 +1,158 @@
+const { validationResult } = require('express-validator');
+const calendarService = require('../services/calendar.service');
+const calendarSyncService = require('../services/calendarSync.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    List the current user's calendar feeds
+ * @route   GET /api/calendar/feeds
+ * @access  Private
+ */
+exports.getFeeds = async (req, res) => {
+  try {
+    const feeds = await calendarService.getFeeds(req.user);
+
+    res.json(feeds);
+  } catch (error) {
+    handleError(res, error, 'Get calendar feeds');
+  }
+};
+
+/**
+ * @desc    Create a calendar feed, or replace the URL of an existing one
+ * @route   POST /api/calendar/feeds
+ * @access  Private
+ */
+exports.createFeed = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { feed, url } = await calendarService.createFeed(req.user, {
+      kind: req.body.kind,
+      studioId: req.body.studioId,
+    });
+
+    res.status(201).json({ ...feed, url });
+  } catch (error) {
+    handleError(res, error, 'Create calendar feed');
+  }
+};
+
+/**
+ * @desc    Delete a calendar feed, disabling its URL
+ * @route   DELETE /api/calendar/feeds/:id
+ * @access  Private
+ */
+exports.deleteFeed = async (req, res) => {
+  try {
+    await calendarService.deleteFeed(req.user, req.params.id);
+
+    res.json({ message: 'Calendar feed deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete calendar feed');
+  }
+};
+
+/**
+ * @desc    Get the iCalendar document of a feed
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @access  Public (secret feed token)
+ */
+exports.getFeedCalendar = async (req, res) => {
+  try {
+    const calendar = await calendarService.renderFeed(req.params.token);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+  } catch (error) {
+    handleError(res, error, 'Get calendar feed');
+  }
+};
+
+/**
+ * @desc    List the external calendars linked by the current user
+ * @route   GET /api/calendar/connections
+ * @access  Private
+ */
+exports.getConnections = async (req, res) => {
+  try {
+    const connections = await calendarSyncService.getConnections(req.user);
+
+    res.json(connections);
+  } catch (error) {
+    handleError(res, error, 'Get calendar connections');
+  }
+};
+
+/**
+ * @desc    Link an external CalDAV calendar to a staff member or room
+ * @route   POST /api/calendar/connections
+ * @access  Private (studio owner, or the staff member)
+ */
+exports.createConnection = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { staffId, roomId, url, username, password, writeBack } = req.body;
+    const connection = await calendarSyncService.connect(req.user, {
+      staffId,
+      roomId,
+      url,
+      username,
+      password,
+      writeBack,
+    });
+
+    res.status(201).json(connection);
+  } catch (error) {
+    handleError(res, error, 'Create calendar connection');
+  }
+};
+
+/**
+ * @desc    Sync a linked calendar now
+ * @route   POST /api/calendar/connections/:id/sync
+ * @access  Private
+ */
+exports.syncConnection = async (req, res) => {
+  try {
+    const result = await calendarSyncService.syncNow(req.user, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Sync calendar connection');
+  }
+};
+
+/**
+ * @desc    Unlink an external calendar
+ * @route   DELETE /api/calendar/connections/:id
+ * @access  Private
+ */
+exports.deleteConnection = async (req, res) => {
+  try {
+    await calendarSyncService.disconnect(req.user, req.params.id);
+
+    res.json({ message: 'Calendar connection deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete calendar connection');
+  }
+};
@@ -0,0 +1,73 @@
+const { validationResult } = require('express-validator');
+const bookingService = require('../services/booking.service');
+const checkoutService = require('../services/equipmentCheckout.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Get the equipment check-outs of a booking
+ * @route   GET /api/bookings/:id/equipment-checkouts
+ * @access  Private (booking owner, studio_owner, staff)
+ */
+exports.getCheckouts = async (req, res) => {
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const checkouts = await checkoutService.getCheckouts(booking, req.user);
+
+    res.json(checkouts);
+  } catch (error) {
+    handleError(res, error, 'Get equipment check-outs');
+  }
+};
+
+/**
+ * @desc    Check out booked equipment
+ * @route   POST /api/bookings/:id/equipment-checkouts
+ * @access  Private (studio_owner, staff)
+ */
+exports.checkOut = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const checkout = await checkoutService.checkOut(booking, req.user, req.body);
+
+    res.status(201).json(checkout);
+  } catch (error) {
+    handleError(res, error, 'Check out equipment');
+  }
+};
+
+/**
+ * @desc    Check in equipment, recording its condition and any damage charge
+ * @route   POST /api/bookings/:id/equipment-checkouts/:checkoutId/check-in
+ * @access  Private (studio_owner, staff)
+ */
+exports.checkIn = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const result = await checkoutService.checkIn(booking, req.user, req.params.checkoutId, req.body);
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Check in equipment');
+  }
+};
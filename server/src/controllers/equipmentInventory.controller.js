@@ -0,0 +1,107 @@
+const { validationResult } = require('express-validator');
+const equipmentService = require('../services/equipment.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Get the stock of an item, and the units free over a range
+ * @route   GET /api/equipment/:id/stock
+ * @access  Private (all users)
+ */
+exports.getStock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const stock = await equipmentService.getStock(req.params.id, {
+      startTime: req.query.startTime,
+      endTime: req.query.endTime,
+    });
+
+    res.json(stock);
+  } catch (error) {
+    handleError(res, error, 'Get equipment stock');
+  }
+};
+
+/**
+ * @desc    Set the number of units in stock
+ * @route   PUT /api/equipment/:id/stock
+ * @access  Private (studio_owner, staff)
+ */
+exports.updateStock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const item = await equipmentService.updateStock(req.params.id, req.user, req.body.quantity);
+
+    res.json(item);
+  } catch (error) {
+    handleError(res, error, 'Update equipment stock');
+  }
+};
+
+/**
+ * @desc    Get current and upcoming maintenance windows of an item
+ * @route   GET /api/equipment/:id/maintenance
+ * @access  Private (studio_owner, staff)
+ */
+exports.getMaintenanceWindows = async (req, res) => {
+  try {
+    const windows = await equipmentService.getMaintenanceWindows(req.params.id, req.user);
+
+    res.json(windows);
+  } catch (error) {
+    handleError(res, error, 'Get maintenance windows');
+  }
+};
+
+/**
+ * @desc    Schedule maintenance or mark units out of service
+ * @route   POST /api/equipment/:id/maintenance
+ * @access  Private (studio_owner, staff)
+ */
+exports.addMaintenanceWindow = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await equipmentService.addMaintenanceWindow(req.params.id, req.user, req.body);
+
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Add maintenance window');
+  }
+};
+
+/**
+ * @desc    Cancel a maintenance window
+ * @route   DELETE /api/equipment/maintenance/:windowId
+ * @access  Private (studio_owner, staff)
+ */
+exports.removeMaintenanceWindow = async (req, res) => {
+  try {
+    const window = await equipmentService.removeMaintenanceWindow(req.params.windowId, req.user);
+
+    res.json(window);
+  } catch (error) {
+    handleError(res, error, 'Remove maintenance window');
+  }
+};
@@ -0,0 +1,78 @@
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../utils/errors');
+
+// Comment lines sent while idle so proxies keep the stream open
+const HEARTBEAT_SECONDS = 25;
+// Delay before the browser reconnects a dropped stream
+const RETRY_MS = 5000;
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Get a short-lived ticket to open the booking event stream with
+ * @route   POST /api/events/ticket
+ * @access  Private
+ */
+exports.createStreamTicket = (req, res) => {
+  res.json(realtimeService.createStreamTicket(req.user));
+};
+
+/**
+ * @desc    Stream booking created, updated, cancelled and deleted events
+ *          as server-sent events
+ * @route   GET /api/events/bookings?ticket=
+ * @access  Private (stream ticket)
+ */
+exports.streamBookingEvents = async (req, res) => {
+  let user;
+  try {
+    user = await realtimeService.verifyStreamTicket(req.query.ticket);
+  } catch (error) {
+    return handleError(res, error, 'Stream booking events');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let eventId = 0;
+  const write = (type, data) => {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_SECONDS * 1000);
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const stop = await realtimeService.subscribe(user, ({ type, ...event }) => write(type, event));
+    if (closed) return stop();
+    unsubscribe = stop;
+
+    // Sent once events flow, so the client can reload what it missed
+    write('ready', {});
+  } catch (error) {
+    console.error('Stream booking events error:', error.message);
+    res.end();
+  }
+};
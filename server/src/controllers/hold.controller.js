@@ -0,0 +1,64 @@
+const { validationResult } = require('express-validator');
+const holdService = require('../services/hold.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Hold a session while the client completes the booking
+ * @route   POST /api/holds
+ * @access  Private (all users)
+ */
+exports.createHold = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const hold = await holdService.createHold(req.user, req.body);
+
+    res.status(201).json(hold);
+  } catch (error) {
+    handleError(res, error, 'Create hold');
+  }
+};
+
+/**
+ * @desc    Turn a hold into a booking request
+ * @route   POST /api/holds/:id/convert
+ * @access  Private (hold owner)
+ */
+exports.convertHold = async (req, res) => {
+  try {
+    const booking = await holdService.convertHold(req.params.id, req.user, req.body);
+
+    res.status(201).json(booking);
+  } catch (error) {
+    handleError(res, error, 'Convert hold');
+  }
+};
+
+/**
+ * @desc    Release a hold
+ * @route   DELETE /api/holds/:id
+ * @access  Private (hold owner)
+ */
+exports.releaseHold = async (req, res) => {
+  try {
+    const hold = await holdService.releaseHold(req.params.id, req.user);
+
+    res.json(hold);
+  } catch (error) {
+    handleError(res, error, 'Release hold');
+  }
+};
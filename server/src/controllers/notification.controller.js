@@ -0,0 +1,247 @@
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notification.service');
+const pushService = require('../services/push.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Get the current user's notification channels for every event
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user);
+
+    res.json({
+      events: notificationService.EVENTS,
+      channels: notificationService.CHANNELS,
+      preferences,
+    });
+  } catch (error) {
+    handleError(res, error, 'Get notification preferences');
+  }
+};
+
+/**
+ * @desc    Change the current user's notification channels
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+exports.updatePreferences = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const preferences = await notificationService.updatePreferences(req.user, req.body.preferences);
+
+    res.json({ preferences });
+  } catch (error) {
+    handleError(res, error, 'Update notification preferences');
+  }
+};
+
+/**
+ * @desc    Get the public VAPID key to subscribe to web push with
+ * @route   GET /api/notifications/push/public-key
+ * @access  Private
+ */
+exports.getPushPublicKey = (req, res) => {
+  try {
+    res.json({ publicKey: pushService.getPublicKey() });
+  } catch (error) {
+    handleError(res, error, 'Get push public key');
+  }
+};
+
+/**
+ * @desc    Register a browser push subscription for the current user
+ * @route   POST /api/notifications/push/subscriptions
+ * @access  Private
+ */
+exports.subscribePush = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const subscription = await pushService.subscribe(req.user, {
+      endpoint: req.body.endpoint,
+      keys: req.body.keys,
+    }, { userAgent: req.get('user-agent') });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    handleError(res, error, 'Subscribe to push');
+  }
+};
+
+/**
+ * @desc    Remove a browser push subscription of the current user
+ * @route   DELETE /api/notifications/push/subscriptions
+ * @access  Private
+ */
+exports.unsubscribePush = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await pushService.unsubscribe(req.user, req.body.endpoint);
+
+    res.json({ message: 'Push subscription removed' });
+  } catch (error) {
+    handleError(res, error, 'Unsubscribe from push');
+  }
+};
+
+/**
+ * @desc    List notification templates with their languages and example data
+ * @route   GET /api/notifications/templates
+ * @access  Private (studio_owner)
+ */
+exports.getTemplates = (req, res) => {
+  res.json({ locales: notificationService.LOCALES, templates: notificationService.listTemplates() });
+};
+
+/**
+ * @desc    Render a notification with example data
+ * @route   POST /api/notifications/templates/:name/preview
+ * @access  Private (studio_owner)
+ */
+exports.previewTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const preview = await notificationService.previewNotification(req.params.name, req.user, {
+      locale: req.body.locale,
+      studioId: req.body.studioId,
+      data: req.body.data,
+      template: req.body.template,
+    });
+
+    res.json(preview);
+  } catch (error) {
+    handleError(res, error, 'Preview notification');
+  }
+};
+
+/**
+ * @desc    Get the notification branding and template overrides of a studio
+ * @route   GET /api/notifications/studios/:studioId
+ * @access  Private (studio_owner)
+ */
+exports.getStudioNotifications = async (req, res) => {
+  try {
+    const settings = await notificationService.getStudioNotifications(req.params.studioId, req.user);
+
+    res.json(settings);
+  } catch (error) {
+    handleError(res, error, 'Get studio notifications');
+  }
+};
+
+/**
+ * @desc    Get the emails sent for a studio with their delivery status
+ * @route   GET /api/notifications/studios/:studioId/emails
+ * @access  Private (studio_owner)
+ */
+exports.getEmailLog = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const emails = await notificationService.getEmailLog(req.params.studioId, req.user, {
+      status: req.query.status,
+      bookingId: req.query.bookingId,
+      limit: req.query.limit ? Number(req.query.limit) : undefined,
+    });
+
+    res.json(emails);
+  } catch (error) {
+    handleError(res, error, 'Get email log');
+  }
+};
+
+/**
+ * @desc    Set the branding of a studio's notifications
+ * @route   PUT /api/notifications/studios/:studioId/branding
+ * @access  Private (studio_owner)
+ */
+exports.updateBranding = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const studio = await notificationService.updateBranding(req.params.studioId, req.user, req.body.branding);
+
+    res.json({ branding: studio.branding });
+  } catch (error) {
+    handleError(res, error, 'Update notification branding');
+  }
+};
+
+/**
+ * @desc    Override a notification template for a studio in one language
+ * @route   PUT /api/notifications/studios/:studioId/templates/:name/:locale
+ * @access  Private (studio_owner)
+ */
+exports.setTemplateOverride = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await notificationService.setTemplateOverride(req.params.studioId, req.user, {
+      name: req.params.name,
+      locale: req.params.locale,
+      subject: req.body.subject,
+      text: req.body.text,
+      html: req.body.html,
+    });
+
+    res.json(template);
+  } catch (error) {
+    handleError(res, error, 'Set template override');
+  }
+};
+
+/**
+ * @desc    Go back to the built-in template for a studio in one language
+ * @route   DELETE /api/notifications/studios/:studioId/templates/:name/:locale
+ * @access  Private (studio_owner)
+ */
+exports.removeTemplateOverride = async (req, res) => {
+  try {
+    await notificationService.removeTemplateOverride(req.params.studioId, req.user, {
+      name: req.params.name,
+      locale: req.params.locale,
+    });
+
+    res.json({ message: 'Template override removed' });
+  } catch (error) {
+    handleError(res, error, 'Remove template override');
+  }
+};
@@ -0,0 +1,85 @@
+const { validationResult } = require('express-validator');
+const Payment = require('../models/payment.model');
+const bookingService = require('../services/booking.service');
+const paymentService = require('../services/payment.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Create a Stripe payment intent for a booking deposit or balance
+ * @route   POST /api/payments/intents
+ * @access  Private (booking owner, studio_owner)
+ */
+exports.createPaymentIntent = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { bookingId, paymentType } = req.body;
+
+  try {
+    const booking = await bookingService.findBookingOrFail(bookingId);
+
+    // Only the client or the studio owner can take payment for a booking
+    const { isClient, isStudioOwner } = await bookingService.getAccess(booking, req.user);
+    if (!isClient && !isStudioOwner) {
+      return res.status(403).json({ message: 'Not authorized to pay for this booking' });
+    }
+
+    const { payment, clientSecret } = await paymentService.createPaymentIntent(booking, paymentType);
+
+    res.status(201).json({ payment, clientSecret });
+  } catch (error) {
+    handleError(res, error, 'Create payment intent');
+  }
+};
+
+/**
+ * @desc    Get payments of a booking
+ * @route   GET /api/payments/booking/:bookingId
+ * @access  Private (booking owner, studio_owner, staff)
+ */
+exports.getBookingPayments = async (req, res) => {
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.bookingId);
+
+    const { isClient, isStudioOwner, isStaff } = await bookingService.getAccess(booking, req.user);
+    if (!isClient && !isStudioOwner && !isStaff) {
+      return res.status(403).json({ message: 'Not authorized to access this booking' });
+    }
+
+    const payments = await Payment.findByBooking(booking.id);
+
+    res.json(payments);
+  } catch (error) {
+    handleError(res, error, 'Get booking payments');
+  }
+};
+
+/**
+ * @desc    Receive Stripe webhook events
+ * @route   POST /api/payments/webhook
+ * @access  Public (verified by Stripe signature)
+ */
+exports.handleStripeWebhook = async (req, res) => {
+  try {
+    const event = paymentService.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+    const processed = await paymentService.handleWebhookEvent(event);
+
+    res.json({ received: true, duplicate: !processed });
+  } catch (error) {
+    // A 500 makes Stripe retry the event later
+    handleError(res, error, 'Stripe webhook');
+  }
+};
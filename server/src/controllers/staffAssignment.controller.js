@@ -0,0 +1,62 @@
+const { validationResult } = require('express-validator');
+const bookingService = require('../services/booking.service');
+const assignmentService = require('../services/staffAssignment.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Rank the studio's staff for a booking, with the reasons for each rank
+ * @route   GET /api/bookings/:id/staff-suggestions
+ * @access  Private (studio_owner, staff of the booking's studio)
+ */
+exports.getStaffSuggestions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const ranking = await assignmentService.rankStaff(booking, req.user, {
+      specialization: req.query.specialization,
+    });
+
+    res.json(ranking);
+  } catch (error) {
+    handleError(res, error, 'Get staff suggestions');
+  }
+};
+
+/**
+ * @desc    Assign the best ranked available staff member to a booking
+ * @route   POST /api/bookings/:id/auto-assign
+ * @access  Private (studio_owner, staff of the booking's studio)
+ */
+exports.autoAssign = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await bookingService.findBookingOrFail(req.params.id);
+    const result = await assignmentService.autoAssign(booking, req.user, {
+      specialization: req.body.specialization,
+      requireSpecialization: req.body.requireSpecialization,
+    });
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Auto-assign staff');
+  }
+};
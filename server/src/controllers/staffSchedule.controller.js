@@ -0,0 +1,110 @@
+const { validationResult } = require('express-validator');
+const staffScheduleService = require('../services/staffSchedule.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Get the sessions, time off and schedule of the current staff user
+ * @route   GET /api/staff/me/schedule
+ * @access  Private (staff)
+ */
+exports.getMySchedule = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const schedule = await staffScheduleService.getMySchedule(req.user, {
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.json(schedule);
+  } catch (error) {
+    handleError(res, error, 'Get my schedule');
+  }
+};
+
+/**
+ * @desc    Set the weekly availability and daily hours limit of a staff member
+ * @route   PUT /api/staff/:id/schedule
+ * @access  Private (studio_owner)
+ */
+exports.updateSchedule = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const member = await staffScheduleService.updateSchedule(req.params.id, req.user, {
+      availability: req.body.availability,
+      maxHoursPerDay: req.body.maxHoursPerDay,
+    });
+
+    res.json(member);
+  } catch (error) {
+    handleError(res, error, 'Update staff schedule');
+  }
+};
+
+/**
+ * @desc    Get current and upcoming time off of a staff member
+ * @route   GET /api/staff/:id/time-off
+ * @access  Private (studio_owner, staff)
+ */
+exports.getTimeOff = async (req, res) => {
+  try {
+    const timeOff = await staffScheduleService.getTimeOff(req.params.id, req.user);
+
+    res.json(timeOff);
+  } catch (error) {
+    handleError(res, error, 'Get staff time off');
+  }
+};
+
+/**
+ * @desc    Add time off or a holiday for a staff member
+ * @route   POST /api/staff/:id/time-off
+ * @access  Private (studio_owner, staff)
+ */
+exports.addTimeOff = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await staffScheduleService.addTimeOff(req.params.id, req.user, req.body);
+
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Add staff time off');
+  }
+};
+
+/**
+ * @desc    Remove a time-off entry
+ * @route   DELETE /api/staff/time-off/:timeOffId
+ * @access  Private (studio_owner, staff)
+ */
+exports.removeTimeOff = async (req, res) => {
+  try {
+    const timeOff = await staffScheduleService.removeTimeOff(req.params.timeOffId, req.user);
+
+    res.json(timeOff);
+  } catch (error) {
+    handleError(res, error, 'Remove staff time off');
+  }
+};
@@ -0,0 +1,84 @@
+const { validationResult } = require('express-validator');
+const waitlistService = require('../services/waitlist.service');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Send an AppError as its HTTP response, or a generic 500
+ */
+const handleError = (res, error, context) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  console.error(`${context} error:`, error.message);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @desc    Join the waitlist for a booked-out session
+ * @route   POST /api/waitlist
+ * @access  Private (all users)
+ */
+exports.joinWaitlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const entry = await waitlistService.joinWaitlist(req.user, req.body);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    handleError(res, error, 'Join waitlist');
+  }
+};
+
+/**
+ * @desc    Get the current user's waitlist entries
+ * @route   GET /api/waitlist
+ * @access  Private (all users)
+ */
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await waitlistService.getClientEntries(req.user);
+
+    res.json(entries);
+  } catch (error) {
+    handleError(res, error, 'Get waitlist');
+  }
+};
+
+/**
+ * @desc    Leave the waitlist
+ * @route   DELETE /api/waitlist/:id
+ * @access  Private (entry owner)
+ */
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await waitlistService.leaveWaitlist(req.params.id, req.user);
+
+    res.json(entry);
+  } catch (error) {
+    handleError(res, error, 'Leave waitlist');
+  }
+};
+
+/**
+ * @desc    Accept a waitlist offer and book the session
+ * @route   POST /api/waitlist/accept
+ * @access  Public (authorized by the emailed offer token)
+ */
+exports.acceptOffer = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await waitlistService.acceptOffer(req.body.token);
+
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Accept waitlist offer');
+  }
+};
@@ -0,0 +1,9 @@
+const knex = require('knex');
+const config = require('../../knexfile');
+
+/**
+ * Shared Knex instance for the configured environment
+ */
+const environment = process.env.NODE_ENV || 'development';
+
+module.exports = knex(config[environment]);
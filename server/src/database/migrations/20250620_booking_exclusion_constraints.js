@@ -0,0 +1,122 @@
+/**
+ * Prevent double-booking of rooms, equipment and staff at the database level.
+ *
+ * Bookings get a generated tstzrange column, and the junction tables keep a
+ * copy of their booking's range and active flag (maintained by triggers) so
+ * each table can carry a GiST exclusion constraint over non-cancelled rows.
+ */
+exports.up = async function(knex) {
+  await knex.raw('CREATE EXTENSION IF NOT EXISTS btree_gist');
+
+  await knex.raw(`
+    ALTER TABLE bookings
+      ADD CONSTRAINT bookings_time_order CHECK (end_time > start_time),
+      ADD COLUMN time_range tstzrange
+        GENERATED ALWAYS AS (tstzrange(start_time, end_time, '[)')) STORED
+  `);
+
+  await knex.raw(`
+    ALTER TABLE bookings
+      ADD CONSTRAINT bookings_room_no_overlap
+      EXCLUDE USING gist (room_id WITH =, time_range WITH &&)
+      WHERE (status <> 'cancelled')
+  `);
+
+  for (const table of ['booking_equipment', 'booking_staff']) {
+    await knex.raw(`
+      ALTER TABLE ${table}
+        ADD COLUMN time_range tstzrange,
+        ADD COLUMN is_active boolean NOT NULL DEFAULT true
+    `);
+
+    await knex.raw(`
+      UPDATE ${table} AS j
+      SET time_range = b.time_range, is_active = b.status <> 'cancelled'
+      FROM bookings AS b
+      WHERE b.id = j.booking_id
+    `);
+  }
+
+  // Copy the booking's range onto new junction rows
+  await knex.raw(`
+    CREATE FUNCTION booking_resource_sync_range() RETURNS trigger AS $$
+    BEGIN
+      SELECT b.time_range, b.status <> 'cancelled'
+        INTO NEW.time_range, NEW.is_active
+        FROM bookings AS b
+        WHERE b.id = NEW.booking_id;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  // Keep junction rows in step when a booking is moved or cancelled
+  await knex.raw(`
+    CREATE FUNCTION booking_propagate_range() RETURNS trigger AS $$
+    BEGIN
+      IF NEW.time_range IS DISTINCT FROM OLD.time_range OR NEW.status IS DISTINCT FROM OLD.status THEN
+        UPDATE booking_equipment
+          SET time_range = NEW.time_range, is_active = NEW.status <> 'cancelled'
+          WHERE booking_id = NEW.id;
+        UPDATE booking_staff
+          SET time_range = NEW.time_range, is_active = NEW.status <> 'cancelled'
+          WHERE booking_id = NEW.id;
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER booking_equipment_sync_range
+      BEFORE INSERT OR UPDATE OF booking_id ON booking_equipment
+      FOR EACH ROW EXECUTE FUNCTION booking_resource_sync_range()
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER booking_staff_sync_range
+      BEFORE INSERT OR UPDATE OF booking_id ON booking_staff
+      FOR EACH ROW EXECUTE FUNCTION booking_resource_sync_range()
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER bookings_propagate_range
+      AFTER UPDATE ON bookings
+      FOR EACH ROW EXECUTE FUNCTION booking_propagate_range()
+  `);
+
+  await knex.raw(`
+    ALTER TABLE booking_equipment
+      ADD CONSTRAINT booking_equipment_no_overlap
+      EXCLUDE USING gist (equipment_id WITH =, time_range WITH &&)
+      WHERE (is_active)
+  `);
+
+  await knex.raw(`
+    ALTER TABLE booking_staff
+      ADD CONSTRAINT booking_staff_no_overlap
+      EXCLUDE USING gist (staff_id WITH =, time_range WITH &&)
+      WHERE (is_active)
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE booking_staff DROP CONSTRAINT IF EXISTS booking_staff_no_overlap');
+  await knex.raw('ALTER TABLE booking_equipment DROP CONSTRAINT IF EXISTS booking_equipment_no_overlap');
+  await knex.raw('DROP TRIGGER IF EXISTS bookings_propagate_range ON bookings');
+  await knex.raw('DROP TRIGGER IF EXISTS booking_staff_sync_range ON booking_staff');
+  await knex.raw('DROP TRIGGER IF EXISTS booking_equipment_sync_range ON booking_equipment');
+  await knex.raw('DROP FUNCTION IF EXISTS booking_propagate_range()');
+  await knex.raw('DROP FUNCTION IF EXISTS booking_resource_sync_range()');
+
+  for (const table of ['booking_equipment', 'booking_staff']) {
+    await knex.raw(`ALTER TABLE ${table} DROP COLUMN IF EXISTS is_active, DROP COLUMN IF EXISTS time_range`);
+  }
+
+  await knex.raw('ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_room_no_overlap');
+  await knex.raw(`
+    ALTER TABLE bookings
+      DROP COLUMN IF EXISTS time_range,
+      DROP CONSTRAINT IF EXISTS bookings_time_order
+  `);
+};
@@ -0,0 +1,14 @@
+/**
+ * Store the IANA time zone that a studio's working hours are expressed in
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('studios', function(table) {
+    table.string('timezone').notNullable().defaultTo('UTC');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('studios', function(table) {
+    table.dropColumn('timezone');
+  });
+};
@@ -0,0 +1,16 @@
+/**
+ * Per-studio booking rules (session length, slot granularity, lead time and
+ * advance booking window). Missing keys fall back to the defaults in
+ * services/bookingRules.service.js.
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('studios', function(table) {
+    table.jsonb('booking_rules').nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('studios', function(table) {
+    table.dropColumn('booking_rules');
+  });
+};
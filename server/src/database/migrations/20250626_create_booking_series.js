@@ -0,0 +1,28 @@
+/**
+ * Recurring booking series. Each occurrence is a regular booking linked to
+ * its series through bookings.series_id.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('booking_series', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('client_id').references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('room_id').references('id').inTable('rooms').onDelete('CASCADE');
+    table.jsonb('recurrence').notNullable();
+    table.string('timezone').notNullable();
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.uuid('series_id').references('id').inTable('booking_series').onDelete('SET NULL').nullable();
+    table.index(['series_id', 'start_time']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('bookings', function(table) {
+    table.dropIndex(['series_id', 'start_time']);
+    table.dropColumn('series_id');
+  });
+
+  await knex.schema.dropTableIfExists('booking_series');
+};
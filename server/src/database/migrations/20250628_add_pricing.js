@@ -0,0 +1,23 @@
+/**
+ * Studio pricing rules (time-based multipliers and package discounts) and the
+ * itemized price stored with each booking
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('studios', function(table) {
+    table.jsonb('pricing_rules').nullable();
+  });
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.jsonb('price_breakdown').nullable();
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('bookings', function(table) {
+    table.dropColumn('price_breakdown');
+  });
+
+  await knex.schema.alterTable('studios', function(table) {
+    table.dropColumn('pricing_rules');
+  });
+};
@@ -0,0 +1,35 @@
+/**
+ * Stripe payment flow: payment type and currency on payments, processed
+ * webhook events for idempotency and the per-studio auto-confirm setting
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('payments', function(table) {
+    table.enum('payment_type', ['deposit', 'full', 'balance', 'refund']).notNullable().defaultTo('full');
+    table.string('currency', 3).notNullable().defaultTo('usd');
+    table.unique(['transaction_id']);
+  });
+
+  await knex.schema.createTable('payment_events', function(table) {
+    table.string('id').primary();
+    table.string('type').notNullable();
+    table.timestamp('processed_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.alterTable('studios', function(table) {
+    table.boolean('auto_confirm_on_deposit').notNullable().defaultTo(false);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('studios', function(table) {
+    table.dropColumn('auto_confirm_on_deposit');
+  });
+
+  await knex.schema.dropTableIfExists('payment_events');
+
+  await knex.schema.alterTable('payments', function(table) {
+    table.dropUnique(['transaction_id']);
+    table.dropColumn('currency');
+    table.dropColumn('payment_type');
+  });
+};
@@ -0,0 +1,31 @@
+/**
+ * Structured cancellation policies (refund tiers by notice period) and the
+ * link from a refund to the payment it refunds
+ */
+exports.up = async function(knex) {
+  // Keep existing free-text policies as their description
+  await knex.raw(`
+    ALTER TABLE studios
+      ALTER COLUMN cancellation_policy TYPE jsonb
+      USING CASE
+        WHEN cancellation_policy IS NULL THEN NULL
+        ELSE jsonb_build_object('description', cancellation_policy)
+      END
+  `);
+
+  await knex.schema.alterTable('payments', function(table) {
+    table.uuid('refunded_payment_id').nullable().references('id').inTable('payments').onDelete('SET NULL');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('payments', function(table) {
+    table.dropColumn('refunded_payment_id');
+  });
+
+  await knex.raw(`
+    ALTER TABLE studios
+      ALTER COLUMN cancellation_policy TYPE text
+      USING cancellation_policy->>'description'
+  `);
+};
@@ -0,0 +1,38 @@
+/**
+ * Invoices: per-studio tax settings and invoice numbering, and one invoice
+ * per booking holding the line items it was issued with
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('studios', function(table) {
+    table.jsonb('tax_settings').nullable();
+    table.string('invoice_prefix', 20).nullable();
+    table.integer('next_invoice_number').notNullable().defaultTo(1);
+  });
+
+  await knex.schema.createTable('invoices', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('studio_id').notNullable().references('id').inTable('studios').onDelete('CASCADE');
+    table.uuid('booking_id').notNullable().unique().references('id').inTable('bookings').onDelete('CASCADE');
+    table.integer('sequence_number').notNullable();
+    table.string('invoice_number').notNullable();
+    table.string('currency', 3).notNullable();
+    table.jsonb('line_items').notNullable();
+    table.decimal('subtotal', 10, 2).notNullable();
+    table.decimal('discount_amount', 10, 2).notNullable().defaultTo(0);
+    table.jsonb('tax').nullable();
+    table.decimal('total', 10, 2).notNullable();
+    table.timestamp('issued_at').defaultTo(knex.fn.now());
+    table.timestamps(true, true);
+    table.unique(['studio_id', 'sequence_number']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('invoices');
+
+  await knex.schema.alterTable('studios', function(table) {
+    table.dropColumn('next_invoice_number');
+    table.dropColumn('invoice_prefix');
+    table.dropColumn('tax_settings');
+  });
+};
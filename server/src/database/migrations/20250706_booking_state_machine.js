@@ -0,0 +1,110 @@
+/**
+ * Booking lifecycle: checked-in, no-show and rejected statuses, a timestamp
+ * per transition, and rejected bookings no longer holding their resources
+ */
+const STATUSES = ['pending', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show', 'rejected'];
+const PREVIOUS_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+/**
+ * Set which bookings hold their resources: the predicate, given a column
+ * prefix such as 'b.' or 'NEW.', is applied to the room exclusion
+ * constraint and the is_active flag of booking_equipment and booking_staff,
+ * which are kept in step when any of changedColumns of a booking change.
+ * Later migrations that change the predicate reuse this.
+ */
+const setActivePredicate = async (knex, predicate, changedColumns = ['time_range', 'status']) => {
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION booking_resource_sync_range() RETURNS trigger AS $$
+    BEGIN
+      SELECT b.time_range, ${predicate('b.')}
+        INTO NEW.time_range, NEW.is_active
+        FROM bookings AS b
+        WHERE b.id = NEW.booking_id;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION booking_propagate_range() RETURNS trigger AS $$
+    BEGIN
+      IF ${changedColumns.map((column) => `NEW.${column} IS DISTINCT FROM OLD.${column}`).join('\n        OR ')} THEN
+        UPDATE booking_equipment
+          SET time_range = NEW.time_range, is_active = ${predicate('NEW.')}
+          WHERE booking_id = NEW.id;
+        UPDATE booking_staff
+          SET time_range = NEW.time_range, is_active = ${predicate('NEW.')}
+          WHERE booking_id = NEW.id;
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw('ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_room_no_overlap');
+  await knex.raw(`
+    ALTER TABLE bookings
+      ADD CONSTRAINT bookings_room_no_overlap
+      EXCLUDE USING gist (room_id WITH =, time_range WITH &&)
+      WHERE (${predicate('')})
+  `);
+
+  for (const table of ['booking_equipment', 'booking_staff']) {
+    await knex.raw(`
+      UPDATE ${table} AS j
+      SET is_active = ${predicate('b.')}
+      FROM bookings AS b
+      WHERE b.id = j.booking_id
+    `);
+  }
+};
+
+/**
+ * Replace the check on the statuses a booking can have
+ */
+const setStatuses = async (knex, statuses) => {
+  await knex.raw('ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check');
+  await knex.raw(`
+    ALTER TABLE bookings
+      ADD CONSTRAINT bookings_status_check
+      CHECK (status IN (${statuses.map((status) => `'${status}'`).join(', ')}))
+  `);
+};
+
+exports.up = async function(knex) {
+  await setStatuses(knex, STATUSES);
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.timestamp('confirmed_at').nullable();
+    table.timestamp('checked_in_at').nullable();
+    table.timestamp('completed_at').nullable();
+    table.timestamp('no_show_at').nullable();
+    table.timestamp('rejected_at').nullable();
+    table.text('rejection_reason').nullable();
+    table.index(['status', 'end_time']);
+  });
+
+  await setActivePredicate(knex, (prefix) => `${prefix}status NOT IN ('cancelled', 'rejected')`);
+};
+
+exports.down = async function(knex) {
+  await knex('bookings').whereIn('status', ['checked_in']).update({ status: 'confirmed' });
+  await knex('bookings').whereIn('status', ['no_show', 'rejected']).update({ status: 'cancelled' });
+
+  await setActivePredicate(knex, (prefix) => `${prefix}status <> 'cancelled'`);
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.dropIndex(['status', 'end_time']);
+    table.dropColumn('rejection_reason');
+    table.dropColumn('rejected_at');
+    table.dropColumn('no_show_at');
+    table.dropColumn('completed_at');
+    table.dropColumn('checked_in_at');
+    table.dropColumn('confirmed_at');
+  });
+
+  await setStatuses(knex, PREVIOUS_STATUSES);
+};
+
+exports.setActivePredicate = setActivePredicate;
+exports.setStatuses = setStatuses;
@@ -0,0 +1,40 @@
+/**
+ * Append-only audit log of booking mutations. Rows outlive their booking and
+ * a trigger rejects updates and deletes.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('booking_audit_log', function(table) {
+    table.bigIncrements('id').primary();
+    table.uuid('booking_id').notNullable();
+    table.uuid('studio_id').nullable();
+    table.string('action', 30).notNullable();
+    table.uuid('actor_id').nullable();
+    table.string('actor_role', 20).notNullable();
+    table.jsonb('changes').notNullable();
+    table.string('ip_address', 45).nullable();
+    table.string('user_agent').nullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.index(['booking_id', 'created_at']);
+    table.index(['studio_id', 'created_at']);
+  });
+
+  await knex.raw(`
+    CREATE FUNCTION booking_audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'booking_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER booking_audit_log_append_only
+      BEFORE UPDATE OR DELETE ON booking_audit_log
+      FOR EACH ROW EXECUTE FUNCTION booking_audit_log_append_only()
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS booking_audit_log_append_only ON booking_audit_log');
+  await knex.raw('DROP FUNCTION IF EXISTS booking_audit_log_append_only()');
+  await knex.schema.dropTableIfExists('booking_audit_log');
+};
@@ -0,0 +1,51 @@
+/**
+ * Soft deletion of bookings. Deleted bookings release their room, equipment
+ * and staff, and payments and invoices outlive a purged booking.
+ */
+const { setActivePredicate } = require('./20250706_booking_state_machine');
+
+const setBookingForeignKey = async (knex, table, onDelete, nullable) => {
+  await knex.schema.alterTable(table, function(t) {
+    t.dropForeign('booking_id');
+  });
+  await knex.schema.alterTable(table, function(t) {
+    if (nullable !== undefined) {
+      (nullable ? t.uuid('booking_id').nullable() : t.uuid('booking_id').notNullable()).alter();
+    }
+    t.foreign('booking_id').references('id').inTable('bookings').onDelete(onDelete);
+  });
+};
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('bookings', function(table) {
+    table.timestamp('deleted_at').nullable();
+    table.uuid('deleted_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.index(['deleted_at']);
+  });
+
+  await setActivePredicate(
+    knex,
+    (prefix) => `(${prefix}status NOT IN ('cancelled', 'rejected') AND ${prefix}deleted_at IS NULL)`,
+    ['time_range', 'status', 'deleted_at']
+  );
+
+  await setBookingForeignKey(knex, 'payments', 'SET NULL');
+  await setBookingForeignKey(knex, 'invoices', 'SET NULL', true);
+};
+
+exports.down = async function(knex) {
+  await knex('invoices').whereNull('booking_id').del();
+  await setBookingForeignKey(knex, 'invoices', 'CASCADE', false);
+  await setBookingForeignKey(knex, 'payments', 'CASCADE');
+
+  await setActivePredicate(
+    knex,
+    (prefix) => `${prefix}status NOT IN ('cancelled', 'rejected')`
+  );
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.dropIndex(['deleted_at']);
+    table.dropColumn('deleted_by');
+    table.dropColumn('deleted_at');
+  });
+};
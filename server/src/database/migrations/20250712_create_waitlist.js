@@ -0,0 +1,28 @@
+/**
+ * Waitlist for booked-out sessions. An entry is offered the session when it
+ * frees up, with a time-limited token to accept the offer.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('waitlist_entries', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('room_id').notNullable().references('id').inTable('rooms').onDelete('CASCADE');
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time').notNullable();
+    table.jsonb('equipment_ids').notNullable().defaultTo('[]');
+    table.jsonb('staff_ids').notNullable().defaultTo('[]');
+    table.text('notes').nullable();
+    table.enum('status', ['waiting', 'offered', 'booked', 'expired', 'cancelled']).notNullable().defaultTo('waiting');
+    table.string('offer_token_hash', 64).nullable().unique();
+    table.timestamp('offered_at').nullable();
+    table.timestamp('offer_expires_at').nullable();
+    table.uuid('booking_id').nullable().references('id').inTable('bookings').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.index(['room_id', 'status', 'start_time']);
+    table.index(['status', 'offer_expires_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('waitlist_entries');
+};
@@ -0,0 +1,45 @@
+/**
+ * Tentative holds: a booking in the held status reserves its room, equipment
+ * and staff until hold_expires_at, after which it becomes expired and no
+ * longer holds its resources
+ */
+const { setActivePredicate, setStatuses } = require('./20250706_booking_state_machine');
+
+const STATUSES = ['held', 'pending', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show', 'rejected', 'expired'];
+const PREVIOUS_STATUSES = ['pending', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show', 'rejected'];
+
+// Booking columns whose change updates is_active; deleted_at since 20250710
+const CHANGED_COLUMNS = ['time_range', 'status', 'deleted_at'];
+
+exports.up = async function(knex) {
+  await setStatuses(knex, STATUSES);
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.timestamp('hold_expires_at').nullable();
+    table.index(['status', 'hold_expires_at']);
+  });
+
+  await setActivePredicate(
+    knex,
+    (prefix) => `(${prefix}status NOT IN ('cancelled', 'rejected', 'expired') AND ${prefix}deleted_at IS NULL)`,
+    CHANGED_COLUMNS
+  );
+};
+
+exports.down = async function(knex) {
+  // Holds were never bookings; drop them rather than guess a status
+  await knex('bookings').whereIn('status', ['held', 'expired']).del();
+
+  await setActivePredicate(
+    knex,
+    (prefix) => `(${prefix}status NOT IN ('cancelled', 'rejected') AND ${prefix}deleted_at IS NULL)`,
+    CHANGED_COLUMNS
+  );
+
+  await knex.schema.alterTable('bookings', function(table) {
+    table.dropIndex(['status', 'hold_expires_at']);
+    table.dropColumn('hold_expires_at');
+  });
+
+  await setStatuses(knex, PREVIOUS_STATUSES);
+};
@@ -0,0 +1,70 @@
+/**
+ * Multi-room bookings: every room a booking reserves, its main room
+ * included, gets a booking_rooms row. Like equipment and staff, the rows
+ * carry their booking's range and active flag so a GiST exclusion
+ * constraint prevents double-booking any of the rooms. bookings.room_id
+ * stays as the main room.
+ */
+const ACTIVE = (prefix) => `(${prefix}status NOT IN ('cancelled', 'rejected', 'expired') AND ${prefix}deleted_at IS NULL)`;
+
+const setPropagation = async (knex, tables) => {
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION booking_propagate_range() RETURNS trigger AS $$
+    BEGIN
+      IF NEW.time_range IS DISTINCT FROM OLD.time_range
+        OR NEW.status IS DISTINCT FROM OLD.status
+        OR NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+        ${tables.map((table) => `UPDATE ${table}
+          SET time_range = NEW.time_range, is_active = ${ACTIVE('NEW.')}
+          WHERE booking_id = NEW.id;`).join('\n        ')}
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+};
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('booking_rooms', function(table) {
+    table.uuid('booking_id').notNullable().references('id').inTable('bookings').onDelete('CASCADE');
+    table.uuid('room_id').notNullable().references('id').inTable('rooms').onDelete('CASCADE');
+    table.specificType('time_range', 'tstzrange');
+    table.boolean('is_active').notNullable().defaultTo(true);
+    table.primary(['booking_id', 'room_id']);
+  });
+
+  await knex.raw(`
+    CREATE TRIGGER booking_rooms_sync_range
+      BEFORE INSERT OR UPDATE OF booking_id ON booking_rooms
+      FOR EACH ROW EXECUTE FUNCTION booking_resource_sync_range()
+  `);
+
+  await setPropagation(knex, ['booking_equipment', 'booking_staff', 'booking_rooms']);
+
+  await knex.raw(`
+    INSERT INTO booking_rooms (booking_id, room_id)
+    SELECT id, room_id FROM bookings
+  `);
+
+  await knex.raw(`
+    ALTER TABLE booking_rooms
+      ADD CONSTRAINT booking_rooms_no_overlap
+      EXCLUDE USING gist (room_id WITH =, time_range WITH &&)
+      WHERE (is_active)
+  `);
+
+  // booking_rooms covers the main room too
+  await knex.raw('ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_room_no_overlap');
+};
+
+exports.down = async function(knex) {
+  await knex.raw(`
+    ALTER TABLE bookings
+      ADD CONSTRAINT bookings_room_no_overlap
+      EXCLUDE USING gist (room_id WITH =, time_range WITH &&)
+      WHERE (${ACTIVE('')})
+  `);
+
+  await setPropagation(knex, ['booking_equipment', 'booking_staff']);
+  await knex.schema.dropTable('booking_rooms');
+};
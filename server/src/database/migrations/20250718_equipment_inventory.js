@@ -0,0 +1,156 @@
+/**
+ * Equipment inventory: a stock quantity per item, bookings drawing a
+ * quantity from it, maintenance and out-of-service windows taking units out
+ * of stock, and check-out/check-in records per booking.
+ *
+ * The one-booking-per-item exclusion constraint is replaced by a trigger
+ * that locks the item and compares the peak number of units in use over the
+ * booking's range with the stock.
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('equipment', function(table) {
+    table.integer('quantity').notNullable().defaultTo(1);
+  });
+  await knex.raw('ALTER TABLE equipment ADD CONSTRAINT equipment_quantity_check CHECK (quantity >= 0)');
+
+  await knex('booking_equipment').whereNull('quantity').update({ quantity: 1 });
+  await knex.raw('ALTER TABLE booking_equipment ALTER COLUMN quantity SET NOT NULL');
+  await knex.raw('ALTER TABLE booking_equipment ADD CONSTRAINT booking_equipment_quantity_check CHECK (quantity >= 1)');
+
+  await knex.schema.createTable('equipment_maintenance', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('equipment_id').notNullable().references('id').inTable('equipment').onDelete('CASCADE');
+    table.enu('kind', ['maintenance', 'out_of_service']).notNullable().defaultTo('maintenance');
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time').notNullable();
+    // Units taken out of stock; null takes out every unit
+    table.integer('quantity').nullable();
+    table.text('reason').nullable();
+    table.uuid('created_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.index(['equipment_id', 'start_time']);
+  });
+  await knex.raw(`
+    ALTER TABLE equipment_maintenance
+      ADD CONSTRAINT equipment_maintenance_time_order CHECK (end_time > start_time),
+      ADD CONSTRAINT equipment_maintenance_quantity_check CHECK (quantity IS NULL OR quantity >= 1)
+  `);
+
+  await knex.schema.createTable('equipment_checkouts', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('booking_id').nullable().references('id').inTable('bookings').onDelete('SET NULL');
+    table.uuid('equipment_id').notNullable().references('id').inTable('equipment').onDelete('CASCADE');
+    table.integer('quantity').notNullable().defaultTo(1);
+    table.timestamp('checked_out_at').notNullable().defaultTo(knex.fn.now());
+    table.uuid('checked_out_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.text('condition_out').nullable();
+    table.timestamp('checked_in_at').nullable();
+    table.uuid('checked_in_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.text('condition_in').nullable();
+    table.text('damage_notes').nullable();
+    table.decimal('damage_charge', 10, 2).notNullable().defaultTo(0);
+    table.timestamps(true, true);
+    table.index(['booking_id']);
+  });
+  // One open check-out per item and booking
+  await knex.raw(`
+    CREATE UNIQUE INDEX equipment_checkouts_open
+      ON equipment_checkouts (booking_id, equipment_id)
+      WHERE checked_in_at IS NULL
+  `);
+
+  // Peak units of an item in use over a range: active bookings plus
+  // maintenance windows. The peak is reached at the start of some usage.
+  await knex.raw(`
+    CREATE FUNCTION equipment_units_in_use(p_equipment_id uuid, p_range tstzrange, p_exclude_booking uuid)
+    RETURNS integer AS $$
+      WITH usage AS (
+        SELECT be.time_range AS range, be.quantity
+          FROM booking_equipment AS be
+          WHERE be.equipment_id = p_equipment_id
+            AND be.is_active
+            AND be.time_range && p_range
+            AND be.booking_id IS DISTINCT FROM p_exclude_booking
+        UNION ALL
+        SELECT tstzrange(m.start_time, m.end_time, '[)'), COALESCE(m.quantity, e.quantity)
+          FROM equipment_maintenance AS m
+          JOIN equipment AS e ON e.id = m.equipment_id
+          WHERE m.equipment_id = p_equipment_id
+            AND tstzrange(m.start_time, m.end_time, '[)') && p_range
+      ),
+      points AS (
+        SELECT DISTINCT GREATEST(lower(range), lower(p_range)) AS point FROM usage
+      )
+      SELECT COALESCE(MAX(used), 0)::integer FROM (
+        SELECT SUM(u.quantity) AS used
+          FROM points AS p
+          JOIN usage AS u ON u.range @> p.point
+          GROUP BY p.point
+      ) AS peaks
+    $$ LANGUAGE sql STABLE
+  `);
+
+  // Raised as an exclusion violation so it surfaces like the other
+  // double-booking constraints
+  await knex.raw(`
+    CREATE FUNCTION booking_equipment_check_stock() RETURNS trigger AS $$
+    DECLARE
+      stock integer;
+    BEGIN
+      IF NOT NEW.is_active OR NEW.time_range IS NULL THEN
+        RETURN NULL;
+      END IF;
+      IF TG_OP = 'UPDATE' AND OLD.is_active
+        AND NEW.time_range IS NOT DISTINCT FROM OLD.time_range
+        AND NEW.quantity <= OLD.quantity THEN
+        RETURN NULL;
+      END IF;
+
+      SELECT CASE WHEN e.is_available THEN e.quantity ELSE 0 END
+        INTO stock
+        FROM equipment AS e
+        WHERE e.id = NEW.equipment_id
+        FOR UPDATE;
+
+      IF equipment_units_in_use(NEW.equipment_id, NEW.time_range, NULL) > stock THEN
+        RAISE EXCEPTION 'not enough units of equipment % in stock', NEW.equipment_id
+          USING ERRCODE = 'exclusion_violation',
+            CONSTRAINT = 'booking_equipment_stock',
+            DETAIL = format(
+              'Key (equipment_id, time_range)=(%s, %s) conflicts with existing key (equipment_id, time_range)=(%s, %s).',
+              NEW.equipment_id, NEW.time_range, NEW.equipment_id, NEW.time_range
+            );
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw('ALTER TABLE booking_equipment DROP CONSTRAINT IF EXISTS booking_equipment_no_overlap');
+  await knex.raw(`
+    CREATE TRIGGER booking_equipment_check_stock
+      AFTER INSERT OR UPDATE ON booking_equipment
+      FOR EACH ROW EXECUTE FUNCTION booking_equipment_check_stock()
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS booking_equipment_check_stock ON booking_equipment');
+  await knex.raw('DROP FUNCTION IF EXISTS booking_equipment_check_stock()');
+  await knex.raw('DROP FUNCTION IF EXISTS equipment_units_in_use(uuid, tstzrange, uuid)');
+  await knex.raw(`
+    ALTER TABLE booking_equipment
+      ADD CONSTRAINT booking_equipment_no_overlap
+      EXCLUDE USING gist (equipment_id WITH =, time_range WITH &&)
+      WHERE (is_active)
+  `);
+
+  await knex.schema.dropTable('equipment_checkouts');
+  await knex.schema.dropTable('equipment_maintenance');
+
+  await knex.raw('ALTER TABLE booking_equipment DROP CONSTRAINT IF EXISTS booking_equipment_quantity_check');
+  await knex.raw('ALTER TABLE booking_equipment ALTER COLUMN quantity DROP NOT NULL');
+  await knex.schema.alterTable('equipment', function(table) {
+    table.dropColumn('quantity');
+  });
+};
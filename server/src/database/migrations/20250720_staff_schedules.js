@@ -0,0 +1,41 @@
+/**
+ * Staff schedules: the existing staff.availability column becomes a weekly
+ * availability template (same format as studios.working_hours), staff get an
+ * optional limit on the hours they work per day, and time-off and holiday
+ * entries block staff for absolute ranges.
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('staff', function(table) {
+    table.decimal('max_hours_per_day', 4, 2).nullable();
+  });
+  await knex.raw(`
+    ALTER TABLE staff
+      ADD CONSTRAINT staff_max_hours_per_day_check
+      CHECK (max_hours_per_day IS NULL OR (max_hours_per_day > 0 AND max_hours_per_day <= 24))
+  `);
+
+  await knex.schema.createTable('staff_time_off', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('staff_id').notNullable().references('id').inTable('staff').onDelete('CASCADE');
+    table.enu('kind', ['time_off', 'holiday']).notNullable().defaultTo('time_off');
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time').notNullable();
+    table.text('reason').nullable();
+    table.uuid('created_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.index(['staff_id', 'start_time']);
+  });
+  await knex.raw(`
+    ALTER TABLE staff_time_off
+      ADD CONSTRAINT staff_time_off_time_order CHECK (end_time > start_time)
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('staff_time_off');
+
+  await knex.raw('ALTER TABLE staff DROP CONSTRAINT IF EXISTS staff_max_hours_per_day_check');
+  await knex.schema.alterTable('staff', function(table) {
+    table.dropColumn('max_hours_per_day');
+  });
+};
@@ -0,0 +1,35 @@
+/**
+ * Persistent job queue for work that runs at a later time, such as session
+ * reminders and follow-ups. Jobs are claimed with FOR UPDATE SKIP LOCKED so
+ * several server processes can share the queue, survive restarts because
+ * they live in the database, and are de-duplicated by an optional unique
+ * dedupe_key.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('scheduled_jobs', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.string('type').notNullable();
+    table.jsonb('payload').notNullable().defaultTo('{}');
+    table.timestamp('run_at').notNullable();
+    table.enu('status', ['pending', 'running', 'completed', 'failed', 'cancelled']).notNullable().defaultTo('pending');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.integer('max_attempts').notNullable().defaultTo(5);
+    table.text('last_error').nullable();
+    table.string('dedupe_key').nullable().unique();
+    // Booking the job belongs to, so its jobs can be cancelled together
+    table.uuid('booking_id').nullable().references('id').inTable('bookings').onDelete('CASCADE');
+    table.timestamp('locked_at').nullable();
+    table.timestamp('completed_at').nullable();
+    table.timestamps(true, true);
+    table.index(['booking_id']);
+  });
+  await knex.raw(`
+    CREATE INDEX scheduled_jobs_due
+      ON scheduled_jobs (run_at)
+      WHERE status IN ('pending', 'running')
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('scheduled_jobs');
+};
@@ -0,0 +1,39 @@
+/**
+ * Localized, brandable notifications: users get a preferred locale, studios
+ * a branding object (logo, colour, signature) applied to their emails, and
+ * studios may override the subject and body of a named template per locale.
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('users', function(table) {
+    table.string('locale', 10).nullable();
+  });
+
+  await knex.schema.alterTable('studios', function(table) {
+    table.jsonb('branding').nullable();
+  });
+
+  await knex.schema.createTable('notification_templates', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('studio_id').notNullable().references('id').inTable('studios').onDelete('CASCADE');
+    table.string('name').notNullable();
+    table.string('locale', 10).notNullable();
+    table.text('subject').notNullable();
+    table.text('text').notNullable();
+    table.text('html').notNullable();
+    table.uuid('updated_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.unique(['studio_id', 'name', 'locale']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('notification_templates');
+
+  await knex.schema.alterTable('studios', function(table) {
+    table.dropColumn('branding');
+  });
+
+  await knex.schema.alterTable('users', function(table) {
+    table.dropColumn('locale');
+  });
+};
@@ -0,0 +1,34 @@
+/**
+ * Send log of every email: who it went to, which template and studio it
+ * was for, the transport that carried it and its delivery status. The
+ * content is kept so failed messages can be retried and, with the outbox
+ * transport, read in development and tests.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('email_messages', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.string('to_address').notNullable();
+    table.string('from_address').notNullable();
+    table.text('subject').notNullable();
+    table.text('text').nullable();
+    table.text('html').nullable();
+    // [{ filename, contentType, content (base64) }]
+    table.jsonb('attachments').notNullable().defaultTo('[]');
+    table.string('template').nullable();
+    table.uuid('studio_id').nullable().references('id').inTable('studios').onDelete('SET NULL');
+    table.uuid('booking_id').nullable().references('id').inTable('bookings').onDelete('SET NULL');
+    table.string('transport').notNullable();
+    table.enu('status', ['pending', 'sent', 'failed']).notNullable().defaultTo('pending');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.text('last_error').nullable();
+    table.string('provider_message_id').nullable();
+    table.timestamp('sent_at').nullable();
+    table.timestamps(true, true);
+    table.index(['studio_id', 'created_at']);
+    table.index(['booking_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('email_messages');
+};
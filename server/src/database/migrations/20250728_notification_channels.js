@@ -0,0 +1,30 @@
+/**
+ * SMS and web-push notifications: users choose per event type which
+ * channels (email, sms, push) notify them, and register the push
+ * subscriptions of their browsers.
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('users', function(table) {
+    // { [event]: { email, sms, push } }; missing events use the defaults
+    table.jsonb('notification_preferences').nullable();
+  });
+
+  await knex.schema.createTable('push_subscriptions', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.text('endpoint').notNullable().unique();
+    table.string('p256dh').notNullable();
+    table.string('auth').notNullable();
+    table.string('user_agent').nullable();
+    table.timestamps(true, true);
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('push_subscriptions');
+
+  await knex.schema.alterTable('users', function(table) {
+    table.dropColumn('notification_preferences');
+  });
+};
@@ -0,0 +1,32 @@
+/**
+ * Secret-token iCalendar subscription feeds: a user's own bookings, a staff
+ * member's assignments or a studio's full room schedule. Only a hash of
+ * the token is stored; the token itself is shown once when the feed is
+ * created.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('calendar_feeds', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.enu('kind', ['bookings', 'assignments', 'studio']).notNullable();
+    table.uuid('studio_id').nullable().references('id').inTable('studios').onDelete('CASCADE');
+    table.string('token_hash', 64).notNullable().unique();
+    table.timestamp('last_accessed_at').nullable();
+    table.timestamps(true, true);
+    table.index(['user_id']);
+  });
+  // One feed per user, kind and studio; creating it again replaces the token
+  await knex.raw(`
+    CREATE UNIQUE INDEX calendar_feeds_user_kind_studio
+      ON calendar_feeds (user_id, kind, (COALESCE(studio_id, '00000000-0000-0000-0000-000000000000')))
+  `);
+  await knex.raw(`
+    ALTER TABLE calendar_feeds
+      ADD CONSTRAINT calendar_feeds_studio_kind
+      CHECK ((kind = 'studio') = (studio_id IS NOT NULL))
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('calendar_feeds');
+};
@@ -0,0 +1,76 @@
+/**
+ * Two-way sync with external CalDAV calendars. A connection links a staff
+ * member or a room to one remote calendar: busy events pulled from it are
+ * stored as external_busy_blocks and count as unavailable time, and
+ * confirmed bookings are written back to it as calendar_sync_events.
+ * Pulls are incremental using the collection's sync token (RFC 6578).
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('calendar_connections', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('staff_id').nullable().unique().references('id').inTable('staff').onDelete('CASCADE');
+    table.uuid('room_id').nullable().unique().references('id').inTable('rooms').onDelete('CASCADE');
+    table.text('url').notNullable();
+    table.string('username').nullable();
+    // AES-256-GCM encrypted, see utils/credentials
+    table.text('password_encrypted').nullable();
+    table.string('display_name').nullable();
+    table.boolean('write_back').notNullable().defaultTo(true);
+    table.text('sync_token').nullable();
+    // Full syncs re-read every event, refreshing recurring events whose
+    // occurrences move into the sync window
+    table.timestamp('last_full_sync_at').nullable();
+    table.enu('status', ['active', 'error']).notNullable().defaultTo('active');
+    table.text('last_error').nullable();
+    table.timestamp('last_synced_at').nullable();
+    table.timestamps(true, true);
+    table.index(['user_id']);
+  });
+  await knex.raw(`
+    ALTER TABLE calendar_connections
+      ADD CONSTRAINT calendar_connections_target
+      CHECK ((staff_id IS NULL) <> (room_id IS NULL))
+  `);
+
+  await knex.schema.createTable('external_busy_blocks', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('connection_id').notNullable().references('id').inTable('calendar_connections').onDelete('CASCADE');
+    // Remote resource the block was read from; one resource may hold several
+    // blocks (recurring events are expanded by the server)
+    table.text('href').notNullable();
+    table.string('uid').nullable();
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time').notNullable();
+    table.index(['connection_id', 'href']);
+    table.index(['connection_id', 'start_time', 'end_time']);
+  });
+  await knex.raw(`
+    ALTER TABLE external_busy_blocks
+      ADD CONSTRAINT external_busy_blocks_range
+      CHECK (end_time > start_time)
+  `);
+
+  await knex.schema.createTable('calendar_sync_events', function(table) {
+    table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+    table.uuid('connection_id').notNullable().references('id').inTable('calendar_connections').onDelete('CASCADE');
+    table.uuid('booking_id').notNullable().references('id').inTable('bookings').onDelete('CASCADE');
+    table.text('href').notNullable();
+    // Entity tag of the written event, when the server returned one
+    table.string('etag').nullable();
+    // The event was edited in the external calendar and must be overwritten
+    table.boolean('remote_changed').notNullable().defaultTo(false);
+    // Session start and booking updated_at when it was last written
+    table.timestamp('start_time').notNullable();
+    table.timestamp('booking_updated_at').notNullable();
+    table.timestamp('synced_at').notNullable().defaultTo(knex.fn.now());
+    table.unique(['connection_id', 'booking_id']);
+    table.unique(['connection_id', 'href']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('calendar_sync_events');
+  await knex.schema.dropTable('external_busy_blocks');
+  await knex.schema.dropTable('calendar_connections');
+};
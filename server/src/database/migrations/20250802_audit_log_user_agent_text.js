@@ -0,0 +1,13 @@
+/**
+ * User agents are not bounded by 255 characters; a longer one failed the
+ * audit entry and with it the booking change being audited
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('booking_audit_log', function(table) {
+    table.text('user_agent').nullable().alter();
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE booking_audit_log ALTER COLUMN user_agent TYPE varchar(255) USING left(user_agent, 255)');
+};
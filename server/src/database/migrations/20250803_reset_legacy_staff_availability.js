@@ -0,0 +1,37 @@
+/**
+ * staff.availability held free-form values before it became a weekly
+ * template (20250720_staff_schedules). Values that are not a template, or
+ * name no weekday at all such as {}, left the staff member unavailable at
+ * every time; they are reset to null, available whenever the studio is
+ * open. The check mirrors staffSchedule.service assertValidTemplate and is
+ * kept here so later changes to it do not change this migration.
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  return Boolean(match) && Number(match[2]) < 60 && Number(match[1]) * 60 + Number(match[2]) <= 24 * 60;
+};
+
+const isValidTemplate = (availability) => {
+  if (!availability || typeof availability !== 'object' || Array.isArray(availability)) return false;
+
+  const days = Object.entries(availability);
+  return days.length > 0 && days.every(([weekday, day]) => {
+    const windows = Array.isArray(day) ? day : day ? [day] : [];
+    return WEEKDAYS.includes(weekday)
+      && windows.every((window) => window && isTimeOfDay(window.open) && isTimeOfDay(window.close));
+  });
+};
+
+exports.up = async function(knex) {
+  const rows = await knex('staff').whereNotNull('availability').select('id', 'availability');
+  const invalidIds = rows.filter((row) => !isValidTemplate(row.availability)).map((row) => row.id);
+
+  if (invalidIds.length) {
+    await knex('staff').whereIn('id', invalidIds).update({ availability: null });
+  }
+};
+
+// The legacy values are not kept
+exports.down = async function() {};
@@ -0,0 +1,12 @@
+/**
+ * Password reset emails were logged with their reset link; clear the body
+ * of those already in the send log (see email.service REDACTED_TEMPLATES)
+ */
+exports.up = async function(knex) {
+  await knex('email_messages')
+    .where({ template: 'password_reset' })
+    .update({ text: '[Not stored: contains a sign-in secret]', html: '[Not stored: contains a sign-in secret]' });
+};
+
+// The links cannot be restored
+exports.down = async function() {};
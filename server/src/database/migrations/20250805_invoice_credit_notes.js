@@ -0,0 +1,40 @@
+/**
+ * Issued invoices are no longer rewritten when a booking is repriced: the
+ * invoice is credited in full by a credit note and a replacement invoice is
+ * issued. Both refer to the invoice they credit or replace, which can only
+ * happen once; a booking's first invoice refers to none.
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('invoices', function(table) {
+    table.string('kind', 20).notNullable().defaultTo('invoice');
+    table.uuid('related_invoice_id').nullable().references('id').inTable('invoices').onDelete('CASCADE');
+    table.dropUnique(['booking_id']);
+    table.unique(['kind', 'related_invoice_id']);
+  });
+
+  await knex.raw(`
+    CREATE UNIQUE INDEX invoices_first_per_booking ON invoices (booking_id)
+    WHERE related_invoice_id IS NULL
+  `);
+};
+
+exports.down = async function(knex) {
+  // Keep the latest invoice of each booking, as the one invoice it had before
+  await knex.raw(`
+    DELETE FROM invoices i
+    WHERE i.kind = 'credit_note'
+       OR EXISTS (
+         SELECT 1 FROM invoices later
+         WHERE later.booking_id = i.booking_id AND later.kind = 'invoice' AND later.sequence_number > i.sequence_number
+       )
+  `);
+
+  await knex.raw('DROP INDEX IF EXISTS invoices_first_per_booking');
+
+  await knex.schema.alterTable('invoices', function(table) {
+    table.dropUnique(['kind', 'related_invoice_id']);
+    table.dropColumn('related_invoice_id');
+    table.dropColumn('kind');
+    table.unique(['booking_id']);
+  });
+};
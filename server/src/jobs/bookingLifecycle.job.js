@@ -0,0 +1,92 @@
+const Booking = require('../models/booking.model');
+const Studio = require('../models/studio.model');
+const bookingState = require('../services/bookingState.service');
+const { getBookingRules } = require('../services/bookingRules.service');
+const { MINUTE_MS } = require('../utils/time');
+
+const INTERVAL_MINUTES = Number(process.env.BOOKING_LIFECYCLE_INTERVAL_MINUTES || 15);
+const BATCH_SIZE = 100;
+
+/**
+ * Status a past booking moves to: checked-in sessions complete, confirmed
+ * ones complete too unless the studio requires a check-in, in which case
+ * they are no-shows
+ */
+const getFinalStatus = (booking, studio) => {
+  if (booking.status === 'checked_in') return 'completed';
+  return getBookingRules(studio).requireCheckIn ? 'no_show' : 'completed';
+};
+
+/**
+ * Complete or mark as no-show every confirmed or checked-in booking whose
+ * session has ended
+ *
+ * @returns {Promise<{ completed: number, noShow: number, failed: number }>}
+ */
+const closeEndedBookings = async (now = new Date()) => {
+  const counts = { completed: 0, noShow: 0, failed: 0 };
+  const studios = new Map();
+  const failedIds = new Set();
+
+  for (;;) {
+    const bookings = (await Booking.findEnded({
+      statuses: ['confirmed', 'checked_in'],
+      before: now,
+      limit: BATCH_SIZE + failedIds.size,
+    })).filter((booking) => !failedIds.has(booking.id));
+
+    if (!bookings.length) break;
+
+    for (const booking of bookings) {
+      const studioId = booking.room.studio.id;
+      if (!studios.has(studioId)) studios.set(studioId, await Studio.findById(studioId));
+
+      const status = getFinalStatus(booking, studios.get(studioId));
+      try {
+        await bookingState.transition(booking, status, { role: 'system' });
+        counts[status === 'completed' ? 'completed' : 'noShow'] += 1;
+      } catch (error) {
+        failedIds.add(booking.id);
+        counts.failed += 1;
+        console.error(`Booking lifecycle error for booking ${booking.id}:`, error.message);
+      }
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Run closeEndedBookings now and then every BOOKING_LIFECYCLE_INTERVAL_MINUTES
+ *
+ * @returns {Function} stops the job
+ */
+const startBookingLifecycleJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await closeEndedBookings();
+      if (counts.completed || counts.noShow) {
+        console.log(`Booking lifecycle: ${counts.completed} completed, ${counts.noShow} no-shows`);
+      }
+    } catch (error) {
+      console.error('Booking lifecycle job error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * MINUTE_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  closeEndedBookings,
+  startBookingLifecycleJob,
+};
@@ -0,0 +1,45 @@
+const calendarSyncService = require('../services/calendarSync.service');
+const bookingEvents = require('../utils/bookingEvents');
+const { MINUTE_MS } = require('../utils/time');
+
+const INTERVAL_MINUTES = Number(process.env.CALENDAR_SYNC_INTERVAL_MINUTES || 5);
+
+/**
+ * Write booking changes to linked external calendars as they happen, and
+ * sync every linked calendar now and then every
+ * CALENDAR_SYNC_INTERVAL_MINUTES
+ *
+ * @returns {Function} stops the job
+ */
+const startCalendarSyncJob = () => {
+  bookingEvents.on('change', calendarSyncService.handleBookingChange);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await calendarSyncService.syncAll();
+      if (counts.failed) {
+        console.log(`Calendar sync: ${counts.synced} synced, ${counts.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Calendar sync job error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * MINUTE_MS);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    bookingEvents.off('change', calendarSyncService.handleBookingChange);
+  };
+};
+
+module.exports = {
+  startCalendarSyncJob,
+};
@@ -0,0 +1,39 @@
+const holdService = require('../services/hold.service');
+const { MINUTE_MS } = require('../utils/time');
+
+const INTERVAL_MINUTES = Number(process.env.BOOKING_HOLD_SWEEP_INTERVAL_MINUTES || 1);
+
+/**
+ * Release expired holds now and then every
+ * BOOKING_HOLD_SWEEP_INTERVAL_MINUTES
+ *
+ * @returns {Function} stops the job
+ */
+const startHoldSweeperJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const released = await holdService.releaseExpiredHolds();
+      if (released) {
+        console.log(`Hold sweeper: ${released} expired holds released`);
+      }
+    } catch (error) {
+      console.error('Hold sweeper job error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * MINUTE_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  startHoldSweeperJob,
+};
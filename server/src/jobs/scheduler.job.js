@@ -0,0 +1,46 @@
+const jobQueue = require('../services/jobQueue.service');
+const reminderService = require('../services/reminder.service');
+const bookingEvents = require('../utils/bookingEvents');
+const { MINUTE_MS } = require('../utils/time');
+
+const INTERVAL_MINUTES = Number(process.env.SCHEDULER_INTERVAL_MINUTES || 1);
+
+/**
+ * Queue reminders and follow-ups as bookings change, and run due jobs of
+ * the scheduled job queue now and then every SCHEDULER_INTERVAL_MINUTES
+ *
+ * @returns {Function} stops the job
+ */
+const startSchedulerJob = () => {
+  bookingEvents.on('change', reminderService.handleBookingChange);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reminderService.scheduleUpcomingReminders();
+      const { completed, failed } = await jobQueue.processDueJobs();
+      if (completed || failed) {
+        console.log(`Scheduler: ${completed} jobs completed, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Scheduler job error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * MINUTE_MS);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    bookingEvents.off('change', reminderService.handleBookingChange);
+  };
+};
+
+module.exports = {
+  startSchedulerJob,
+};
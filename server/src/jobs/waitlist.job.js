@@ -0,0 +1,40 @@
+const waitlistService = require('../services/waitlist.service');
+const bookingEvents = require('../utils/bookingEvents');
+const { MINUTE_MS } = require('../utils/time');
+
+const INTERVAL_MINUTES = Number(process.env.WAITLIST_INTERVAL_MINUTES || 1);
+
+/**
+ * Offer slots freed by booking changes to the waitlist, and expire
+ * unaccepted offers every WAITLIST_INTERVAL_MINUTES
+ *
+ * @returns {Function} stops the job
+ */
+const startWaitlistJob = () => {
+  bookingEvents.on('change', waitlistService.handleBookingChange);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await waitlistService.expireOffers();
+    } catch (error) {
+      console.error('Waitlist job error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, INTERVAL_MINUTES * MINUTE_MS);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    bookingEvents.off('change', waitlistService.handleBookingChange);
+  };
+};
+
+module.exports = {
+  startWaitlistJob,
+};
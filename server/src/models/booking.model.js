@@ -0,0 +1,627 @@
+const db = require('../database');
+const { toNumber, whereOverlaps, groupBy } = require('./helpers');
+const Room = require('./room.model');
+const Equipment = require('./equipment.model');
+const Staff = require('./staff.model');
+const { BookingConflictError } = require('../utils/errors');
+
+// Statuses that no longer hold their room, equipment and staff
+const INACTIVE_STATUSES = ['cancelled', 'rejected', 'expired'];
+
+// Statuses of tentative holds, which are not listed as bookings
+const HOLD_STATUSES = ['held', 'expired'];
+
+/**
+ * Restrict a query to bookings holding their resources: not cancelled,
+ * rejected, expired or deleted. Holds past their expiry do not count even
+ * before the sweeper releases them.
+ */
+const whereActive = (query, prefix = '') =>
+  query
+    .whereNotIn(`${prefix}status`, INACTIVE_STATUSES)
+    .whereNull(`${prefix}deleted_at`)
+    .where((active) => active
+      .whereNot(`${prefix}status`, 'held')
+      .orWhere(`${prefix}hold_expires_at`, '>', db.fn.now()));
+
+/**
+ * Map a bookings row (joined with room, studio and client) plus its junction
+ * rows to the nested shape returned by the API. room is the main room;
+ * rooms lists every room the booking reserves, the main room first.
+ */
+const toBooking = (row, equipment = [], staff = [], rooms = []) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    seriesId: row.series_id,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status,
+    totalAmount: toNumber(row.total_amount),
+    priceBreakdown: row.price_breakdown,
+    depositAmount: toNumber(row.deposit_amount),
+    depositPaid: row.deposit_paid,
+    notes: row.notes,
+    cancellationReason: row.cancellation_reason,
+    cancelledBy: row.cancelled_by,
+    cancelledAt: row.cancelled_at,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+    confirmedAt: row.confirmed_at,
+    checkedInAt: row.checked_in_at,
+    completedAt: row.completed_at,
+    noShowAt: row.no_show_at,
+    rejectedAt: row.rejected_at,
+    rejectionReason: row.rejection_reason,
+    holdExpiresAt: row.hold_expires_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    room: {
+      id: row.room_id,
+      name: row.room_name,
+      hourlyRate: toNumber(row.room_hourly_rate),
+      studio: {
+        id: row.studio_id,
+        name: row.studio_name,
+        address: row.studio_address,
+        ownerId: row.studio_owner_id,
+        timezone: row.studio_timezone,
+      },
+    },
+    client: {
+      id: row.client_id,
+      name: row.client_name,
+      email: row.client_email,
+      phone: row.client_phone,
+      locale: row.client_locale,
+    },
+    rooms: rooms
+      .map((room) => ({ id: room.room_id, name: room.name }))
+      .sort((a, b) => (b.id === row.room_id) - (a.id === row.room_id)),
+    equipment: equipment.map((item) => ({
+      id: item.equipment_id,
+      name: item.name,
+      quantity: item.quantity,
+    })),
+    staff: staff.map((member) => ({
+      id: member.staff_id,
+      name: member.name,
+    })),
+  };
+};
+
+const COLUMNS = {
+  roomId: 'room_id',
+  clientId: 'client_id',
+  seriesId: 'series_id',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  status: 'status',
+  totalAmount: 'total_amount',
+  priceBreakdown: 'price_breakdown',
+  depositAmount: 'deposit_amount',
+  depositPaid: 'deposit_paid',
+  notes: 'notes',
+  cancellationReason: 'cancellation_reason',
+  cancelledBy: 'cancelled_by',
+  cancelledAt: 'cancelled_at',
+  deletedAt: 'deleted_at',
+  deletedBy: 'deleted_by',
+  confirmedAt: 'confirmed_at',
+  checkedInAt: 'checked_in_at',
+  completedAt: 'completed_at',
+  noShowAt: 'no_show_at',
+  rejectedAt: 'rejected_at',
+  rejectionReason: 'rejection_reason',
+  holdExpiresAt: 'hold_expires_at',
+};
+
+const JSON_COLUMNS = ['price_breakdown'];
+
+/**
+ * Map camelCase attributes to bookings columns, skipping undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) {
+      row[column] = JSON_COLUMNS.includes(column) && attributes[key] !== null
+        ? JSON.stringify(attributes[key])
+        : attributes[key];
+    }
+    return row;
+  }, {});
+
+const baseQuery = (trx) =>
+  trx('bookings as b')
+    .join('rooms as r', 'r.id', 'b.room_id')
+    .join('studios as s', 's.id', 'r.studio_id')
+    .leftJoin('users as c', 'c.id', 'b.client_id')
+    .select(
+      'b.*',
+      'r.name as room_name',
+      'r.hourly_rate as room_hourly_rate',
+      'r.studio_id',
+      's.name as studio_name',
+      's.address as studio_address',
+      's.owner_id as studio_owner_id',
+      's.timezone as studio_timezone',
+      'c.name as client_name',
+      'c.email as client_email',
+      'c.phone as client_phone',
+      'c.locale as client_locale'
+    );
+
+/**
+ * Load room, equipment and staff junction rows for the given bookings and
+ * nest them
+ */
+const populate = async (rows, trx) => {
+  if (!rows.length) return [];
+
+  const ids = rows.map((row) => row.id);
+  const [roomRows, equipmentRows, staffRows] = await Promise.all([
+    trx('booking_rooms as br')
+      .join('rooms as r', 'r.id', 'br.room_id')
+      .whereIn('br.booking_id', ids)
+      .select('br.booking_id', 'br.room_id', 'r.name')
+      .orderBy('r.name'),
+    trx('booking_equipment as be')
+      .join('equipment as e', 'e.id', 'be.equipment_id')
+      .whereIn('be.booking_id', ids)
+      .select('be.booking_id', 'be.equipment_id', 'be.quantity', 'e.name'),
+    trx('booking_staff as bs')
+      .join('staff as st', 'st.id', 'bs.staff_id')
+      .join('users as u', 'u.id', 'st.user_id')
+      .whereIn('bs.booking_id', ids)
+      .select('bs.booking_id', 'bs.staff_id', 'u.name'),
+  ]);
+
+  const roomsByBooking = groupBy(roomRows, 'booking_id');
+  const equipmentByBooking = groupBy(equipmentRows, 'booking_id');
+  const staffByBooking = groupBy(staffRows, 'booking_id');
+
+  return rows.map((row) =>
+    toBooking(row, equipmentByBooking.get(row.id), staffByBooking.get(row.id), roomsByBooking.get(row.id))
+  );
+};
+
+/**
+ * Replace the room, equipment and staff junction rows of a booking
+ */
+const replaceResources = async (bookingId, { roomIds, equipment, staffIds }, trx) => {
+  if (roomIds !== undefined) {
+    await trx('booking_rooms').where({ booking_id: bookingId }).del();
+    await trx('booking_rooms').insert(
+      roomIds.map((roomId) => ({ booking_id: bookingId, room_id: roomId }))
+    );
+  }
+
+  if (equipment !== undefined) {
+    await trx('booking_equipment').where({ booking_id: bookingId }).del();
+    if (equipment.length) {
+      await trx('booking_equipment').insert(
+        equipment.map((item) => ({ booking_id: bookingId, equipment_id: item.id, quantity: item.quantity }))
+      );
+    }
+  }
+
+  if (staffIds !== undefined) {
+    await trx('booking_staff').where({ booking_id: bookingId }).del();
+    if (staffIds.length) {
+      await trx('booking_staff').insert(
+        staffIds.map((staffId) => ({ booking_id: bookingId, staff_id: staffId }))
+      );
+    }
+  }
+};
+
+const EXCLUSION_VIOLATION = '23P01';
+
+/**
+ * Exclusion constraints from the booking_exclusion_constraints and
+ * create_booking_rooms migrations, and the equipment stock check from the
+ * equipment_inventory migration, keyed by constraint name
+ */
+const CONFLICT_CONSTRAINTS = {
+  booking_rooms_no_overlap: {
+    type: 'room',
+    findResource: (id) => Room.findById(id),
+    findBooking: (id, range) => exports.findRoomConflict({ roomId: id, ...range }),
+    message: (resource) => `Room ${resource ? resource.name : ''} is not available for the requested time`,
+  },
+  booking_equipment_stock: {
+    type: 'equipment',
+    findResource: (id) => Equipment.findById(id),
+    findBooking: (id, range) => exports.findEquipmentConflict({ equipmentId: id, ...range }),
+    message: (resource) => `Not enough ${resource ? resource.name : 'equipment'} in stock for the requested time`,
+  },
+  booking_staff_no_overlap: {
+    type: 'staff',
+    findResource: (id) => Staff.findById(id),
+    findBooking: (id, range) => exports.findStaffConflict({ staffId: id, ...range }),
+    message: (resource) => `Staff member ${resource ? resource.name : ''} is not available for the requested time`,
+  },
+};
+
+// Matches the existing row in an exclusion violation detail, e.g.
+// `conflicts with existing key (room_id, time_range)=(<id>, ["<start>","<end>")).`
+const EXISTING_KEY = /existing key \(.+?\)=\(([^,]+), [[(]"?([^",]+)"?,"?([^",]+)"?[\])]\)/;
+
+/**
+ * Translate an exclusion constraint violation into a BookingConflictError
+ * naming the conflicting resource and the booking that holds it
+ */
+const toConflictError = async (error) => {
+  const constraint = CONFLICT_CONSTRAINTS[error.constraint];
+  if (error.code !== EXCLUSION_VIOLATION || !constraint) return error;
+
+  const match = EXISTING_KEY.exec(error.detail || '');
+  if (!match) {
+    return new BookingConflictError(constraint.message(null), { resource: { type: constraint.type } });
+  }
+
+  const [, resourceId, startTime, endTime] = match;
+  const [resource, existing] = await Promise.all([
+    constraint.findResource(resourceId),
+    constraint.findBooking(resourceId, { startTime, endTime }),
+  ]);
+
+  return new BookingConflictError(constraint.message(resource), {
+    resource: { type: constraint.type, id: resourceId, name: resource ? resource.name : null },
+    bookingId: existing ? existing.id : null,
+    startTime: existing ? existing.start_time : new Date(startTime),
+    endTime: existing ? existing.end_time : new Date(endTime),
+  });
+};
+
+/**
+ * Run a write, translating overlap violations into BookingConflictError
+ */
+const withConflictCheck = async (write) => {
+  try {
+    return await write();
+  } catch (error) {
+    throw await toConflictError(error);
+  }
+};
+
+/**
+ * Find bookings with their room, studio, client, equipment and staff
+ *
+ * @param {Object} filter
+ * @param {string} [filter.clientId]  Only bookings made by this client
+ * @param {string[]} [filter.studioIds]  Only bookings in rooms of these studios
+ * @param {string} [filter.roomId]  Only bookings reserving this room
+ * @param {string[]} [filter.staffIds]  Only bookings any of these staff are assigned to
+ * @param {string} [filter.seriesId]  Only occurrences of this recurring series
+ * @param {Date} [filter.from]  Only bookings starting at or after this time
+ * @param {Date} [filter.to]  Only bookings starting before this time
+ * @param {boolean} [filter.activeOnly]  Skip cancelled and rejected bookings
+ * @param {boolean} [filter.deleted]  Only soft-deleted bookings instead of
+ *   only bookings that are not deleted
+ *
+ * Tentative holds are never listed.
+ */
+exports.find = async (filter = {}, trx = db) => {
+  const query = baseQuery(trx)
+    .whereNotIn('b.status', HOLD_STATUSES)
+    .orderBy('b.start_time', 'asc');
+
+  if (filter.clientId) query.where('b.client_id', filter.clientId);
+  if (filter.studioIds) query.whereIn('r.studio_id', filter.studioIds);
+  if (filter.roomId) {
+    query.whereExists(
+      trx('booking_rooms as br').whereRaw('br.booking_id = b.id').where('br.room_id', filter.roomId)
+    );
+  }
+  if (filter.staffIds) {
+    query.whereExists(
+      trx('booking_staff as bs').whereRaw('bs.booking_id = b.id').whereIn('bs.staff_id', filter.staffIds)
+    );
+  }
+  if (filter.seriesId) query.where('b.series_id', filter.seriesId);
+  if (filter.from) query.where('b.start_time', '>=', new Date(filter.from));
+  if (filter.to) query.where('b.start_time', '<', new Date(filter.to));
+  if (filter.activeOnly) query.whereNotIn('b.status', INACTIVE_STATUSES);
+  if (filter.deleted) query.whereNotNull('b.deleted_at');
+  else query.whereNull('b.deleted_at');
+
+  return populate(await query, trx);
+};
+
+/**
+ * Find a booking by id; soft-deleted bookings only with withDeleted
+ */
+exports.findById = async (id, { withDeleted = false } = {}, trx = db) => {
+  const query = baseQuery(trx).where('b.id', id);
+  if (!withDeleted) query.whereNull('b.deleted_at');
+
+  const row = await query.first();
+  if (!row) return null;
+
+  const [booking] = await populate([row], trx);
+  return booking;
+};
+
+/**
+ * Find a booking and lock its row until the transaction ends, so changes
+ * computed from it are not lost to a concurrent update
+ */
+exports.findByIdForUpdate = async (id, trx) => {
+  const locked = await trx('bookings').where({ id }).whereNull('deleted_at').forUpdate().first('id');
+  return locked ? exports.findById(id, {}, trx) : null;
+};
+
+/**
+ * Create a booking together with its room, equipment and staff junction
+ * rows; roomIds defaults to the main room and equipment is a list of
+ * { id, quantity }. Throws BookingConflictError when a resource is already
+ * booked or out of stock.
+ */
+exports.create = async ({ roomIds, equipment = [], staffIds = [], ...attributes }, trx = db) => {
+  const id = await withConflictCheck(() =>
+    trx.transaction(async (t) => {
+      const [row] = await t('bookings').insert(toColumns(attributes)).returning('id');
+      await replaceResources(row.id, { roomIds: roomIds || [attributes.roomId], equipment, staffIds }, t);
+      return row.id;
+    })
+  );
+
+  return exports.findById(id, { withDeleted: true }, trx);
+};
+
+/**
+ * Update booking columns and, when given, replace its rooms, equipment and
+ * staff. Throws BookingConflictError when a resource is already booked.
+ */
+exports.update = async (id, { roomIds, equipment, staffIds, ...attributes }, trx = db) => {
+  await withConflictCheck(() =>
+    trx.transaction(async (t) => {
+      await t('bookings')
+        .where({ id })
+        .update({ ...toColumns(attributes), updated_at: db.fn.now() });
+      await replaceResources(id, { roomIds, equipment, staffIds }, t);
+    })
+  );
+
+  return exports.findById(id, { withDeleted: true }, trx);
+};
+
+/**
+ * Update a booking only while it still has the given status, so two
+ * concurrent status changes cannot both apply. Resolves null when the
+ * booking's status has changed in the meantime.
+ */
+exports.updateIfStatus = async (id, status, attributes, trx = db) => {
+  const count = await withConflictCheck(() =>
+    trx('bookings')
+      .where({ id, status })
+      .whereNull('deleted_at')
+      .update({ ...toColumns(attributes), updated_at: db.fn.now() })
+  );
+
+  return count ? exports.findById(id, {}, trx) : null;
+};
+
+/**
+ * Turn a hold into a booking with the given attributes, only while it is
+ * still held and has not expired. Resolves null otherwise.
+ */
+exports.convertHold = async (id, attributes, trx = db) => {
+  const count = await trx('bookings')
+    .where({ id, status: 'held' })
+    .whereNull('deleted_at')
+    .where('hold_expires_at', '>', db.fn.now())
+    .update({ ...toColumns(attributes), hold_expires_at: null, updated_at: db.fn.now() });
+
+  return count ? exports.findById(id, {}, trx) : null;
+};
+
+/**
+ * Holds whose expiry time has passed, oldest first
+ */
+exports.findExpiredHolds = async ({ before, limit = 100 }, trx = db) => {
+  const rows = await baseQuery(trx)
+    .where('b.status', 'held')
+    .whereNull('b.deleted_at')
+    .where('b.hold_expires_at', '<=', before)
+    .orderBy('b.hold_expires_at', 'asc')
+    .limit(limit);
+
+  return populate(rows, trx);
+};
+
+/**
+ * Number of unexpired holds a client has
+ */
+exports.countActiveHolds = async (clientId, trx = db) => {
+  const [{ count }] = await trx('bookings')
+    .where({ client_id: clientId, status: 'held' })
+    .whereNull('deleted_at')
+    .where('hold_expires_at', '>', db.fn.now())
+    .count('id as count');
+
+  return Number(count);
+};
+
+/**
+ * Bookings in one of the given statuses whose session ended before a time
+ */
+exports.findEnded = async ({ statuses, before, limit = 100 }, trx = db) => {
+  const rows = await baseQuery(trx)
+    .whereIn('b.status', statuses)
+    .whereNull('b.deleted_at')
+    .where('b.end_time', '<', before)
+    .orderBy('b.end_time', 'asc')
+    .limit(limit);
+
+  return populate(rows, trx);
+};
+
+/**
+ * Soft-delete a booking, keeping its payments, resources and history
+ */
+exports.softDelete = async (id, deletedBy, trx = db) => {
+  await trx('bookings')
+    .where({ id })
+    .whereNull('deleted_at')
+    .update({ deleted_at: db.fn.now(), deleted_by: deletedBy, updated_at: db.fn.now() });
+
+  return exports.findById(id, { withDeleted: true }, trx);
+};
+
+/**
+ * Undo a soft delete. Throws BookingConflictError when the booking's
+ * resources have been booked in the meantime.
+ */
+exports.restore = async (id, trx = db) => {
+  await withConflictCheck(() =>
+    trx('bookings')
+      .where({ id })
+      .update({ deleted_at: null, deleted_by: null, updated_at: db.fn.now() })
+  );
+
+  return exports.findById(id, {}, trx);
+};
+
+/**
+ * Soft-deleted bookings of the given studios deleted before a time
+ */
+exports.findDeletedBefore = async ({ studioIds, before }, trx = db) => {
+  const rows = await baseQuery(trx)
+    .whereIn('r.studio_id', studioIds)
+    .where('b.deleted_at', '<', before)
+    .orderBy('b.deleted_at', 'asc');
+
+  return populate(rows, trx);
+};
+
+/**
+ * Permanently delete a booking. Payments and invoices are kept with their
+ * booking cleared.
+ */
+exports.remove = async (id, trx = db) => trx('bookings').where({ id }).del();
+
+/**
+ * Find an active booking reserving the room in the given range
+ */
+exports.findRoomConflict = async ({ roomId, startTime, endTime, excludeId }, trx = db) => {
+  const query = trx('bookings as b')
+    .join('booking_rooms as br', 'br.booking_id', 'b.id')
+    .where('br.room_id', roomId);
+  whereActive(query, 'b.');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+  if (excludeId) query.whereNot('b.id', excludeId);
+
+  return query.first('b.id', 'b.start_time', 'b.end_time');
+};
+
+/**
+ * Find an active booking using the equipment item in the given range
+ */
+exports.findEquipmentConflict = async ({ equipmentId, startTime, endTime, excludeId }, trx = db) => {
+  const query = trx('bookings as b')
+    .join('booking_equipment as be', 'be.booking_id', 'b.id')
+    .where('be.equipment_id', equipmentId);
+  whereActive(query, 'b.');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+  if (excludeId) query.whereNot('b.id', excludeId);
+
+  return query.first('b.id', 'b.start_time', 'b.end_time');
+};
+
+/**
+ * Find an active booking the staff member is assigned to in the given range
+ */
+exports.findStaffConflict = async ({ staffId, startTime, endTime, excludeId }, trx = db) => {
+  const query = trx('bookings as b')
+    .join('booking_staff as bs', 'bs.booking_id', 'b.id')
+    .where('bs.staff_id', staffId);
+  whereActive(query, 'b.');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+  if (excludeId) query.whereNot('b.id', excludeId);
+
+  return query.first('b.id', 'b.start_time', 'b.end_time');
+};
+
+/**
+ * Active bookings of the given rooms overlapping the range, one row per
+ * booking and room, so a multi-room booking is returned for each room
+ */
+exports.findInRange = async ({ roomIds, startTime, endTime }, trx = db) => {
+  if (!roomIds.length) return [];
+
+  const query = whereActive(trx('bookings as b'), 'b.')
+    .join('booking_rooms as br', 'br.booking_id', 'b.id')
+    .whereIn('br.room_id', roomIds)
+    .select('b.id', 'br.room_id', 'b.start_time', 'b.end_time');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+
+  return query;
+};
+
+/**
+ * Units of the given equipment drawn by active bookings in the range, one
+ * row per booking and item
+ */
+exports.findEquipmentUsageInRange = async ({ equipmentIds, startTime, endTime }, trx = db) => {
+  if (!equipmentIds.length) return [];
+
+  const query = whereActive(trx('bookings as b'), 'b.')
+    .join('booking_equipment as be', 'be.booking_id', 'b.id')
+    .whereIn('be.equipment_id', equipmentIds)
+    .select('b.id', 'be.equipment_id', 'be.quantity', 'b.start_time', 'b.end_time');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+
+  return query;
+};
+
+/**
+ * Active bookings the given staff are assigned to in the range, one row per
+ * booking and staff member
+ */
+exports.findStaffUsageInRange = async ({ staffIds, startTime, endTime, excludeId }, trx = db) => {
+  if (!staffIds.length) return [];
+
+  const query = whereActive(trx('bookings as b'), 'b.')
+    .join('booking_staff as bs', 'bs.booking_id', 'b.id')
+    .whereIn('bs.staff_id', staffIds)
+    .select('b.id', 'bs.staff_id', 'b.start_time', 'b.end_time');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+  if (excludeId) query.whereNot('b.id', excludeId);
+
+  return query;
+};
+
+/**
+ * Active bookings using any of the given equipment or staff in the range
+ */
+exports.findResourceUsageInRange = async ({ equipmentIds = [], staffIds = [], startTime, endTime }, trx = db) => {
+  if (!equipmentIds.length && !staffIds.length) return [];
+
+  const query = whereActive(trx('bookings as b'), 'b.')
+    .where((builder) => {
+      if (equipmentIds.length) {
+        builder.orWhereExists(
+          trx('booking_equipment as be')
+            .whereRaw('be.booking_id = b.id')
+            .whereIn('be.equipment_id', equipmentIds)
+        );
+      }
+      if (staffIds.length) {
+        builder.orWhereExists(
+          trx('booking_staff as bs')
+            .whereRaw('bs.booking_id = b.id')
+            .whereIn('bs.staff_id', staffIds)
+        );
+      }
+    })
+    .select('b.id', 'b.start_time', 'b.end_time');
+  whereOverlaps(query, 'b.start_time', 'b.end_time', startTime, endTime);
+
+  return query;
+};
+
+exports.INACTIVE_STATUSES = INACTIVE_STATUSES;
+exports.HOLD_STATUSES = HOLD_STATUSES;
@@ -0,0 +1,56 @@
+const db = require('../database');
+
+/**
+ * Map a booking_audit_log row (joined with the actor) to the shape used by
+ * controllers
+ */
+const toEntry = (row) => {
+  if (!row) return null;
+
+  return {
+    id: Number(row.id),
+    bookingId: row.booking_id,
+    studioId: row.studio_id,
+    action: row.action,
+    actor: {
+      id: row.actor_id,
+      name: row.actor_name || null,
+      role: row.actor_role,
+    },
+    changes: row.changes,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+  };
+};
+
+/**
+ * Append an entry to the audit log
+ */
+exports.append = async ({ bookingId, studioId, action, actorId, actorRole, changes, ipAddress, userAgent }, trx = db) => {
+  const [row] = await trx('booking_audit_log')
+    .insert({
+      booking_id: bookingId,
+      studio_id: studioId,
+      action,
+      actor_id: actorId,
+      actor_role: actorRole,
+      changes: JSON.stringify(changes),
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    })
+    .returning('*');
+  return toEntry(row);
+};
+
+/**
+ * Audit entries of a booking, oldest first
+ */
+exports.findByBooking = async (bookingId, trx = db) => {
+  const rows = await trx('booking_audit_log as a')
+    .leftJoin('users as u', 'u.id', 'a.actor_id')
+    .where('a.booking_id', bookingId)
+    .orderBy('a.id', 'asc')
+    .select('a.*', 'u.name as actor_name');
+  return rows.map(toEntry);
+};
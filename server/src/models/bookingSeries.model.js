@@ -0,0 +1,37 @@
+const db = require('../database');
+
+/**
+ * Map a booking_series row to the shape used by controllers
+ */
+const toSeries = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    clientId: row.client_id,
+    roomId: row.room_id,
+    recurrence: row.recurrence,
+    timezone: row.timezone,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('booking_series').where({ id }).first();
+  return toSeries(row);
+};
+
+exports.create = async ({ clientId, roomId, recurrence, timezone }, trx = db) => {
+  const [row] = await trx('booking_series')
+    .insert({
+      client_id: clientId,
+      room_id: roomId,
+      recurrence: JSON.stringify(recurrence),
+      timezone,
+    })
+    .returning('*');
+  return toSeries(row);
+};
+
+exports.remove = async (id, trx = db) => trx('booking_series').where({ id }).del();
@@ -0,0 +1,102 @@
+const db = require('../database');
+
+/**
+ * Map a calendar_connections row to the shape used by services. The
+ * encrypted password is only included with withCredentials.
+ */
+const toConnection = (row, { withCredentials = false } = {}) => {
+  if (!row) return null;
+
+  const connection = {
+    id: row.id,
+    userId: row.user_id,
+    staffId: row.staff_id,
+    roomId: row.room_id,
+    url: row.url,
+    username: row.username,
+    displayName: row.display_name,
+    writeBack: row.write_back,
+    syncToken: row.sync_token,
+    lastFullSyncAt: row.last_full_sync_at,
+    status: row.status,
+    lastError: row.last_error,
+    lastSyncedAt: row.last_synced_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+
+  if (withCredentials) connection.passwordEncrypted = row.password_encrypted;
+
+  return connection;
+};
+
+const COLUMNS = {
+  userId: 'user_id',
+  staffId: 'staff_id',
+  roomId: 'room_id',
+  url: 'url',
+  username: 'username',
+  passwordEncrypted: 'password_encrypted',
+  displayName: 'display_name',
+  writeBack: 'write_back',
+  syncToken: 'sync_token',
+  lastFullSyncAt: 'last_full_sync_at',
+  status: 'status',
+  lastError: 'last_error',
+  lastSyncedAt: 'last_synced_at',
+};
+
+/**
+ * Map camelCase attributes to calendar_connections columns, skipping
+ * undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) row[column] = attributes[key];
+    return row;
+  }, {});
+
+exports.findById = async (id, { withCredentials = false } = {}, trx = db) => {
+  const row = await trx('calendar_connections').where({ id }).first();
+  return toConnection(row, { withCredentials });
+};
+
+exports.findByUser = async (userId, trx = db) => {
+  const rows = await trx('calendar_connections').where({ user_id: userId }).orderBy('created_at');
+  return rows.map((row) => toConnection(row));
+};
+
+/**
+ * Every connection, for the periodic sync
+ */
+exports.findAll = async ({ withCredentials = false } = {}, trx = db) => {
+  const rows = await trx('calendar_connections').orderBy('created_at');
+  return rows.map((row) => toConnection(row, { withCredentials }));
+};
+
+/**
+ * Connections of any of the given staff members or rooms
+ */
+exports.findByTargets = async ({ staffIds = [], roomIds = [] }, { withCredentials = false } = {}, trx = db) => {
+  if (!staffIds.length && !roomIds.length) return [];
+
+  const rows = await trx('calendar_connections')
+    .whereIn('staff_id', staffIds)
+    .orWhereIn('room_id', roomIds);
+  return rows.map((row) => toConnection(row, { withCredentials }));
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('calendar_connections').insert(toColumns(attributes)).returning('*');
+  return toConnection(row);
+};
+
+exports.update = async (id, attributes, trx = db) => {
+  const [row] = await trx('calendar_connections')
+    .where({ id })
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() })
+    .returning('*');
+  return toConnection(row);
+};
+
+exports.remove = async (id, trx = db) => trx('calendar_connections').where({ id }).del();
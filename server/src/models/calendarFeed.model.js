@@ -0,0 +1,62 @@
+const db = require('../database');
+
+/**
+ * Map a calendar_feeds row to the shape used by services
+ */
+const toFeed = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    kind: row.kind,
+    studioId: row.studio_id,
+    lastAccessedAt: row.last_accessed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('calendar_feeds').where({ id }).first();
+  return toFeed(row);
+};
+
+exports.findByUser = async (userId, trx = db) => {
+  const rows = await trx('calendar_feeds').where({ user_id: userId }).orderBy('created_at');
+  return rows.map(toFeed);
+};
+
+exports.findByTokenHash = async (tokenHash, trx = db) => {
+  const row = await trx('calendar_feeds').where({ token_hash: tokenHash }).first();
+  return toFeed(row);
+};
+
+/**
+ * Create a user's feed of a kind (and studio), or give the existing one a
+ * new token so the old URL stops working
+ */
+exports.upsert = async ({ userId, kind, studioId = null, tokenHash }, trx = db) => {
+  const existing = await trx('calendar_feeds')
+    .where({ user_id: userId, kind })
+    .andWhere((builder) => (studioId ? builder.where({ studio_id: studioId }) : builder.whereNull('studio_id')))
+    .first('id');
+
+  if (existing) {
+    const [row] = await trx('calendar_feeds')
+      .where({ id: existing.id })
+      .update({ token_hash: tokenHash, last_accessed_at: null, updated_at: db.fn.now() })
+      .returning('*');
+    return toFeed(row);
+  }
+
+  const [row] = await trx('calendar_feeds')
+    .insert({ user_id: userId, kind, studio_id: studioId, token_hash: tokenHash })
+    .returning('*');
+  return toFeed(row);
+};
+
+exports.touch = async (id, trx = db) =>
+  trx('calendar_feeds').where({ id }).update({ last_accessed_at: db.fn.now() });
+
+exports.remove = async (id, trx = db) => trx('calendar_feeds').where({ id }).del();
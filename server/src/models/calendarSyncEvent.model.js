@@ -0,0 +1,65 @@
+const db = require('../database');
+
+/**
+ * Map a calendar_sync_events row to the shape used by services
+ */
+const toSyncEvent = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    connectionId: row.connection_id,
+    bookingId: row.booking_id,
+    href: row.href,
+    etag: row.etag,
+    remoteChanged: row.remote_changed,
+    startTime: row.start_time,
+    bookingUpdatedAt: row.booking_updated_at,
+    syncedAt: row.synced_at,
+  };
+};
+
+/**
+ * Bookings written to a connection's calendar, optionally only those stored
+ * at the given remote resources
+ */
+exports.findByConnection = async (connectionId, { hrefs } = {}, trx = db) => {
+  const query = trx('calendar_sync_events').where({ connection_id: connectionId });
+  if (hrefs) query.whereIn('href', hrefs);
+
+  const rows = await query;
+  return rows.map(toSyncEvent);
+};
+
+/**
+ * Record a booking written to a connection's calendar
+ */
+exports.upsert = async ({ connectionId, bookingId, href, etag, startTime, bookingUpdatedAt }, trx = db) => {
+  const row = {
+    connection_id: connectionId,
+    booking_id: bookingId,
+    href,
+    etag: etag || null,
+    start_time: startTime,
+    booking_updated_at: bookingUpdatedAt,
+    remote_changed: false,
+  };
+
+  const [saved] = await trx('calendar_sync_events')
+    .insert(row)
+    .onConflict(['connection_id', 'booking_id'])
+    .merge({ ...row, synced_at: db.fn.now() })
+    .returning('*');
+  return toSyncEvent(saved);
+};
+
+/**
+ * Flag written events that were edited remotely, so the next push
+ * overwrites them
+ */
+exports.markRemoteChanged = async (ids, trx = db) => {
+  if (!ids.length) return 0;
+  return trx('calendar_sync_events').whereIn('id', ids).update({ remote_changed: true });
+};
+
+exports.remove = async (id, trx = db) => trx('calendar_sync_events').where({ id }).del();
@@ -0,0 +1,94 @@
+const db = require('../database');
+
+/**
+ * Map an email_messages row to the shape used by services. Attachment
+ * content is only included when asked for, e.g. to resend the message.
+ */
+const toMessage = (row, { withContent = false } = {}) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    to: row.to_address,
+    from: row.from_address,
+    subject: row.subject,
+    text: row.text,
+    html: row.html,
+    attachments: (row.attachments || []).map(({ filename, contentType, content }) => (
+      withContent ? { filename, contentType, content } : { filename, contentType }
+    )),
+    template: row.template,
+    studioId: row.studio_id,
+    bookingId: row.booking_id,
+    transport: row.transport,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    providerMessageId: row.provider_message_id,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+exports.findById = async (id, { withContent = false } = {}, trx = db) => {
+  const row = await trx('email_messages').where({ id }).first();
+  return toMessage(row, { withContent });
+};
+
+/**
+ * Newest messages sent for a studio, optionally with one status
+ */
+exports.findByStudio = async (studioId, { status, bookingId, limit = 50 } = {}, trx = db) => {
+  const query = trx('email_messages').where({ studio_id: studioId });
+  if (status) query.andWhere({ status });
+  if (bookingId) query.andWhere({ booking_id: bookingId });
+
+  const rows = await query.orderBy('created_at', 'desc').limit(limit);
+  return rows.map((row) => toMessage(row));
+};
+
+/**
+ * Log a message before it is handed to the transport
+ *
+ * @param {Object} message  to, from, subject, text, html, attachments
+ *   ({ filename, contentType, content } with base64 content), template,
+ *   studioId, bookingId, transport
+ */
+exports.create = async (message, trx = db) => {
+  const [row] = await trx('email_messages')
+    .insert({
+      to_address: message.to,
+      from_address: message.from,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: JSON.stringify(message.attachments || []),
+      template: message.template,
+      studio_id: message.studioId,
+      booking_id: message.bookingId,
+      transport: message.transport,
+    })
+    .returning('*');
+  return toMessage(row);
+};
+
+exports.markSent = async (id, { transport, providerMessageId }, trx = db) =>
+  trx('email_messages').where({ id }).update({
+    status: 'sent',
+    transport,
+    provider_message_id: providerMessageId || null,
+    attempts: trx.raw('attempts + 1'),
+    last_error: null,
+    sent_at: db.fn.now(),
+    updated_at: db.fn.now(),
+  });
+
+exports.markFailed = async (id, { transport, error }, trx = db) =>
+  trx('email_messages').where({ id }).update({
+    status: 'failed',
+    transport,
+    attempts: trx.raw('attempts + 1'),
+    last_error: error,
+    updated_at: db.fn.now(),
+  });
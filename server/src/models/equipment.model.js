@@ -0,0 +1,67 @@
+const db = require('../database');
+const { toNumber } = require('./helpers');
+
+/**
+ * Map an equipment row to the shape used by controllers
+ */
+const toEquipment = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    studioId: row.studio_id,
+    name: row.name,
+    description: row.description,
+    category: row.category,
+    dailyRate: toNumber(row.daily_rate),
+    quantity: row.quantity,
+    isAvailable: row.is_available,
+  };
+};
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('equipment').where({ id }).first();
+  return toEquipment(row);
+};
+
+exports.findByIds = async (ids, trx = db) => {
+  if (!ids.length) return [];
+  const rows = await trx('equipment').whereIn('id', ids);
+  return rows.map(toEquipment);
+};
+
+/**
+ * Set the number of units an item has in stock
+ */
+exports.updateQuantity = async (id, quantity, trx = db) => {
+  const [row] = await trx('equipment')
+    .where({ id })
+    .update({ quantity, updated_at: db.fn.now() })
+    .returning('*');
+  return toEquipment(row);
+};
+
+/**
+ * Peak number of units of an item in use during a range by active bookings
+ * and maintenance windows (see the equipment_inventory migration)
+ *
+ * @param {Object} range
+ * @param {string} [range.excludeBookingId]  Leave this booking's units out
+ */
+exports.findUnitsInUse = async (id, { startTime, endTime, excludeBookingId = null }, trx = db) => {
+  const { rows: [{ units }] } = await trx.raw(
+    "SELECT equipment_units_in_use(?, tstzrange(?, ?, '[)'), ?) AS units",
+    [id, new Date(startTime), new Date(endTime), excludeBookingId]
+  );
+  return units;
+};
+
+/**
+ * Units of an item free for a whole range; items marked unavailable have none
+ */
+exports.findAvailableQuantity = async (id, range, trx = db) => {
+  const item = await exports.findById(id, trx);
+  if (!item || !item.isAvailable) return 0;
+
+  return Math.max(0, item.quantity - await exports.findUnitsInUse(id, range, trx));
+};
@@ -0,0 +1,87 @@
+const db = require('../database');
+const { toNumber } = require('./helpers');
+
+/**
+ * Map an equipment_checkouts row (joined with the item) to the shape used
+ * by controllers
+ */
+const toCheckout = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    equipment: {
+      id: row.equipment_id,
+      name: row.equipment_name,
+    },
+    quantity: row.quantity,
+    checkedOutAt: row.checked_out_at,
+    checkedOutBy: row.checked_out_by,
+    conditionOut: row.condition_out,
+    checkedInAt: row.checked_in_at,
+    checkedInBy: row.checked_in_by,
+    conditionIn: row.condition_in,
+    damageNotes: row.damage_notes,
+    damageCharge: toNumber(row.damage_charge),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+const COLUMNS = {
+  bookingId: 'booking_id',
+  equipmentId: 'equipment_id',
+  quantity: 'quantity',
+  checkedOutAt: 'checked_out_at',
+  checkedOutBy: 'checked_out_by',
+  conditionOut: 'condition_out',
+  checkedInAt: 'checked_in_at',
+  checkedInBy: 'checked_in_by',
+  conditionIn: 'condition_in',
+  damageNotes: 'damage_notes',
+  damageCharge: 'damage_charge',
+};
+
+/**
+ * Map camelCase attributes to equipment_checkouts columns, skipping
+ * undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) row[column] = attributes[key];
+    return row;
+  }, {});
+
+const baseQuery = (trx) =>
+  trx('equipment_checkouts as ec')
+    .join('equipment as e', 'e.id', 'ec.equipment_id')
+    .select('ec.*', 'e.name as equipment_name');
+
+exports.findById = async (id, trx = db) => {
+  const row = await baseQuery(trx).where('ec.id', id).first();
+  return toCheckout(row);
+};
+
+exports.findByBooking = async (bookingId, trx = db) => {
+  const rows = await baseQuery(trx).where('ec.booking_id', bookingId).orderBy('ec.checked_out_at');
+  return rows.map(toCheckout);
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('equipment_checkouts').insert(toColumns(attributes)).returning('id');
+  return exports.findById(row.id, trx);
+};
+
+/**
+ * Record the check-in of an open check-out. Resolves null when it has
+ * already been checked in.
+ */
+exports.checkIn = async (id, attributes, trx = db) => {
+  const count = await trx('equipment_checkouts')
+    .where({ id })
+    .whereNull('checked_in_at')
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() });
+
+  return count ? exports.findById(id, trx) : null;
+};
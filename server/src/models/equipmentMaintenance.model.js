@@ -0,0 +1,78 @@
+const db = require('../database');
+const { whereOverlaps } = require('./helpers');
+
+/**
+ * Map an equipment_maintenance row to the shape used by controllers
+ */
+const toWindow = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    equipmentId: row.equipment_id,
+    kind: row.kind,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    quantity: row.quantity,
+    reason: row.reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+const COLUMNS = {
+  equipmentId: 'equipment_id',
+  kind: 'kind',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  quantity: 'quantity',
+  reason: 'reason',
+  createdBy: 'created_by',
+};
+
+/**
+ * Map camelCase attributes to equipment_maintenance columns, skipping
+ * undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) row[column] = attributes[key];
+    return row;
+  }, {});
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('equipment_maintenance').where({ id }).first();
+  return toWindow(row);
+};
+
+/**
+ * Maintenance windows of an item, optionally only those ending after a time
+ */
+exports.findByEquipment = async (equipmentId, { from } = {}, trx = db) => {
+  const query = trx('equipment_maintenance').where({ equipment_id: equipmentId }).orderBy('start_time');
+  if (from) query.where('end_time', '>', new Date(from));
+
+  const rows = await query;
+  return rows.map(toWindow);
+};
+
+/**
+ * Maintenance windows of the given items overlapping a range
+ */
+exports.findInRange = async ({ equipmentIds, startTime, endTime }, trx = db) => {
+  if (!equipmentIds.length) return [];
+
+  const query = trx('equipment_maintenance').whereIn('equipment_id', equipmentIds);
+  whereOverlaps(query, 'start_time', 'end_time', startTime, endTime);
+
+  const rows = await query;
+  return rows.map(toWindow);
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('equipment_maintenance').insert(toColumns(attributes)).returning('*');
+  return toWindow(row);
+};
+
+exports.remove = async (id, trx = db) => trx('equipment_maintenance').where({ id }).del();
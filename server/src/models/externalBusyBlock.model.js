@@ -0,0 +1,63 @@
+const db = require('../database');
+const { whereOverlaps } = require('./helpers');
+
+/**
+ * Map an external_busy_blocks row (joined with its connection) to the shape
+ * used by services
+ */
+const toBlock = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    connectionId: row.connection_id,
+    staffId: row.staff_id,
+    roomId: row.room_id,
+    href: row.href,
+    uid: row.uid,
+    startTime: row.start_time,
+    endTime: row.end_time,
+  };
+};
+
+/**
+ * Busy blocks of the linked calendars of any of the given staff members or
+ * rooms overlapping a range
+ */
+exports.findInRange = async ({ staffIds = [], roomIds = [], startTime, endTime }, trx = db) => {
+  if (!staffIds.length && !roomIds.length) return [];
+
+  const query = trx('external_busy_blocks as xb')
+    .join('calendar_connections as cc', 'cc.id', 'xb.connection_id')
+    .where((builder) => builder.whereIn('cc.staff_id', staffIds).orWhereIn('cc.room_id', roomIds))
+    .select('xb.*', 'cc.staff_id', 'cc.room_id')
+    .orderBy('xb.start_time');
+  whereOverlaps(query, 'xb.start_time', 'xb.end_time', startTime, endTime);
+
+  const rows = await query;
+  return rows.map(toBlock);
+};
+
+/**
+ * Replace the blocks read from a remote resource; no blocks removes them
+ */
+exports.replaceForHref = async (connectionId, href, blocks, trx = db) => {
+  await trx('external_busy_blocks').where({ connection_id: connectionId, href }).del();
+  if (!blocks.length) return;
+
+  await trx('external_busy_blocks').insert(blocks.map((block) => ({
+    connection_id: connectionId,
+    href,
+    uid: block.uid || null,
+    start_time: block.startTime,
+    end_time: block.endTime,
+  })));
+};
+
+exports.removeForHrefs = async (connectionId, hrefs, trx = db) => {
+  if (!hrefs.length) return 0;
+  return trx('external_busy_blocks').where({ connection_id: connectionId }).whereIn('href', hrefs).del();
+};
+
+exports.removeForConnection = async (connectionId, trx = db) =>
+  trx('external_busy_blocks').where({ connection_id: connectionId }).del();
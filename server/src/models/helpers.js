@@ -0,0 +1,24 @@
+/**
+ * Shared helpers for the data-access layer
+ */
+
+/**
+ * Convert a PostgreSQL decimal (returned as a string) to a number
+ */
+exports.toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Restrict a query to rows whose [start, end) range overlaps the given range
+ */
+exports.whereOverlaps = (query, startColumn, endColumn, startTime, endTime) =>
+  query.where(startColumn, '<', new Date(endTime)).andWhere(endColumn, '>', new Date(startTime));
+
+/**
+ * Group rows into a map keyed by the given column
+ */
+exports.groupBy = (rows, key) =>
+  rows.reduce((groups, row) => {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+    return groups;
+  }, new Map());
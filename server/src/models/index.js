@@ -0,0 +1,45 @@
+const User = require('./user.model');
+const Studio = require('./studio.model');
+const Room = require('./room.model');
+const Equipment = require('./equipment.model');
+const EquipmentMaintenance = require('./equipmentMaintenance.model');
+const EquipmentCheckout = require('./equipmentCheckout.model');
+const Staff = require('./staff.model');
+const StaffTimeOff = require('./staffTimeOff.model');
+const Booking = require('./booking.model');
+const BookingSeries = require('./bookingSeries.model');
+const Payment = require('./payment.model');
+const Invoice = require('./invoice.model');
+const Waitlist = require('./waitlist.model');
+const ScheduledJob = require('./scheduledJob.model');
+const NotificationTemplate = require('./notificationTemplate.model');
+const EmailMessage = require('./emailMessage.model');
+const PushSubscription = require('./pushSubscription.model');
+const CalendarFeed = require('./calendarFeed.model');
+const CalendarConnection = require('./calendarConnection.model');
+const CalendarSyncEvent = require('./calendarSyncEvent.model');
+const ExternalBusyBlock = require('./externalBusyBlock.model');
+
+module.exports = {
+  User,
+  Studio,
+  Room,
+  Equipment,
+  EquipmentMaintenance,
+  EquipmentCheckout,
+  Staff,
+  StaffTimeOff,
+  Booking,
+  BookingSeries,
+  Payment,
+  Invoice,
+  Waitlist,
+  ScheduledJob,
+  NotificationTemplate,
+  EmailMessage,
+  PushSubscription,
+  CalendarFeed,
+  CalendarConnection,
+  CalendarSyncEvent,
+  ExternalBusyBlock,
+};
@@ -0,0 +1,89 @@
+const db = require('../database');
+const { toNumber } = require('./helpers');
+
+/**
+ * Map an invoices row to the shape used by controllers
+ */
+const toInvoice = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    studioId: row.studio_id,
+    bookingId: row.booking_id,
+    kind: row.kind,
+    relatedInvoiceId: row.related_invoice_id,
+    sequenceNumber: row.sequence_number,
+    invoiceNumber: row.invoice_number,
+    currency: row.currency,
+    lineItems: row.line_items,
+    subtotal: toNumber(row.subtotal),
+    discountAmount: toNumber(row.discount_amount),
+    tax: row.tax,
+    total: toNumber(row.total),
+    issuedAt: row.issued_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+const COLUMNS = {
+  studioId: 'studio_id',
+  bookingId: 'booking_id',
+  kind: 'kind',
+  relatedInvoiceId: 'related_invoice_id',
+  sequenceNumber: 'sequence_number',
+  invoiceNumber: 'invoice_number',
+  currency: 'currency',
+  lineItems: 'line_items',
+  subtotal: 'subtotal',
+  discountAmount: 'discount_amount',
+  tax: 'tax',
+  total: 'total',
+  issuedAt: 'issued_at',
+};
+
+const JSON_COLUMNS = ['line_items', 'tax'];
+
+/**
+ * Map camelCase attributes to invoices columns, skipping undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) {
+      row[column] = JSON_COLUMNS.includes(column) && attributes[key] !== null
+        ? JSON.stringify(attributes[key])
+        : attributes[key];
+    }
+    return row;
+  }, {});
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('invoices').where({ id }).first();
+  return toInvoice(row);
+};
+
+/**
+ * The current invoice of a booking: its latest, as earlier ones have been
+ * credited and replaced
+ */
+exports.findByBooking = async (bookingId, trx = db) => {
+  const row = await trx('invoices')
+    .where({ booking_id: bookingId, kind: 'invoice' })
+    .orderBy('sequence_number', 'desc')
+    .first();
+  return toInvoice(row);
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('invoices').insert(toColumns(attributes)).returning('*');
+  return toInvoice(row);
+};
+
+exports.update = async (id, attributes, trx = db) => {
+  const [row] = await trx('invoices')
+    .where({ id })
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() })
+    .returning('*');
+  return toInvoice(row);
+};
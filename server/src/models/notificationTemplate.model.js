@@ -0,0 +1,49 @@
+const db = require('../database');
+
+/**
+ * Map a notification_templates row to the shape used by services
+ */
+const toTemplate = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    studioId: row.studio_id,
+    name: row.name,
+    locale: row.locale,
+    subject: row.subject,
+    text: row.text,
+    html: row.html,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+/**
+ * A studio's override of a template in one locale
+ */
+exports.find = async ({ studioId, name, locale }, trx = db) => {
+  const row = await trx('notification_templates').where({ studio_id: studioId, name, locale }).first();
+  return toTemplate(row);
+};
+
+exports.findByStudio = async (studioId, trx = db) => {
+  const rows = await trx('notification_templates').where({ studio_id: studioId }).orderBy(['name', 'locale']);
+  return rows.map(toTemplate);
+};
+
+/**
+ * Create or replace a studio's override of a template in one locale
+ */
+exports.upsert = async ({ studioId, name, locale, subject, text, html, updatedBy }, trx = db) => {
+  const [row] = await trx('notification_templates')
+    .insert({ studio_id: studioId, name, locale, subject, text, html, updated_by: updatedBy })
+    .onConflict(['studio_id', 'name', 'locale'])
+    .merge({ subject, text, html, updated_by: updatedBy, updated_at: db.fn.now() })
+    .returning('*');
+  return toTemplate(row);
+};
+
+exports.remove = async ({ studioId, name, locale }, trx = db) =>
+  trx('notification_templates').where({ studio_id: studioId, name, locale }).del();
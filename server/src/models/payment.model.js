@@ -0,0 +1,147 @@
+const db = require('../database');
+const { toNumber } = require('./helpers');
+
+// Refund payments that count against what can still be refunded
+const REFUND_STATUSES = ['pending', 'refunded'];
+
+/**
+ * Map a payments row to the shape used by controllers
+ */
+const toPayment = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    amount: toNumber(row.amount),
+    currency: row.currency,
+    paymentType: row.payment_type,
+    paymentMethod: row.payment_method,
+    transactionId: row.transaction_id,
+    status: row.status,
+    paymentDate: row.payment_date,
+    refundedPaymentId: row.refunded_payment_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+const COLUMNS = {
+  bookingId: 'booking_id',
+  amount: 'amount',
+  currency: 'currency',
+  paymentType: 'payment_type',
+  paymentMethod: 'payment_method',
+  transactionId: 'transaction_id',
+  status: 'status',
+  paymentDate: 'payment_date',
+  refundedPaymentId: 'refunded_payment_id',
+};
+
+/**
+ * Map camelCase attributes to payments columns, skipping undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) row[column] = attributes[key];
+    return row;
+  }, {});
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('payments').where({ id }).first();
+  return toPayment(row);
+};
+
+exports.findByBooking = async (bookingId, trx = db) => {
+  const rows = await trx('payments').where({ booking_id: bookingId }).orderBy('created_at');
+  return rows.map(toPayment);
+};
+
+/**
+ * Find a payment by its provider transaction id, locking the row when
+ * called inside a transaction
+ */
+exports.findByTransactionId = async (transactionId, trx = db) => {
+  const query = trx('payments').where({ transaction_id: transactionId }).first();
+  if (trx.isTransaction) query.forUpdate();
+
+  return toPayment(await query);
+};
+
+/**
+ * Find a pending payment of a booking for the given type and amount that
+ * has a provider transaction
+ */
+exports.findPending = async ({ bookingId, paymentType, amount }, trx = db) => {
+  const row = await trx('payments')
+    .where({ booking_id: bookingId, payment_type: paymentType, amount, status: 'pending' })
+    .whereNotNull('transaction_id')
+    .orderBy('created_at', 'desc')
+    .first();
+  return toPayment(row);
+};
+
+/**
+ * Sum of completed payments of a booking
+ */
+exports.sumCompleted = async (bookingId, trx = db) => {
+  const row = await trx('payments')
+    .where({ booking_id: bookingId, status: 'completed' })
+    .sum({ total: 'amount' })
+    .first();
+  return toNumber(row.total) || 0;
+};
+
+/**
+ * Sum of refunds of a booking, issued or still pending
+ */
+exports.sumRefunded = async (bookingId, trx = db) => {
+  const row = await trx('payments')
+    .where({ booking_id: bookingId, payment_type: 'refund' })
+    .whereIn('status', REFUND_STATUSES)
+    .sum({ total: 'amount' })
+    .first();
+  return toNumber(row.total) || 0;
+};
+
+/**
+ * Completed payments of a booking, newest first, with the amount already
+ * refunded (or pending refund) against each
+ */
+exports.findRefundable = async (bookingId, trx = db) => {
+  const rows = await trx('payments as p')
+    .leftJoin('payments as r', function() {
+      this.on('r.refunded_payment_id', 'p.id').andOnIn('r.status', REFUND_STATUSES);
+    })
+    .where({ 'p.booking_id': bookingId, 'p.status': 'completed' })
+    .groupBy('p.id')
+    .orderBy('p.payment_date', 'desc')
+    .select('p.*', trx.raw('coalesce(sum(r.amount), 0) as refunded_amount'));
+
+  return rows.map((row) => ({ ...toPayment(row), refundedAmount: toNumber(row.refunded_amount) }));
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('payments').insert(toColumns(attributes)).returning('*');
+  return toPayment(row);
+};
+
+exports.update = async (id, attributes, trx = db) => {
+  const [row] = await trx('payments')
+    .where({ id })
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() })
+    .returning('*');
+  return toPayment(row);
+};
+
+/**
+ * Record a processed provider event; resolves false when it was already recorded
+ */
+exports.recordEvent = async ({ id, type }, trx = db) => {
+  const rows = await trx('payment_events')
+    .insert({ id, type })
+    .onConflict('id')
+    .ignore()
+    .returning('id');
+  return rows.length > 0;
+};
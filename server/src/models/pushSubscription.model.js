@@ -0,0 +1,56 @@
+const db = require('../database');
+
+/**
+ * Map a push_subscriptions row to the shape used by services
+ */
+const toSubscription = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    endpoint: row.endpoint,
+    keys: { p256dh: row.p256dh, auth: row.auth },
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+exports.findByUser = async (userId, trx = db) => {
+  const rows = await trx('push_subscriptions').where({ user_id: userId }).orderBy('created_at');
+  return rows.map(toSubscription);
+};
+
+/**
+ * Register a browser's subscription for a user. A subscription endpoint
+ * belongs to one browser, so registering it again moves it to the user.
+ */
+exports.upsert = async ({ userId, endpoint, keys, userAgent }, trx = db) => {
+  const row = {
+    user_id: userId,
+    endpoint,
+    p256dh: keys.p256dh,
+    auth: keys.auth,
+    user_agent: userAgent || null,
+  };
+
+  const [saved] = await trx('push_subscriptions')
+    .insert(row)
+    .onConflict('endpoint')
+    .merge({ ...row, updated_at: db.fn.now() })
+    .returning('*');
+  return toSubscription(saved);
+};
+
+/**
+ * Remove a subscription, optionally only if it belongs to a user
+ *
+ * @returns {Promise<number>} the number of removed subscriptions
+ */
+exports.removeByEndpoint = async (endpoint, { userId } = {}, trx = db) => {
+  const query = trx('push_subscriptions').where({ endpoint });
+  if (userId) query.andWhere({ user_id: userId });
+
+  return query.del();
+};
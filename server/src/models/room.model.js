@@ -0,0 +1,52 @@
+const db = require('../database');
+const { toNumber } = require('./helpers');
+
+/**
+ * Map a rooms row (joined with its studio) to the shape used by controllers
+ */
+const toRoom = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    capacity: row.capacity,
+    hourlyRate: toNumber(row.hourly_rate),
+    isActive: row.is_active,
+    studio: {
+      id: row.studio_id,
+      name: row.studio_name,
+      address: row.studio_address,
+      ownerId: row.studio_owner_id,
+      timezone: row.studio_timezone,
+    },
+  };
+};
+
+const withStudio = (trx) =>
+  trx('rooms as r')
+    .join('studios as s', 's.id', 'r.studio_id')
+    .select(
+      'r.*',
+      's.name as studio_name',
+      's.address as studio_address',
+      's.owner_id as studio_owner_id',
+      's.timezone as studio_timezone'
+    );
+
+exports.findById = async (id, trx = db) => {
+  const row = await withStudio(trx).where('r.id', id).first();
+  return toRoom(row);
+};
+
+exports.findByStudio = async (studioId, trx = db) => {
+  const rows = await withStudio(trx).where('r.studio_id', studioId).orderBy('r.name');
+  return rows.map(toRoom);
+};
+
+exports.findByIds = async (ids, trx = db) => {
+  if (!ids.length) return [];
+  const rows = await withStudio(trx).whereIn('r.id', ids);
+  return rows.map(toRoom);
+};
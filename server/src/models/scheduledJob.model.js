@@ -0,0 +1,129 @@
+const db = require('../database');
+
+/**
+ * Map a scheduled_jobs row to the shape used by services
+ */
+const toJob = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    type: row.type,
+    payload: row.payload,
+    runAt: row.run_at,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    lastError: row.last_error,
+    dedupeKey: row.dedupe_key,
+    bookingId: row.booking_id,
+    lockedAt: row.locked_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('scheduled_jobs').where({ id }).first();
+  return toJob(row);
+};
+
+/**
+ * Add a job to the queue. A job with the same dedupeKey is only replaced
+ * when it was cancelled, so the same work is never queued twice.
+ *
+ * @returns {Promise<Object|null>} the job, or null when it was already queued
+ */
+exports.enqueue = async ({ type, payload = {}, runAt, maxAttempts, dedupeKey, bookingId }, trx = db) => {
+  const row = {
+    type,
+    payload: JSON.stringify(payload),
+    run_at: runAt,
+    max_attempts: maxAttempts,
+    dedupe_key: dedupeKey,
+    booking_id: bookingId,
+  };
+
+  const [inserted] = await trx('scheduled_jobs')
+    .insert(row)
+    .onConflict('dedupe_key')
+    .merge({
+      payload: row.payload,
+      run_at: row.run_at,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      locked_at: null,
+      completed_at: null,
+      updated_at: db.fn.now(),
+    })
+    .where('scheduled_jobs.status', 'cancelled')
+    .returning('*');
+
+  return toJob(inserted);
+};
+
+/**
+ * Lock due jobs for running and count the attempt. Jobs left running
+ * since before staleBefore (their process stopped mid-run) are claimed
+ * again. Rows locked by another process are skipped.
+ */
+exports.claimDue = async ({ now = new Date(), staleBefore, limit = 20 }, trx = db) => {
+  const due = trx('scheduled_jobs')
+    .select('id')
+    .where((builder) => {
+      builder
+        .where({ status: 'pending' }).andWhere('run_at', '<=', now)
+        .orWhere((stale) => stale.where({ status: 'running' }).andWhere('locked_at', '<', staleBefore));
+    })
+    .orderBy('run_at')
+    .limit(limit)
+    .forUpdate()
+    .skipLocked();
+
+  const rows = await trx('scheduled_jobs')
+    .whereIn('id', due)
+    .update({
+      status: 'running',
+      locked_at: db.fn.now(),
+      attempts: trx.raw('attempts + 1'),
+      updated_at: db.fn.now(),
+    })
+    .returning('*');
+
+  return rows.map(toJob);
+};
+
+exports.complete = async (id, trx = db) =>
+  trx('scheduled_jobs').where({ id }).update({
+    status: 'completed',
+    completed_at: db.fn.now(),
+    locked_at: null,
+    updated_at: db.fn.now(),
+  });
+
+/**
+ * Record a failed attempt: run the job again at retryAt, or mark it failed
+ * when no retry is given
+ */
+exports.fail = async (id, { error, retryAt }, trx = db) =>
+  trx('scheduled_jobs').where({ id }).update({
+    status: retryAt ? 'pending' : 'failed',
+    run_at: retryAt || undefined,
+    last_error: error,
+    locked_at: null,
+    updated_at: db.fn.now(),
+  });
+
+/**
+ * Cancel the pending jobs of a booking, optionally only of some types
+ *
+ * @returns {Promise<number>} the number of cancelled jobs
+ */
+exports.cancelForBooking = async (bookingId, { types } = {}, trx = db) => {
+  const query = trx('scheduled_jobs').where({ booking_id: bookingId, status: 'pending' });
+  if (types) query.whereIn('type', types);
+
+  return query.update({ status: 'cancelled', updated_at: db.fn.now() });
+};
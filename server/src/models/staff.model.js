@@ -0,0 +1,69 @@
+const db = require('../database');
+const { toNumber } = require('./helpers');
+
+/**
+ * Map a staff row (joined with its user) to the shape used by controllers
+ */
+const toStaff = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    studioId: row.studio_id,
+    name: row.user_name,
+    email: row.user_email,
+    role: row.role,
+    hourlyRate: toNumber(row.hourly_rate),
+    specialization: row.specialization,
+    availability: row.availability,
+    maxHoursPerDay: toNumber(row.max_hours_per_day),
+  };
+};
+
+const withUser = (trx) =>
+  trx('staff as st')
+    .join('users as u', 'u.id', 'st.user_id')
+    .select('st.*', 'u.name as user_name', 'u.email as user_email');
+
+exports.findById = async (id, trx = db) => {
+  const row = await withUser(trx).where('st.id', id).first();
+  return toStaff(row);
+};
+
+exports.findByIds = async (ids, trx = db) => {
+  if (!ids.length) return [];
+  const rows = await withUser(trx).whereIn('st.id', ids);
+  return rows.map(toStaff);
+};
+
+exports.findByUser = async (userId, trx = db) => {
+  const rows = await withUser(trx).where('st.user_id', userId);
+  return rows.map(toStaff);
+};
+
+exports.findByStudio = async (studioId, trx = db) => {
+  const rows = await withUser(trx).where('st.studio_id', studioId).orderBy('u.name');
+  return rows.map(toStaff);
+};
+
+/**
+ * Set the weekly availability template and daily hours limit of a staff
+ * member; undefined values are left unchanged and null removes a limit
+ */
+exports.updateSchedule = async (id, { availability, maxHoursPerDay }, trx = db) => {
+  const changes = { updated_at: db.fn.now() };
+  if (availability !== undefined) changes.availability = availability === null ? null : JSON.stringify(availability);
+  if (maxHoursPerDay !== undefined) changes.max_hours_per_day = maxHoursPerDay;
+
+  await trx('staff').where({ id }).update(changes);
+  return exports.findById(id, trx);
+};
+
+/**
+ * Check whether a user is a staff member of the given studio
+ */
+exports.isMemberOf = async (userId, studioId, trx = db) => {
+  const row = await trx('staff').where({ user_id: userId, studio_id: studioId }).first('id');
+  return Boolean(row);
+};
@@ -0,0 +1,77 @@
+const db = require('../database');
+const { whereOverlaps } = require('./helpers');
+
+/**
+ * Map a staff_time_off row to the shape used by controllers
+ */
+const toTimeOff = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    staffId: row.staff_id,
+    kind: row.kind,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    reason: row.reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+const COLUMNS = {
+  staffId: 'staff_id',
+  kind: 'kind',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  reason: 'reason',
+  createdBy: 'created_by',
+};
+
+/**
+ * Map camelCase attributes to staff_time_off columns, skipping undefined
+ * values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) row[column] = attributes[key];
+    return row;
+  }, {});
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('staff_time_off').where({ id }).first();
+  return toTimeOff(row);
+};
+
+/**
+ * Time-off entries of a staff member, optionally only those ending after a
+ * time
+ */
+exports.findByStaff = async (staffId, { from } = {}, trx = db) => {
+  const query = trx('staff_time_off').where({ staff_id: staffId }).orderBy('start_time');
+  if (from) query.where('end_time', '>', new Date(from));
+
+  const rows = await query;
+  return rows.map(toTimeOff);
+};
+
+/**
+ * Time-off entries of the given staff overlapping a range
+ */
+exports.findInRange = async ({ staffIds, startTime, endTime }, trx = db) => {
+  if (!staffIds.length) return [];
+
+  const query = trx('staff_time_off').whereIn('staff_id', staffIds).orderBy('start_time');
+  whereOverlaps(query, 'start_time', 'end_time', startTime, endTime);
+
+  const rows = await query;
+  return rows.map(toTimeOff);
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('staff_time_off').insert(toColumns(attributes)).returning('*');
+  return toTimeOff(row);
+};
+
+exports.remove = async (id, trx = db) => trx('staff_time_off').where({ id }).del();
@@ -0,0 +1,61 @@
+const db = require('../database');
+
+/**
+ * Map a studios row to the shape used by controllers
+ */
+const toStudio = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    description: row.description,
+    address: row.address,
+    contactInfo: row.contact_info,
+    workingHours: row.working_hours,
+    timezone: row.timezone,
+    bookingRules: row.booking_rules,
+    pricingRules: row.pricing_rules,
+    taxSettings: row.tax_settings,
+    invoicePrefix: row.invoice_prefix,
+    autoConfirmOnDeposit: row.auto_confirm_on_deposit,
+    cancellationPolicy: row.cancellation_policy,
+    branding: row.branding,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+exports.findById = async (id, trx = db) => {
+  const row = await trx('studios').where({ id }).first();
+  return toStudio(row);
+};
+
+exports.findByOwner = async (ownerId, trx = db) => {
+  const rows = await trx('studios').where({ owner_id: ownerId }).orderBy('name');
+  return rows.map(toStudio);
+};
+
+/**
+ * Reserve the next invoice number of a studio. The row lock taken by the
+ * update keeps numbers sequential and gap-free when used in a transaction.
+ */
+exports.nextInvoiceNumber = async (id, trx = db) => {
+  const [row] = await trx('studios')
+    .where({ id })
+    .increment('next_invoice_number', 1)
+    .returning(['next_invoice_number', 'invoice_prefix']);
+  return { sequenceNumber: row.next_invoice_number - 1, prefix: row.invoice_prefix };
+};
+
+/**
+ * Set the branding applied to a studio's notifications, or null for none
+ */
+exports.updateBranding = async (id, branding, trx = db) => {
+  const [row] = await trx('studios')
+    .where({ id })
+    .update({ branding: branding === null ? null : JSON.stringify(branding), updated_at: db.fn.now() })
+    .returning('*');
+  return toStudio(row);
+};
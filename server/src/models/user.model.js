@@ -0,0 +1,84 @@
+const db = require('../database');
+
+/**
+ * Map a users row to the shape used by controllers
+ */
+const toUser = (row, { withPassword = false } = {}) => {
+  if (!row) return null;
+
+  const user = {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    phone: row.phone,
+    userType: row.user_type,
+    locale: row.locale,
+    notificationPreferences: row.notification_preferences,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+
+  if (withPassword) {
+    user.password = row.password;
+    user.resetPasswordToken = row.reset_password_token;
+    user.resetPasswordExpires = row.reset_password_expires;
+  }
+
+  return user;
+};
+
+const COLUMNS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  password: 'password',
+  userType: 'user_type',
+  locale: 'locale',
+  notificationPreferences: 'notification_preferences',
+  resetPasswordToken: 'reset_password_token',
+  resetPasswordExpires: 'reset_password_expires',
+};
+
+const JSON_COLUMNS = ['notification_preferences'];
+
+/**
+ * Map camelCase attributes to users columns, skipping undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) {
+      row[column] = JSON_COLUMNS.includes(column) && attributes[key] !== null
+        ? JSON.stringify(attributes[key])
+        : attributes[key];
+    }
+    return row;
+  }, {});
+
+exports.findById = async (id, options = {}, trx = db) => {
+  const row = await trx('users').where({ id }).first();
+  return toUser(row, options);
+};
+
+exports.findByEmail = async (email, options = {}, trx = db) => {
+  const row = await trx('users').whereRaw('lower(email) = lower(?)', [email]).first();
+  return toUser(row, options);
+};
+
+exports.findByIds = async (ids, trx = db) => {
+  if (!ids.length) return [];
+  const rows = await trx('users').whereIn('id', ids);
+  return rows.map((row) => toUser(row));
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('users').insert(toColumns(attributes)).returning('*');
+  return toUser(row);
+};
+
+exports.update = async (id, attributes, trx = db) => {
+  const [row] = await trx('users')
+    .where({ id })
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() })
+    .returning('*');
+  return toUser(row);
+};
@@ -0,0 +1,184 @@
+const db = require('../database');
+const { whereOverlaps } = require('./helpers');
+
+/**
+ * Map a waitlist_entries row (joined with room, studio and client) to the
+ * shape used by controllers
+ */
+const toEntry = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    equipmentIds: row.equipment_ids,
+    staffIds: row.staff_ids,
+    notes: row.notes,
+    status: row.status,
+    offeredAt: row.offered_at,
+    offerExpiresAt: row.offer_expires_at,
+    bookingId: row.booking_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    room: {
+      id: row.room_id,
+      name: row.room_name,
+      studio: {
+        id: row.studio_id,
+        name: row.studio_name,
+        timezone: row.studio_timezone,
+      },
+    },
+    client: {
+      id: row.client_id,
+      name: row.client_name,
+      email: row.client_email,
+      locale: row.client_locale,
+    },
+  };
+};
+
+const COLUMNS = {
+  clientId: 'client_id',
+  roomId: 'room_id',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  equipmentIds: 'equipment_ids',
+  staffIds: 'staff_ids',
+  notes: 'notes',
+  status: 'status',
+  offerTokenHash: 'offer_token_hash',
+  offeredAt: 'offered_at',
+  offerExpiresAt: 'offer_expires_at',
+  bookingId: 'booking_id',
+};
+
+const JSON_COLUMNS = ['equipment_ids', 'staff_ids'];
+
+/**
+ * Map camelCase attributes to waitlist_entries columns, skipping undefined values
+ */
+const toColumns = (attributes) =>
+  Object.entries(COLUMNS).reduce((row, [key, column]) => {
+    if (attributes[key] !== undefined) {
+      row[column] = JSON_COLUMNS.includes(column) ? JSON.stringify(attributes[key]) : attributes[key];
+    }
+    return row;
+  }, {});
+
+const baseQuery = (trx) =>
+  trx('waitlist_entries as w')
+    .join('rooms as r', 'r.id', 'w.room_id')
+    .join('studios as s', 's.id', 'r.studio_id')
+    .join('users as c', 'c.id', 'w.client_id')
+    .select(
+      'w.*',
+      'r.name as room_name',
+      'r.studio_id',
+      's.name as studio_name',
+      's.timezone as studio_timezone',
+      'c.name as client_name',
+      'c.email as client_email',
+      'c.locale as client_locale'
+    );
+
+exports.findById = async (id, trx = db) => {
+  const row = await baseQuery(trx).where('w.id', id).first();
+  return toEntry(row);
+};
+
+exports.findByClient = async (clientId, trx = db) => {
+  const rows = await baseQuery(trx).where('w.client_id', clientId).orderBy('w.start_time', 'asc');
+  return rows.map(toEntry);
+};
+
+exports.findByOfferTokenHash = async (offerTokenHash, trx = db) => {
+  const row = await baseQuery(trx).where('w.offer_token_hash', offerTokenHash).first();
+  return toEntry(row);
+};
+
+/**
+ * Waiting entries of a room whose session overlaps the range, first come
+ * first served
+ */
+exports.findWaiting = async ({ roomId, startTime, endTime }, trx = db) => {
+  const query = baseQuery(trx)
+    .where({ 'w.room_id': roomId, 'w.status': 'waiting' })
+    .where('w.start_time', '>', new Date())
+    .orderBy('w.created_at', 'asc');
+  whereOverlaps(query, 'w.start_time', 'w.end_time', startTime, endTime);
+
+  const rows = await query;
+  return rows.map(toEntry);
+};
+
+/**
+ * An open offer holding the room in the given range, other than the
+ * client's own
+ */
+exports.findOpenOffer = async ({ roomId, startTime, endTime, excludeClientId }, trx = db) => {
+  const query = trx('waitlist_entries')
+    .where({ room_id: roomId, status: 'offered' })
+    .where('offer_expires_at', '>', new Date());
+  whereOverlaps(query, 'start_time', 'end_time', startTime, endTime);
+  if (excludeClientId) query.whereNot({ client_id: excludeClientId });
+
+  const row = await query.first();
+  return row ? { id: row.id, startTime: row.start_time, endTime: row.end_time } : null;
+};
+
+/**
+ * Open offers overlapping the range, other than the client's own, with the
+ * room, equipment and staff each one holds
+ */
+exports.findOpenOffers = async ({ startTime, endTime, excludeClientId }, trx = db) => {
+  const query = trx('waitlist_entries')
+    .where({ status: 'offered' })
+    .where('offer_expires_at', '>', new Date());
+  whereOverlaps(query, 'start_time', 'end_time', startTime, endTime);
+  if (excludeClientId) query.whereNot({ client_id: excludeClientId });
+
+  const rows = await query;
+  return rows.map((row) => ({
+    id: row.id,
+    roomId: row.room_id,
+    equipmentIds: row.equipment_ids,
+    staffIds: row.staff_ids,
+    startTime: row.start_time,
+    endTime: row.end_time,
+  }));
+};
+
+/**
+ * Offers past their expiry that have not been accepted
+ */
+exports.findExpiredOffers = async (now = new Date(), trx = db) => {
+  const rows = await baseQuery(trx)
+    .where('w.status', 'offered')
+    .where('w.offer_expires_at', '<=', now);
+  return rows.map(toEntry);
+};
+
+exports.create = async (attributes, trx = db) => {
+  const [row] = await trx('waitlist_entries').insert(toColumns(attributes)).returning('id');
+  return exports.findById(row.id, trx);
+};
+
+/**
+ * Update an entry only while it still has the given status; resolves null
+ * when another request changed it first
+ */
+exports.updateIfStatus = async (id, status, attributes, trx = db) => {
+  const count = await trx('waitlist_entries')
+    .where({ id, status })
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() });
+  return count ? exports.findById(id, trx) : null;
+};
+
+exports.update = async (id, attributes, trx = db) => {
+  await trx('waitlist_entries')
+    .where({ id })
+    .update({ ...toColumns(attributes), updated_at: db.fn.now() });
+  return exports.findById(id, trx);
+};
@@ -15,6 +15,8 @@ router.post(
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
     body('userType', 'User type is required').isIn(['studio_owner', 'musician', 'staff']),
+    body('phone', 'Phone must be in international format such as +15551234567').optional().matches(/^\+[1-9]\d{6,14}$/),
+    body('locale', 'Locale must be a language tag such as "en" or "es-MX"').optional().matches(/^[a-z]{2}([-_][A-Za-z]{2})?$/),
   ],
   authController.register
 );
@@ -39,7 +41,15 @@ router.get('/me', protect, authController.getCurrentUser);
 // @route   PUT /api/auth/update
 // @desc    Update user profile
 // @access  Private
-router.put('/update', protect, authController.updateProfile);
+router.put(
+  '/update',
+  [
+    protect,
+    body('phone', 'Phone must be in international format such as +15551234567').optional({ values: 'null' }).matches(/^\+[1-9]\d{6,14}$/),
+    body('locale', 'Locale must be a language tag such as "en" or "es-MX"').optional().matches(/^[a-z]{2}([-_][A-Za-z]{2})?$/),
+  ],
+  authController.updateProfile
+);
 
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
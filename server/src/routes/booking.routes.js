@@ -1,7 +1,10 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const bookingController = require('../controllers/booking.controller');
+const checkoutController = require('../controllers/equipmentCheckout.controller');
+const assignmentController = require('../controllers/staffAssignment.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
+const { STATUSES } = require('../services/bookingState.service');
 
 const router = express.Router();
 
@@ -15,11 +18,133 @@ router.get('/', protect, bookingController.getAllBookings);
 // @access  Private (all users)
 router.get('/user', protect, bookingController.getUserBookings);
 
+// @route   POST /api/bookings/quote
+// @desc    Get an itemized price for a prospective booking
+// @access  Private (all users)
+router.post(
+  '/quote',
+  [
+    protect,
+    body('roomId', 'Room ID is required').notEmpty(),
+    body('roomIds', 'Room IDs must be a list').optional().isArray(),
+    body('equipment', 'Equipment must be a list of { id, quantity }').optional().isArray(),
+    body('startTime', 'Valid start time is required').isISO8601(),
+    body('endTime', 'Valid end time is required').isISO8601(),
+  ],
+  bookingController.getBookingQuote
+);
+
+// @route   GET /api/bookings/deleted
+// @desc    Get soft-deleted bookings of the owner's studios
+// @access  Private (studio_owner)
+router.get('/deleted', protect, authorize('studio_owner'), bookingController.getDeletedBookings);
+
+// @route   POST /api/bookings/purge
+// @desc    Permanently remove bookings deleted longer ago than the retention period
+// @access  Private (studio_owner)
+router.post('/purge', protect, authorize('studio_owner'), bookingController.purgeDeletedBookings);
+
+// @route   POST /api/bookings/series
+// @desc    Create a recurring booking series
+// @access  Private (all users)
+router.post(
+  '/series',
+  [
+    protect,
+    body('roomId', 'Room ID is required').notEmpty(),
+    body('roomIds', 'Room IDs must be a list').optional().isArray(),
+    body('equipment', 'Equipment must be a list of { id, quantity }').optional().isArray(),
+    body('startTime', 'Valid start time is required').isISO8601(),
+    body('endTime', 'Valid end time is required').isISO8601(),
+    body('recurrence', 'Recurrence rule is required').isObject(),
+  ],
+  bookingController.createBookingSeries
+);
+
+// @route   GET /api/bookings/series/:seriesId
+// @desc    Get a recurring booking series with its occurrences
+// @access  Private (series owner, studio_owner, staff)
+router.get('/series/:seriesId', protect, bookingController.getBookingSeries);
+
 // @route   GET /api/bookings/:id
 // @desc    Get booking by ID
 // @access  Private (all users with appropriate access)
 router.get('/:id', protect, bookingController.getBookingById);
 
+// @route   GET /api/bookings/:id/history
+// @desc    Get the audit history of a booking
+// @access  Private (studio_owner, staff of the booking's studio)
+router.get('/:id/history', protect, bookingController.getBookingHistory);
+
+// @route   GET /api/bookings/:id/staff-suggestions
+// @desc    Rank the studio's staff for a booking, with the reasons for each rank
+// @access  Private (studio_owner, staff of the booking's studio)
+router.get(
+  '/:id/staff-suggestions',
+  [
+    protect,
+    authorize('studio_owner', 'staff'),
+    query('specialization', 'Specialization must be text').optional().isString().trim(),
+  ],
+  assignmentController.getStaffSuggestions
+);
+
+// @route   POST /api/bookings/:id/auto-assign
+// @desc    Assign the best ranked available staff member to a booking
+// @access  Private (studio_owner, staff of the booking's studio)
+router.post(
+  '/:id/auto-assign',
+  [
+    protect,
+    authorize('studio_owner', 'staff'),
+    body('specialization', 'Specialization must be text').optional().isString().trim(),
+    body('requireSpecialization', 'requireSpecialization must be a boolean').optional().isBoolean().toBoolean(),
+  ],
+  assignmentController.autoAssign
+);
+
+// @route   GET /api/bookings/:id/equipment-checkouts
+// @desc    Get the equipment check-outs of a booking
+// @access  Private (booking owner, studio_owner, staff)
+router.get('/:id/equipment-checkouts', protect, checkoutController.getCheckouts);
+
+// @route   POST /api/bookings/:id/equipment-checkouts
+// @desc    Check out booked equipment
+// @access  Private (studio_owner, staff of the booking's studio)
+router.post(
+  '/:id/equipment-checkouts',
+  [
+    protect,
+    body('equipmentId', 'Equipment ID is required').notEmpty(),
+    body('quantity', 'Quantity must be a whole number of at least 1').optional().isInt({ min: 1 }).toInt(),
+    body('condition', 'Condition must be text').optional().isString(),
+  ],
+  checkoutController.checkOut
+);
+
+// @route   POST /api/bookings/:id/equipment-checkouts/:checkoutId/check-in
+// @desc    Check in equipment with its condition and any damage charge
+// @access  Private (studio_owner, staff of the booking's studio)
+router.post(
+  '/:id/equipment-checkouts/:checkoutId/check-in',
+  [
+    protect,
+    body('condition', 'Condition must be text').optional().isString(),
+    body('damageNotes', 'Damage notes must be text').optional().isString(),
+    body('damageCharge', 'Damage charge must be an amount of 0 or more').optional().isFloat({ min: 0 }).toFloat(),
+  ],
+  checkoutController.checkIn
+);
+
+// @route   GET /api/bookings/:id/invoice
+// @desc    Download the invoice of a booking as PDF (default) or HTML
+// @access  Private (booking owner, studio_owner, staff)
+router.get(
+  '/:id/invoice',
+  [protect, query('format', 'Format must be pdf or html').optional().isIn(['pdf', 'html'])],
+  bookingController.getBookingInvoice
+);
+
 // @route   POST /api/bookings
 // @desc    Create a new booking
 // @access  Private (all users)
@@ -28,6 +153,8 @@ router.post(
   [
     protect,
     body('roomId', 'Room ID is required').notEmpty(),
+    body('roomIds', 'Room IDs must be a list').optional().isArray(),
+    body('equipment', 'Equipment must be a list of { id, quantity }').optional().isArray(),
     body('startTime', 'Valid start time is required').isISO8601(),
     body('endTime', 'Valid end time is required').isISO8601(),
   ],
@@ -37,13 +164,29 @@ router.post(
 // @route   PUT /api/bookings/:id
 // @desc    Update a booking
 // @access  Private (booking owner, studio_owner, staff)
-router.put('/:id', protect, bookingController.updateBooking);
+router.put(
+  '/:id',
+  [
+    protect,
+    body('startTime', 'Valid start time is required').optional().isISO8601(),
+    body('endTime', 'Valid end time is required').optional().isISO8601(),
+    body('status', `Status must be one of ${STATUSES.join(', ')}`).optional().isIn(STATUSES),
+    body('equipment', 'Equipment must be a list of { id, quantity }').optional().isArray(),
+    body('notes', 'Notes must be text').optional({ nullable: true }).isString(),
+  ],
+  bookingController.updateBooking
+);
 
 // @route   DELETE /api/bookings/:id
-// @desc    Delete a booking
+// @desc    Soft-delete a booking
 // @access  Private (booking owner, studio_owner, staff)
 router.delete('/:id', protect, bookingController.deleteBooking);
 
+// @route   POST /api/bookings/:id/restore
+// @desc    Restore a soft-deleted booking
+// @access  Private (studio_owner)
+router.post('/:id/restore', protect, authorize('studio_owner'), bookingController.restoreBooking);
+
 // @route   POST /api/bookings/:id/confirm
 // @desc    Confirm a booking
 // @access  Private (studio_owner, staff)
@@ -54,9 +197,48 @@ router.post(
   bookingController.confirmBooking
 );
 
+// @route   POST /api/bookings/:id/status
+// @desc    Move a booking to another status (check-in, complete, no-show, reject, ...)
+// @access  Private (booking owner, studio_owner, staff; guarded per transition)
+router.post(
+  '/:id/status',
+  [
+    protect,
+    body('status', `Status must be one of ${STATUSES.join(', ')}`).isIn(STATUSES),
+    body('reason').optional().isString(),
+  ],
+  bookingController.changeBookingStatus
+);
+
 // @route   POST /api/bookings/:id/cancel
 // @desc    Cancel a booking
 // @access  Private (booking owner, studio_owner, staff)
 router.post('/:id/cancel', protect, bookingController.cancelBooking);
 
+// @route   PUT /api/bookings/:id/series
+// @desc    Update this, this and following, or all occurrences of a series
+// @access  Private (booking owner, studio_owner, staff)
+router.put(
+  '/:id/series',
+  [
+    protect,
+    body('scope', 'Scope must be this, following or all').isIn(['this', 'following', 'all']),
+    body('startTime', 'Valid start time is required').optional().isISO8601(),
+    body('endTime', 'Valid end time is required').optional().isISO8601(),
+  ],
+  bookingController.updateBookingSeries
+);
+
+// @route   POST /api/bookings/:id/series/cancel
+// @desc    Cancel this, this and following, or all occurrences of a series
+// @access  Private (booking owner, studio_owner, staff)
+router.post(
+  '/:id/series/cancel',
+  [
+    protect,
+    body('scope', 'Scope must be this, following or all').isIn(['this', 'following', 'all']),
+  ],
+  bookingController.cancelBookingSeries
+);
+
 module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body } = require('express-validator');
+const calendarController = require('../controllers/calendar.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   GET /api/calendar/feeds/:token.ics
+// @desc    Get the iCalendar document of a feed
+// @access  Public (secret feed token)
+router.get('/feeds/:token.ics', calendarController.getFeedCalendar);
+
+// @route   GET /api/calendar/feeds
+// @desc    List the current user's calendar feeds
+// @access  Private
+router.get('/feeds', protect, calendarController.getFeeds);
+
+// @route   POST /api/calendar/feeds
+// @desc    Create a calendar feed, or replace the URL of an existing one
+// @access  Private
+router.post(
+  '/feeds',
+  [
+    protect,
+    body('kind', 'Kind must be bookings, assignments or studio').isIn(['bookings', 'assignments', 'studio']),
+    body('studioId', 'Studio ID is required for a studio feed').if(body('kind').equals('studio')).isString().notEmpty(),
+  ],
+  calendarController.createFeed
+);
+
+// @route   DELETE /api/calendar/feeds/:id
+// @desc    Delete a calendar feed, disabling its URL
+// @access  Private
+router.delete('/feeds/:id', protect, calendarController.deleteFeed);
+
+// @route   GET /api/calendar/connections
+// @desc    List the external calendars linked by the current user
+// @access  Private
+router.get('/connections', protect, calendarController.getConnections);
+
+// @route   POST /api/calendar/connections
+// @desc    Link an external CalDAV calendar to a staff member or room
+// @access  Private (studio owner, or the staff member)
+router.post(
+  '/connections',
+  [
+    protect,
+    body('staffId', 'Staff ID must be a string').optional().isString(),
+    body('roomId', 'Room ID must be a string').optional().isString(),
+    body('url', 'A valid calendar URL is required').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+    body('username', 'Username must be a string').optional().isString(),
+    body('password', 'Password must be a string').optional().isString(),
+    body('writeBack', 'Write back must be a boolean').optional().isBoolean().toBoolean(),
+  ],
+  calendarController.createConnection
+);
+
+// @route   POST /api/calendar/connections/:id/sync
+// @desc    Sync a linked calendar now
+// @access  Private
+router.post('/connections/:id/sync', protect, calendarController.syncConnection);
+
+// @route   DELETE /api/calendar/connections/:id
+// @desc    Unlink an external calendar
+// @access  Private
+router.delete('/connections/:id', protect, calendarController.deleteConnection);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const inventoryController = require('../controllers/equipmentInventory.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   DELETE /api/equipment/maintenance/:windowId
+// @desc    Cancel a maintenance window
+// @access  Private (studio_owner, staff)
+router.delete(
+  '/maintenance/:windowId',
+  protect,
+  authorize('studio_owner', 'staff'),
+  inventoryController.removeMaintenanceWindow
+);
+
+// @route   GET /api/equipment/:id/stock
+// @desc    Get the stock of an item, and the units free over a range
+// @access  Private (all users)
+router.get(
+  '/:id/stock',
+  [
+    protect,
+    query('startTime', 'Valid start time is required').optional().isISO8601(),
+    query('endTime', 'Valid end time is required').optional().isISO8601(),
+  ],
+  inventoryController.getStock
+);
+
+// @route   PUT /api/equipment/:id/stock
+// @desc    Set the number of units in stock
+// @access  Private (studio_owner, staff)
+router.put(
+  '/:id/stock',
+  [
+    protect,
+    authorize('studio_owner', 'staff'),
+    body('quantity', 'Quantity must be a whole number of at least 0').isInt({ min: 0 }).toInt(),
+  ],
+  inventoryController.updateStock
+);
+
+// @route   GET /api/equipment/:id/maintenance
+// @desc    Get current and upcoming maintenance windows of an item
+// @access  Private (studio_owner, staff)
+router.get(
+  '/:id/maintenance',
+  protect,
+  authorize('studio_owner', 'staff'),
+  inventoryController.getMaintenanceWindows
+);
+
+// @route   POST /api/equipment/:id/maintenance
+// @desc    Schedule maintenance or mark units out of service
+// @access  Private (studio_owner, staff)
+router.post(
+  '/:id/maintenance',
+  [
+    protect,
+    authorize('studio_owner', 'staff'),
+    body('kind', 'Kind must be maintenance or out_of_service').optional().isIn(['maintenance', 'out_of_service']),
+    body('startTime', 'Valid start time is required').isISO8601(),
+    body('endTime', 'Valid end time is required').isISO8601(),
+    body('quantity', 'Quantity must be a whole number of at least 1').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  ],
+  inventoryController.addMaintenanceWindow
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const eventController = require('../controllers/event.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   POST /api/events/ticket
+// @desc    Get a short-lived ticket to open the booking event stream with
+// @access  Private
+router.post('/ticket', protect, eventController.createStreamTicket);
+
+// @route   GET /api/events/bookings?ticket=
+// @desc    Stream booking events of the studios the user can access
+// @access  Private (stream ticket)
+router.get('/bookings', eventController.streamBookingEvents);
+
+module.exports = router;
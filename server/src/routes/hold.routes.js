@@ -0,0 +1,36 @@
+const express = require('express');
+const { body } = require('express-validator');
+const holdController = require('../controllers/hold.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   POST /api/holds
+// @desc    Hold a session while the client completes the booking
+// @access  Private (all users)
+router.post(
+  '/',
+  [
+    protect,
+    body('roomId', 'Room ID is required').notEmpty(),
+    body('roomIds', 'Room IDs must be a list').optional().isArray(),
+    body('equipment', 'Equipment must be a list of { id, quantity }').optional().isArray(),
+    body('startTime', 'Valid start time is required').isISO8601(),
+    body('endTime', 'Valid end time is required').isISO8601(),
+    body('equipmentIds', 'Equipment IDs must be a list').optional().isArray(),
+    body('staffIds', 'Staff IDs must be a list').optional().isArray(),
+  ],
+  holdController.createHold
+);
+
+// @route   POST /api/holds/:id/convert
+// @desc    Turn a hold into a booking request
+// @access  Private (hold owner)
+router.post('/:id/convert', protect, holdController.convertHold);
+
+// @route   DELETE /api/holds/:id
+// @desc    Release a hold
+// @access  Private (hold owner)
+router.delete('/:id', protect, holdController.releaseHold);
+
+module.exports = router;
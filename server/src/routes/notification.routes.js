@@ -0,0 +1,141 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const notificationController = require('../controllers/notification.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { isPushServiceEndpoint } = require('../utils/webPush');
+
+const router = express.Router();
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's notification channels for every event
+// @access  Private
+router.get('/preferences', protect, notificationController.getPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Change the current user's notification channels
+// @access  Private
+router.put(
+  '/preferences',
+  [
+    protect,
+    body('preferences', 'Preferences must map events to channels, e.g. { "booking_reminder": { "sms": true } }').isObject(),
+  ],
+  notificationController.updatePreferences
+);
+
+// @route   GET /api/notifications/push/public-key
+// @desc    Get the public VAPID key to subscribe to web push with
+// @access  Private
+router.get('/push/public-key', protect, notificationController.getPushPublicKey);
+
+// @route   POST /api/notifications/push/subscriptions
+// @desc    Register a browser push subscription for the current user
+// @access  Private
+router.post(
+  '/push/subscriptions',
+  [
+    protect,
+    body('endpoint', 'Subscription endpoint must be an https URL of a browser push service').custom(isPushServiceEndpoint),
+    body('keys.p256dh', 'Subscription key p256dh is required').isString().notEmpty(),
+    body('keys.auth', 'Subscription key auth is required').isString().notEmpty(),
+  ],
+  notificationController.subscribePush
+);
+
+// @route   DELETE /api/notifications/push/subscriptions
+// @desc    Remove a browser push subscription of the current user
+// @access  Private
+router.delete(
+  '/push/subscriptions',
+  [protect, body('endpoint', 'Subscription endpoint is required').isString().notEmpty()],
+  notificationController.unsubscribePush
+);
+
+// @route   GET /api/notifications/templates
+// @desc    List notification templates with their languages and example data
+// @access  Private (studio_owner)
+router.get('/templates', protect, authorize('studio_owner'), notificationController.getTemplates);
+
+// @route   POST /api/notifications/templates/:name/preview
+// @desc    Render a notification with example data
+// @access  Private (studio_owner)
+router.post(
+  '/templates/:name/preview',
+  [
+    protect,
+    authorize('studio_owner'),
+    body('locale', 'Locale must be text').optional().isString(),
+    body('studioId', 'Studio ID must be text').optional().isString(),
+    body('data', 'Data must be an object').optional().isObject(),
+    body('template', 'Template must be an object').optional().isObject(),
+    body(['template.subject', 'template.text', 'template.html'], 'Template subject, text and html are required')
+      .if(body('template').exists())
+      .isString(),
+  ],
+  notificationController.previewTemplate
+);
+
+// @route   GET /api/notifications/studios/:studioId
+// @desc    Get the notification branding and template overrides of a studio
+// @access  Private (studio_owner)
+router.get(
+  '/studios/:studioId',
+  protect,
+  authorize('studio_owner'),
+  notificationController.getStudioNotifications
+);
+
+// @route   GET /api/notifications/studios/:studioId/emails
+// @desc    Get the emails sent for a studio with their delivery status
+// @access  Private (studio_owner)
+router.get(
+  '/studios/:studioId/emails',
+  [
+    protect,
+    authorize('studio_owner'),
+    query('status', 'Status must be pending, sent or failed').optional().isIn(['pending', 'sent', 'failed']),
+    query('bookingId', 'Booking ID must be a UUID').optional().isUUID(),
+    query('limit', 'Limit must be between 1 and 200').optional().isInt({ min: 1, max: 200 }),
+  ],
+  notificationController.getEmailLog
+);
+
+// @route   PUT /api/notifications/studios/:studioId/branding
+// @desc    Set the branding of a studio's notifications
+// @access  Private (studio_owner)
+router.put(
+  '/studios/:studioId/branding',
+  [
+    protect,
+    authorize('studio_owner'),
+    body('branding', 'Branding must be an object or null').custom((value) => value === null || (typeof value === 'object' && !Array.isArray(value))),
+  ],
+  notificationController.updateBranding
+);
+
+// @route   PUT /api/notifications/studios/:studioId/templates/:name/:locale
+// @desc    Override a notification template for a studio in one language
+// @access  Private (studio_owner)
+router.put(
+  '/studios/:studioId/templates/:name/:locale',
+  [
+    protect,
+    authorize('studio_owner'),
+    body('subject', 'Subject is required').isString().notEmpty(),
+    body('text', 'Text is required').isString().notEmpty(),
+    body('html', 'HTML is required').isString().notEmpty(),
+  ],
+  notificationController.setTemplateOverride
+);
+
+// @route   DELETE /api/notifications/studios/:studioId/templates/:name/:locale
+// @desc    Go back to the built-in template for a studio in one language
+// @access  Private (studio_owner)
+router.delete(
+  '/studios/:studioId/templates/:name/:locale',
+  protect,
+  authorize('studio_owner'),
+  notificationController.removeTemplateOverride
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { body } = require('express-validator');
+const paymentController = require('../controllers/payment.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook
+// @desc    Receive Stripe webhook events (raw body, see server.js)
+// @access  Public (verified by Stripe signature)
+router.post('/webhook', paymentController.handleStripeWebhook);
+
+// @route   POST /api/payments/intents
+// @desc    Create a Stripe payment intent for a booking deposit or balance
+// @access  Private (booking owner, studio_owner)
+router.post(
+  '/intents',
+  [
+    protect,
+    body('bookingId', 'Booking ID is required').notEmpty(),
+    body('paymentType', 'Payment type must be deposit or full').isIn(['deposit', 'full']),
+  ],
+  paymentController.createPaymentIntent
+);
+
+// @route   GET /api/payments/booking/:bookingId
+// @desc    Get payments of a booking
+// @access  Private (booking owner, studio_owner, staff)
+router.get('/booking/:bookingId', protect, paymentController.getBookingPayments);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { query } = require('express-validator');
+const availabilityController = require('../controllers/availability.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   GET /api/rooms/:id/availability
+// @desc    Get free slots of a room
+// @access  Private (all users)
+router.get(
+  '/:id/availability',
+  [
+    protect,
+    query('from', 'Valid from date is required').isISO8601(),
+    query('to', 'Valid to date is required').isISO8601(),
+    query('minDuration', 'Minimum duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+  ],
+  availabilityController.getRoomAvailability
+);
+
+module.exports = router;
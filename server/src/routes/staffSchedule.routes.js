@@ -0,0 +1,74 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const scheduleController = require('../controllers/staffSchedule.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   GET /api/staff/me/schedule
+// @desc    Get the sessions, time off and schedule of the current staff user
+// @access  Private (staff)
+router.get(
+  '/me/schedule',
+  [
+    protect,
+    authorize('staff'),
+    query('from', 'Valid from time is required').optional().isISO8601(),
+    query('to', 'Valid to time is required').optional().isISO8601(),
+  ],
+  scheduleController.getMySchedule
+);
+
+// @route   DELETE /api/staff/time-off/:timeOffId
+// @desc    Remove a time-off entry
+// @access  Private (studio_owner, staff)
+router.delete(
+  '/time-off/:timeOffId',
+  protect,
+  authorize('studio_owner', 'staff'),
+  scheduleController.removeTimeOff
+);
+
+// @route   PUT /api/staff/:id/schedule
+// @desc    Set the weekly availability and daily hours limit of a staff member
+// @access  Private (studio_owner)
+router.put(
+  '/:id/schedule',
+  [
+    protect,
+    authorize('studio_owner'),
+    body('availability', 'Availability must be an object of weekdays').optional({ nullable: true }).isObject(),
+    body('maxHoursPerDay', 'Max hours per day must be between 0 and 24')
+      .optional({ nullable: true })
+      .isFloat({ gt: 0, max: 24 })
+      .toFloat(),
+  ],
+  scheduleController.updateSchedule
+);
+
+// @route   GET /api/staff/:id/time-off
+// @desc    Get current and upcoming time off of a staff member
+// @access  Private (studio_owner, staff)
+router.get(
+  '/:id/time-off',
+  protect,
+  authorize('studio_owner', 'staff'),
+  scheduleController.getTimeOff
+);
+
+// @route   POST /api/staff/:id/time-off
+// @desc    Add time off or a holiday for a staff member
+// @access  Private (studio_owner, staff)
+router.post(
+  '/:id/time-off',
+  [
+    protect,
+    authorize('studio_owner', 'staff'),
+    body('kind', 'Kind must be time_off or holiday').optional().isIn(['time_off', 'holiday']),
+    body('startTime', 'Valid start time is required').isISO8601(),
+    body('endTime', 'Valid end time is required').isISO8601(),
+  ],
+  scheduleController.addTimeOff
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { body } = require('express-validator');
+const waitlistController = require('../controllers/waitlist.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// @route   POST /api/waitlist/accept
+// @desc    Accept a waitlist offer and book the session
+// @access  Public (authorized by the emailed offer token)
+router.post(
+  '/accept',
+  [body('token', 'Offer token is required').isString().notEmpty()],
+  waitlistController.acceptOffer
+);
+
+// @route   GET /api/waitlist
+// @desc    Get the current user's waitlist entries
+// @access  Private (all users)
+router.get('/', protect, waitlistController.getMyWaitlist);
+
+// @route   POST /api/waitlist
+// @desc    Join the waitlist for a booked-out session
+// @access  Private (all users)
+router.post(
+  '/',
+  [
+    protect,
+    body('roomId', 'Room ID is required').notEmpty(),
+    body('startTime', 'Valid start time is required').isISO8601(),
+    body('endTime', 'Valid end time is required').isISO8601(),
+    body('equipmentIds', 'Equipment IDs must be a list').optional().isArray(),
+    body('staffIds', 'Staff IDs must be a list').optional().isArray(),
+  ],
+  waitlistController.joinWaitlist
+);
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Private (entry owner)
+router.delete('/:id', protect, waitlistController.leaveWaitlist);
+
+module.exports = router;
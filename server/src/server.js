@@ -10,12 +10,29 @@ const authRoutes = require('./routes/auth.routes');
 const studioRoutes = require('./routes/studio.routes');
 const roomRoutes = require('./routes/room.routes');
 const equipmentRoutes = require('./routes/equipment.routes');
+const equipmentInventoryRoutes = require('./routes/equipmentInventory.routes');
 const bookingRoutes = require('./routes/booking.routes');
 const staffRoutes = require('./routes/staff.routes');
+const staffScheduleRoutes = require('./routes/staffSchedule.routes');
 const clientRoutes = require('./routes/client.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const holdRoutes = require('./routes/hold.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const eventRoutes = require('./routes/event.routes');
+const calendarRoutes = require('./routes/calendar.routes');
 const reportRoutes = require('./routes/report.routes');
 
+// Import background jobs
+const { startBookingLifecycleJob } = require('./jobs/bookingLifecycle.job');
+const { startWaitlistJob } = require('./jobs/waitlist.job');
+const { startHoldSweeperJob } = require('./jobs/holdSweeper.job');
+const { startSchedulerJob } = require('./jobs/scheduler.job');
+const { startCalendarSyncJob } = require('./jobs/calendarSync.job');
+
+// Import request context for audit logging
+const { requestContext } = require('./utils/requestContext');
+
 // Import error handlers
 const { notFound, errorHandler } = require('./middleware/errorMiddleware');
 
@@ -28,6 +45,9 @@ app.use(helmet());
 // Enable CORS
 app.use(cors());
 
+// Keep the raw body for Stripe webhook signature verification
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
 // Parse JSON body
 app.use(express.json());
 
@@ -37,15 +57,25 @@ app.use(express.urlencoded({ extended: true }));
 // HTTP request logger
 app.use(morgan('dev'));
 
+// Make the client IP and user agent available to services
+app.use(requestContext);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/studios', studioRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/equipment', equipmentRoutes);
+app.use('/api/equipment', equipmentInventoryRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/staff', staffRoutes);
+app.use('/api/staff', staffScheduleRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/holds', holdRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/reports', reportRoutes);
 
 // Serve static assets in production
@@ -68,6 +98,23 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  if (process.env.NODE_ENV !== 'test') {
+    // Complete or mark as no-show bookings whose session has ended
+    startBookingLifecycleJob();
+
+    // Offer freed slots to the waitlist and expire stale offers
+    startWaitlistJob();
+
+    // Release tentative holds that were not turned into bookings in time
+    startHoldSweeperJob();
+
+    // Send session reminders and follow-ups from the scheduled job queue
+    startSchedulerJob();
+
+    // Sync linked external calendars and write booking changes to them
+    startCalendarSyncJob();
+  }
 });
 
 module.exports = app; // For testing
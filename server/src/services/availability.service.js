@@ -0,0 +1,254 @@
+const Booking = require('../models/booking.model');
+const Equipment = require('../models/equipment.model');
+const ExternalBusyBlock = require('../models/externalBusyBlock.model');
+const EquipmentMaintenance = require('../models/equipmentMaintenance.model');
+const Room = require('../models/room.model');
+const Staff = require('../models/staff.model');
+const StaffTimeOff = require('../models/staffTimeOff.model');
+const Studio = require('../models/studio.model');
+const { AppError } = require('../utils/errors');
+const { subtractIntervals, clipIntervals, findSaturatedIntervals } = require('../utils/intervals');
+const {
+  MINUTE_MS,
+  DAY_MS,
+  parseTimeOfDay,
+  addDays,
+  eachZonedDate,
+  zonedTimeToUtc,
+} = require('../utils/time');
+
+// Longest range a single availability search may cover
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Opening windows for one weekday from a studio's working_hours JSON.
+ *
+ * working_hours maps lower-case weekday names to a list of
+ * { open: "HH:mm", close: "HH:mm" } windows in studio-local time (a single
+ * window object is accepted too). Missing, null or empty days are closed.
+ * A close time at or before the open time runs past midnight.
+ *
+ * @returns {Array<{ open: number, close: number }>|null} minutes after local
+ *   midnight, or null when the studio has no working hours configured
+ */
+const getDayWindows = (workingHours, weekday) => {
+  if (!workingHours) return null;
+
+  const day = workingHours[weekday];
+  const windows = Array.isArray(day) ? day : day ? [day] : [];
+
+  return windows
+    .map(({ open, close }) => ({ open: parseTimeOfDay(open), close: parseTimeOfDay(close) }))
+    .filter(({ open, close }) => open !== null && close !== null)
+    .map(({ open, close }) => ({ open, close: close > open ? close : close + 24 * 60 }));
+};
+
+/**
+ * Opening windows of a studio within [from, to) as absolute intervals
+ */
+const getOpeningWindows = (studio, from, to) => {
+  if (!studio.workingHours) {
+    return [{ start: new Date(from).getTime(), end: new Date(to).getTime() }];
+  }
+
+  // Start a day early so windows running past midnight are included
+  const [first, ...rest] = eachZonedDate(from, to, studio.timezone);
+  const dates = [addDays(first, -1), first, ...rest];
+
+  const windows = dates.flatMap((date) =>
+    getDayWindows(studio.workingHours, date.weekday).map(({ open, close }) => ({
+      start: zonedTimeToUtc({ ...date, minutes: open }, studio.timezone),
+      end: zonedTimeToUtc({ ...date, minutes: close }, studio.timezone),
+    }))
+  );
+
+  return clipIntervals(windows, from, to);
+};
+
+/**
+ * Validate and normalize availability search options
+ */
+const parseOptions = ({ from, to, minDuration, equipmentIds = [], staffIds = [] }) => {
+  const start = new Date(from);
+  const end = new Date(to);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+    throw new AppError('A valid range with "to" after "from" is required', 400);
+  }
+
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AppError(`Availability can be searched at most ${MAX_RANGE_DAYS} days at a time`, 400);
+  }
+
+  return {
+    from: start,
+    to: end,
+    minDurationMs: (Number(minDuration) || 0) * MINUTE_MS,
+    equipmentIds,
+    staffIds,
+  };
+};
+
+const toSlot = ({ start, end }) => ({
+  startTime: new Date(start),
+  endTime: new Date(end),
+  durationMinutes: Math.round((end - start) / MINUTE_MS),
+});
+
+/**
+ * Times within the range when no unit of a requested equipment item is
+ * free, counting bookings and maintenance windows against its stock
+ */
+const findEquipmentBusy = async (equipmentIds, range) => {
+  if (!equipmentIds.length) return [];
+
+  const [items, usage, maintenance] = await Promise.all([
+    Equipment.findByIds(equipmentIds),
+    Booking.findEquipmentUsageInRange({ equipmentIds, ...range }),
+    EquipmentMaintenance.findInRange({ equipmentIds, ...range }),
+  ]);
+
+  return items.flatMap((item) => {
+    const stock = item.isAvailable ? item.quantity : 0;
+    if (stock <= 0) return [{ start: range.startTime, end: range.endTime }];
+
+    const used = [
+      ...usage
+        .filter((row) => row.equipment_id === item.id)
+        .map((row) => ({ start: row.start_time, end: row.end_time, quantity: row.quantity })),
+      ...maintenance
+        .filter((window) => window.equipmentId === item.id)
+        .map((window) => ({ start: window.startTime, end: window.endTime, quantity: window.quantity || stock })),
+    ];
+
+    return findSaturatedIntervals(used, stock);
+  });
+};
+
+/**
+ * Times within the range when a requested staff member does not work: outside
+ * their weekly availability template (in the studio's time zone), on time
+ * off or busy in their linked calendar. Daily hour limits are only enforced
+ * when booking.
+ */
+const findStaffBusy = async (staffIds, timezone, range) => {
+  if (!staffIds.length) return [];
+
+  const [staff, timeOff, blocks] = await Promise.all([
+    Staff.findByIds(staffIds),
+    StaffTimeOff.findInRange({ staffIds, ...range }),
+    ExternalBusyBlock.findInRange({ staffIds, ...range }),
+  ]);
+
+  const offSchedule = staff.flatMap((member) => subtractIntervals(
+    [{ start: range.startTime, end: range.endTime }],
+    getOpeningWindows({ workingHours: member.availability, timezone }, range.startTime, range.endTime)
+  ));
+
+  return [
+    ...offSchedule,
+    ...[...timeOff, ...blocks].map((entry) => ({ start: entry.startTime, end: entry.endTime })),
+  ];
+};
+
+/**
+ * Free slots per room: opening windows minus the room's own bookings and
+ * busy times in its linked calendar, minus every booking and off-duty time
+ * of the requested staff and minus the times the requested equipment is out
+ * of stock
+ */
+const findFreeSlots = async (studio, rooms, options) => {
+  const { from, to, minDurationMs, equipmentIds, staffIds } = options;
+  const range = { startTime: from, endTime: to };
+  const roomIds = rooms.map((room) => room.id);
+
+  const [roomBookings, roomBlocks, staffBookings, staffBusy, equipmentBusy] = await Promise.all([
+    Booking.findInRange({ roomIds, ...range }),
+    ExternalBusyBlock.findInRange({ roomIds, ...range }),
+    Booking.findResourceUsageInRange({ staffIds, ...range }),
+    findStaffBusy(staffIds, studio.timezone, range),
+    findEquipmentBusy(equipmentIds, range),
+  ]);
+
+  const opening = getOpeningWindows(studio, from, to);
+  const sharedBusy = [
+    ...staffBookings.map((booking) => ({ start: booking.start_time, end: booking.end_time })),
+    ...staffBusy,
+    ...equipmentBusy,
+  ];
+
+  return rooms.map((room) => {
+    const busy = [
+      ...roomBookings
+        .filter((booking) => booking.room_id === room.id)
+        .map((booking) => ({ start: booking.start_time, end: booking.end_time })),
+      ...roomBlocks
+        .filter((block) => block.roomId === room.id)
+        .map((block) => ({ start: block.startTime, end: block.endTime })),
+    ];
+
+    const slots = subtractIntervals(opening, [...busy, ...sharedBusy])
+      .filter(({ start, end }) => end - start >= minDurationMs)
+      .map(toSlot);
+
+    return { roomId: room.id, roomName: room.name, slots };
+  });
+};
+
+/**
+ * Free slots of a single room
+ *
+ * @param {string} roomId
+ * @param {Object} options
+ * @param {string|Date} options.from  Start of the search range
+ * @param {string|Date} options.to  End of the search range
+ * @param {number} [options.minDuration]  Minimum slot length in minutes
+ * @param {string[]} [options.equipmentIds]  Equipment the session needs
+ * @param {string[]} [options.staffIds]  Staff the session needs
+ */
+exports.findRoomAvailability = async (roomId, options) => {
+  const parsed = parseOptions(options);
+
+  const room = await Room.findById(roomId);
+  if (!room) {
+    throw new AppError('Room not found', 404);
+  }
+
+  const studio = await Studio.findById(room.studio.id);
+  const [availability] = await findFreeSlots(studio, [room], parsed);
+
+  return {
+    ...availability,
+    studioId: studio.id,
+    timezone: studio.timezone,
+    from: parsed.from,
+    to: parsed.to,
+  };
+};
+
+/**
+ * Free slots of every active room of a studio; accepts the same options as
+ * findRoomAvailability
+ */
+exports.findStudioAvailability = async (studioId, options) => {
+  const parsed = parseOptions(options);
+
+  const studio = await Studio.findById(studioId);
+  if (!studio) {
+    throw new AppError('Studio not found', 404);
+  }
+
+  const rooms = (await Room.findByStudio(studio.id)).filter((room) => room.isActive);
+  const availability = await findFreeSlots(studio, rooms, parsed);
+
+  return {
+    studioId: studio.id,
+    timezone: studio.timezone,
+    from: parsed.from,
+    to: parsed.to,
+    rooms: availability,
+  };
+};
+
+exports.getDayWindows = getDayWindows;
+exports.getOpeningWindows = getOpeningWindows;
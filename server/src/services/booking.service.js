@@ -0,0 +1,658 @@
+const db = require('../database');
+const Booking = require('../models/booking.model');
+const Equipment = require('../models/equipment.model');
+const ExternalBusyBlock = require('../models/externalBusyBlock.model');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const User = require('../models/user.model');
+const Waitlist = require('../models/waitlist.model');
+const { AppError, BookingConflictError } = require('../utils/errors');
+const { DAY_MS } = require('../utils/time');
+const { renderInvoicePdf } = require('../utils/invoiceRenderer');
+const { assertBookingTimes } = require('./bookingRules.service');
+const { getInvoiceDocument, refreshInvoice } = require('./invoice.service');
+const { quoteBooking, addCharges, getEquipmentItems, formatMoney } = require('./pricing.service');
+const { planRefund, recordRefund, issueRefunds } = require('./refund.service');
+const notificationService = require('./notification.service');
+const { assertStaffAvailable } = require('./staffSchedule.service');
+const bookingState = require('./bookingState.service');
+const { getBookingInvite } = require('./calendar.service');
+const { SYSTEM_ACTOR, toActor, recordChange } = require('./bookingAudit.service');
+
+// Days a soft-deleted booking is kept before it can be purged
+const RETENTION_DAYS = Number(process.env.BOOKING_RETENTION_DAYS || 30);
+// Expired holds released per query
+const HOLD_BATCH_SIZE = 100;
+
+// Notification sent to the client for each status change made through
+// changeStatus
+const STATUS_TEMPLATES = {
+  checked_in: 'booking_checked_in',
+  completed: 'booking_completed',
+  no_show: 'booking_no_show',
+};
+
+/**
+ * Resolve how a user relates to a booking
+ */
+exports.getAccess = async (booking, user) => {
+  const isClient = booking.client.id === user.id;
+  const isStudioOwner = booking.room.studio.ownerId === user.id;
+  const isStaff = user.userType === 'staff' && await Staff.isMemberOf(user.id, booking.room.studio.id);
+
+  return { isClient, isStudioOwner, isStaff };
+};
+
+/**
+ * Load a booking or throw a 404 AppError
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.withDeleted]  Also find soft-deleted bookings
+ */
+exports.findBookingOrFail = async (id, options) => {
+  const booking = await Booking.findById(id, options);
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+  return booking;
+};
+
+/**
+ * Invoice PDF of a booking as an email attachment. A failure to render is
+ * logged rather than stopping the email.
+ */
+const getInvoiceAttachments = async (booking) => {
+  try {
+    const document = await getInvoiceDocument(booking, { issue: true });
+    return [{
+      filename: `${document.invoice.invoiceNumber}.pdf`,
+      content: await renderInvoicePdf(document),
+      contentType: 'application/pdf',
+    }];
+  } catch (error) {
+    console.error('Invoice attachment error:', error.message);
+    return [];
+  }
+};
+
+const HELD_RESOURCE_NAMES = { room: 'Room', staff: 'Staff member', equipment: 'Equipment' };
+
+/**
+ * Throw a BookingConflictError while any of the rooms or staff, or the
+ * requested units of any equipment, are held for another client by a
+ * waitlist offer
+ *
+ * @param {Object} slot  roomIds, equipment ({ id, quantity }), staffIds,
+ *   startTime, endTime, clientId and the excludeBookingId being changed
+ */
+const assertNotHeld = async ({ roomIds, equipment = [], staffIds = [], startTime, endTime, clientId, excludeBookingId }) => {
+  const offers = await Waitlist.findOpenOffers({ startTime, endTime, excludeClientId: clientId });
+  const conflict = (resource, offer) => new BookingConflictError(
+    `${HELD_RESOURCE_NAMES[resource.type]} is held for a waitlisted client for the requested time`,
+    { resource, startTime: offer.startTime, endTime: offer.endTime }
+  );
+
+  for (const offer of offers) {
+    if (roomIds.includes(offer.roomId)) {
+      throw conflict({ type: 'room', id: offer.roomId }, offer);
+    }
+    const staffId = staffIds.find((id) => offer.staffIds.includes(id));
+    if (staffId) {
+      throw conflict({ type: 'staff', id: staffId }, offer);
+    }
+  }
+
+  // Each offer holds one unit of its equipment
+  for (const { id, quantity } of equipment) {
+    const holding = offers.filter((offer) => offer.equipmentIds.includes(id));
+    if (!holding.length) continue;
+
+    const available = await Equipment.findAvailableQuantity(id, { startTime, endTime, excludeBookingId });
+    if (available - holding.length < quantity) {
+      throw conflict({ type: 'equipment', id }, holding[0]);
+    }
+  }
+};
+
+/**
+ * Throw a BookingConflictError while any of the rooms is busy in its linked
+ * external calendar (see calendarSync.service)
+ */
+const assertRoomsNotBlocked = async ({ roomIds, startTime, endTime }) => {
+  const [block] = await ExternalBusyBlock.findInRange({ roomIds, startTime, endTime });
+  if (block) {
+    throw new BookingConflictError('Room is blocked in its linked calendar at the requested time', {
+      resource: { type: 'room', id: block.roomId },
+      startTime: block.startTime,
+      endTime: block.endTime,
+    });
+  }
+};
+
+/**
+ * Throw a BookingConflictError unless the rooms and staff can take the
+ * session: no room blocked in its linked calendar and every staff member
+ * scheduled, not on time off and not busy (see
+ * staffSchedule.assertStaffAvailable). Offers to waitlisted clients are
+ * checked the same way as bookings.
+ */
+exports.assertResourcesAvailable = async ({ roomIds, staff, timezone, startTime, endTime }) => {
+  await assertRoomsNotBlocked({ roomIds, startTime, endTime });
+  await assertStaffAvailable({ staff, timezone, startTime, endTime });
+};
+
+/**
+ * Send a named notification about a booking to its client
+ */
+const notifyClient = (name, booking, data, { attachments } = {}) =>
+  notificationService.notify(name, {
+    to: booking.client,
+    studioId: booking.room.studio.id,
+    bookingId: booking.id,
+    data,
+    attachments,
+  });
+
+/**
+ * Email the studio owner about a new booking request
+ */
+exports.notifyBookingRequest = async (booking) => {
+  const studioOwner = await User.findById(booking.room.studio.ownerId);
+  await notificationService.notify('booking_request', {
+    to: studioOwner,
+    studioId: booking.room.studio.id,
+    bookingId: booking.id,
+    data: {
+      studioName: booking.room.studio.name,
+      roomName: booking.room.name,
+      clientName: booking.client.name,
+      startTime: new Date(booking.startTime),
+      endTime: new Date(booking.endTime),
+    },
+  });
+};
+
+/**
+ * Expire every hold past its expiry time, releasing its room, equipment and
+ * staff. The database keeps a held booking's resources until its status
+ * changes, so this runs before every booking and by the hold sweeper.
+ *
+ * @returns {Promise<number>} the number of holds released
+ */
+exports.releaseExpiredHolds = async (now = new Date()) => {
+  let released = 0;
+  const failedIds = new Set();
+
+  for (;;) {
+    const holds = (await Booking.findExpiredHolds({
+      before: now,
+      limit: HOLD_BATCH_SIZE + failedIds.size,
+    })).filter((hold) => !failedIds.has(hold.id));
+
+    if (!holds.length) break;
+
+    for (const hold of holds) {
+      try {
+        await bookingState.transition(hold, 'expired', { role: 'system', actor: SYSTEM_ACTOR });
+        released += 1;
+      } catch (error) {
+        // Usually converted or released since it was loaded
+        failedIds.add(hold.id);
+        console.error(`Hold expiry error for booking ${hold.id}:`, error.message);
+      }
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Create a pending booking for a client and notify the studio owner, or a
+ * tentative hold on the session (see hold.service)
+ *
+ * @param {Object} client  User making the booking
+ * @param {Object} data  roomId, roomIds, startTime, endTime, equipment or equipmentIds,
+ *   staffIds, notes, seriesId; roomIds are further rooms reserved together
+ *   with the main room, equipment a list of { id, quantity }
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true]  Email the studio owner about the request
+ * @param {Date} [options.holdUntil]  Create a hold expiring at this time
+ *   instead of a booking; holds are not notified
+ */
+exports.createBooking = async (client, data, { notify = true, holdUntil } = {}) => {
+  const { roomId, startTime, endTime, staffIds = [], notes, seriesId } = data;
+
+  // Check the rooms, equipment and staff exist and price the session
+  const { rooms, studio, equipment, staff, price } = await quoteBooking(data);
+  const roomIds = rooms.map((room) => room.id);
+
+  // Check the session against the studio's hours and booking rules
+  assertBookingTimes(studio, startTime, endTime);
+
+  // Slots offered to waitlisted clients are held until the offer expires
+  await assertNotHeld({
+    roomIds,
+    equipment: equipment.map(({ item, quantity }) => ({ id: item.id, quantity })),
+    staffIds,
+    startTime: new Date(startTime),
+    endTime: new Date(endTime),
+    clientId: client.id,
+  });
+
+  // Holds past their expiry no longer reserve the session
+  await exports.releaseExpiredHolds();
+
+  // Rooms with a linked calendar are unavailable while it shows them busy,
+  // and staff must be scheduled to work the whole session
+  await exports.assertResourcesAvailable({ roomIds, staff, timezone: studio.timezone, startTime, endTime });
+
+  // Create the booking with its rooms, equipment and staff in one
+  // transaction. Room and staff availability and equipment stock are
+  // enforced by the database, and surface here as a BookingConflictError, so
+  // either every resource is reserved or none is.
+  const actor = toActor(client, { isClient: true });
+  const action = holdUntil ? 'hold' : 'create';
+  const booking = await recordChange({ action, before: null, actor }, (trx) => Booking.create({
+    roomId,
+    roomIds,
+    clientId: client.id,
+    seriesId,
+    startTime: new Date(startTime),
+    endTime: new Date(endTime),
+    equipment: equipment.map(({ item, quantity }) => ({ id: item.id, quantity })),
+    staffIds,
+    totalAmount: price.total,
+    depositAmount: price.deposit,
+    priceBreakdown: price,
+    notes,
+    // New bookings start as pending until confirmed
+    status: holdUntil ? 'held' : 'pending',
+    holdExpiresAt: holdUntil,
+  }, trx));
+
+  // Send notification email to studio owner
+  if (notify && !holdUntil) {
+    await exports.notifyBookingRequest(booking);
+  }
+
+  return booking;
+};
+
+/**
+ * Role the user acts in for a booking (see bookingState.getRole) and the
+ * actor recorded in the audit log, or a 403 AppError naming the action
+ */
+const getRoleOrFail = async (booking, user, action) => {
+  const access = await exports.getAccess(booking, user);
+  const role = bookingState.getRole(access);
+  if (!role) {
+    throw new AppError(`Not authorized to ${action} this booking`, 403);
+  }
+  return { role, actor: toActor(user, access) };
+};
+
+// Statuses in which the session details can still be changed
+const EDITABLE_STATUSES = {
+  client: ['pending'],
+  studio: ['pending', 'confirmed'],
+};
+
+/**
+ * Apply a client's or studio's changes to a booking
+ *
+ * Clients may change notes, equipment and times of pending bookings; studio
+ * owners and staff may change staff, notes and times of pending or confirmed
+ * bookings, and move the booking to another status.
+ */
+exports.updateBooking = async (booking, user, changes, { notify = true } = {}) => {
+  // Check if user has permission to update this booking
+  const { role, actor } = await getRoleOrFail(booking, user, 'update');
+
+  // Clients can update certain fields (e.g., notes, equipment, time), studio
+  // owners and staff can update status, staff, notes and time
+  const { startTime, endTime, notes } = changes;
+  const equipment = role === 'client' && (changes.equipment || changes.equipmentIds)
+    ? getEquipmentItems(changes)
+    : undefined;
+  const staffIds = role === 'client' ? undefined : changes.staffIds;
+  const status = role === 'client' ? undefined : changes.status;
+
+  // Notes are cleared with '' or null, and left alone when not sent
+  const attributes = {
+    notes,
+    equipment,
+    staffIds: staffIds || undefined,
+  };
+
+  // Status changes go through the state machine, before any other change is
+  // saved so an invalid transition leaves the booking untouched
+  if (status && status !== booking.status) {
+    bookingState.assertTransition(booking, status, role);
+  }
+
+  const hasChanges = Object.values(attributes).some((value) => value !== undefined) || startTime || endTime;
+
+  if (hasChanges && !EDITABLE_STATUSES[role].includes(booking.status)) {
+    throw new AppError(`Cannot update a ${booking.status.replace('_', '-')} booking`, 400);
+  }
+
+  // Rescheduling is checked against the studio's hours and booking rules
+  if (startTime || endTime) {
+    attributes.startTime = new Date(startTime || booking.startTime);
+    attributes.endTime = new Date(endTime || booking.endTime);
+
+    const studio = await Studio.findById(booking.room.studio.id);
+    assertBookingTimes(studio, attributes.startTime, attributes.endTime);
+    await assertRoomsNotBlocked({
+      roomIds: booking.rooms.map((room) => room.id),
+      startTime: attributes.startTime,
+      endTime: attributes.endTime,
+    });
+  }
+
+  // Rescheduled sessions and added resources must not take what a waitlist
+  // offer holds, and are not blocked by holds past their expiry
+  if (startTime || endTime || equipment || staffIds) {
+    await exports.releaseExpiredHolds();
+    await assertNotHeld({
+      roomIds: booking.rooms.map((room) => room.id),
+      equipment: equipment || booking.equipment.map(({ id, quantity }) => ({ id, quantity })),
+      staffIds: staffIds || booking.staff.map((member) => member.id),
+      startTime: attributes.startTime || booking.startTime,
+      endTime: attributes.endTime || booking.endTime,
+      clientId: booking.client.id,
+      excludeBookingId: booking.id,
+    });
+  }
+
+  // Reprice the session when its time or resources change, keeping charges
+  // added since it was priced
+  if (startTime || endTime || equipment || staffIds) {
+    const { studio, staff, price } = await quoteBooking({
+      roomId: booking.room.id,
+      roomIds: booking.rooms.map((room) => room.id),
+      startTime: attributes.startTime || booking.startTime,
+      endTime: attributes.endTime || booking.endTime,
+      equipment: equipment || booking.equipment.map(({ id, quantity }) => ({ id, quantity })),
+      staffIds: staffIds || booking.staff.map((member) => member.id),
+    });
+
+    // Rescheduled staff and newly assigned staff must be scheduled to work
+    // the session
+    const rescheduled = Boolean(startTime || endTime);
+    await assertStaffAvailable({
+      staff: staff.filter((member) => rescheduled || !booking.staff.some((assigned) => assigned.id === member.id)),
+      timezone: studio.timezone,
+      startTime: attributes.startTime || booking.startTime,
+      endTime: attributes.endTime || booking.endTime,
+      excludeBookingId: booking.id,
+    });
+
+    const charges = ((booking.priceBreakdown && booking.priceBreakdown.lineItems) || [])
+      .filter((item) => item.type === 'damage');
+    const repriced = addCharges(price, charges);
+
+    attributes.totalAmount = repriced.total;
+    attributes.priceBreakdown = repriced;
+    if (!booking.depositPaid) attributes.depositAmount = repriced.deposit;
+  }
+
+  const updatedBooking = hasChanges
+    ? await recordChange({ action: 'update', before: booking, actor }, (trx) => Booking.update(booking.id, attributes, trx))
+    : booking;
+
+  // An invoice already issued is credited and reissued at the new price
+  if (attributes.totalAmount !== undefined) {
+    await refreshInvoice(updatedBooking);
+  }
+
+  if (status && status !== booking.status) {
+    return exports.changeStatus(updatedBooking, user, status, { reason: changes.reason, notify });
+  }
+
+  // A confirmed client has the session in their calendar; send the new
+  // times with an invite that replaces it
+  if (notify && booking.status === 'confirmed' && (startTime || endTime)) {
+    await notifyClient('booking_updated', updatedBooking, {
+      studioName: booking.room.studio.name,
+      roomName: booking.room.name,
+      startTime: new Date(updatedBooking.startTime),
+      endTime: new Date(updatedBooking.endTime),
+    }, { attachments: [getBookingInvite(updatedBooking)] });
+  }
+
+  return updatedBooking;
+};
+
+/**
+ * Move a booking to another status on behalf of a user, with the side effects
+ * of that transition (refunds, emails)
+ */
+exports.changeStatus = async (booking, user, status, { reason, notify = true } = {}) => {
+  switch (status) {
+    case 'confirmed':
+      return exports.confirmBooking(booking, user);
+    case 'cancelled':
+      return exports.cancelBooking(booking, user, reason, { notify });
+    case 'rejected':
+      return exports.rejectBooking(booking, user, reason, { notify });
+    default:
+      break;
+  }
+
+  const { role, actor } = await getRoleOrFail(booking, user, 'update');
+  const updatedBooking = await bookingState.transition(booking, status, { role, actor });
+
+  // Let the client know about check-ins, completions and no-shows
+  if (notify) {
+    await notifyClient(STATUS_TEMPLATES[status], booking, { studioName: booking.room.studio.name });
+  }
+
+  return updatedBooking;
+};
+
+const confirm = async (booking, role, actor) => {
+  // Update booking status to confirmed
+  const updatedBooking = await bookingState.transition(booking, 'confirmed', { role, actor });
+
+  // Send confirmation email to client with the invoice and a calendar
+  // invite attached
+  await notifyClient('booking_confirmed', booking, {
+    studioName: booking.room.studio.name,
+    roomName: booking.room.name,
+    startTime: new Date(booking.startTime),
+    endTime: new Date(booking.endTime),
+  }, { attachments: [...await getInvoiceAttachments(updatedBooking), getBookingInvite(updatedBooking)] });
+
+  return updatedBooking;
+};
+
+/**
+ * Confirm a booking on behalf of a studio owner or staff member
+ */
+exports.confirmBooking = async (booking, user) => {
+  // Check if user has permission to confirm this booking
+  const { role, actor } = await getRoleOrFail(booking, user, 'confirm');
+
+  return confirm(booking, role, actor);
+};
+
+/**
+ * Confirm a booking without a user, e.g. once its deposit has been paid
+ */
+exports.autoConfirmBooking = async (booking) => confirm(booking, 'system', SYSTEM_ACTOR);
+
+/**
+ * Move a booking to a final status and record its planned refund in the
+ * same transaction, then issue the refund. A refund the provider fails to
+ * issue stays pending and is retried by the job queue.
+ */
+const endWithRefund = async (booking, status, options, plan) => {
+  let refundPayments;
+  const updatedBooking = await db.transaction(async (trx) => {
+    const updated = await bookingState.transition(booking, status, options, trx);
+    refundPayments = await recordRefund(plan, trx);
+    return updated;
+  });
+
+  return { booking: updatedBooking, refund: await issueRefunds(plan, refundPayments) };
+};
+
+/**
+ * Reject a pending booking request, refunding anything already paid
+ */
+exports.rejectBooking = async (booking, user, reason, { notify = true } = {}) => {
+  const { role, actor } = await getRoleOrFail(booking, user, 'reject');
+
+  const studio = await Studio.findById(booking.room.studio.id);
+  const { booking: updatedBooking, refund } = await endWithRefund(booking, 'rejected', {
+    role,
+    actor,
+    attributes: { rejectionReason: reason || 'No reason provided' },
+  }, await planRefund(studio, booking, { byStudio: true }));
+
+  if (notify) {
+    await notifyClient('booking_rejected', booking, {
+      studioName: booking.room.studio.name,
+      reason: updatedBooking.rejectionReason,
+      refundAmount: refund.amount > 0 ? formatMoney(refund.amount, refund.currency) : null,
+    });
+  }
+
+  return { ...updatedBooking, refund };
+};
+
+/**
+ * Cancel a booking, refund what the studio's cancellation policy allows and
+ * notify the other party
+ *
+ * @returns {Promise<Object>} the cancelled booking with its refund
+ */
+exports.cancelBooking = async (booking, user, reason, { notify = true } = {}) => {
+  // Check if user has permission to cancel this booking
+  const { role, actor } = await getRoleOrFail(booking, user, 'cancel');
+  const isClient = role === 'client';
+
+  // Refund according to the notice given; studio cancellations use the
+  // policy's studio refund percentage
+  const studio = await Studio.findById(booking.room.studio.id);
+  const plan = await planRefund(studio, booking, { byStudio: !isClient });
+
+  const { booking: updatedBooking, refund } = await endWithRefund(booking, 'cancelled', {
+    role,
+    actor,
+    attributes: {
+      cancellationReason: reason || 'No reason provided',
+      cancelledBy: user.id,
+    },
+  }, plan);
+
+  if (!notify) {
+    return { ...updatedBooking, refund };
+  }
+
+  const data = {
+    studioName: booking.room.studio.name,
+    reason: updatedBooking.cancellationReason,
+    refundAmount: refund.amount > 0 ? formatMoney(refund.amount, refund.currency) : null,
+  };
+
+  // Send email to client if cancelled by studio owner or staff, or if the
+  // session had been confirmed, removing it from their calendar
+  const wasConfirmed = booking.status === 'confirmed';
+  if (!isClient || wasConfirmed) {
+    const attachments = wasConfirmed ? [getBookingInvite(updatedBooking, 'CANCEL')] : [];
+    await notifyClient('booking_cancelled', booking, data, { attachments });
+  }
+
+  // Send email to studio owner if cancelled by client
+  if (isClient) {
+    const studioOwner = await User.findById(booking.room.studio.ownerId);
+    await notificationService.notify('booking_cancelled_by_client', {
+      to: studioOwner,
+      studioId: booking.room.studio.id,
+      bookingId: booking.id,
+      data,
+    });
+  }
+
+  return { ...updatedBooking, refund };
+};
+
+/**
+ * Soft-delete a booking. Its payments, resources and history are kept and
+ * a studio owner can restore it. Clients can only delete their pending
+ * requests.
+ */
+exports.deleteBooking = async (booking, user) => {
+  // Check if user has permission to delete this booking
+  const { role, actor } = await getRoleOrFail(booking, user, 'delete');
+
+  // Clients can only delete pending bookings
+  if (role === 'client' && booking.status !== 'pending') {
+    throw new AppError('Cannot delete a confirmed booking. Please use cancel instead.', 400);
+  }
+
+  return recordChange({ action: 'delete', before: booking, actor }, (trx) =>
+    Booking.softDelete(booking.id, user.id, trx)
+  );
+};
+
+/**
+ * Restore a soft-deleted booking on behalf of its studio owner
+ */
+exports.restoreBooking = async (booking, user) => {
+  const access = await exports.getAccess(booking, user);
+  if (!access.isStudioOwner) {
+    throw new AppError('Not authorized to restore this booking', 403);
+  }
+
+  if (!booking.deletedAt) {
+    throw new AppError('Booking is not deleted', 400);
+  }
+
+  // Resources may have been booked again since; restoring then fails with a
+  // BookingConflictError
+  return recordChange({ action: 'restore', before: booking, actor: toActor(user, access) }, (trx) =>
+    Booking.restore(booking.id, trx)
+  );
+};
+
+/**
+ * Soft-deleted bookings of the studios a user owns
+ */
+exports.getDeletedBookings = async (user) => {
+  const studios = await Studio.findByOwner(user.id);
+  if (!studios.length) return [];
+
+  return Booking.find({ studioIds: studios.map((studio) => studio.id), deleted: true });
+};
+
+/**
+ * Permanently remove the bookings of an owner's studios that were deleted
+ * more than BOOKING_RETENTION_DAYS ago. Payments, invoices and audit entries
+ * are kept.
+ *
+ * @returns {Promise<{ purged: number, retentionDays: number }>}
+ */
+exports.purgeDeletedBookings = async (user) => {
+  const studios = await Studio.findByOwner(user.id);
+  if (!studios.length) {
+    return { purged: 0, retentionDays: RETENTION_DAYS };
+  }
+
+  const bookings = await Booking.findDeletedBefore({
+    studioIds: studios.map((studio) => studio.id),
+    before: new Date(Date.now() - RETENTION_DAYS * DAY_MS),
+  });
+
+  const actor = toActor(user, { isStudioOwner: true });
+  for (const booking of bookings) {
+    await recordChange({ action: 'purge', before: booking, actor }, async (trx) => {
+      await Booking.remove(booking.id, trx);
+      return true;
+    });
+  }
+
+  return { purged: bookings.length, retentionDays: RETENTION_DAYS };
+};
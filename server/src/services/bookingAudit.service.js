@@ -0,0 +1,122 @@
+const db = require('../database');
+const BookingAudit = require('../models/bookingAudit.model');
+const bookingEvents = require('../utils/bookingEvents');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Booking fields compared for the before/after diff
+const TRACKED_FIELDS = {
+  status: (booking) => booking.status,
+  roomId: (booking) => booking.room.id,
+  rooms: (booking) => booking.rooms.map((room) => room.id).sort(),
+  startTime: (booking) => booking.startTime && new Date(booking.startTime).toISOString(),
+  endTime: (booking) => booking.endTime && new Date(booking.endTime).toISOString(),
+  notes: (booking) => booking.notes,
+  equipment: (booking) => booking.equipment
+    .map((item) => ({ id: item.id, quantity: item.quantity }))
+    .sort((a, b) => a.id.localeCompare(b.id)),
+  staff: (booking) => booking.staff.map((member) => member.id).sort(),
+  totalAmount: (booking) => booking.totalAmount,
+  depositAmount: (booking) => booking.depositAmount,
+  depositPaid: (booking) => booking.depositPaid,
+  cancellationReason: (booking) => booking.cancellationReason,
+  rejectionReason: (booking) => booking.rejectionReason,
+  deletedAt: (booking) => booking.deletedAt && new Date(booking.deletedAt).toISOString(),
+  holdExpiresAt: (booking) => booking.holdExpiresAt && new Date(booking.holdExpiresAt).toISOString(),
+};
+
+/**
+ * The system actor used by payments and scheduled jobs
+ */
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+/**
+ * Actor recorded for a user, from bookingService.getAccess
+ */
+const toActor = (user, { isClient, isStudioOwner, isStaff }) => {
+  if (isStudioOwner) return { id: user.id, role: 'studio_owner' };
+  if (isStaff) return { id: user.id, role: 'staff' };
+  if (isClient) return { id: user.id, role: 'client' };
+  return { id: user.id, role: user.userType };
+};
+
+/**
+ * Field-by-field diff of two versions of a booking; null stands for a
+ * booking that does not exist yet or any more
+ *
+ * @returns {Object<string, { from, to }>}
+ */
+const diffBookings = (before, after) =>
+  Object.entries(TRACKED_FIELDS).reduce((changes, [field, read]) => {
+    const from = (before && read(before)) ?? null;
+    const to = (after && read(after)) ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+
+/**
+ * Run a booking write and append its audit entry in the same transaction,
+ * so a change is never saved without its history. A 'change' event is
+ * emitted on bookingEvents once the transaction has committed.
+ *
+ * @param {Object} entry
+ * @param {string} entry.action  create, hold, update, confirm, cancel, delete, ...
+ * @param {Object|null} entry.before  The booking before the write
+ * @param {Object} entry.actor  { id, role }
+ * @param {Function} write  (trx) => the booking after the write, or null
+ *   when nothing was written; for deletes it returns true
+ */
+const recordChange = async ({ action, before, actor }, write, trx) => {
+  let change = null;
+
+  const run = async (t) => {
+    const result = await write(t);
+    if (!result) return result;
+
+    const after = result === true ? null : result;
+    change = { action, before, after, actor };
+    const booking = after || before;
+    const { ipAddress = null, userAgent = null } = getRequestContext();
+
+    await BookingAudit.append({
+      bookingId: booking.id,
+      studioId: booking.room.studio.id,
+      action,
+      actorId: actor.id,
+      actorRole: actor.role,
+      changes: diffBookings(before, after),
+      ipAddress,
+      userAgent,
+    }, t);
+
+    return result;
+  };
+
+  const emit = () => {
+    if (change) bookingEvents.emit('change', change);
+  };
+
+  if (trx) {
+    const result = await run(trx);
+    trx.executionPromise.then(emit, () => {});
+    return result;
+  }
+
+  const result = await db.transaction(run);
+  emit();
+  return result;
+};
+
+/**
+ * Audit history of a booking, oldest first
+ */
+const getHistory = (bookingId) => BookingAudit.findByBooking(bookingId);
+
+module.exports = {
+  SYSTEM_ACTOR,
+  toActor,
+  diffBookings,
+  recordChange,
+  getHistory,
+};
@@ -0,0 +1,116 @@
+const { AppError } = require('../utils/errors');
+const { containsInterval } = require('../utils/intervals');
+const { MINUTE_MS, DAY_MS, getZonedMinutes } = require('../utils/time');
+const { getOpeningWindows } = require('./availability.service');
+
+/**
+ * Rules applied when a studio has not configured its own
+ */
+const DEFAULT_RULES = {
+  minDurationMinutes: 60,
+  maxDurationMinutes: 12 * 60,
+  slotGranularityMinutes: 30,
+  minLeadTimeMinutes: 60,
+  maxAdvanceDays: 180,
+  // Past confirmed bookings that were never checked in become no-shows
+  // instead of completed
+  requireCheckIn: false,
+};
+
+/**
+ * Effective booking rules of a studio (stored rules over the defaults)
+ */
+const getBookingRules = (studio) => ({ ...DEFAULT_RULES, ...(studio.bookingRules || {}) });
+
+const formatMinutes = (minutes) =>
+  minutes % 60 === 0 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minutes`;
+
+/**
+ * List the studio rules a session from startTime to endTime breaks
+ *
+ * @returns {Array<{ rule: string, message: string }>} empty when the session is allowed
+ */
+const checkBookingTimes = (studio, startTime, endTime, { now = new Date() } = {}) => {
+  const rules = getBookingRules(studio);
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const violations = [];
+
+  if (end <= start) {
+    return [{ rule: 'timeOrder', message: 'End time must be after start time' }];
+  }
+
+  const durationMinutes = (end - start) / MINUTE_MS;
+
+  if (start - now < rules.minLeadTimeMinutes * MINUTE_MS) {
+    violations.push({
+      rule: 'minLeadTime',
+      message: start < now
+        ? 'Sessions cannot be booked in the past'
+        : `Sessions must be booked at least ${formatMinutes(rules.minLeadTimeMinutes)} in advance`,
+    });
+  }
+
+  if (start - now > rules.maxAdvanceDays * DAY_MS) {
+    violations.push({
+      rule: 'maxAdvance',
+      message: `Sessions can be booked at most ${rules.maxAdvanceDays} days in advance`,
+    });
+  }
+
+  if (durationMinutes < rules.minDurationMinutes) {
+    violations.push({
+      rule: 'minDuration',
+      message: `Sessions must be at least ${formatMinutes(rules.minDurationMinutes)} long`,
+    });
+  }
+
+  if (durationMinutes > rules.maxDurationMinutes) {
+    violations.push({
+      rule: 'maxDuration',
+      message: `Sessions can be at most ${formatMinutes(rules.maxDurationMinutes)} long`,
+    });
+  }
+
+  const granularity = rules.slotGranularityMinutes;
+  if (
+    granularity &&
+    (getZonedMinutes(start, studio.timezone) % granularity !== 0 ||
+      start.getTime() % MINUTE_MS !== 0 ||
+      durationMinutes % granularity !== 0)
+  ) {
+    violations.push({
+      rule: 'slotGranularity',
+      message: `Sessions must start and end on ${granularity}-minute boundaries`,
+    });
+  }
+
+  if (!containsInterval(getOpeningWindows(studio, start, end), start, end)) {
+    violations.push({
+      rule: 'workingHours',
+      message: `The studio is closed during part of the requested time (${studio.timezone})`,
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Throw a 400 AppError listing every rule the session breaks
+ */
+const assertBookingTimes = (studio, startTime, endTime, options) => {
+  const violations = checkBookingTimes(studio, startTime, endTime, options);
+
+  if (violations.length) {
+    throw new AppError(violations.map((violation) => violation.message).join('. '), 400, {
+      violations,
+    });
+  }
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  getBookingRules,
+  checkBookingTimes,
+  assertBookingTimes,
+};
@@ -0,0 +1,225 @@
+const Booking = require('../models/booking.model');
+const BookingSeries = require('../models/bookingSeries.model');
+const Room = require('../models/room.model');
+const User = require('../models/user.model');
+const bookingService = require('./booking.service');
+const { getBookingInvite } = require('./calendar.service');
+const notificationService = require('./notification.service');
+const { formatMoney, roundMoney } = require('./pricing.service');
+const { expandRecurrence, shiftOccurrence } = require('./recurrence.service');
+const { AppError } = require('../utils/errors');
+
+const SCOPES = ['this', 'following', 'all'];
+
+/**
+ * Run an action for every occurrence, collecting a per-occurrence result
+ * instead of stopping at the first booking error
+ */
+const forEachOccurrence = async (occurrences, action) => {
+  const results = [];
+
+  for (const occurrence of occurrences) {
+    try {
+      results.push(await action(occurrence));
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      results.push({
+        bookingId: occurrence.id,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        status: 'failed',
+        error: error.toJSON(),
+      });
+    }
+  }
+
+  return results;
+};
+
+const summarize = (results) => ({
+  occurrences: results,
+  succeeded: results.filter((result) => result.status !== 'failed').length,
+  failed: results.filter((result) => result.status === 'failed').length,
+});
+
+/**
+ * Create a recurring series; every occurrence goes through createBooking and
+ * reports its own success or conflict
+ */
+exports.createSeries = async (client, { recurrence, ...data }) => {
+  const room = await Room.findById(data.roomId);
+  if (!room) {
+    throw new AppError('Room not found', 404);
+  }
+
+  const timezone = room.studio.timezone;
+  const occurrences = expandRecurrence(recurrence, { ...data, timezone });
+
+  const series = await BookingSeries.create({
+    clientId: client.id,
+    roomId: room.id,
+    recurrence,
+    timezone,
+  });
+
+  const results = await forEachOccurrence(occurrences, async (occurrence) => {
+    const booking = await bookingService.createBooking(
+      client,
+      { ...data, ...occurrence, seriesId: series.id },
+      { notify: false }
+    );
+    return { bookingId: booking.id, ...occurrence, status: 'created', booking };
+  });
+
+  const summary = summarize(results);
+
+  if (!summary.succeeded) {
+    await BookingSeries.remove(series.id);
+    throw new AppError('None of the occurrences could be booked', 409, summary);
+  }
+
+  // Send one notification email to the studio owner for the whole series
+  const studioOwner = await User.findById(room.studio.ownerId);
+  await notificationService.notify('series_request', {
+    to: studioOwner,
+    studioId: room.studio.id,
+    data: { studioName: room.studio.name, sessionCount: summary.succeeded },
+  });
+
+  return { series, ...summary };
+};
+
+/**
+ * Occurrences affected by an edit or cancellation of one occurrence
+ *
+ * this       only the given booking
+ * following  the given booking and every later active occurrence
+ * all        every active occurrence that has not started yet, plus the given booking
+ */
+const findScope = async (booking, scope) => {
+  if (!SCOPES.includes(scope)) {
+    throw new AppError(`Scope must be one of ${SCOPES.join(', ')}`, 400);
+  }
+
+  if (scope === 'this' || !booking.seriesId) {
+    return [booking];
+  }
+
+  const from = scope === 'following' ? booking.startTime : new Date();
+  const occurrences = await Booking.find({ seriesId: booking.seriesId, from, activeOnly: true });
+
+  return [booking, ...occurrences.filter((occurrence) => occurrence.id !== booking.id)].sort(
+    (a, b) => new Date(a.startTime) - new Date(b.startTime)
+  );
+};
+
+/**
+ * Load a series with its occurrences
+ */
+exports.getSeries = async (seriesId) => {
+  const series = await BookingSeries.findById(seriesId);
+  if (!series) {
+    throw new AppError('Booking series not found', 404);
+  }
+
+  const occurrences = await Booking.find({ seriesId });
+  return { series, occurrences };
+};
+
+/**
+ * Update one occurrence, it and the following ones, or all upcoming ones.
+ * A time change is applied to each occurrence as the same studio-local shift.
+ */
+exports.updateSeries = async (booking, user, scope, changes) => {
+  const occurrences = await findScope(booking, scope);
+  const { startTime, endTime, ...rest } = changes;
+
+  const edited = startTime || endTime
+    ? {
+      startTime: new Date(startTime || booking.startTime),
+      endTime: new Date(endTime || booking.endTime),
+    }
+    : null;
+
+  const results = await forEachOccurrence(occurrences, async (occurrence) => {
+    const times = edited
+      ? shiftOccurrence(occurrence, booking, edited, booking.room.studio.timezone)
+      : {};
+    const updated = await bookingService.updateBooking(
+      occurrence,
+      user,
+      { ...rest, ...times },
+      { notify: false }
+    );
+    return {
+      bookingId: occurrence.id,
+      startTime: updated.startTime,
+      endTime: updated.endTime,
+      status: 'updated',
+      booking: updated,
+    };
+  });
+
+  return summarize(results);
+};
+
+/**
+ * Cancel one occurrence, it and the following ones, or all upcoming ones
+ */
+exports.cancelSeries = async (booking, user, scope, reason) => {
+  const occurrences = await findScope(booking, scope);
+
+  const results = await forEachOccurrence(occurrences, async (occurrence) => {
+    const cancelled = await bookingService.cancelBooking(occurrence, user, reason, { notify: false });
+    return {
+      bookingId: occurrence.id,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      status: 'cancelled',
+      booking: cancelled,
+      refund: cancelled.refund,
+    };
+  });
+
+  const summary = summarize(results);
+  if (!summary.succeeded) {
+    return summary;
+  }
+
+  const refunds = results.filter((result) => result.refund);
+  const refundTotal = roundMoney(refunds.reduce((sum, result) => sum + result.refund.amount, 0));
+  // Send one email to the other party for all cancelled occurrences
+  const { isClient } = await bookingService.getAccess(booking, user);
+  const data = {
+    studioName: booking.room.studio.name,
+    sessionCount: summary.succeeded,
+    reason: reason || 'No reason provided',
+    refundAmount: refundTotal > 0 ? formatMoney(refundTotal, refunds[0].refund.currency) : null,
+  };
+
+  // One invite per confirmed occurrence removes it from the client's
+  // calendar
+  const confirmedIds = new Set(occurrences.filter((occurrence) => occurrence.status === 'confirmed').map((occurrence) => occurrence.id));
+  const invites = results
+    .filter((result) => result.booking && confirmedIds.has(result.bookingId))
+    .map((result, index) => ({ ...getBookingInvite(result.booking, 'CANCEL'), filename: `invite-${index + 1}.ics` }));
+
+  if (isClient) {
+    const studioOwner = await User.findById(booking.room.studio.ownerId);
+    await notificationService.notify('series_cancelled_by_client', {
+      to: studioOwner,
+      studioId: booking.room.studio.id,
+      data,
+    });
+  }
+  if (!isClient || invites.length) {
+    await notificationService.notify('series_cancelled', {
+      to: booking.client,
+      studioId: booking.room.studio.id,
+      data,
+      attachments: invites,
+    });
+  }
+
+  return { ...summary, refundTotal };
+};
@@ -0,0 +1,145 @@
+const Booking = require('../models/booking.model');
+const { AppError } = require('../utils/errors');
+const { SYSTEM_ACTOR, recordChange } = require('./bookingAudit.service');
+
+/**
+ * Allowed status transitions and who may make them.
+ *
+ *   held -> pending -> confirmed -> checked_in -> completed
+ *   held -> expired | cancelled
+ *   pending -> rejected | cancelled
+ *   confirmed -> cancelled | no_show | completed
+ *
+ * Roles: client (who made the booking), studio (studio owner or staff) and
+ * system (payments and scheduled jobs).
+ */
+const TRANSITIONS = {
+  held: {
+    pending: ['client'],
+    expired: ['system'],
+    cancelled: ['client'],
+  },
+  pending: {
+    confirmed: ['studio', 'system'],
+    rejected: ['studio'],
+    cancelled: ['client', 'studio'],
+  },
+  confirmed: {
+    checked_in: ['studio'],
+    completed: ['studio', 'system'],
+    no_show: ['studio', 'system'],
+    cancelled: ['client', 'studio'],
+  },
+  checked_in: {
+    completed: ['studio', 'system'],
+  },
+};
+
+const STATUSES = ['held', 'pending', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show', 'rejected', 'expired'];
+
+// Column recording when a booking entered each status
+const TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  checked_in: 'checkedInAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  no_show: 'noShowAt',
+  rejected: 'rejectedAt',
+};
+
+// Audit log action of moving into each status
+const ACTIONS = {
+  pending: 'convert_hold',
+  confirmed: 'confirm',
+  checked_in: 'check_in',
+  completed: 'complete',
+  cancelled: 'cancel',
+  no_show: 'no_show',
+  rejected: 'reject',
+  expired: 'expire',
+};
+
+const formatStatus = (status) => status.replace('_', '-');
+
+/**
+ * Role a user acts in for a booking, from bookingService.getAccess
+ *
+ * @returns {'studio'|'client'|null}
+ */
+const getRole = ({ isClient, isStudioOwner, isStaff }) => {
+  if (isStudioOwner || isStaff) return 'studio';
+  if (isClient) return 'client';
+  return null;
+};
+
+/**
+ * Statuses a booking can move to from its current status in the given role
+ */
+const getAllowedTransitions = (booking, role) =>
+  Object.entries(TRANSITIONS[booking.status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([status]) => status);
+
+/**
+ * Throw unless the role may move the booking to the given status
+ */
+const assertTransition = (booking, status, role) => {
+  if (!STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of ${STATUSES.join(', ')}`, 400);
+  }
+
+  const roles = (TRANSITIONS[booking.status] || {})[status];
+  if (!roles) {
+    throw new AppError(
+      `Cannot change a ${formatStatus(booking.status)} booking to ${formatStatus(status)}`,
+      400,
+      { status: booking.status, allowed: Object.keys(TRANSITIONS[booking.status] || {}) }
+    );
+  }
+
+  if (!roles.includes(role)) {
+    throw new AppError(`Not authorized to change this booking to ${formatStatus(status)}`, 403);
+  }
+};
+
+/**
+ * Move a booking to a new status, stamping the transition time and recording
+ * it in the audit log. The update only applies if the booking still has the
+ * status it was loaded with.
+ *
+ * @param {Object} booking
+ * @param {string} status  Target status
+ * @param {Object} options
+ * @param {string} options.role  client, studio or system
+ * @param {Object} [options.actor]  Audit actor { id, role }, defaults to the system
+ * @param {Object} [options.attributes]  Other columns to set with the status
+ */
+const transition = async (booking, status, { role, actor = SYSTEM_ACTOR, attributes = {} }, trx) => {
+  assertTransition(booking, status, role);
+
+  const updated = await recordChange(
+    { action: ACTIONS[status], before: booking, actor },
+    (t) => Booking.updateIfStatus(
+      booking.id,
+      booking.status,
+      TIMESTAMPS[status] ? { ...attributes, status, [TIMESTAMPS[status]]: new Date() } : { ...attributes, status },
+      t
+    ),
+    trx
+  );
+
+  if (!updated) {
+    throw new AppError('The booking was changed by someone else, please reload it and try again', 409);
+  }
+
+  return updated;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  getRole,
+  getAllowedTransitions,
+  assertTransition,
+  transition,
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const Booking = require('../models/booking.model');
+const CalendarFeed = require('../models/calendarFeed.model');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const User = require('../models/user.model');
+const { EMAIL_FROM } = require('../utils/email');
+const { AppError } = require('../utils/errors');
+const { buildCalendar } = require('../utils/ical');
+const { DAY_MS } = require('../utils/time');
+
+// Public URL of this API, used in feed subscription links
+const API_URL = process.env.API_URL || 'http://localhost:5000';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+// Domain part of event UIDs; changing it duplicates every exported event
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'studiobookingassistant.com';
+
+// Sessions in a feed: from this many days ago to this many days ahead
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+const FEED_KINDS = ['bookings', 'assignments', 'studio'];
+
+// Revisions count seconds since this date, keeping SEQUENCE a small integer
+const SEQUENCE_EPOCH = Date.UTC(2025, 0, 1);
+
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  rejected: 'CANCELLED',
+  expired: 'CANCELLED',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Calendar event of a booking. The UID never changes and the sequence
+ * grows with every update, so calendars replace their copy of the event
+ * instead of adding another.
+ *
+ * @param {Object} booking
+ * @param {Object} [options]
+ * @param {boolean} [options.forStudio]  Describe the session for the studio
+ *   (client name and notes) rather than for the client
+ */
+const toEvent = (booking, { forStudio = false } = {}) => {
+  const { studio } = booking.room;
+  const rooms = (booking.rooms && booking.rooms.length ? booking.rooms : [booking.room])
+    .map((room) => room.name)
+    .join(', ');
+  const staff = (booking.staff || []).map((member) => member.name).join(', ');
+
+  const description = [
+    `Status: ${booking.status.replace('_', ' ')}`,
+    staff && `Staff: ${staff}`,
+    forStudio && booking.notes && `Notes: ${booking.notes}`,
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `booking-${booking.id}@${UID_DOMAIN}`,
+    sequence: Math.max(0, Math.floor((new Date(booking.updatedAt).getTime() - SEQUENCE_EPOCH) / 1000)),
+    start: booking.startTime,
+    end: booking.endTime,
+    summary: forStudio ? `${rooms}: ${booking.client.name}` : `${studio.name} (${rooms})`,
+    description,
+    location: [studio.name, studio.address].filter(Boolean).join(', '),
+    url: `${CLIENT_URL}/bookings/${booking.id}`,
+    status: EVENT_STATUSES[booking.status] || 'CONFIRMED',
+    updatedAt: booking.updatedAt,
+  };
+};
+
+/**
+ * Calendar invite of a booking for its client, as an email attachment.
+ * REQUEST adds or updates the event in the client's calendar, CANCEL
+ * removes it.
+ *
+ * @param {Object} booking
+ * @param {string} [method]  REQUEST or CANCEL
+ */
+exports.getBookingInvite = (booking, method = 'REQUEST') => {
+  const event = {
+    ...toEvent(booking),
+    organizer: { name: booking.room.studio.name, email: EMAIL_FROM },
+    attendees: [{ name: booking.client.name, email: booking.client.email }],
+  };
+  if (method === 'CANCEL') event.status = 'CANCELLED';
+
+  return {
+    filename: 'invite.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: Buffer.from(buildCalendar({ method, events: [event] })),
+  };
+};
+
+/**
+ * Calendar document holding a booking's event as the studio sees it, for
+ * writing to a linked external calendar
+ */
+exports.getBookingEvent = (booking) => buildCalendar({ events: [toEvent(booking, { forStudio: true })] });
+
+/**
+ * Whether an event UID is one of ours; such events in external calendars
+ * are copies of bookings, not busy time of their own
+ */
+exports.isBookingUid = (uid) => Boolean(uid) && uid.startsWith('booking-') && uid.endsWith(`@${UID_DOMAIN}`);
+
+/**
+ * Check a user may follow a kind of feed, returning the feed's studio for
+ * studio schedules
+ */
+const assertFeedAccess = async (user, kind, studioId) => {
+  if (!FEED_KINDS.includes(kind)) {
+    throw new AppError(`Feed kind must be one of ${FEED_KINDS.join(', ')}`, 400);
+  }
+
+  if (kind === 'assignments') {
+    const staff = await Staff.findByUser(user.id);
+    if (!staff.length) {
+      throw new AppError('Only staff members have an assignments feed', 403);
+    }
+    return null;
+  }
+
+  if (kind === 'studio') {
+    const studio = studioId ? await Studio.findById(studioId) : null;
+    if (!studio) {
+      throw new AppError('Studio not found', 404);
+    }
+    if (studio.ownerId !== user.id && !await Staff.isMemberOf(user.id, studio.id)) {
+      throw new AppError('Not authorized to follow the schedule of this studio', 403);
+    }
+    return studio;
+  }
+
+  return null;
+};
+
+/**
+ * Create a feed for a user, or replace the token of their existing feed of
+ * the same kind. The subscription URL is only returned here.
+ *
+ * @param {Object} user
+ * @param {Object} options
+ * @param {string} options.kind  bookings (the user's own), assignments (a
+ *   staff member's sessions) or studio (every room of a studio)
+ * @param {string} [options.studioId]  Studio of a studio feed
+ * @returns {Promise<{ feed, url }>}
+ */
+exports.createFeed = async (user, { kind, studioId }) => {
+  const studio = await assertFeedAccess(user, kind, studioId);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const feed = await CalendarFeed.upsert({
+    userId: user.id,
+    kind,
+    studioId: studio ? studio.id : null,
+    tokenHash: hashToken(token),
+  });
+
+  return { feed, url: `${API_URL}/api/calendar/feeds/${token}.ics` };
+};
+
+exports.getFeeds = (user) => CalendarFeed.findByUser(user.id);
+
+exports.deleteFeed = async (user, id) => {
+  const feed = await CalendarFeed.findById(id);
+  if (!feed || feed.userId !== user.id) {
+    throw new AppError('Calendar feed not found', 404);
+  }
+  await CalendarFeed.remove(feed.id);
+};
+
+/**
+ * Render the feed behind a subscription token. Feeds whose owner lost
+ * access to them are treated as unknown.
+ *
+ * @returns {Promise<string>} the iCalendar document
+ */
+exports.renderFeed = async (token) => {
+  const feed = await CalendarFeed.findByTokenHash(hashToken(String(token)));
+  const user = feed && await User.findById(feed.userId);
+  if (!user) {
+    throw new AppError('Calendar feed not found', 404);
+  }
+
+  let studio;
+  try {
+    studio = await assertFeedAccess(user, feed.kind, feed.studioId);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw new AppError('Calendar feed not found', 404);
+    }
+    throw error;
+  }
+
+  const now = Date.now();
+  const range = {
+    from: new Date(now - FEED_PAST_DAYS * DAY_MS),
+    to: new Date(now + FEED_FUTURE_DAYS * DAY_MS),
+    activeOnly: true,
+  };
+
+  let name;
+  let bookings;
+  if (feed.kind === 'studio') {
+    name = `${studio.name} schedule`;
+    bookings = await Booking.find({ ...range, studioIds: [studio.id] });
+  } else if (feed.kind === 'assignments') {
+    const staff = await Staff.findByUser(user.id);
+    name = 'My studio assignments';
+    bookings = await Booking.find({ ...range, staffIds: staff.map((member) => member.id) });
+  } else {
+    name = 'My studio bookings';
+    bookings = await Booking.find({ ...range, clientId: user.id });
+  }
+
+  await CalendarFeed.touch(feed.id);
+
+  return buildCalendar({
+    name,
+    events: bookings.map((booking) => toEvent(booking, { forStudio: feed.kind !== 'bookings' })),
+  });
+};
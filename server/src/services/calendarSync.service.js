@@ -0,0 +1,442 @@
+const db = require('../database');
+const Booking = require('../models/booking.model');
+const CalendarConnection = require('../models/calendarConnection.model');
+const CalendarSyncEvent = require('../models/calendarSyncEvent.model');
+const ExternalBusyBlock = require('../models/externalBusyBlock.model');
+const Room = require('../models/room.model');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const caldav = require('../utils/caldav');
+const { encryptSecret, decryptSecret } = require('../utils/credentials');
+const { AppError } = require('../utils/errors');
+const { BlockedAddressError } = require('../utils/publicFetch');
+const { parseCalendar } = require('../utils/ical');
+const { HOUR_MS, DAY_MS } = require('../utils/time');
+const { getBookingEvent, isBookingUid } = require('./calendar.service');
+
+// Events are synced from a day ago to this many days ahead
+const SYNC_FUTURE_DAYS = Number(process.env.CALENDAR_SYNC_DAYS || 365);
+// Incremental syncs are followed by a full one at least this often
+const FULL_SYNC_HOURS = Number(process.env.CALENDAR_FULL_SYNC_HOURS || 24);
+
+// Bookings written to linked calendars
+const WRITTEN_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+// Syncs of a connection run one at a time, in order
+const queues = new Map();
+
+const runExclusive = (id, task) => {
+  const next = (queues.get(id) || Promise.resolve()).catch(() => {}).then(task);
+  queues.set(id, next);
+  next.catch(() => {}).finally(() => {
+    if (queues.get(id) === next) queues.delete(id);
+  });
+  return next;
+};
+
+const getWindow = (now = Date.now()) => ({
+  start: new Date(now - DAY_MS),
+  end: new Date(now + SYNC_FUTURE_DAYS * DAY_MS),
+});
+
+/**
+ * Load the staff member or room a connection is for, checking the user
+ * manages it: studio owners manage their rooms and staff, staff members
+ * their own calendar
+ *
+ * @returns {Promise<{ staff, room, timezone }>}
+ */
+const getTarget = async ({ staffId, roomId }, user) => {
+  if (staffId) {
+    const staff = await Staff.findById(staffId);
+    const studio = staff && await Studio.findById(staff.studioId);
+    if (!studio) {
+      throw new AppError('Staff member not found', 404);
+    }
+    if (user && studio.ownerId !== user.id && staff.userId !== user.id) {
+      throw new AppError('Not authorized to link a calendar for this staff member', 403);
+    }
+    return { staff, timezone: studio.timezone };
+  }
+
+  const room = roomId && await Room.findById(roomId);
+  if (!room) {
+    throw new AppError('Room not found', 404);
+  }
+  if (user && room.studio.ownerId !== user.id) {
+    throw new AppError('Not authorized to link a calendar for this room', 403);
+  }
+  return { room, timezone: room.studio.timezone };
+};
+
+const findConnectionOrFail = async (id, user) => {
+  const connection = await CalendarConnection.findById(id);
+  if (!connection) {
+    throw new AppError('Calendar connection not found', 404);
+  }
+  if (connection.userId !== user.id) {
+    await getTarget(connection, user);
+  }
+  return connection;
+};
+
+const toAccount = (connection) => ({
+  url: connection.url,
+  username: connection.username,
+  password: connection.passwordEncrypted ? decryptSecret(connection.passwordEncrypted) : undefined,
+});
+
+/**
+ * Busy blocks of an external event: its occurrences that are opaque and not
+ * cancelled. Copies of bookings written by any connection are skipped.
+ */
+const toBusyBlocks = (data, timezone) =>
+  parseCalendar(data, { timezone })
+    .filter((event) => !event.transparent && event.status !== 'CANCELLED' && !isBookingUid(event.uid))
+    .filter((event) => event.end > event.start)
+    .map((event) => ({ uid: event.uid, startTime: event.start, endTime: event.end }));
+
+/**
+ * Read changes from the linked calendar: store the busy blocks of changed
+ * events, drop those of deleted ones, and flag bookings whose written event
+ * was edited or deleted there so the next push restores it. Uses the
+ * stored sync token, falling back to a full sync when there is none, the
+ * server no longer knows it, or the last full sync is too old.
+ */
+const pull = async (connection, account, timezone) => {
+  const lastFullSync = connection.lastFullSyncAt ? new Date(connection.lastFullSyncAt).getTime() : 0;
+  let full = !connection.syncToken || Date.now() - lastFullSync > FULL_SYNC_HOURS * HOUR_MS;
+
+  let changes;
+  try {
+    changes = await caldav.syncCollection(account, full ? null : connection.syncToken);
+  } catch (error) {
+    if (full || !(error instanceof caldav.CalDavError && error.invalidSyncToken)) throw error;
+    full = true;
+    changes = await caldav.syncCollection(account, null);
+  }
+
+  const written = await CalendarSyncEvent.findByConnection(connection.id);
+  const writtenByHref = new Map(written.map((event) => [event.href, event]));
+
+  // A full sync lists every event, so anything not listed is gone
+  const deleted = new Set(changes.deleted);
+  if (full) {
+    const listed = new Set(changes.changed.map(({ href }) => href));
+    written.filter((event) => !listed.has(event.href)).forEach((event) => deleted.add(event.href));
+  }
+
+  // Our own writes come back as changes with the entity tag we stored;
+  // another tag means the event was edited in the external calendar
+  const edited = changes.changed
+    .map((change) => ({ change, event: writtenByHref.get(change.href) }))
+    .filter(({ change, event }) => event && event.etag && change.etag && event.etag !== change.etag)
+    .map(({ event }) => event.id);
+
+  const external = changes.changed.filter(({ href }) => !writtenByHref.has(href)).map(({ href }) => href);
+  const { events, missing } = await caldav.getEvents(account, external, getWindow());
+  const fetched = new Set(events.map(({ href }) => href));
+  // Listed resources that are not events, or vanished in the meantime
+  const gone = [...new Set([...missing, ...external.filter((href) => !fetched.has(href))])];
+  const blocksByHref = events.map(({ href, data }) => ({ href, blocks: toBusyBlocks(data, timezone) }));
+
+  // Everything is read before any block changes, and the blocks are
+  // replaced at once, so a failed sync leaves the previous ones in place
+  await db.transaction(async (trx) => {
+    await CalendarSyncEvent.markRemoteChanged(edited, trx);
+
+    if (full) {
+      await ExternalBusyBlock.removeForConnection(connection.id, trx);
+    }
+    for (const { href, blocks } of blocksByHref) {
+      await ExternalBusyBlock.replaceForHref(connection.id, href, blocks, trx);
+    }
+    await ExternalBusyBlock.removeForHrefs(connection.id, [...deleted, ...gone], trx);
+
+    for (const event of written.filter(({ href }) => deleted.has(href))) {
+      await CalendarSyncEvent.remove(event.id, trx);
+    }
+
+    await CalendarConnection.update(connection.id, {
+      syncToken: changes.syncToken,
+      lastFullSyncAt: full ? new Date() : undefined,
+    }, trx);
+  });
+
+  return { changed: changes.changed.length, deleted: deleted.size, full };
+};
+
+/**
+ * Write a booking's event, creating it or replacing the copy we wrote
+ * before. The booking is authoritative: an event edited in the external
+ * calendar since we wrote it is overwritten.
+ *
+ * @returns {Promise<boolean>} whether an edit in the external calendar was
+ *   overwritten
+ */
+const writeEvent = async (connection, account, booking, existing) => {
+  const calendar = getBookingEvent(booking);
+  const href = existing ? existing.href : caldav.getEventHref(account, `booking-${booking.id}`);
+  let conflict = Boolean(existing && existing.remoteChanged);
+  let etag;
+
+  try {
+    etag = await caldav.putEvent(account, href, calendar, existing && !conflict
+      ? { etag: existing.etag }
+      : { create: !existing });
+  } catch (error) {
+    if (!(error instanceof caldav.CalDavError && (error.isPreconditionFailed || error.isNotFound))) throw error;
+    conflict = conflict || Boolean(existing);
+    etag = await caldav.putEvent(account, href, calendar);
+  }
+
+  await CalendarSyncEvent.upsert({
+    connectionId: connection.id,
+    bookingId: booking.id,
+    href,
+    etag,
+    startTime: booking.startTime,
+    bookingUpdatedAt: booking.updatedAt,
+  });
+
+  return conflict;
+};
+
+/**
+ * Write confirmed bookings of the connection's staff member or room in the
+ * sync window to the linked calendar, and remove the events of bookings
+ * that were cancelled, deleted or moved elsewhere. Events of past sessions
+ * are left in place.
+ */
+const push = async (connection, account) => {
+  const counts = { written: 0, removed: 0, conflicts: 0 };
+  if (!connection.writeBack) return counts;
+
+  const window = getWindow();
+  const [bookings, written] = await Promise.all([
+    Booking.find({
+      from: window.start,
+      to: window.end,
+      staffIds: connection.staffId ? [connection.staffId] : undefined,
+      roomId: connection.roomId || undefined,
+    }),
+    CalendarSyncEvent.findByConnection(connection.id),
+  ]);
+
+  const writtenByBooking = new Map(written.map((event) => [event.bookingId, event]));
+  const current = bookings.filter((booking) => WRITTEN_STATUSES.includes(booking.status));
+  const currentIds = new Set(current.map((booking) => booking.id));
+
+  for (const booking of current) {
+    const existing = writtenByBooking.get(booking.id);
+    const changed = !existing
+      || existing.remoteChanged
+      || new Date(existing.bookingUpdatedAt).getTime() !== new Date(booking.updatedAt).getTime();
+    if (!changed) continue;
+
+    if (await writeEvent(connection, account, booking, existing)) counts.conflicts += 1;
+    counts.written += 1;
+  }
+
+  const stale = written.filter((event) => !currentIds.has(event.bookingId) && new Date(event.startTime) >= window.start);
+  for (const event of stale) {
+    try {
+      await caldav.deleteEvent(account, event.href, { etag: event.remoteChanged ? undefined : event.etag });
+    } catch (error) {
+      if (!(error instanceof caldav.CalDavError && error.isPreconditionFailed)) throw error;
+      // Edited in the external calendar, but the booking is gone either way
+      await caldav.deleteEvent(account, event.href);
+      counts.conflicts += 1;
+    }
+    await CalendarSyncEvent.remove(event.id);
+    counts.removed += 1;
+  }
+
+  return counts;
+};
+
+/**
+ * Sync a connection with its calendar, recording the outcome on the
+ * connection. Runs after any sync of the same connection in progress.
+ *
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {boolean} [options.pullChanges=true]  Read changes from the
+ *   calendar before writing bookings to it
+ * @returns {Promise<{ connection, pulled, pushed }|null>} null when the
+ *   connection no longer exists
+ * @throws when the calendar server cannot be reached or rejects a request
+ */
+exports.syncConnection = (id, { pullChanges = true } = {}) => runExclusive(id, async () => {
+  const connection = await CalendarConnection.findById(id, { withCredentials: true });
+  if (!connection) return null;
+
+  try {
+    const { timezone } = await getTarget(connection);
+    const account = toAccount(connection);
+
+    const pulled = pullChanges ? await pull(connection, account, timezone) : null;
+    const pushed = await push(connection, account);
+
+    const updated = await CalendarConnection.update(connection.id, {
+      status: 'active',
+      lastError: null,
+      lastSyncedAt: pullChanges ? new Date() : undefined,
+    });
+    return { connection: updated, pulled, pushed };
+  } catch (error) {
+    await CalendarConnection.update(connection.id, { status: 'error', lastError: error.message });
+    throw error;
+  }
+});
+
+/**
+ * Sync every connection, for the periodic job
+ *
+ * @returns {Promise<{ synced: number, failed: number }>}
+ */
+exports.syncAll = async () => {
+  const counts = { synced: 0, failed: 0 };
+
+  for (const connection of await CalendarConnection.findAll()) {
+    try {
+      await exports.syncConnection(connection.id);
+      counts.synced += 1;
+    } catch (error) {
+      counts.failed += 1;
+      console.error(`Calendar sync error for connection ${connection.id}:`, error.message);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Write booking changes to the linked calendars of the booking's staff and
+ * rooms, before and after the change; listens to bookingEvents 'change'
+ * events. Only bookings that are or were confirmed appear in calendars.
+ */
+exports.handleBookingChange = async ({ before, after }) => {
+  const versions = [before, after].filter((booking) => booking && WRITTEN_STATUSES.includes(booking.status));
+  if (!versions.length) return;
+
+  const staffIds = [...new Set(versions.flatMap((booking) => (booking.staff || []).map((member) => member.id)))];
+  const roomIds = [...new Set(versions.flatMap((booking) => (booking.rooms || [booking.room]).map((room) => room.id)))];
+
+  try {
+    const connections = await CalendarConnection.findByTargets({ staffIds, roomIds });
+    for (const connection of connections.filter(({ writeBack }) => writeBack)) {
+      await exports.syncConnection(connection.id, { pullChanges: false }).catch((error) => {
+        console.error(`Calendar write-back error for connection ${connection.id}:`, error.message);
+      });
+    }
+  } catch (error) {
+    console.error('Calendar write-back error:', error.message);
+  }
+};
+
+/**
+ * Link a staff member's or room's external CalDAV calendar. The calendar
+ * is checked and synced right away; a failed first sync is kept on the
+ * connection and retried by the periodic sync.
+ *
+ * @param {Object} user
+ * @param {Object} data
+ * @param {string} [data.staffId]  Staff member whose calendar it is
+ * @param {string} [data.roomId]  Room whose calendar it is
+ * @param {string} data.url  URL of the calendar collection
+ * @param {string} [data.username]
+ * @param {string} [data.password]  Stored encrypted
+ * @param {boolean} [data.writeBack=true]  Write confirmed bookings to the calendar
+ */
+exports.connect = async (user, { staffId, roomId, url, username, password, writeBack = true }) => {
+  if (Boolean(staffId) === Boolean(roomId)) {
+    throw new AppError('A calendar is linked to either a staff member or a room', 400);
+  }
+  await getTarget({ staffId, roomId }, user);
+
+  const [existing] = await CalendarConnection.findByTargets({
+    staffIds: staffId ? [staffId] : [],
+    roomIds: roomId ? [roomId] : [],
+  });
+  if (existing) {
+    throw new AppError(`This ${staffId ? 'staff member' : 'room'} already has a linked calendar`, 409);
+  }
+
+  let calendar;
+  try {
+    calendar = await caldav.getCalendar({ url, username, password });
+  } catch (error) {
+    if (error instanceof caldav.CalDavError && error.isUnauthorized) {
+      throw new AppError('The calendar server rejected the username or password', 400);
+    }
+    if (error instanceof BlockedAddressError) {
+      throw new AppError('The calendar URL must point to a public server', 400);
+    }
+    throw new AppError(`Could not reach the calendar: ${error.message}`, 400);
+  }
+  if (!calendar.isCalendar) {
+    throw new AppError('The URL is not a CalDAV calendar collection', 400);
+  }
+
+  const connection = await CalendarConnection.create({
+    userId: user.id,
+    staffId: staffId || null,
+    roomId: roomId || null,
+    url,
+    username: username || null,
+    passwordEncrypted: password ? encryptSecret(password) : null,
+    displayName: calendar.displayName,
+    writeBack,
+  });
+
+  try {
+    const { connection: synced } = await exports.syncConnection(connection.id);
+    return synced;
+  } catch (error) {
+    console.error(`Calendar sync error for connection ${connection.id}:`, error.message);
+    return CalendarConnection.findById(connection.id);
+  }
+};
+
+exports.getConnections = (user) => CalendarConnection.findByUser(user.id);
+
+/**
+ * Sync a connection now on behalf of a user
+ */
+exports.syncNow = async (user, id) => {
+  const connection = await findConnectionOrFail(id, user);
+
+  try {
+    return await exports.syncConnection(connection.id);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(`Calendar sync failed: ${error.message}`, 502);
+  }
+};
+
+/**
+ * Unlink a calendar. Events written to it for upcoming sessions are removed
+ * when the calendar can still be reached.
+ */
+exports.disconnect = async (user, id) => {
+  const connection = await findConnectionOrFail(id, user);
+
+  await runExclusive(connection.id, async () => {
+    const written = await CalendarSyncEvent.findByConnection(connection.id);
+    const upcoming = written.filter((event) => new Date(event.startTime) > new Date());
+
+    if (connection.writeBack && upcoming.length) {
+      try {
+        const account = toAccount(await CalendarConnection.findById(connection.id, { withCredentials: true }));
+        for (const event of upcoming) {
+          await caldav.deleteEvent(account, event.href);
+        }
+      } catch (error) {
+        console.error(`Calendar cleanup error for connection ${connection.id}:`, error.message);
+      }
+    }
+
+    await CalendarConnection.remove(connection.id);
+  });
+};
@@ -0,0 +1,118 @@
+const EmailMessage = require('../models/emailMessage.model');
+const jobQueue = require('./jobQueue.service');
+const { EMAIL_FROM, getTransportName, sendEmail } = require('../utils/email');
+
+// Delivery attempts of a message, the first included; failed messages are
+// retried from the scheduled job queue with its backoff
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 5);
+
+const RETRY_JOB = 'email_retry';
+
+// Templates whose body carries a secret, such as a password reset link.
+// Their body is sent but not kept in the send log, so they are not retried;
+// the user can ask for another one.
+const REDACTED_TEMPLATES = ['password_reset'];
+const REDACTED_BODY = '[Not stored: contains a sign-in secret]';
+
+/**
+ * Hand a logged message to the transport and record the outcome. Throws
+ * when the transport did not accept it.
+ */
+const deliver = async (message) => {
+  try {
+    const result = await sendEmail({
+      to: message.to,
+      from: message.from,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments.map((attachment) => ({
+        ...attachment,
+        content: Buffer.from(attachment.content, 'base64'),
+      })),
+    });
+    await EmailMessage.markSent(message.id, result);
+  } catch (error) {
+    await EmailMessage.markFailed(message.id, { transport: getTransportName(), error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Log and send an email. Failures never reach the caller: the message
+ * stays in the send log as failed and is retried in the background, so an
+ * email problem cannot fail a booking that was already saved.
+ *
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} [message.text]
+ * @param {string} [message.html]
+ * @param {Object[]} [message.attachments]  { filename, content (Buffer), contentType }
+ * @param {string} [message.template]  Notification template the message was rendered from
+ * @param {string} [message.studioId]
+ * @param {string} [message.bookingId]
+ * @returns {Promise<boolean>} whether the message was sent now
+ */
+exports.send = async ({ to, subject, text, html, attachments = [], template, studioId, bookingId }) => {
+  // Attachments are stored base64-encoded so retries can resend them
+  const storedAttachments = attachments.map((attachment) => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: Buffer.from(attachment.content).toString('base64'),
+  }));
+  const redacted = REDACTED_TEMPLATES.includes(template);
+  let message;
+
+  try {
+    message = await EmailMessage.create({
+      to,
+      from: EMAIL_FROM,
+      subject,
+      text: redacted ? REDACTED_BODY : text,
+      html: redacted ? REDACTED_BODY : html,
+      attachments: storedAttachments,
+      template,
+      studioId,
+      bookingId,
+      transport: getTransportName(),
+    });
+
+    await deliver({ ...message, text, html, attachments: storedAttachments });
+    return true;
+  } catch (error) {
+    console.error(`Email ${template || subject} to ${to} failed:`, error.message);
+  }
+
+  if (message && !redacted && MAX_ATTEMPTS > 1) {
+    try {
+      await jobQueue.enqueue(RETRY_JOB, { messageId: message.id }, {
+        dedupeKey: `${RETRY_JOB}:${message.id}`,
+        maxAttempts: MAX_ATTEMPTS - 1,
+      });
+    } catch (error) {
+      console.error('Email retry scheduling error:', error.message);
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Send a failed message again; throwing lets the job queue retry it later
+ */
+const retryMessage = async ({ messageId }) => {
+  const message = await EmailMessage.findById(messageId, { withContent: true });
+  if (!message || message.status === 'sent' || REDACTED_TEMPLATES.includes(message.template)) return;
+
+  await deliver(message);
+};
+
+/**
+ * Send log of a studio, newest first
+ *
+ * @param {Object} [filter]  status, bookingId, limit
+ */
+exports.getStudioLog = (studioId, filter) => EmailMessage.findByStudio(studioId, filter);
+
+jobQueue.registerHandler(RETRY_JOB, retryMessage);
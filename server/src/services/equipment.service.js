@@ -0,0 +1,128 @@
+const Booking = require('../models/booking.model');
+const Equipment = require('../models/equipment.model');
+const EquipmentMaintenance = require('../models/equipmentMaintenance.model');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const { AppError } = require('../utils/errors');
+
+const MAINTENANCE_KINDS = ['maintenance', 'out_of_service'];
+
+/**
+ * Load an equipment item or throw a 404 AppError
+ */
+const findEquipmentOrFail = async (id) => {
+  const item = await Equipment.findById(id);
+  if (!item) {
+    throw new AppError('Equipment not found', 404);
+  }
+  return item;
+};
+
+/**
+ * Throw a 403 AppError unless the user owns or works at the item's studio
+ */
+const assertManages = async (item, user, action) => {
+  const studio = await Studio.findById(item.studioId);
+  const isStudioOwner = studio && studio.ownerId === user.id;
+  const isStaff = user.userType === 'staff' && await Staff.isMemberOf(user.id, item.studioId);
+
+  if (!isStudioOwner && !isStaff) {
+    throw new AppError(`Not authorized to ${action} this equipment`, 403);
+  }
+};
+
+/**
+ * Set how many units of an item the studio owns
+ */
+exports.updateStock = async (id, user, quantity) => {
+  const item = await findEquipmentOrFail(id);
+  await assertManages(item, user, 'update');
+
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new AppError('Quantity must be a whole number of at least 0', 400);
+  }
+
+  return Equipment.updateQuantity(item.id, quantity);
+};
+
+/**
+ * Stock of an item and the units free over a range
+ */
+exports.getStock = async (id, { startTime, endTime } = {}) => {
+  const item = await findEquipmentOrFail(id);
+  if (!startTime || !endTime) {
+    return { equipment: item, quantity: item.quantity };
+  }
+
+  const available = await Equipment.findAvailableQuantity(item.id, { startTime, endTime });
+  return { equipment: item, quantity: item.quantity, available, startTime, endTime };
+};
+
+/**
+ * Current and upcoming maintenance windows of an item
+ */
+exports.getMaintenanceWindows = async (id, user) => {
+  const item = await findEquipmentOrFail(id);
+  await assertManages(item, user, 'view maintenance of');
+
+  return EquipmentMaintenance.findByEquipment(item.id, { from: new Date() });
+};
+
+/**
+ * Take units of an item out of stock for maintenance or while out of
+ * service. Bookings already holding the units are kept; they are returned
+ * as affectedBookingIds so the studio can move them.
+ *
+ * @param {Object} data  kind, startTime, endTime, quantity (default every unit), reason
+ * @returns {Promise<{ window, affectedBookingIds }>}
+ */
+exports.addMaintenanceWindow = async (id, user, data) => {
+  const item = await findEquipmentOrFail(id);
+  await assertManages(item, user, 'schedule maintenance of');
+
+  const { kind = 'maintenance', startTime, endTime, quantity = null, reason } = data;
+  if (!MAINTENANCE_KINDS.includes(kind)) {
+    throw new AppError(`Kind must be one of ${MAINTENANCE_KINDS.join(', ')}`, 400);
+  }
+  if (!(new Date(endTime) > new Date(startTime))) {
+    throw new AppError('End time must be after start time', 400);
+  }
+  if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity)) {
+    throw new AppError(`Quantity must be between 1 and the ${item.quantity} units in stock`, 400);
+  }
+
+  const window = await EquipmentMaintenance.create({
+    equipmentId: item.id,
+    kind,
+    startTime: new Date(startTime),
+    endTime: new Date(endTime),
+    quantity,
+    reason,
+    createdBy: user.id,
+  });
+
+  const range = { startTime: window.startTime, endTime: window.endTime };
+  const overbooked = await Equipment.findUnitsInUse(item.id, range) > item.quantity;
+  const affectedBookingIds = overbooked
+    ? [...new Set((await Booking.findEquipmentUsageInRange({ equipmentIds: [item.id], ...range }))
+      .map((row) => row.id))]
+    : [];
+
+  return { window, affectedBookingIds };
+};
+
+/**
+ * Cancel a maintenance window, returning its units to stock
+ */
+exports.removeMaintenanceWindow = async (windowId, user) => {
+  const window = await EquipmentMaintenance.findById(windowId);
+  if (!window) {
+    throw new AppError('Maintenance window not found', 404);
+  }
+
+  const item = await findEquipmentOrFail(window.equipmentId);
+  await assertManages(item, user, 'schedule maintenance of');
+
+  await EquipmentMaintenance.remove(window.id);
+  return window;
+};
@@ -0,0 +1,151 @@
+const db = require('../database');
+const Booking = require('../models/booking.model');
+const EquipmentCheckout = require('../models/equipmentCheckout.model');
+const bookingService = require('./booking.service');
+const { toActor, recordChange } = require('./bookingAudit.service');
+const { refreshInvoice } = require('./invoice.service');
+const { addCharges, roundMoney } = require('./pricing.service');
+const { AppError } = require('../utils/errors');
+
+const UNIQUE_VIOLATION = '23505';
+
+// Statuses in which equipment can be handed out for a session
+const CHECKOUT_STATUSES = ['confirmed', 'checked_in'];
+
+/**
+ * Access of a studio owner or staff member to a booking's equipment, or a
+ * 403 AppError
+ */
+const getStudioActorOrFail = async (booking, user) => {
+  const access = await bookingService.getAccess(booking, user);
+  if (!access.isStudioOwner && !access.isStaff) {
+    throw new AppError('Not authorized to hand out equipment for this booking', 403);
+  }
+  return toActor(user, access);
+};
+
+/**
+ * Check-out records of a booking
+ */
+exports.getCheckouts = async (booking, user) => {
+  const { isClient, isStudioOwner, isStaff } = await bookingService.getAccess(booking, user);
+  if (!isClient && !isStudioOwner && !isStaff) {
+    throw new AppError('Not authorized to view this booking', 403);
+  }
+
+  return EquipmentCheckout.findByBooking(booking.id);
+};
+
+/**
+ * Hand out booked equipment, recording its condition
+ *
+ * @param {Object} data  equipmentId, quantity (default the booked quantity), condition
+ */
+exports.checkOut = async (booking, user, { equipmentId, quantity, condition }) => {
+  await getStudioActorOrFail(booking, user);
+
+  if (!CHECKOUT_STATUSES.includes(booking.status)) {
+    throw new AppError(`Cannot check out equipment for a ${booking.status.replace('_', '-')} booking`, 400);
+  }
+
+  const booked = booking.equipment.find((item) => item.id === equipmentId);
+  if (!booked) {
+    throw new AppError('This equipment is not part of the booking', 400);
+  }
+
+  const units = quantity === undefined ? booked.quantity : quantity;
+  if (!Number.isInteger(units) || units < 1 || units > booked.quantity) {
+    throw new AppError(`Quantity must be between 1 and the ${booked.quantity} booked`, 400);
+  }
+
+  try {
+    return await EquipmentCheckout.create({
+      bookingId: booking.id,
+      equipmentId,
+      quantity: units,
+      checkedOutAt: new Date(),
+      checkedOutBy: user.id,
+      conditionOut: condition,
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw new AppError(`${booked.name} is already checked out for this booking`, 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Take back checked-out equipment, recording its condition and any damage.
+ * A damage charge is added to the booking's price, and so to its invoice
+ * and balance, in the same transaction.
+ *
+ * @param {Object} data  condition, damageNotes, damageCharge
+ * @returns {Promise<{ checkout, booking }>}
+ */
+exports.checkIn = async (booking, user, checkoutId, { condition, damageNotes, damageCharge = 0 }) => {
+  const actor = await getStudioActorOrFail(booking, user);
+
+  const checkout = await EquipmentCheckout.findById(checkoutId);
+  if (!checkout || checkout.bookingId !== booking.id) {
+    throw new AppError('Check-out not found', 404);
+  }
+  if (checkout.checkedInAt) {
+    throw new AppError(`${checkout.equipment.name} has already been checked in`, 400);
+  }
+
+  const charge = roundMoney(Number(damageCharge));
+  if (!(charge >= 0)) {
+    throw new AppError('Damage charge must be an amount of 0 or more', 400);
+  }
+
+  const result = await db.transaction(async (trx) => {
+    const checkedIn = await EquipmentCheckout.checkIn(checkout.id, {
+      checkedInAt: new Date(),
+      checkedInBy: user.id,
+      conditionIn: condition,
+      damageNotes,
+      damageCharge: charge,
+    }, trx);
+
+    if (!checkedIn) {
+      throw new AppError(`${checkout.equipment.name} has already been checked in`, 400);
+    }
+
+    if (!charge) {
+      return { checkout: checkedIn, booking };
+    }
+
+    // Add to the current total; another damage charge may have been added
+    // since the booking was loaded
+    const current = await Booking.findByIdForUpdate(booking.id, trx);
+
+    const lineItem = {
+      type: 'damage',
+      referenceId: checkout.equipment.id,
+      description: `Damage: ${checkout.equipment.name}${damageNotes ? ` (${damageNotes})` : ''}`,
+      quantity: 1,
+      unit: 'charge',
+      unitPrice: charge,
+      amount: charge,
+    };
+
+    const charged = await recordChange(
+      { action: 'damage_charge', before: current, actor },
+      (t) => Booking.update(booking.id, {
+        totalAmount: roundMoney(current.totalAmount + charge),
+        priceBreakdown: current.priceBreakdown ? addCharges(current.priceBreakdown, [lineItem]) : undefined,
+      }, t),
+      trx
+    );
+
+    return { checkout: checkedIn, booking: charged };
+  });
+
+  // An invoice already issued is credited and reissued with the charge
+  if (charge) {
+    await refreshInvoice(result.booking);
+  }
+
+  return result;
+};
@@ -0,0 +1,90 @@
+const Booking = require('../models/booking.model');
+const bookingService = require('./booking.service');
+const bookingState = require('./bookingState.service');
+const { toActor, recordChange } = require('./bookingAudit.service');
+const { AppError } = require('../utils/errors');
+const { MINUTE_MS } = require('../utils/time');
+
+// How long a hold reserves its session while the client checks out
+const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 10);
+// Unexpired holds a client may have at once
+const MAX_HOLDS_PER_CLIENT = Number(process.env.BOOKING_HOLD_LIMIT || 3);
+
+/**
+ * Load a hold owned by the client, or throw a 404/403 AppError
+ */
+const findHoldOrFail = async (id, client) => {
+  const hold = await bookingService.findBookingOrFail(id);
+  if (!Booking.HOLD_STATUSES.includes(hold.status)) {
+    throw new AppError('Hold not found', 404);
+  }
+  if (hold.client.id !== client.id) {
+    throw new AppError('Not authorized to use this hold', 403);
+  }
+  return hold;
+};
+
+/**
+ * Expire every hold past its expiry time (see booking.service
+ * releaseExpiredHolds)
+ */
+exports.releaseExpiredHolds = (now) => bookingService.releaseExpiredHolds(now);
+
+/**
+ * Hold a session's room, equipment and staff for the client for
+ * BOOKING_HOLD_MINUTES. Holds are checked like bookings, so a taken slot
+ * fails with a BookingConflictError.
+ */
+exports.createHold = async (client, data) => {
+  if (await Booking.countActiveHolds(client.id) >= MAX_HOLDS_PER_CLIENT) {
+    throw new AppError(`You can hold at most ${MAX_HOLDS_PER_CLIENT} sessions at a time`, 400);
+  }
+
+  const holdUntil = new Date(Date.now() + HOLD_MINUTES * MINUTE_MS);
+  return bookingService.createBooking(client, { ...data, notes: undefined, seriesId: undefined }, { holdUntil });
+};
+
+/**
+ * Turn a hold into a pending booking with the details from the booking form
+ * and notify the studio owner. The hold's resources stay reserved
+ * throughout: the same row changes status, and only while it has not
+ * expired.
+ */
+exports.convertHold = async (id, client, { notes } = {}) => {
+  const hold = await findHoldOrFail(id, client);
+
+  if (hold.status === 'expired' || new Date(hold.holdExpiresAt) <= new Date()) {
+    throw new AppError('This hold has expired, please choose the session again', 410);
+  }
+  bookingState.assertTransition(hold, 'pending', 'client');
+
+  const actor = toActor(client, { isClient: true });
+  const booking = await recordChange(
+    { action: 'convert_hold', before: hold, actor },
+    (trx) => Booking.convertHold(hold.id, { status: 'pending', notes }, trx)
+  );
+
+  if (!booking) {
+    throw new AppError('This hold has expired, please choose the session again', 410);
+  }
+
+  await bookingService.notifyBookingRequest(booking);
+
+  return booking;
+};
+
+/**
+ * Give up a hold before it expires
+ */
+exports.releaseHold = async (id, client) => {
+  const hold = await findHoldOrFail(id, client);
+  if (hold.status !== 'held') {
+    return hold;
+  }
+
+  return bookingState.transition(hold, 'cancelled', {
+    role: 'client',
+    actor: toActor(client, { isClient: true }),
+    attributes: { cancelledBy: client.id },
+  });
+};
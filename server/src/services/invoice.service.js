@@ -0,0 +1,192 @@
+const db = require('../database');
+const Booking = require('../models/booking.model');
+const Invoice = require('../models/invoice.model');
+const Payment = require('../models/payment.model');
+const Studio = require('../models/studio.model');
+const { AppError } = require('../utils/errors');
+const { roundMoney } = require('./pricing.service');
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Invoice number shown to clients, e.g. "INV-000042"
+ */
+const formatInvoiceNumber = (prefix, sequenceNumber) =>
+  `${prefix || 'INV'}-${String(sequenceNumber).padStart(6, '0')}`;
+
+/**
+ * Invoice amounts from a booking's stored price breakdown. Bookings priced
+ * before itemized pricing get a single line for their total.
+ */
+const toInvoiceAmounts = (booking) => {
+  const price = booking.priceBreakdown;
+
+  if (!price) {
+    return {
+      currency: 'usd',
+      lineItems: [{
+        type: 'room',
+        referenceId: booking.room.id,
+        description: booking.room.name,
+        quantity: 1,
+        unit: 'session',
+        unitPrice: booking.totalAmount,
+        amount: booking.totalAmount,
+      }],
+      subtotal: booking.totalAmount,
+      discountAmount: 0,
+      tax: null,
+      total: booking.totalAmount,
+    };
+  }
+
+  return {
+    currency: price.currency,
+    lineItems: price.lineItems,
+    subtotal: price.subtotal,
+    discountAmount: price.discount ? price.discount.amount : 0,
+    tax: price.tax || null,
+    total: price.total,
+  };
+};
+
+/**
+ * Credit note cancelling the whole of an issued invoice
+ */
+const toCreditNote = (invoice) => {
+  const negate = (amount) => (amount ? -amount : 0);
+
+  return {
+    kind: 'credit_note',
+    relatedInvoiceId: invoice.id,
+    currency: invoice.currency,
+    lineItems: invoice.lineItems.map((item) => ({ ...item, amount: negate(item.amount) })),
+    subtotal: negate(invoice.subtotal),
+    discountAmount: negate(invoice.discountAmount),
+    tax: invoice.tax && { ...invoice.tax, amount: negate(invoice.tax.amount) },
+    total: negate(invoice.total),
+  };
+};
+
+/**
+ * Create an invoice or credit note under the studio's next number
+ */
+const createNumbered = async (attributes, trx) => {
+  const { sequenceNumber, prefix } = await Studio.nextInvoiceNumber(attributes.studioId, trx);
+
+  return Invoice.create({
+    ...attributes,
+    sequenceNumber,
+    invoiceNumber: formatInvoiceNumber(prefix, sequenceNumber),
+    issuedAt: new Date(),
+  }, trx);
+};
+
+/**
+ * Run the creation of invoices; when another request created them first
+ * (or the rolled back transaction released its numbers) return the
+ * booking's invoice as it now stands
+ */
+const createOnce = async (booking, work) => {
+  try {
+    return await db.transaction(work);
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return Invoice.findByBooking(booking.id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Bring the invoicing of a booking up to its current price. An issued
+ * invoice is never changed: it is credited in full and a replacement is
+ * issued for the new amounts.
+ */
+const updateAmounts = (invoice, booking) => {
+  const amounts = toInvoiceAmounts(booking);
+  if (invoice.total === amounts.total && invoice.subtotal === amounts.subtotal) {
+    return invoice;
+  }
+
+  return createOnce(booking, async (trx) => {
+    await createNumbered({ studioId: invoice.studioId, bookingId: booking.id, ...toCreditNote(invoice) }, trx);
+
+    return createNumbered({
+      studioId: invoice.studioId,
+      bookingId: booking.id,
+      relatedInvoiceId: invoice.id,
+      ...amounts,
+    }, trx);
+  });
+};
+
+/**
+ * Issue the invoice of a booking, or bring its invoicing up to date with the
+ * booking's current price. Numbers of invoices and credit notes are
+ * sequential per studio. Invoices are issued when a booking is confirmed or
+ * paid for, never just by viewing one.
+ */
+exports.issueInvoice = async (booking) => {
+  const amounts = toInvoiceAmounts(booking);
+  const existing = await Invoice.findByBooking(booking.id);
+
+  if (existing) {
+    return updateAmounts(existing, booking);
+  }
+
+  return createOnce(booking, (trx) => createNumbered({
+    studioId: booking.room.studio.id,
+    bookingId: booking.id,
+    ...amounts,
+  }, trx));
+};
+
+/**
+ * Reissue the invoice of a repriced booking, if one has been issued
+ */
+exports.refreshInvoice = async (booking) => {
+  const existing = await Invoice.findByBooking(booking.id);
+  return existing ? updateAmounts(existing, booking) : null;
+};
+
+/**
+ * Everything needed to render a booking's invoice: the invoice, studio,
+ * booking and the payments applied to it
+ *
+ * @param {Object} booking
+ * @param {Object} [options]
+ * @param {boolean} [options.issue]  Issue the invoice if it has not been
+ *   yet; otherwise a booking without one is a 404
+ * @returns {Promise<{ invoice, studio, booking, payments, amountPaid, balanceDue, isPaid }>}
+ */
+exports.getInvoiceDocument = async (booking, { issue = false } = {}) => {
+  const invoice = issue ? await exports.issueInvoice(booking) : await Invoice.findByBooking(booking.id);
+  if (!invoice) {
+    throw new AppError('No invoice has been issued for this booking yet', 404);
+  }
+  const studio = await Studio.findById(booking.room.studio.id);
+
+  // Only money that has moved: pending and failed refunds are still owed
+  // to the client, not taken off what they paid
+  const payments = (await Payment.findByBooking(booking.id))
+    .filter((payment) => payment.status === (payment.paymentType === 'refund' ? 'refunded' : 'completed'))
+    .map((payment) => ({
+      ...payment,
+      appliedAmount: payment.paymentType === 'refund' ? -payment.amount : payment.amount,
+    }));
+
+  const amountPaid = roundMoney(payments.reduce((sum, payment) => sum + payment.appliedAmount, 0));
+  const isInactive = Booking.INACTIVE_STATUSES.includes(booking.status);
+  const balanceDue = isInactive ? 0 : Math.max(0, roundMoney(invoice.total - amountPaid));
+
+  return {
+    invoice,
+    studio,
+    booking,
+    payments,
+    amountPaid,
+    balanceDue,
+    isPaid: !isInactive && balanceDue === 0,
+  };
+};
@@ -0,0 +1,83 @@
+const ScheduledJob = require('../models/scheduledJob.model');
+const { MINUTE_MS } = require('../utils/time');
+
+// First retry delay, doubled after every failed attempt
+const RETRY_BASE_MINUTES = Number(process.env.JOB_RETRY_BASE_MINUTES || 5);
+// Running jobs not finished after this long are assumed lost and run again
+const LOCK_TIMEOUT_MINUTES = Number(process.env.JOB_LOCK_TIMEOUT_MINUTES || 15);
+// Jobs claimed per batch
+const BATCH_SIZE = 20;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type. The handler gets the job
+ * payload and the job; throwing schedules a retry.
+ */
+exports.registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job to run at runAt (default now)
+ *
+ * @param {string} type
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {Date} [options.runAt]
+ * @param {string} [options.dedupeKey]  Key identifying the work; a job with
+ *   the same key is not queued again
+ * @param {string} [options.bookingId]  Booking the job belongs to
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<Object|null>} the job, or null when it was already queued
+ */
+exports.enqueue = (type, payload, { runAt = new Date(), dedupeKey, bookingId, maxAttempts } = {}) =>
+  ScheduledJob.enqueue({ type, payload, runAt, dedupeKey, bookingId, maxAttempts });
+
+/**
+ * Cancel the pending jobs of a booking, optionally only of some types
+ */
+exports.cancelBookingJobs = (bookingId, types) => ScheduledJob.cancelForBooking(bookingId, { types });
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for ${job.type} jobs`);
+    }
+    await handler(job.payload, job);
+    await ScheduledJob.complete(job.id);
+    return true;
+  } catch (error) {
+    const retryAt = handler && job.attempts < job.maxAttempts
+      ? new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (job.attempts - 1) * MINUTE_MS)
+      : null;
+    await ScheduledJob.fail(job.id, { error: error.message, retryAt });
+    console.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}):`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Run every due job, a batch at a time
+ *
+ * @returns {Promise<{ completed: number, failed: number }>}
+ */
+exports.processDueJobs = async () => {
+  const result = { completed: 0, failed: 0 };
+
+  for (;;) {
+    const jobs = await ScheduledJob.claimDue({
+      staleBefore: new Date(Date.now() - LOCK_TIMEOUT_MINUTES * MINUTE_MS),
+      limit: BATCH_SIZE,
+    });
+
+    for (const job of jobs) {
+      if (await runJob(job)) result.completed += 1;
+      else result.failed += 1;
+    }
+
+    if (jobs.length < BATCH_SIZE) return result;
+  }
+};
@@ -0,0 +1,419 @@
+const NotificationTemplate = require('../models/notificationTemplate.model');
+const Studio = require('../models/studio.model');
+const User = require('../models/user.model');
+const emailService = require('./email.service');
+const pushService = require('./push.service');
+const { AppError } = require('../utils/errors');
+const { sendSms } = require('../utils/sms');
+const { TemplateError, renderTemplate } = require('../utils/templates');
+const { formatZonedDateTime } = require('../utils/time');
+
+// Built-in templates by language
+const TEMPLATES = {
+  en: require('../templates/notifications/en'),
+  es: require('../templates/notifications/es'),
+};
+const LOCALES = Object.keys(TEMPLATES);
+const DEFAULT_LOCALE = LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+// Events users choose the channels of, and the templates sent for each.
+// Other templates are always emailed.
+const EVENT_TEMPLATES = {
+  booking_requested: ['booking_request', 'series_request'],
+  booking_confirmed: ['booking_confirmed', 'booking_updated'],
+  booking_cancelled: ['booking_cancelled', 'booking_cancelled_by_client', 'booking_rejected', 'series_cancelled', 'series_cancelled_by_client'],
+  booking_reminder: ['booking_reminder'],
+  payment_received: ['payment_received'],
+};
+const EVENTS = Object.keys(EVENT_TEMPLATES);
+const CHANNELS = ['email', 'sms', 'push'];
+// Channels of events a user has not chosen for
+const DEFAULT_CHANNELS = { email: true, sms: false, push: false };
+
+const DEFAULT_BRAND_COLOR = '#333333';
+const HEX_COLOR = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+const MAX_SIGNATURE_LENGTH = 500;
+
+// Wraps the HTML body of branded notifications
+const BRANDED_HEADER = '<div style="font-family: Arial, Helvetica, sans-serif;">{{#logoUrl}}<p><img src="{{logoUrl}}" alt="{{studioName}}" style="max-height: 60px;"></p>{{/logoUrl}}<div style="border-top: 4px solid {{primaryColor}}; padding-top: 8px;">';
+const BRANDED_FOOTER = '</div>{{#signature}}<p style="color: #666666;">{{signature}}</p>{{/signature}}</div>';
+
+const SAMPLE_START = new Date('2025-08-01T18:00:00Z');
+const SAMPLE_END = new Date('2025-08-01T22:00:00Z');
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Example data of every template, used for previews and to check studio
+ * overrides render
+ */
+const SAMPLE_DATA = {
+  booking_request: { studioName: 'Sample Studio', roomName: 'Live Room', clientName: 'Alex Client', startTime: SAMPLE_START, endTime: SAMPLE_END },
+  booking_confirmed: { studioName: 'Sample Studio', roomName: 'Live Room', startTime: SAMPLE_START, endTime: SAMPLE_END },
+  booking_updated: { studioName: 'Sample Studio', roomName: 'Live Room', startTime: SAMPLE_START, endTime: SAMPLE_END },
+  booking_checked_in: { studioName: 'Sample Studio' },
+  booking_completed: { studioName: 'Sample Studio' },
+  booking_no_show: { studioName: 'Sample Studio' },
+  booking_rejected: { studioName: 'Sample Studio', reason: 'The room is closed for maintenance', refundAmount: '$50.00' },
+  booking_cancelled: { studioName: 'Sample Studio', reason: 'Engineer unavailable', refundAmount: '$50.00' },
+  booking_cancelled_by_client: { studioName: 'Sample Studio', reason: 'Band member ill', refundAmount: null },
+  series_request: { studioName: 'Sample Studio', sessionCount: 6 },
+  series_cancelled: { studioName: 'Sample Studio', sessionCount: 3, reason: 'Studio renovation', refundAmount: '$150.00' },
+  series_cancelled_by_client: { studioName: 'Sample Studio', sessionCount: 3, reason: 'Tour dates changed', refundAmount: null },
+  waitlist_offer: { studioName: 'Sample Studio', roomName: 'Live Room', startTime: SAMPLE_START, endTime: SAMPLE_END, expiresAt: SAMPLE_START, acceptUrl: `${CLIENT_URL}/waitlist/accept/sample-token` },
+  booking_reminder: { studioName: 'Sample Studio', roomName: 'Live Room', address: '1 Sample Street', startTime: SAMPLE_START, endTime: SAMPLE_END, hours: 24, bookingUrl: `${CLIENT_URL}/bookings/sample` },
+  booking_follow_up: { studioName: 'Sample Studio', reviewUrl: `${CLIENT_URL}/bookings/sample/review` },
+  payment_received: { studioName: 'Sample Studio', amount: '$50.00', deposit: true, startTime: SAMPLE_START },
+  password_reset: { resetUrl: `${CLIENT_URL}/reset-password/sample-token` },
+};
+
+/**
+ * Supported language for a user locale such as "es-MX", falling back to
+ * the default
+ */
+const resolveLocale = (locale) => {
+  const language = locale ? String(locale).toLowerCase().split(/[-_]/)[0] : null;
+  return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Format the dates in notification data for a language and time zone
+ */
+const formatData = (value, options) => {
+  if (value instanceof Date) return formatZonedDateTime(value, options.timezone, { locale: options.locale });
+  if (Array.isArray(value)) return value.map((item) => formatData(item, options));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, formatData(item, options)]));
+  }
+  return value;
+};
+
+const assertTemplateName = (name) => {
+  if (!TEMPLATES[DEFAULT_LOCALE][name]) {
+    throw new AppError(`Unknown notification template "${name}"`, 404);
+  }
+};
+
+/**
+ * Wrap a rendered notification in the studio's branding
+ */
+const applyBranding = ({ subject, text, html }, studio) => {
+  const branding = (studio && studio.branding) || {};
+  if (!branding.logoUrl && !branding.primaryColor && !branding.signature) {
+    return { subject, text, html };
+  }
+
+  const values = { ...branding, primaryColor: branding.primaryColor || DEFAULT_BRAND_COLOR, studioName: studio.name };
+  return {
+    subject,
+    text: branding.signature ? `${text}\n\n${branding.signature}` : text,
+    html: renderTemplate(BRANDED_HEADER, values, { html: true }) + html + renderTemplate(BRANDED_FOOTER, values, { html: true }),
+  };
+};
+
+/**
+ * Render a named notification: the studio's override of the template in
+ * the recipient's language, else the built-in template in that language,
+ * else in the default language. Values are HTML-escaped in the HTML body.
+ * The short text for SMS and push always comes from the built-in template.
+ *
+ * @param {string} name
+ * @param {Object} options
+ * @param {string} [options.locale]  Recipient locale
+ * @param {Object} [options.studio]  Studio whose overrides, branding and time zone apply
+ * @param {Object} [options.data]  Template values; dates are formatted for the locale
+ * @param {Object} [options.template]  subject, text and html to render instead
+ * @returns {Promise<{ locale, subject, text, html, short }>}
+ */
+const renderNotification = async (name, { locale, studio, data = {}, template } = {}) => {
+  assertTemplateName(name);
+  const language = resolveLocale(locale);
+
+  const builtIn = TEMPLATES[language][name] || TEMPLATES[DEFAULT_LOCALE][name];
+  const source = template
+    || (studio && await NotificationTemplate.find({ studioId: studio.id, name, locale: language }))
+    || builtIn;
+  const values = formatData(data, { locale: language, timezone: (studio && studio.timezone) || 'UTC' });
+
+  const rendered = {
+    subject: renderTemplate(source.subject, values),
+    text: renderTemplate(source.text, values),
+    html: renderTemplate(source.html, values, { html: true }),
+  };
+  const short = builtIn.short ? renderTemplate(builtIn.short, values) : rendered.subject;
+
+  return { locale: language, ...applyBranding(rendered, studio), short };
+};
+
+/**
+ * A user's channels for every event, with the defaults filled in
+ */
+const getChannels = (preferences) =>
+  Object.fromEntries(EVENTS.map((event) => [
+    event,
+    { ...DEFAULT_CHANNELS, ...((preferences && preferences[event]) || {}) },
+  ]));
+
+/**
+ * Event a template is sent for, if users choose its channels
+ */
+const getTemplateEvent = (name) => EVENTS.find((event) => EVENT_TEMPLATES[event].includes(name)) || null;
+
+/**
+ * Send a named notification to a user in their language, branded for the
+ * studio it is about, on the channels they chose for its event (email,
+ * SMS, web push). Never throws: failures are logged and emails are
+ * retried in the background (see email.service).
+ *
+ * @param {string} name  Template name, e.g. "booking_confirmed"
+ * @param {Object} params
+ * @param {Object} params.to  Recipient with id, email and optional locale
+ * @param {string} [params.studioId]  Studio the notification is about
+ * @param {string} [params.bookingId]  Booking the notification is about
+ * @param {Object} params.data  Template values
+ * @param {Object[]} [params.attachments]  Email attachments
+ * @returns {Promise<{ email: boolean, sms: boolean, push: boolean }>} the
+ *   channels the notification was sent on
+ */
+exports.notify = async (name, { to, studioId, bookingId, data, attachments }) => {
+  const sent = { email: false, sms: false, push: false };
+  let recipient = to;
+  let channels = DEFAULT_CHANNELS;
+  let rendered;
+
+  try {
+    const event = getTemplateEvent(name);
+    if (event && to.id) {
+      recipient = { ...to, ...(await User.findById(to.id)) };
+      channels = getChannels(recipient.notificationPreferences)[event];
+    }
+
+    const studio = studioId ? await Studio.findById(studioId) : null;
+    rendered = await renderNotification(name, { locale: recipient.locale, studio, data });
+  } catch (error) {
+    console.error(`Notification ${name} error:`, error.message);
+    return sent;
+  }
+
+  if (channels.email) {
+    sent.email = await emailService.send({
+      to: recipient.email,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      attachments,
+      template: name,
+      studioId,
+      bookingId,
+    });
+  }
+
+  if (channels.sms && recipient.phone) {
+    try {
+      await sendSms({ to: recipient.phone, body: rendered.short });
+      sent.sms = true;
+    } catch (error) {
+      console.error(`SMS ${name} to ${recipient.phone} failed:`, error.message);
+    }
+  }
+
+  if (channels.push) {
+    try {
+      sent.push = await pushService.sendToUser(recipient.id, {
+        title: rendered.subject,
+        body: rendered.short,
+        url: bookingId ? `${CLIENT_URL}/bookings/${bookingId}` : CLIENT_URL,
+        tag: bookingId ? `${name}:${bookingId}` : name,
+      }) > 0;
+    } catch (error) {
+      console.error(`Push ${name} to user ${recipient.id} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * A user's notification channels for every event
+ *
+ * @returns {Promise<Object>} { [event]: { email, sms, push } }
+ */
+exports.getPreferences = async (user) => {
+  const stored = await User.findById(user.id);
+
+  return getChannels(stored.notificationPreferences);
+};
+
+/**
+ * Change some of a user's notification channels, e.g.
+ * { booking_reminder: { sms: true } }
+ *
+ * @returns {Promise<Object>} all of the user's channels
+ */
+exports.updatePreferences = async (user, changes) => {
+  for (const [event, channels] of Object.entries(changes)) {
+    if (!EVENTS.includes(event)) {
+      throw new AppError(`Unknown notification event "${event}", expected one of ${EVENTS.join(', ')}`, 400);
+    }
+    for (const [channel, enabled] of Object.entries(channels || {})) {
+      if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+        throw new AppError(`Channels of ${event} must be true or false for ${CHANNELS.join(', ')}`, 400);
+      }
+    }
+  }
+
+  const stored = await User.findById(user.id);
+  const current = getChannels(stored.notificationPreferences);
+  if (Object.values(changes).some((channels) => channels && channels.sms) && !stored.phone) {
+    throw new AppError('Add a phone number to your profile to get SMS notifications', 400);
+  }
+
+  const preferences = Object.fromEntries(EVENTS.map((event) => [
+    event,
+    { ...current[event], ...(changes[event] || {}) },
+  ]));
+  await User.update(user.id, { notificationPreferences: preferences });
+
+  return preferences;
+};
+
+/**
+ * Load a studio the user owns or throw a 404 or 403 AppError
+ */
+const findOwnedStudioOrFail = async (studioId, user) => {
+  const studio = await Studio.findById(studioId);
+  if (!studio) {
+    throw new AppError('Studio not found', 404);
+  }
+  if (studio.ownerId !== user.id) {
+    throw new AppError('Not authorized to manage notifications of this studio', 403);
+  }
+  return studio;
+};
+
+/**
+ * Names of the templates with their languages and example data
+ */
+exports.listTemplates = () =>
+  Object.keys(TEMPLATES[DEFAULT_LOCALE]).map((name) => ({
+    name,
+    locales: LOCALES.filter((locale) => TEMPLATES[locale][name]),
+    sampleData: SAMPLE_DATA[name] || {},
+  }));
+
+/**
+ * Render a template with example data, optionally as a studio would send
+ * it and with unsaved template text
+ *
+ * @param {Object} options  locale, studioId, data (merged over the example
+ *   data), template ({ subject, text, html })
+ */
+exports.previewNotification = async (name, user, { locale, studioId, data = {}, template } = {}) => {
+  const studio = studioId ? await findOwnedStudioOrFail(studioId, user) : null;
+
+  try {
+    return await renderNotification(name, {
+      locale,
+      studio,
+      data: { ...(SAMPLE_DATA[name] || {}), ...data },
+      template,
+    });
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      throw new AppError(`Invalid template: ${error.message}`, 400);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Branding and template overrides of a studio
+ */
+exports.getStudioNotifications = async (studioId, user) => {
+  const studio = await findOwnedStudioOrFail(studioId, user);
+  const templates = await NotificationTemplate.findByStudio(studio.id);
+
+  return { branding: studio.branding || null, templates };
+};
+
+/**
+ * Set the branding of a studio's notifications
+ *
+ * @param {Object|null} branding  logoUrl (http or https), primaryColor (hex), signature
+ */
+exports.updateBranding = async (studioId, user, branding) => {
+  const studio = await findOwnedStudioOrFail(studioId, user);
+  if (branding === null) {
+    return Studio.updateBranding(studio.id, null);
+  }
+
+  const { logoUrl, primaryColor, signature } = branding;
+  if (logoUrl && !/^https?:\/\/[^\s"'<>]+$/i.test(logoUrl)) {
+    throw new AppError('Logo URL must be an http or https URL', 400);
+  }
+  if (primaryColor && !HEX_COLOR.test(primaryColor)) {
+    throw new AppError('Primary color must be a hex color such as #1a2b3c', 400);
+  }
+  if (signature && String(signature).length > MAX_SIGNATURE_LENGTH) {
+    throw new AppError(`Signature must be at most ${MAX_SIGNATURE_LENGTH} characters`, 400);
+  }
+
+  return Studio.updateBranding(studio.id, {
+    logoUrl: logoUrl || null,
+    primaryColor: primaryColor || null,
+    signature: signature || null,
+  });
+};
+
+/**
+ * Override a template for a studio in one language. The template is
+ * rendered with example data first so broken templates are rejected.
+ */
+exports.setTemplateOverride = async (studioId, user, { name, locale, subject, text, html }) => {
+  const studio = await findOwnedStudioOrFail(studioId, user);
+  assertTemplateName(name);
+  if (!LOCALES.includes(locale)) {
+    throw new AppError(`Locale must be one of ${LOCALES.join(', ')}`, 400);
+  }
+
+  await exports.previewNotification(name, user, { locale, template: { subject, text, html } });
+
+  return NotificationTemplate.upsert({
+    studioId: studio.id,
+    name,
+    locale,
+    subject,
+    text,
+    html,
+    updatedBy: user.id,
+  });
+};
+
+/**
+ * Go back to the built-in template for a studio in one language
+ */
+exports.removeTemplateOverride = async (studioId, user, { name, locale }) => {
+  const studio = await findOwnedStudioOrFail(studioId, user);
+  assertTemplateName(name);
+
+  const removed = await NotificationTemplate.remove({ studioId: studio.id, name, locale });
+  if (!removed) {
+    throw new AppError('Template override not found', 404);
+  }
+};
+
+/**
+ * Emails sent for a studio with their delivery status, newest first
+ *
+ * @param {Object} [filter]  status (pending, sent, failed), bookingId, limit
+ */
+exports.getEmailLog = async (studioId, user, filter = {}) => {
+  const studio = await findOwnedStudioOrFail(studioId, user);
+
+  return emailService.getStudioLog(studio.id, filter);
+};
+
+exports.LOCALES = LOCALES;
+exports.EVENTS = EVENTS;
+exports.CHANNELS = CHANNELS;
+exports.resolveLocale = resolveLocale;
+exports.renderNotification = renderNotification;
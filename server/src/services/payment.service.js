@@ -0,0 +1,221 @@
+const db = require('../database');
+const Booking = require('../models/booking.model');
+const Payment = require('../models/payment.model');
+const Studio = require('../models/studio.model');
+const bookingService = require('./booking.service');
+const notificationService = require('./notification.service');
+const { issueInvoice } = require('./invoice.service');
+const { SYSTEM_ACTOR, recordChange } = require('./bookingAudit.service');
+const stripe = require('../utils/stripe');
+const { AppError } = require('../utils/errors');
+const { formatMoney, roundMoney } = require('./pricing.service');
+
+const PAYMENT_TYPES = ['deposit', 'full'];
+
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Amount still owed for a booking of the given payment type
+ */
+const getAmountDue = async (booking, paymentType) => {
+  const paid = await Payment.sumCompleted(booking.id);
+
+  if (paymentType === 'deposit') {
+    if (booking.depositPaid) {
+      throw new AppError('The deposit for this booking has already been paid', 400);
+    }
+    return roundMoney(booking.depositAmount || 0);
+  }
+
+  return roundMoney(booking.totalAmount - paid);
+};
+
+/**
+ * Create (or reuse) a Stripe PaymentIntent for a booking's deposit or
+ * outstanding balance and record it as a pending payment
+ *
+ * @returns {Promise<{ payment, clientSecret }>}
+ */
+exports.createPaymentIntent = async (booking, paymentType) => {
+  if (!PAYMENT_TYPES.includes(paymentType)) {
+    throw new AppError(`Payment type must be one of ${PAYMENT_TYPES.join(', ')}`, 400);
+  }
+
+  if (Booking.INACTIVE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Cannot pay for a ${booking.status} booking`, 400);
+  }
+
+  // A hold becomes a booking before any money is taken for it
+  if (booking.status === 'held') {
+    throw new AppError('Complete the booking before paying for it', 400);
+  }
+
+  const amount = await getAmountDue(booking, paymentType);
+  if (amount <= 0) {
+    throw new AppError('Nothing is owed for this booking', 400);
+  }
+
+  const currency = (booking.priceBreakdown && booking.priceBreakdown.currency) || 'usd';
+
+  // Reuse an open intent for the same amount instead of creating another;
+  // one canceled before its webhook arrived counts as failed
+  const pending = await Payment.findPending({ bookingId: booking.id, paymentType, amount });
+  if (pending) {
+    const intent = await stripe.paymentIntents.retrieve(pending.transactionId);
+    if (intent.status !== 'canceled') {
+      return { payment: pending, clientSecret: intent.client_secret };
+    }
+    await Payment.update(pending.id, { status: 'failed' });
+  }
+
+  // Record the attempt first: its id keys the request to Stripe, so retrying
+  // after a failed or canceled intent creates a new one, while a repeated
+  // request for this attempt gets the same intent back
+  const attempt = await Payment.create({
+    bookingId: booking.id,
+    amount,
+    currency,
+    paymentType,
+    paymentMethod: 'stripe',
+    status: 'pending',
+  });
+
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.create(
+      {
+        amount: toCents(amount),
+        currency,
+        automatic_payment_methods: { enabled: true },
+        metadata: { bookingId: booking.id, paymentType, paymentId: attempt.id },
+      },
+      { idempotencyKey: `payment-${attempt.id}` }
+    );
+  } catch (error) {
+    await Payment.update(attempt.id, { status: 'failed' });
+    throw error;
+  }
+
+  const payment = await Payment.update(attempt.id, { transactionId: intent.id });
+
+  return { payment, clientSecret: intent.client_secret };
+};
+
+/**
+ * Mark the payment behind a succeeded PaymentIntent as completed and record
+ * the deposit on its booking
+ *
+ * @returns {Promise<Object|null>} the completed payment with its booking,
+ *   and whether the booking should be auto-confirmed
+ */
+const handleIntentSucceeded = async (intent, trx) => {
+  const payment = await Payment.findByTransactionId(intent.id, trx);
+  if (!payment || payment.status === 'completed') return null;
+
+  await Payment.update(payment.id, { status: 'completed', paymentDate: new Date() }, trx);
+
+  const booking = await Booking.findById(payment.bookingId, { withDeleted: true }, trx);
+  if (!booking) return null;
+
+  const received = { payment, booking, autoConfirm: false };
+  if (booking.depositPaid) return received;
+
+  const paid = await Payment.sumCompleted(booking.id, trx);
+  if (paid + 0.005 < (booking.depositAmount || 0)) return received;
+
+  await recordChange(
+    { action: 'deposit_paid', before: booking, actor: SYSTEM_ACTOR },
+    (t) => Booking.update(booking.id, { depositPaid: true }, t),
+    trx
+  );
+
+  const studio = await Studio.findById(booking.room.studio.id, trx);
+  return { ...received, autoConfirm: studio.autoConfirmOnDeposit && booking.status === 'pending' };
+};
+
+const handleIntentFailed = async (intent, trx) => {
+  const payment = await Payment.findByTransactionId(intent.id, trx);
+  if (!payment || payment.status !== 'pending') return;
+
+  await Payment.update(payment.id, { status: 'failed' }, trx);
+};
+
+/**
+ * Verify a Stripe webhook payload and parse it into an event
+ */
+exports.constructWebhookEvent = (rawBody, signature) => {
+  try {
+    return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    throw new AppError(`Webhook signature verification failed: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Apply a Stripe webhook event exactly once. The event id is recorded in the
+ * same transaction as its effects, so redelivered events are skipped and
+ * failed ones are retried by Stripe.
+ *
+ * @returns {Promise<boolean>} false when the event had already been processed
+ */
+exports.handleWebhookEvent = async (event) => {
+  let received = null;
+
+  const processed = await db.transaction(async (trx) => {
+    const isNew = await Payment.recordEvent({ id: event.id, type: event.type }, trx);
+    if (!isNew) return false;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        received = await handleIntentSucceeded(event.data.object, trx);
+        break;
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        await handleIntentFailed(event.data.object, trx);
+        break;
+      default:
+        break;
+    }
+
+    return true;
+  });
+
+  if (!received) {
+    return processed;
+  }
+
+  // Notify and confirm outside the transaction so nothing is sent before
+  // the payment has been committed
+  const { payment, booking, autoConfirm } = received;
+
+  // A paid booking has an invoice (a receipt once fully paid)
+  try {
+    await issueInvoice(booking);
+  } catch (error) {
+    console.error('Issue invoice error:', error.message);
+  }
+
+  await notificationService.notify('payment_received', {
+    to: booking.client,
+    studioId: booking.room.studio.id,
+    bookingId: booking.id,
+    data: {
+      studioName: booking.room.studio.name,
+      amount: formatMoney(payment.amount, payment.currency),
+      deposit: payment.paymentType === 'deposit',
+      startTime: new Date(booking.startTime),
+    },
+  });
+
+  if (autoConfirm) {
+    try {
+      await bookingService.autoConfirmBooking(booking);
+    } catch (error) {
+      // The payment is recorded; a booking that changed status meanwhile
+      // is left for the studio to confirm
+      console.error('Auto-confirm booking error:', error.message);
+    }
+  }
+
+  return processed;
+};
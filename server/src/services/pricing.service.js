@@ -0,0 +1,310 @@
+const Room = require('../models/room.model');
+const Studio = require('../models/studio.model');
+const Equipment = require('../models/equipment.model');
+const Staff = require('../models/staff.model');
+const { AppError } = require('../utils/errors');
+const { HOUR_MS, DAY_MS, parseTimeOfDay, addDays, eachZonedDate, zonedTimeToUtc } = require('../utils/time');
+
+const CURRENCY = (process.env.CURRENCY || 'usd').toLowerCase();
+const DEPOSIT_PERCENT = Number(process.env.DEPOSIT_PERCENT || 25);
+
+/**
+ * Round a monetary amount to cents
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Format a monetary amount for emails and documents, e.g. "$12.50"
+ */
+const formatMoney = (amount, currency = CURRENCY) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount);
+
+/**
+ * Absolute intervals during which a rate rule applies within [start, end).
+ *
+ * A rate rule looks like:
+ *   { name: 'Evening peak', weekdays: ['friday', 'saturday'],
+ *     start: '18:00', end: '02:00', multiplier: 1.25 }
+ * weekdays defaults to every day and start/end to the whole day; an end at
+ * or before the start runs past midnight.
+ */
+const getRuleIntervals = (rule, start, end, timezone) => {
+  const open = rule.start ? parseTimeOfDay(rule.start) : 0;
+  const close = rule.end ? parseTimeOfDay(rule.end) : 24 * 60;
+  if (open === null || close === null) return [];
+
+  const [first, ...rest] = eachZonedDate(start, end, timezone);
+
+  return [addDays(first, -1), first, ...rest]
+    .filter((date) => !rule.weekdays || rule.weekdays.includes(date.weekday))
+    .map((date) => ({
+      start: zonedTimeToUtc({ ...date, minutes: open }, timezone).getTime(),
+      end: zonedTimeToUtc({ ...date, minutes: close > open ? close : close + 24 * 60 }, timezone).getTime(),
+    }));
+};
+
+/**
+ * Split a session into segments priced by the first matching rate rule
+ *
+ * @returns {Array<{ rule: Object|null, hours: number }>}
+ */
+const splitByRateRules = (rateRules, startTime, endTime, timezone) => {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  const ruleIntervals = rateRules.map((rule) => getRuleIntervals(rule, start, end, timezone));
+
+  const boundaries = [start, end];
+  ruleIntervals.flat().forEach((interval) => boundaries.push(interval.start, interval.end));
+  const points = [...new Set(boundaries)].filter((point) => point >= start && point <= end).sort((a, b) => a - b);
+
+  const segments = new Map();
+  for (let i = 0; i < points.length - 1; i += 1) {
+    const ruleIndex = ruleIntervals.findIndex((intervals) =>
+      intervals.some((interval) => interval.start <= points[i] && interval.end >= points[i + 1])
+    );
+    const hours = (points[i + 1] - points[i]) / HOUR_MS;
+    segments.set(ruleIndex, (segments.get(ruleIndex) || 0) + hours);
+  }
+
+  return [...segments.entries()].map(([ruleIndex, hours]) => ({
+    rule: ruleIndex === -1 ? null : rateRules[ruleIndex],
+    hours,
+  }));
+};
+
+/**
+ * Best package discount the session qualifies for.
+ *
+ * A discount looks like:
+ *   { name: 'Full day', minHours: 8, requiresStaff: false, percent: 10 }
+ */
+const findDiscount = (discounts, { hours, staff, equipment }) =>
+  discounts
+    .filter((discount) => !discount.minHours || hours >= discount.minHours)
+    .filter((discount) => !discount.requiresStaff || staff.length > 0)
+    .filter((discount) => !discount.requiresEquipment || equipment.length > 0)
+    .sort((a, b) => b.percent - a.percent)[0] || null;
+
+/**
+ * Tax on an amount under a studio's tax settings.
+ *
+ * Tax settings look like:
+ *   { name: 'VAT', rate: 20, inclusive: true }
+ * Inclusive tax is already part of the amount; exclusive tax is added to it.
+ */
+const calculateTax = (taxSettings, amount) => {
+  if (!taxSettings || !taxSettings.rate) return null;
+
+  const { name = 'Tax', rate, inclusive = false } = taxSettings;
+  const taxAmount = inclusive ? amount - amount / (1 + rate / 100) : (amount * rate) / 100;
+
+  return { name, rate, inclusive, amount: roundMoney(taxAmount) };
+};
+
+/**
+ * Itemized price of a session
+ *
+ * Studio pricing_rules may contain rateRules (time-based room multipliers),
+ * discounts (package discounts on the subtotal) and depositPercent. Every
+ * room of a multi-room session is charged its own hourly rate. Equipment
+ * is charged its daily rate per started day and quantity; staff their hourly
+ * rate. Tax from the studio's tax settings applies after discounts.
+ *
+ * @param {Object} params
+ * @param {Object} params.studio
+ * @param {Object} [params.room]  The room, for single-room sessions
+ * @param {Object[]} [params.rooms]  Every room of the session
+ * @param {Array<{ item: Object, quantity: number }>} params.equipment
+ * @param {Object[]} params.staff
+ */
+const calculatePrice = ({ studio, room, rooms = [room], startTime, endTime, equipment = [], staff = [] }) => {
+  const pricingRules = studio.pricingRules || {};
+  const hours = (new Date(endTime) - new Date(startTime)) / HOUR_MS;
+  const days = Math.max(1, Math.ceil((new Date(endTime) - new Date(startTime)) / DAY_MS));
+  const lineItems = [];
+
+  const segments = splitByRateRules(pricingRules.rateRules || [], startTime, endTime, studio.timezone);
+
+  rooms.forEach((sessionRoom) => {
+    segments.forEach(({ rule, hours: ruleHours }) => {
+      const multiplier = rule ? rule.multiplier : 1;
+      lineItems.push({
+        type: 'room',
+        referenceId: sessionRoom.id,
+        description: rule ? `${sessionRoom.name} (${rule.name})` : sessionRoom.name,
+        quantity: roundMoney(ruleHours),
+        unit: 'hour',
+        unitPrice: roundMoney(sessionRoom.hourlyRate * multiplier),
+        multiplier,
+        amount: roundMoney(sessionRoom.hourlyRate * multiplier * ruleHours),
+      });
+    });
+  });
+
+  equipment.forEach(({ item, quantity }) => {
+    lineItems.push({
+      type: 'equipment',
+      referenceId: item.id,
+      description: quantity > 1 ? `${item.name} x${quantity}` : item.name,
+      quantity: days * quantity,
+      unit: 'day',
+      unitPrice: item.dailyRate || 0,
+      amount: roundMoney((item.dailyRate || 0) * days * quantity),
+    });
+  });
+
+  staff.forEach((member) => {
+    lineItems.push({
+      type: 'staff',
+      referenceId: member.id,
+      description: `${member.name} (${member.role})`,
+      quantity: roundMoney(hours),
+      unit: 'hour',
+      unitPrice: member.hourlyRate || 0,
+      amount: roundMoney((member.hourlyRate || 0) * hours),
+    });
+  });
+
+  const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const discount = findDiscount(pricingRules.discounts || [], { hours, staff, equipment });
+  const discountAmount = discount ? roundMoney((subtotal * discount.percent) / 100) : 0;
+  const tax = calculateTax(studio.taxSettings, roundMoney(subtotal - discountAmount));
+  const total = roundMoney(subtotal - discountAmount + (tax && !tax.inclusive ? tax.amount : 0));
+  const depositPercent = pricingRules.depositPercent ?? DEPOSIT_PERCENT;
+
+  return {
+    currency: pricingRules.currency || CURRENCY,
+    lineItems,
+    subtotal,
+    discount: discount ? { name: discount.name, percent: discount.percent, amount: discountAmount } : null,
+    tax,
+    total,
+    deposit: roundMoney((total * depositPercent) / 100),
+  };
+};
+
+/**
+ * Add charges made after a session was priced, such as equipment damage, to
+ * its price. They are not discounted or taxed and do not change the deposit.
+ *
+ * @param {Object} price  A price from calculatePrice
+ * @param {Object[]} charges  Line items with type, description and amount
+ */
+const addCharges = (price, charges) => {
+  if (!charges.length) return price;
+
+  const amount = roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0));
+  return {
+    ...price,
+    lineItems: [...price.lineItems, ...charges],
+    subtotal: roundMoney(price.subtotal + amount),
+    total: roundMoney(price.total + amount),
+  };
+};
+
+/**
+ * Equipment a booking asks for as a list of { id, quantity }: equipment
+ * gives quantities, equipmentIds one unit of each listed item
+ */
+const getEquipmentItems = ({ equipment, equipmentIds = [] }) => {
+  const items = equipment
+    ? equipment.map((item) => ({ id: item.id, quantity: Number(item.quantity ?? 1) }))
+    : equipmentIds.map((id) => ({ id, quantity: 1 }));
+
+  if (items.some((item) => !Number.isInteger(item.quantity) || item.quantity < 1)) {
+    throw new AppError('Equipment quantities must be whole numbers of at least 1', 400);
+  }
+
+  // Merge repeated items
+  return [...items.reduce((merged, item) => {
+    merged.set(item.id, (merged.get(item.id) || 0) + item.quantity);
+    return merged;
+  }, new Map())].map(([id, quantity]) => ({ id, quantity }));
+};
+
+/**
+ * Load the rooms, studio, equipment and staff of a prospective booking and
+ * price it. roomId is the main room; roomIds may add more rooms of the same
+ * studio, reserved for the same time.
+ *
+ * @param {Object} data  roomId, roomIds, startTime, endTime, equipment or
+ *   equipmentIds (see getEquipmentItems), staffIds
+ * @returns {Promise<{ room, rooms, studio, equipment, staff, price }>}
+ *   equipment as a list of { item, quantity }
+ */
+const quoteBooking = async ({ roomId, roomIds = [], startTime, endTime, equipment: requested, equipmentIds, staffIds = [] }) => {
+  if (!(new Date(endTime) > new Date(startTime))) {
+    throw new AppError('End time must be after start time', 400);
+  }
+
+  // Check if the room exists
+  const room = await Room.findById(roomId);
+  if (!room) {
+    throw new AppError('Room not found', 404);
+  }
+
+  // Check the other rooms exist and belong to the same studio
+  const otherRoomIds = [...new Set(roomIds)].filter((id) => id !== room.id);
+  const otherRooms = await Room.findByIds(otherRoomIds);
+  if (otherRooms.length !== otherRoomIds.length) {
+    throw new AppError('One or more rooms not found', 400);
+  }
+  if (otherRooms.some((other) => other.studio.id !== room.studio.id)) {
+    throw new AppError('All rooms of a booking must belong to the same studio', 400);
+  }
+  const rooms = [room, ...otherRooms];
+  const inactive = rooms.find((other) => !other.isActive);
+  if (inactive) {
+    throw new AppError(`${inactive.name} is not open for booking`, 400);
+  }
+
+  // Check if equipment exists
+  const equipmentItems = getEquipmentItems({ equipment: requested, equipmentIds });
+  const items = await Equipment.findByIds(equipmentItems.map((item) => item.id));
+  if (items.length !== equipmentItems.length) {
+    throw new AppError('One or more equipment items not found', 400);
+  }
+  if (items.some((item) => item.studioId !== room.studio.id)) {
+    throw new AppError('Equipment of a booking must belong to the studio of its rooms', 400);
+  }
+  const equipment = equipmentItems.map(({ id, quantity }) => ({
+    item: items.find((item) => item.id === id),
+    quantity,
+  }));
+
+  // Check no more units are asked for than the studio owns
+  const overstocked = equipment.find(({ item, quantity }) => quantity > item.quantity);
+  if (overstocked) {
+    throw new AppError(`The studio has only ${overstocked.item.quantity} of ${overstocked.item.name}`, 400);
+  }
+
+  // Check if staff exists
+  const staff = await Staff.findByIds(staffIds);
+  if (staff.length !== staffIds.length) {
+    throw new AppError('One or more staff members not found', 400);
+  }
+  if (staff.some((member) => member.studioId !== room.studio.id)) {
+    throw new AppError('Staff of a booking must work at the studio of its rooms', 400);
+  }
+
+  const studio = await Studio.findById(room.studio.id);
+  const price = calculatePrice({
+    studio,
+    rooms,
+    startTime,
+    endTime,
+    equipment,
+    staff,
+  });
+
+  return { room, rooms, studio, equipment, staff, price };
+};
+
+module.exports = {
+  calculatePrice,
+  addCharges,
+  getEquipmentItems,
+  quoteBooking,
+  roundMoney,
+  formatMoney,
+};
@@ -0,0 +1,69 @@
+const PushSubscription = require('../models/pushSubscription.model');
+const { AppError } = require('../utils/errors');
+const webPush = require('../utils/webPush');
+
+/**
+ * Public VAPID key browsers subscribe with
+ */
+exports.getPublicKey = () => {
+  if (!webPush.isConfigured()) {
+    throw new AppError('Web push notifications are not configured', 503);
+  }
+  return process.env.VAPID_PUBLIC_KEY;
+};
+
+/**
+ * Register a browser push subscription for a user
+ *
+ * @param {Object} subscription  endpoint and keys ({ p256dh, auth }) from PushManager.subscribe()
+ */
+exports.subscribe = async (user, { endpoint, keys }, { userAgent } = {}) => {
+  if (!webPush.isPushServiceEndpoint(endpoint)) {
+    throw new AppError('Push subscription endpoint must be an https URL of a browser push service', 400);
+  }
+
+  return PushSubscription.upsert({ userId: user.id, endpoint, keys, userAgent });
+};
+
+exports.unsubscribe = async (user, endpoint) => {
+  const removed = await PushSubscription.removeByEndpoint(endpoint, { userId: user.id });
+  if (!removed) {
+    throw new AppError('Push subscription not found', 404);
+  }
+};
+
+/**
+ * Send a message to every browser a user subscribed with. Subscriptions
+ * the push service reports as gone are removed.
+ *
+ * @param {string} userId
+ * @param {Object} payload  title, body, url and tag shown by the service worker
+ * @returns {Promise<number>} the number of browsers the message was sent to
+ */
+exports.sendToUser = async (userId, payload) => {
+  if (!webPush.isConfigured()) return 0;
+
+  const subscriptions = await PushSubscription.findByUser(userId);
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    // Registered before endpoints were limited to the push services
+    if (!webPush.isPushServiceEndpoint(subscription.endpoint)) {
+      await PushSubscription.removeByEndpoint(subscription.endpoint);
+      continue;
+    }
+
+    try {
+      await webPush.sendNotification(subscription, payload);
+      sent += 1;
+    } catch (error) {
+      if (webPush.isGone(error)) {
+        await PushSubscription.removeByEndpoint(subscription.endpoint);
+      } else {
+        console.error(`Push to ${subscription.endpoint} failed:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
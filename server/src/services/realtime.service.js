@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const User = require('../models/user.model');
+const bookingEvents = require('../utils/bookingEvents');
+const { AppError } = require('../utils/errors');
+
+// Stream tickets only open an event stream, shortly after being issued
+const TICKET_AUDIENCE = 'booking-events';
+const TICKET_TTL_SECONDS = 60;
+
+// Event sent to clients for each audited booking action; any other action
+// is an update
+const ACTION_EVENTS = {
+  create: 'booking.created',
+  cancel: 'booking.cancelled',
+  reject: 'booking.cancelled',
+  delete: 'booking.deleted',
+  purge: 'booking.deleted',
+};
+
+// Holds are never listed, so placing, releasing or expiring one is not
+// sent; a hold converted into a booking arrives as an update
+const HOLD_STATUSES = ['held', 'expired'];
+
+const isHoldChange = ({ before, after }) =>
+  HOLD_STATUSES.includes((before || after).status)
+  && (!after || HOLD_STATUSES.includes(after.status) || after.status === 'cancelled');
+
+const subscribers = new Set();
+
+/**
+ * Bookings a user may follow, the same as they can list: those of the
+ * studios they own or work at, else their own
+ *
+ * @returns {Promise<{ studioIds: Set<string>, clientId: string|null }>}
+ */
+const getScope = async (user) => {
+  if (user.userType === 'studio_owner') {
+    const studios = await Studio.findByOwner(user.id);
+    return { studioIds: new Set(studios.map((studio) => studio.id)), clientId: null };
+  }
+  if (user.userType === 'staff') {
+    const staff = await Staff.findByUser(user.id);
+    return { studioIds: new Set(staff.map((member) => member.studioId)), clientId: null };
+  }
+  return { studioIds: new Set(), clientId: user.id };
+};
+
+const isInScope = (scope, booking) =>
+  scope.studioIds.has(booking.room.studio.id) || scope.clientId === booking.client.id;
+
+/**
+ * Forward a committed booking change to the subscribers allowed to see it
+ */
+const handleBookingChange = ({ action, before, after }) => {
+  const booking = after || before;
+  if (!booking || isHoldChange({ before, after })) return;
+
+  const event = { type: ACTION_EVENTS[action] || 'booking.updated', action, booking };
+  for (const subscriber of subscribers) {
+    if (!isInScope(subscriber.scope, booking)) continue;
+    try {
+      subscriber.send(event);
+    } catch (error) {
+      console.error('Booking event delivery error:', error.message);
+    }
+  }
+};
+
+/**
+ * Short-lived token that opens a booking event stream for a user. Browsers
+ * cannot send an Authorization header with EventSource, so the stream URL
+ * carries this instead of the login token.
+ */
+exports.createStreamTicket = (user) => ({
+  ticket: jwt.sign({ sub: user.id }, process.env.JWT_SECRET, {
+    audience: TICKET_AUDIENCE,
+    expiresIn: TICKET_TTL_SECONDS,
+  }),
+  expiresIn: TICKET_TTL_SECONDS,
+});
+
+/**
+ * User a stream ticket was issued to, or a 401 AppError
+ */
+exports.verifyStreamTicket = async (ticket) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(ticket || ''), process.env.JWT_SECRET, { audience: TICKET_AUDIENCE });
+  } catch (error) {
+    throw new AppError('Invalid or expired stream ticket', 401);
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user) {
+    throw new AppError('Invalid or expired stream ticket', 401);
+  }
+  return user;
+};
+
+/**
+ * Receive booking events ({ type, action, booking }) for the bookings a user
+ * may see. Events come from this process only, so with several server
+ * processes a client sees the changes made through its own process.
+ *
+ * @param {Object} user
+ * @param {Function} send  Called with each event
+ * @returns {Promise<Function>} stops the subscription
+ */
+exports.subscribe = async (user, send) => {
+  const subscriber = { scope: await getScope(user), send };
+
+  if (!subscribers.size) {
+    bookingEvents.on('change', handleBookingChange);
+  }
+  subscribers.add(subscriber);
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (!subscribers.size) {
+      bookingEvents.off('change', handleBookingChange);
+    }
+  };
+};
@@ -0,0 +1,166 @@
+const { AppError } = require('../utils/errors');
+const {
+  WEEKDAYS,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  addDays,
+} = require('../utils/time');
+
+// Upper bound on the occurrences a single series may generate
+const MAX_OCCURRENCES = 104;
+
+const FREQUENCIES = ['daily', 'weekly', 'custom'];
+
+const toDateKey = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+/**
+ * Parse a "YYYY-MM-DD" calendar date
+ */
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  return addDays({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, 0);
+};
+
+/**
+ * Validate a recurrence rule and fill in defaults
+ *
+ * A rule looks like:
+ *   { frequency: 'daily' | 'weekly' | 'custom',
+ *     interval: 1,                  // every N days or weeks
+ *     weekdays: ['tuesday'],        // weekly only, defaults to the first session's day
+ *     dates: ['2025-07-01', ...],   // custom only, studio-local calendar dates
+ *     until: '2025-12-31',          // last studio-local date (inclusive)
+ *     count: 12 }                   // or a number of occurrences
+ */
+const normalizeRule = (rule = {}) => {
+  const { frequency, interval = 1, weekdays, dates, until, count } = rule;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new AppError(`Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`, 400);
+  }
+
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new AppError('Recurrence interval must be a positive whole number', 400);
+  }
+
+  if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    throw new AppError(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`, 400);
+  }
+
+  const untilDate = until === undefined ? null : parseDate(until);
+  if (until !== undefined && !untilDate) {
+    throw new AppError('Recurrence end date must be formatted as YYYY-MM-DD', 400);
+  }
+
+  if (frequency !== 'custom' && !untilDate && count === undefined) {
+    throw new AppError('Recurrence needs an end date or an occurrence count', 400);
+  }
+
+  if (weekdays !== undefined && (!Array.isArray(weekdays) || weekdays.some((day) => !WEEKDAYS.includes(day)))) {
+    throw new AppError(`Recurrence weekdays must be from ${WEEKDAYS.join(', ')}`, 400);
+  }
+  if (Array.isArray(weekdays) && !weekdays.length) {
+    throw new AppError('Recurrence weekdays must name at least one day', 400);
+  }
+
+  const customDates = frequency === 'custom' ? (dates || []).map(parseDate) : [];
+  if (frequency === 'custom' && (!customDates.length || customDates.some((date) => !date))) {
+    throw new AppError('Custom recurrence needs a list of YYYY-MM-DD dates', 400);
+  }
+
+  return {
+    frequency,
+    interval,
+    weekdays,
+    dates: customDates,
+    until: untilDate,
+    count: count === undefined ? MAX_OCCURRENCES : count,
+  };
+};
+
+/**
+ * Studio-local calendar dates on which the series occurs
+ */
+const expandDates = (rule, first) => {
+  const limit = rule.until ? toDateKey(rule.until) : Infinity;
+  const accept = (date) => toDateKey(date) >= toDateKey(first) && toDateKey(date) <= limit;
+
+  if (rule.frequency === 'custom') {
+    const unique = new Map(rule.dates.filter(accept).map((date) => [toDateKey(date), date]));
+    return [...unique.values()]
+      .sort((a, b) => toDateKey(a) - toDateKey(b))
+      .slice(0, rule.count);
+  }
+
+  const dates = [];
+
+  if (rule.frequency === 'daily') {
+    for (let date = first; dates.length < rule.count && accept(date); date = addDays(date, rule.interval)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  // Weekly: walk whole weeks (Sunday-based) and pick the requested weekdays
+  const weekdayIndexes = (rule.weekdays || [first.weekday])
+    .map((day) => WEEKDAYS.indexOf(day))
+    .sort((a, b) => a - b);
+  const weekStart = addDays(first, -WEEKDAYS.indexOf(first.weekday));
+
+  for (let week = 0; dates.length < rule.count; week += rule.interval) {
+    const candidates = weekdayIndexes.map((index) => addDays(weekStart, week * 7 + index));
+    if (toDateKey(candidates[0]) > limit) break;
+
+    candidates
+      .filter(accept)
+      .forEach((date) => {
+        if (dates.length < rule.count) dates.push(date);
+      });
+  }
+
+  return dates;
+};
+
+/**
+ * Expand a recurrence rule into session times. Every occurrence keeps the
+ * studio-local start time and the duration of the first session.
+ *
+ * @returns {Array<{ startTime: Date, endTime: Date }>}
+ */
+exports.expandRecurrence = (recurrence, { startTime, endTime, timezone }) => {
+  const rule = normalizeRule(recurrence);
+  const durationMs = new Date(endTime) - new Date(startTime);
+  const first = getZonedParts(startTime, timezone);
+  const minutes = first.hour * 60 + first.minute;
+
+  return expandDates(rule, addDays(first, 0)).map((date) => {
+    const start = zonedTimeToUtc({ ...date, minutes }, timezone);
+    return { startTime: start, endTime: new Date(start.getTime() + durationMs) };
+  });
+};
+
+/**
+ * Move an occurrence by the same studio-local shift that was applied to
+ * another occurrence of its series, keeping wall-clock times across DST
+ *
+ * @param {Object} occurrence  { startTime } of the occurrence to move
+ * @param {Object} from  { startTime } of the edited occurrence before the change
+ * @param {Object} to  { startTime, endTime } of the edited occurrence after the change
+ */
+exports.shiftOccurrence = (occurrence, from, to, timezone) => {
+  const wallClock = (date) => new Date(date).getTime() + getTimeZoneOffset(date, timezone);
+  const shiftMinutes = Math.round((wallClock(to.startTime) - wallClock(from.startTime)) / 60000);
+  const durationMs = new Date(to.endTime) - new Date(to.startTime);
+
+  const parts = getZonedParts(occurrence.startTime, timezone);
+  const start = zonedTimeToUtc(
+    { ...parts, minutes: parts.hour * 60 + parts.minute + shiftMinutes },
+    timezone
+  );
+
+  return { startTime: start, endTime: new Date(start.getTime() + durationMs) };
+};
+
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
@@ -0,0 +1,219 @@
+const Payment = require('../models/payment.model');
+const stripe = require('../utils/stripe');
+const { AppError } = require('../utils/errors');
+const { HOUR_MS } = require('../utils/time');
+const jobQueue = require('./jobQueue.service');
+const { roundMoney } = require('./pricing.service');
+
+const RETRY_JOB = 'refund_retry';
+// Attempts of a refund that failed when the booking was cancelled
+const RETRY_MAX_ATTEMPTS = Number(process.env.REFUND_MAX_ATTEMPTS || 8);
+
+/**
+ * Policy applied when a studio has not configured refund tiers
+ */
+const DEFAULT_POLICY = {
+  description: 'Full refund more than 48 hours before the session, 50% within 48 hours, none within 12 hours',
+  tiers: [
+    { minHoursBefore: 48, refundPercent: 100 },
+    { minHoursBefore: 12, refundPercent: 50 },
+    { minHoursBefore: 0, refundPercent: 0 },
+  ],
+  studioCancellationRefundPercent: 100,
+};
+
+/**
+ * Validate a cancellation policy and fill in defaults
+ *
+ * A policy looks like:
+ *   { description: 'Full refund up to 48h before, 50% up to 12h before',
+ *     tiers: [{ minHoursBefore: 48, refundPercent: 100 },
+ *             { minHoursBefore: 12, refundPercent: 50 }],
+ *     studioCancellationRefundPercent: 100 }
+ * The tier with the largest minHoursBefore the notice still meets applies;
+ * with no matching tier nothing is refunded.
+ */
+const normalizePolicy = (policy) => {
+  const { description, tiers, studioCancellationRefundPercent } = { ...DEFAULT_POLICY, ...(policy || {}) };
+  const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+  if (!Array.isArray(tiers) || tiers.some((tier) => !isPercent(tier.refundPercent) || !(tier.minHoursBefore >= 0))) {
+    throw new AppError('Cancellation policy tiers need a minHoursBefore of at least 0 and a refundPercent from 0 to 100', 400);
+  }
+
+  if (!isPercent(studioCancellationRefundPercent)) {
+    throw new AppError('Studio cancellation refund percent must be from 0 to 100', 400);
+  }
+
+  return {
+    description,
+    tiers: [...tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+    studioCancellationRefundPercent,
+  };
+};
+
+/**
+ * Refund percentage for cancelling a booking at the given time
+ *
+ * @param {Object} studio
+ * @param {Object} booking
+ * @param {Object} options
+ * @param {boolean} options.byStudio  Cancelled by the studio owner or staff
+ */
+const getRefundPercent = (studio, booking, { byStudio = false, now = new Date() } = {}) => {
+  const policy = normalizePolicy(studio.cancellationPolicy);
+
+  if (byStudio) {
+    return { percent: policy.studioCancellationRefundPercent, tier: null };
+  }
+
+  const hoursBefore = (new Date(booking.startTime) - now) / HOUR_MS;
+  const tier = policy.tiers.find((candidate) => hoursBefore >= candidate.minHoursBefore) || null;
+
+  return { percent: tier ? tier.refundPercent : 0, tier };
+};
+
+/**
+ * Amount to refund for cancelling a booking: the policy percentage of what
+ * has been paid, less anything already refunded
+ *
+ * @returns {Promise<{ amount: number, percent: number, paid: number, currency: string }>}
+ */
+const calculateRefund = async (studio, booking, options) => {
+  const { percent } = getRefundPercent(studio, booking, options);
+  const paid = await Payment.sumCompleted(booking.id);
+  const refunded = await Payment.sumRefunded(booking.id);
+  const currency = (booking.priceBreakdown && booking.priceBreakdown.currency) || 'usd';
+
+  return {
+    amount: Math.max(0, roundMoney((paid * percent) / 100 - refunded)),
+    percent,
+    paid,
+    currency,
+  };
+};
+
+/**
+ * Work out a booking's refund without issuing it: the policy amount (see
+ * calculateRefund) spread over the completed payments, newest first.
+ * Throws for an invalid stored policy, before anything is changed.
+ *
+ * @returns {Promise<{ amount, percent, paid, currency, allocations: Array<{ payment, amount }> }>}
+ */
+const planRefund = async (studio, booking, options) => {
+  const refund = await calculateRefund(studio, booking, options);
+  const allocations = [];
+  let remaining = refund.amount;
+
+  for (const payment of await Payment.findRefundable(booking.id)) {
+    if (remaining <= 0) break;
+
+    const amount = roundMoney(Math.min(remaining, payment.amount - payment.refundedAmount));
+    if (amount <= 0) continue;
+
+    allocations.push({ payment, amount });
+    remaining = roundMoney(remaining - amount);
+  }
+
+  return { ...refund, amount: roundMoney(refund.amount - remaining), allocations };
+};
+
+/**
+ * Record a planned refund as pending refund payments, in the transaction
+ * that cancels or rejects the booking, so the refund is owed exactly when
+ * the status change is committed
+ */
+const recordRefund = async (plan, trx) => {
+  const payments = [];
+  for (const { payment, amount } of plan.allocations) {
+    payments.push(await Payment.create({
+      bookingId: payment.bookingId,
+      amount,
+      currency: payment.currency,
+      paymentType: 'refund',
+      paymentMethod: payment.paymentMethod,
+      refundedPaymentId: payment.id,
+      status: 'pending',
+    }, trx));
+  }
+  return payments;
+};
+
+/**
+ * Issue one pending refund payment: refund it through Stripe for card
+ * payments, then mark it refunded. The refund payment's id keys the Stripe
+ * request, so retries never refund twice.
+ */
+const issueRefundPayment = async (refundPayment) => {
+  let transactionId = null;
+
+  if (refundPayment.paymentMethod === 'stripe') {
+    const original = await Payment.findById(refundPayment.refundedPaymentId);
+    const refund = await stripe.refunds.create(
+      { payment_intent: original.transactionId, amount: Math.round(refundPayment.amount * 100) },
+      { idempotencyKey: `refund-${refundPayment.id}` }
+    );
+    transactionId = refund.id;
+  }
+
+  return Payment.update(refundPayment.id, { status: 'refunded', transactionId, paymentDate: new Date() });
+};
+
+/**
+ * Retry a pending refund payment; throwing lets the job queue retry it later
+ */
+const retryRefund = async ({ paymentId }) => {
+  const refundPayment = await Payment.findById(paymentId);
+  if (!refundPayment || refundPayment.status !== 'pending') return;
+
+  await issueRefundPayment(refundPayment);
+};
+
+/**
+ * Issue recorded refund payments. One that fails stays pending and is
+ * retried by the job queue, so a provider outage never undoes or blocks
+ * the cancellation.
+ *
+ * @returns {Promise<{ amount, percent, paid, currency, payments: Object[], pending: number }>}
+ *   the plan with the refund payments as issued or still pending
+ */
+const issueRefunds = async (plan, refundPayments) => {
+  const payments = [];
+
+  for (const refundPayment of refundPayments) {
+    try {
+      payments.push(await issueRefundPayment(refundPayment));
+    } catch (error) {
+      console.error(`Refund ${refundPayment.id} failed, retrying later:`, error.message);
+      payments.push(refundPayment);
+      try {
+        await jobQueue.enqueue(RETRY_JOB, { paymentId: refundPayment.id }, {
+          dedupeKey: `${RETRY_JOB}:${refundPayment.id}`,
+          bookingId: refundPayment.bookingId,
+          maxAttempts: RETRY_MAX_ATTEMPTS,
+        });
+      } catch (scheduleError) {
+        console.error('Refund retry scheduling error:', scheduleError.message);
+      }
+    }
+  }
+
+  const { allocations, ...refund } = plan;
+  return {
+    ...refund,
+    payments,
+    pending: payments.filter((payment) => payment.status === 'pending').length,
+  };
+};
+
+jobQueue.registerHandler(RETRY_JOB, retryRefund);
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  getRefundPercent,
+  calculateRefund,
+  planRefund,
+  recordRefund,
+  issueRefunds,
+};
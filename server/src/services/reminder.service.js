@@ -0,0 +1,144 @@
+const Booking = require('../models/booking.model');
+const jobQueue = require('./jobQueue.service');
+const notificationService = require('./notification.service');
+const { HOUR_MS } = require('../utils/time');
+
+// Hours before a session at which its client is reminded, e.g. "24,2"
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || '24,2')
+  .split(',')
+  .map(Number)
+  .filter((hours) => hours > 0);
+// Hours after a session is completed at which its client is asked for a review
+const FOLLOW_UP_DELAY_HOURS = Number(process.env.FOLLOW_UP_DELAY_HOURS || 2);
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const REMINDER_JOB = 'booking_reminder';
+const FOLLOW_UP_JOB = 'booking_follow_up';
+
+/**
+ * Queue the reminders of a confirmed booking that are still ahead. Each
+ * reminder is keyed by the booking, offset and start time, so queuing
+ * twice is harmless and a rescheduled session gets fresh reminders.
+ */
+exports.scheduleReminders = async (booking, { now = new Date() } = {}) => {
+  if (booking.status !== 'confirmed' || booking.deletedAt) return;
+
+  const startTime = new Date(booking.startTime);
+  for (const hours of REMINDER_OFFSETS_HOURS) {
+    const runAt = new Date(startTime.getTime() - hours * HOUR_MS);
+    if (runAt <= now) continue;
+
+    await jobQueue.enqueue(REMINDER_JOB, { bookingId: booking.id, startTime, hours }, {
+      runAt,
+      bookingId: booking.id,
+      dedupeKey: `${REMINDER_JOB}:${booking.id}:${hours}:${startTime.toISOString()}`,
+    });
+  }
+};
+
+/**
+ * Queue the review request sent after a completed session
+ */
+exports.scheduleFollowUp = async (booking) => {
+  await jobQueue.enqueue(FOLLOW_UP_JOB, { bookingId: booking.id }, {
+    runAt: new Date(Date.now() + FOLLOW_UP_DELAY_HOURS * HOUR_MS),
+    bookingId: booking.id,
+    dedupeKey: `${FOLLOW_UP_JOB}:${booking.id}`,
+  });
+};
+
+/**
+ * Queue reminders for confirmed sessions starting within the longest
+ * reminder offset, catching any booking whose change event was missed
+ * (e.g. confirmed before a restart)
+ *
+ * @returns {Promise<number>} the number of bookings checked
+ */
+exports.scheduleUpcomingReminders = async ({ now = new Date() } = {}) => {
+  if (!REMINDER_OFFSETS_HOURS.length) return 0;
+
+  const bookings = await Booking.find({
+    from: now,
+    to: new Date(now.getTime() + Math.max(...REMINDER_OFFSETS_HOURS) * HOUR_MS),
+    activeOnly: true,
+  });
+  const confirmed = bookings.filter((booking) => booking.status === 'confirmed');
+
+  for (const booking of confirmed) {
+    await exports.scheduleReminders(booking, { now });
+  }
+
+  return confirmed.length;
+};
+
+/**
+ * Keep the queued notifications of a booking in step with a committed
+ * booking change (see utils/bookingEvents)
+ */
+exports.handleBookingChange = async ({ action, before, after }) => {
+  if (!after) return;
+
+  try {
+    const rescheduled = before && (
+      new Date(after.startTime).getTime() !== new Date(before.startTime).getTime()
+    );
+
+    if (after.status !== 'confirmed' || after.deletedAt || rescheduled) {
+      await jobQueue.cancelBookingJobs(after.id, [REMINDER_JOB]);
+    }
+    if (['confirm', 'update', 'restore'].includes(action)) {
+      await exports.scheduleReminders(after);
+    }
+    if (action === 'complete') {
+      await exports.scheduleFollowUp(after);
+    }
+  } catch (error) {
+    console.error('Reminder scheduling error:', error.message);
+  }
+};
+
+/**
+ * Email a client about their upcoming session. Reminders for a session
+ * that was since cancelled or moved are dropped.
+ */
+const sendReminder = async ({ bookingId, startTime, hours }) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || booking.status !== 'confirmed') return;
+  if (new Date(booking.startTime).getTime() !== new Date(startTime).getTime()) return;
+
+  await notificationService.notify('booking_reminder', {
+    to: booking.client,
+    studioId: booking.room.studio.id,
+    bookingId: booking.id,
+    data: {
+      studioName: booking.room.studio.name,
+      roomName: booking.room.name,
+      address: booking.room.studio.address,
+      startTime: new Date(booking.startTime),
+      endTime: new Date(booking.endTime),
+      hours,
+      bookingUrl: `${CLIENT_URL}/bookings/${booking.id}`,
+    },
+  });
+};
+
+/**
+ * Ask a client to review a completed session
+ */
+const sendFollowUp = async ({ bookingId }) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || booking.status !== 'completed') return;
+
+  await notificationService.notify('booking_follow_up', {
+    to: booking.client,
+    studioId: booking.room.studio.id,
+    bookingId: booking.id,
+    data: {
+      studioName: booking.room.studio.name,
+      reviewUrl: `${CLIENT_URL}/bookings/${booking.id}/review`,
+    },
+  });
+};
+
+jobQueue.registerHandler(REMINDER_JOB, sendReminder);
+jobQueue.registerHandler(FOLLOW_UP_JOB, sendFollowUp);
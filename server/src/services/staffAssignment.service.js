@@ -0,0 +1,171 @@
+const Booking = require('../models/booking.model');
+const Staff = require('../models/staff.model');
+const Studio = require('../models/studio.model');
+const { AppError, BookingConflictError } = require('../utils/errors');
+const { HOUR_MS, DAY_MS } = require('../utils/time');
+const bookingService = require('./booking.service');
+const { assertStaffAvailable } = require('./staffSchedule.service');
+
+// Days before and after a session over which the hours of the team are
+// compared to spread work fairly
+const FAIRNESS_WINDOW_DAYS = Number(process.env.STAFF_FAIRNESS_WINDOW_DAYS || 14);
+
+// Statuses in which staff can still be assigned (see booking.service)
+const ASSIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+/**
+ * Check whether a staff member's specialization covers the requested one,
+ * e.g. "Mixing & mastering" covers "mixing"
+ */
+const matchesSpecialization = (member, specialization) =>
+  Boolean(member.specialization) &&
+  member.specialization.toLowerCase().includes(specialization.toLowerCase());
+
+/**
+ * Why a staff member cannot work the session, or null when they can: an
+ * overlapping booking, or their schedule, time off and daily hours limit
+ */
+const findUnavailability = async (member, booking, timezone) => {
+  const range = { startTime: booking.startTime, endTime: booking.endTime };
+
+  const conflict = await Booking.findStaffConflict({ staffId: member.id, ...range, excludeId: booking.id });
+  if (conflict) {
+    return 'Already assigned to another session at this time';
+  }
+
+  try {
+    await assertStaffAvailable({ staff: [member], timezone, ...range, excludeBookingId: booking.id });
+    return null;
+  } catch (error) {
+    if (error instanceof BookingConflictError) return error.message;
+    throw error;
+  }
+};
+
+/**
+ * Hours each staff member is assigned to active bookings within the
+ * fairness window around a session
+ *
+ * @returns {Map<string, number>} hours by staff id
+ */
+const getAssignedHours = async (staffIds, booking) => {
+  const windowMs = FAIRNESS_WINDOW_DAYS * DAY_MS;
+  const rows = await Booking.findStaffUsageInRange({
+    staffIds,
+    startTime: new Date(new Date(booking.startTime).getTime() - windowMs),
+    endTime: new Date(new Date(booking.endTime).getTime() + windowMs),
+    excludeId: booking.id,
+  });
+
+  return rows.reduce((hours, row) => {
+    const duration = (new Date(row.end_time) - new Date(row.start_time)) / HOUR_MS;
+    hours.set(row.staff_id, (hours.get(row.staff_id) || 0) + duration);
+    return hours;
+  }, new Map(staffIds.map((id) => [id, 0])));
+};
+
+/**
+ * Rank candidates: available staff first, then those with the requested
+ * specialization, then those with the fewest assigned hours
+ */
+const compareCandidates = (a, b) =>
+  Number(b.available) - Number(a.available) ||
+  Number(b.specializationMatch) - Number(a.specializationMatch) ||
+  a.assignedHours - b.assignedHours ||
+  a.staff.name.localeCompare(b.staff.name);
+
+/**
+ * Throw a 403 AppError unless the user owns or works at the booking's studio
+ */
+const assertStudioAccess = async (booking, user) => {
+  const { isStudioOwner, isStaff } = await bookingService.getAccess(booking, user);
+  if (!isStudioOwner && !isStaff) {
+    throw new AppError('Not authorized to assign staff to this booking', 403);
+  }
+};
+
+/**
+ * Staff of the booking's studio not yet assigned to it, ranked by how well
+ * they suit the session, each with the reasons for its rank
+ *
+ * @param {Object} booking
+ * @param {Object} user
+ * @param {Object} [options]
+ * @param {string} [options.specialization]  Specialization the session needs, e.g. "mixing"
+ * @returns {Promise<Array<{ rank, staff, available, specializationMatch, assignedHours, reasons }>>}
+ */
+exports.rankStaff = async (booking, user, { specialization } = {}) => {
+  await assertStudioAccess(booking, user);
+
+  const studio = await Studio.findById(booking.room.studio.id);
+  const candidates = (await Staff.findByStudio(studio.id))
+    .filter((member) => !booking.staff.some((assigned) => assigned.id === member.id));
+  if (!candidates.length) return [];
+
+  const hours = await getAssignedHours(candidates.map((member) => member.id), booking);
+  const averageHours = [...hours.values()].reduce((sum, value) => sum + value, 0) / hours.size;
+
+  const ranked = await Promise.all(candidates.map(async (member) => {
+    const unavailable = await findUnavailability(member, booking, studio.timezone);
+    const specializationMatch = specialization ? matchesSpecialization(member, specialization) : false;
+    const assignedHours = roundHours(hours.get(member.id));
+
+    const reasons = [unavailable ? `Unavailable: ${unavailable}` : 'Available for the whole session'];
+    if (specialization) {
+      reasons.push(specializationMatch
+        ? `Specializes in ${member.specialization}`
+        : `Does not specialize in ${specialization}${member.specialization ? ` (${member.specialization})` : ''}`);
+    }
+    reasons.push(
+      `${assignedHours} hours assigned within ${FAIRNESS_WINDOW_DAYS} days of the session ` +
+      `(team average ${roundHours(averageHours)})`
+    );
+
+    return {
+      staff: {
+        id: member.id,
+        name: member.name,
+        role: member.role,
+        specialization: member.specialization,
+      },
+      available: !unavailable,
+      specializationMatch,
+      assignedHours,
+      reasons,
+    };
+  }));
+
+  return ranked.sort(compareCandidates).map((candidate, index) => ({ rank: index + 1, ...candidate }));
+};
+
+/**
+ * Assign the best ranked available staff member to a booking, in addition
+ * to any staff already assigned. The ranking is returned so the owner can
+ * pick someone else instead.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.specialization]  Specialization the session needs
+ * @param {boolean} [options.requireSpecialization]  Only assign a staff
+ *   member with the specialization
+ * @returns {Promise<{ booking, assigned, ranking }>}
+ */
+exports.autoAssign = async (booking, user, { specialization, requireSpecialization = false } = {}) => {
+  if (!ASSIGNABLE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Cannot assign staff to a ${booking.status.replace('_', '-')} booking`, 400);
+  }
+
+  const ranking = await exports.rankStaff(booking, user, { specialization });
+  const best = ranking.find((candidate) =>
+    candidate.available && (!requireSpecialization || candidate.specializationMatch));
+  if (!best) {
+    throw new AppError('No staff member is available for this session', 409, { ranking });
+  }
+
+  const updated = await bookingService.updateBooking(booking, user, {
+    staffIds: [...booking.staff.map((member) => member.id), best.staff.id],
+  });
+
+  return { booking: updated, assigned: best, ranking };
+};
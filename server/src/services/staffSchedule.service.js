@@ -0,0 +1,286 @@
+const Booking = require('../models/booking.model');
+const ExternalBusyBlock = require('../models/externalBusyBlock.model');
+const Staff = require('../models/staff.model');
+const StaffTimeOff = require('../models/staffTimeOff.model');
+const Studio = require('../models/studio.model');
+const { AppError, BookingConflictError } = require('../utils/errors');
+const { containsInterval, clipIntervals } = require('../utils/intervals');
+const { HOUR_MS, DAY_MS, WEEKDAYS, parseTimeOfDay, addDays, eachZonedDate, zonedTimeToUtc } = require('../utils/time');
+const { getOpeningWindows } = require('./availability.service');
+
+const TIME_OFF_KINDS = ['time_off', 'holiday'];
+
+// Longest range a single schedule request may cover
+const MAX_SCHEDULE_DAYS = 93;
+
+/**
+ * Load a staff member or throw a 404 AppError
+ */
+const findStaffOrFail = async (id) => {
+  const member = await Staff.findById(id);
+  if (!member) {
+    throw new AppError('Staff member not found', 404);
+  }
+  return member;
+};
+
+/**
+ * Throw a 403 AppError unless the user owns the staff member's studio or,
+ * when allowed, is the staff member
+ */
+const assertManages = async (member, user, action, { allowSelf = false } = {}) => {
+  const studio = await Studio.findById(member.studioId);
+  const isStudioOwner = studio && studio.ownerId === user.id;
+  const isSelf = allowSelf && member.userId === user.id;
+
+  if (!isStudioOwner && !isSelf) {
+    throw new AppError(`Not authorized to ${action} this staff member`, 403);
+  }
+};
+
+/**
+ * Validate a weekly availability template: the working_hours format of
+ * studios, mapping weekday names to { open, close } windows, or null for a
+ * staff member available whenever the studio is open
+ */
+const assertValidTemplate = (availability) => {
+  if (availability === null || availability === undefined) return;
+
+  if (typeof availability !== 'object' || Array.isArray(availability)) {
+    throw new AppError('Availability must map weekdays to lists of { open, close } windows', 400);
+  }
+
+  Object.entries(availability).forEach(([weekday, day]) => {
+    if (!WEEKDAYS.includes(weekday)) {
+      throw new AppError(`Unknown weekday "${weekday}" in availability`, 400);
+    }
+    const windows = Array.isArray(day) ? day : day ? [day] : [];
+    if (windows.some((window) => !window || parseTimeOfDay(window.open) === null || parseTimeOfDay(window.close) === null)) {
+      throw new AppError(`Availability of ${weekday} must use "HH:mm" open and close times`, 400);
+    }
+  });
+};
+
+const toConflict = (member, message, { startTime, endTime }) =>
+  new BookingConflictError(message, {
+    resource: { type: 'staff', id: member.id, name: member.name },
+    startTime,
+    endTime,
+  });
+
+/**
+ * Hours a staff member would work on each studio-local day touched by a
+ * session, counting their other active bookings on those days
+ *
+ * @returns {Promise<Array<{ date: Object, hours: number }>>}
+ */
+const getDailyHours = async (member, timezone, { startTime, endTime, excludeBookingId }) => {
+  const days = eachZonedDate(startTime, endTime, timezone).map((date) => ({
+    date,
+    start: zonedTimeToUtc({ ...date, minutes: 0 }, timezone),
+    end: zonedTimeToUtc({ ...addDays(date, 1), minutes: 0 }, timezone),
+  }));
+
+  const bookings = await Booking.findStaffUsageInRange({
+    staffIds: [member.id],
+    startTime: days[0].start,
+    endTime: days[days.length - 1].end,
+    excludeId: excludeBookingId,
+  });
+  const sessions = [
+    { start: startTime, end: endTime },
+    ...bookings.map((booking) => ({ start: booking.start_time, end: booking.end_time })),
+  ];
+
+  return days.map(({ date, start, end }) => ({
+    date,
+    hours: clipIntervals(sessions, start, end).reduce((sum, session) => sum + (session.end - session.start), 0) / HOUR_MS,
+  }));
+};
+
+/**
+ * Throw a BookingConflictError unless every staff member works the whole
+ * session: inside their weekly availability template, not on time off, not
+ * busy in their linked external calendar and within their daily hours
+ * limit. Overlapping bookings are enforced by the database.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.staff  Staff members assigned to the session
+ * @param {string} params.timezone  Time zone of the studio, in which the
+ *   templates and days are read
+ * @param {string} [params.excludeBookingId]  Booking being rescheduled
+ */
+exports.assertStaffAvailable = async ({ staff, timezone, startTime, endTime, excludeBookingId }) => {
+  if (!staff.length) return;
+
+  const range = { startTime: new Date(startTime), endTime: new Date(endTime) };
+  const staffIds = staff.map((member) => member.id);
+  const [timeOff, blocks] = await Promise.all([
+    StaffTimeOff.findInRange({ staffIds, ...range }),
+    ExternalBusyBlock.findInRange({ staffIds, ...range }),
+  ]);
+
+  for (const member of staff) {
+    const windows = getOpeningWindows({ workingHours: member.availability, timezone }, range.startTime, range.endTime);
+    if (!containsInterval(windows, range.startTime, range.endTime)) {
+      throw toConflict(member, `Staff member ${member.name} is not scheduled to work at the requested time`, range);
+    }
+
+    const entry = timeOff.find((off) => off.staffId === member.id);
+    if (entry) {
+      throw toConflict(
+        member,
+        `Staff member ${member.name} is on ${entry.kind === 'holiday' ? 'holiday' : 'time off'} at the requested time`,
+        { startTime: entry.startTime, endTime: entry.endTime }
+      );
+    }
+
+    const block = blocks.find((busy) => busy.staffId === member.id);
+    if (block) {
+      throw toConflict(
+        member,
+        `Staff member ${member.name} is busy in their linked calendar at the requested time`,
+        { startTime: block.startTime, endTime: block.endTime }
+      );
+    }
+
+    if (member.maxHoursPerDay) {
+      const days = await getDailyHours(member, timezone, { ...range, excludeBookingId });
+      const exceeded = days.find(({ hours }) => hours > member.maxHoursPerDay);
+      if (exceeded) {
+        const { year, month, day } = exceeded.date;
+        const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        throw toConflict(
+          member,
+          `Staff member ${member.name} can work at most ${member.maxHoursPerDay} hours on ${date}`,
+          range
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Set a staff member's weekly availability template and daily hours limit
+ *
+ * @param {Object} data  availability (null for always available), maxHoursPerDay (null for no limit)
+ */
+exports.updateSchedule = async (staffId, user, { availability, maxHoursPerDay }) => {
+  const member = await findStaffOrFail(staffId);
+  await assertManages(member, user, 'update the schedule of');
+
+  assertValidTemplate(availability);
+  if (maxHoursPerDay !== undefined && maxHoursPerDay !== null && !(maxHoursPerDay > 0 && maxHoursPerDay <= 24)) {
+    throw new AppError('Max hours per day must be more than 0 and at most 24', 400);
+  }
+
+  return Staff.updateSchedule(member.id, { availability, maxHoursPerDay });
+};
+
+/**
+ * Current and upcoming time off of a staff member
+ */
+exports.getTimeOff = async (staffId, user) => {
+  const member = await findStaffOrFail(staffId);
+  await assertManages(member, user, 'view time off of', { allowSelf: true });
+
+  return StaffTimeOff.findByStaff(member.id, { from: new Date() });
+};
+
+/**
+ * Block a staff member for time off or a holiday. Bookings the staff member
+ * is already assigned to are kept; they are returned as affectedBookingIds
+ * so the studio can reassign them.
+ *
+ * @param {Object} data  kind, startTime, endTime, reason
+ * @returns {Promise<{ timeOff, affectedBookingIds }>}
+ */
+exports.addTimeOff = async (staffId, user, data) => {
+  const member = await findStaffOrFail(staffId);
+  await assertManages(member, user, 'add time off for', { allowSelf: true });
+
+  const { kind = 'time_off', startTime, endTime, reason } = data;
+  if (!TIME_OFF_KINDS.includes(kind)) {
+    throw new AppError(`Kind must be one of ${TIME_OFF_KINDS.join(', ')}`, 400);
+  }
+  if (!(new Date(endTime) > new Date(startTime))) {
+    throw new AppError('End time must be after start time', 400);
+  }
+
+  const timeOff = await StaffTimeOff.create({
+    staffId: member.id,
+    kind,
+    startTime: new Date(startTime),
+    endTime: new Date(endTime),
+    reason,
+    createdBy: user.id,
+  });
+
+  const bookings = await Booking.findStaffUsageInRange({
+    staffIds: [member.id],
+    startTime: timeOff.startTime,
+    endTime: timeOff.endTime,
+  });
+
+  return { timeOff, affectedBookingIds: bookings.map((booking) => booking.id) };
+};
+
+/**
+ * Remove a time-off entry
+ */
+exports.removeTimeOff = async (timeOffId, user) => {
+  const timeOff = await StaffTimeOff.findById(timeOffId);
+  if (!timeOff) {
+    throw new AppError('Time off not found', 404);
+  }
+
+  const member = await findStaffOrFail(timeOff.staffId);
+  await assertManages(member, user, 'remove time off of', { allowSelf: true });
+
+  await StaffTimeOff.remove(timeOff.id);
+  return timeOff;
+};
+
+/**
+ * Sessions the user is assigned to as staff in a range, with their time off
+ * and schedule in every studio they work at
+ *
+ * @param {Object} user
+ * @param {Object} range  from (default now), to (default 4 weeks later)
+ */
+exports.getMySchedule = async (user, { from, to } = {}) => {
+  const start = from ? new Date(from) : new Date();
+  const end = to ? new Date(to) : new Date(start.getTime() + 28 * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+    throw new AppError('A valid range with "to" after "from" is required', 400);
+  }
+  if (end - start > MAX_SCHEDULE_DAYS * DAY_MS) {
+    throw new AppError(`A schedule can cover at most ${MAX_SCHEDULE_DAYS} days`, 400);
+  }
+
+  const memberships = await Staff.findByUser(user.id);
+  if (!memberships.length) {
+    throw new AppError('You are not a staff member of any studio', 403);
+  }
+
+  const staffIds = memberships.map((member) => member.id);
+  const [bookings, timeOff] = await Promise.all([
+    Booking.find({ staffIds, from: start, to: end, activeOnly: true }),
+    StaffTimeOff.findInRange({ staffIds, startTime: start, endTime: end }),
+  ]);
+
+  return {
+    from: start,
+    to: end,
+    staff: memberships.map(({ id, studioId, role, availability, maxHoursPerDay }) => ({
+      id,
+      studioId,
+      role,
+      availability,
+      maxHoursPerDay,
+    })),
+    bookings,
+    timeOff,
+  };
+};
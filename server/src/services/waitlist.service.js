@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const Booking = require('../models/booking.model');
+const Equipment = require('../models/equipment.model');
+const Staff = require('../models/staff.model');
+const User = require('../models/user.model');
+const Waitlist = require('../models/waitlist.model');
+const bookingService = require('./booking.service');
+const notificationService = require('./notification.service');
+const { assertBookingTimes } = require('./bookingRules.service');
+const { quoteBooking } = require('./pricing.service');
+const { AppError, BookingConflictError } = require('../utils/errors');
+const { MINUTE_MS } = require('../utils/time');
+
+// How long an offered slot is held for the waitlisted client
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 60);
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether the room, equipment and staff of an entry are free and not held
+ * by another offer, and could be booked: the room not blocked in its linked
+ * calendar and the staff available, as createBooking requires
+ */
+const isSlotFree = async (entry) => {
+  const range = { startTime: entry.startTime, endTime: entry.endTime };
+  const offers = await Waitlist.findOpenOffers(range);
+
+  if (await Booking.findRoomConflict({ roomId: entry.room.id, ...range })) return false;
+  if (offers.some((offer) => offer.roomId === entry.room.id)) return false;
+
+  // Each offer holds one unit of its equipment
+  for (const equipmentId of entry.equipmentIds) {
+    const held = offers.filter((offer) => offer.equipmentIds.includes(equipmentId)).length;
+    if (await Equipment.findAvailableQuantity(equipmentId, range) - held < 1) return false;
+  }
+  for (const staffId of entry.staffIds) {
+    if (await Booking.findStaffConflict({ staffId, ...range })) return false;
+    if (offers.some((offer) => offer.staffIds.includes(staffId))) return false;
+  }
+
+  try {
+    await bookingService.assertResourcesAvailable({
+      roomIds: [entry.room.id],
+      staff: await Staff.findByIds(entry.staffIds),
+      timezone: entry.room.studio.timezone,
+      ...range,
+    });
+  } catch (error) {
+    if (error instanceof BookingConflictError) return false;
+    throw error;
+  }
+
+  return true;
+};
+
+/**
+ * Offer a waiting entry its session, holding its room, equipment and staff,
+ * and notify the client with a link to accept it. An offer the client
+ * could not be told about goes back to waiting so it holds nothing.
+ */
+const makeOffer = async (entry) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const offerExpiresAt = new Date(Date.now() + OFFER_MINUTES * MINUTE_MS);
+
+  const offered = await Waitlist.updateIfStatus(entry.id, 'waiting', {
+    status: 'offered',
+    offerTokenHash: hashToken(token),
+    offeredAt: new Date(),
+    offerExpiresAt,
+  });
+  if (!offered) return null;
+
+  const sent = await notificationService.notify('waitlist_offer', {
+    to: entry.client,
+    studioId: entry.room.studio.id,
+    data: {
+      studioName: entry.room.studio.name,
+      roomName: entry.room.name,
+      startTime: new Date(entry.startTime),
+      endTime: new Date(entry.endTime),
+      expiresAt: offerExpiresAt,
+      acceptUrl: `${CLIENT_URL}/waitlist/accept/${token}`,
+    },
+  });
+
+  if (!Object.values(sent).some(Boolean)) {
+    await Waitlist.updateIfStatus(entry.id, 'offered', {
+      status: 'waiting',
+      offerTokenHash: null,
+      offeredAt: null,
+      offerExpiresAt: null,
+    });
+    return null;
+  }
+
+  return offered;
+};
+
+/**
+ * Offer a freed time range of a room to waitlisted clients in the order they
+ * joined. Every entry whose session is now free gets an offer.
+ *
+ * @returns {Promise<Object[]>} the entries that were offered the slot
+ */
+exports.offerFreedSlot = async ({ roomId, startTime, endTime }) => {
+  const entries = await Waitlist.findWaiting({ roomId, startTime, endTime });
+  const offered = [];
+
+  for (const entry of entries) {
+    if (await isSlotFree(entry)) {
+      const offer = await makeOffer(entry);
+      if (offer) offered.push(offer);
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Expire unaccepted offers and pass their slots on to the next in line
+ *
+ * @returns {Promise<number>} the number of expired offers
+ */
+exports.expireOffers = async () => {
+  const entries = await Waitlist.findExpiredOffers();
+
+  for (const entry of entries) {
+    const expired = await Waitlist.updateIfStatus(entry.id, 'offered', { status: 'expired', offerTokenHash: null });
+    if (expired) {
+      await exports.offerFreedSlot({ roomId: entry.room.id, startTime: entry.startTime, endTime: entry.endTime });
+    }
+  }
+
+  return entries.length;
+};
+
+/**
+ * Put a client on the waitlist for a session that is currently booked
+ *
+ * @param {Object} client
+ * @param {Object} data  roomId, startTime, endTime, equipmentIds, staffIds, notes
+ */
+exports.joinWaitlist = async (client, data) => {
+  const { roomId, startTime, endTime, equipmentIds = [], staffIds = [], notes } = data;
+
+  // Check the room, equipment and staff exist and the session meets the
+  // studio's booking rules, as a booking would
+  const { studio } = await quoteBooking(data);
+  assertBookingTimes(studio, startTime, endTime);
+
+  const range = { startTime: new Date(startTime), endTime: new Date(endTime) };
+  const taken = await Booking.findRoomConflict({ roomId, ...range })
+    || await Waitlist.findOpenOffer({ roomId, ...range, excludeClientId: client.id });
+  if (!taken) {
+    throw new AppError('The room is available for the requested time, please book it directly', 400);
+  }
+
+  const existing = (await Waitlist.findByClient(client.id)).find((entry) =>
+    entry.room.id === roomId &&
+    ['waiting', 'offered'].includes(entry.status) &&
+    new Date(entry.startTime) < range.endTime &&
+    new Date(entry.endTime) > range.startTime);
+  if (existing) {
+    throw new AppError('You are already on the waitlist for this time', 400, { entryId: existing.id });
+  }
+
+  return Waitlist.create({
+    clientId: client.id,
+    roomId,
+    ...range,
+    equipmentIds,
+    staffIds,
+    notes,
+    status: 'waiting',
+  });
+};
+
+/**
+ * Waitlist entries of a client
+ */
+exports.getClientEntries = (client) => Waitlist.findByClient(client.id);
+
+/**
+ * Leave the waitlist. A pending offer is passed on to the next in line.
+ */
+exports.leaveWaitlist = async (entryId, user) => {
+  const entry = await Waitlist.findById(entryId);
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404);
+  }
+
+  if (entry.client.id !== user.id) {
+    throw new AppError('Not authorized to change this waitlist entry', 403);
+  }
+
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    throw new AppError(`Waitlist entry is already ${entry.status}`, 400);
+  }
+
+  const cancelled = await Waitlist.updateIfStatus(entry.id, entry.status, { status: 'cancelled', offerTokenHash: null });
+  if (!cancelled) {
+    throw new AppError('The waitlist entry was changed meanwhile, please reload it and try again', 409);
+  }
+
+  if (entry.status === 'offered') {
+    await exports.offerFreedSlot({ roomId: entry.room.id, startTime: entry.startTime, endTime: entry.endTime });
+  }
+
+  return cancelled;
+};
+
+/**
+ * Accept an offer through its emailed token, booking the session for the
+ * waitlisted client
+ *
+ * @returns {Promise<{ entry, booking }>}
+ */
+exports.acceptOffer = async (token) => {
+  const entry = await Waitlist.findByOfferTokenHash(hashToken(String(token)));
+
+  if (!entry || entry.status !== 'offered') {
+    throw new AppError('Offer not found or no longer available', 404);
+  }
+
+  if (new Date(entry.offerExpiresAt) <= new Date()) {
+    throw new AppError('This offer has expired', 410);
+  }
+
+  const client = await User.findById(entry.client.id);
+  const booking = await bookingService.createBooking(client, {
+    roomId: entry.room.id,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    equipmentIds: entry.equipmentIds,
+    staffIds: entry.staffIds,
+    notes: entry.notes,
+  });
+
+  const booked = await Waitlist.update(entry.id, { status: 'booked', bookingId: booking.id, offerTokenHash: null });
+
+  return { entry: booked, booking };
+};
+
+/**
+ * Offer slots released by cancelled, rejected, deleted or rescheduled
+ * bookings and expired holds; listens to bookingEvents 'change' events
+ */
+exports.handleBookingChange = async ({ action, before, after }) => {
+  if (!before) return;
+
+  const released = ['cancel', 'reject', 'delete', 'expire'].includes(action)
+    || (action === 'update' && after && (
+      new Date(after.startTime).getTime() !== new Date(before.startTime).getTime() ||
+      new Date(after.endTime).getTime() !== new Date(before.endTime).getTime()
+    ));
+
+  if (!released) return;
+
+  try {
+    for (const room of before.rooms) {
+      await exports.offerFreedSlot({ roomId: room.id, startTime: before.startTime, endTime: before.endTime });
+    }
+  } catch (error) {
+    console.error('Waitlist offer error:', error.message);
+  }
+};
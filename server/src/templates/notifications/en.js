@@ -0,0 +1,120 @@
+/**
+ * English notification templates (see utils/templates for the syntax).
+ * Dates in the data are formatted for the recipient's language in the
+ * studio's time zone before rendering. The short text of a template is
+ * sent by SMS and web push; templates without one use their subject.
+ */
+module.exports = {
+  booking_request: {
+    subject: 'New Booking Request',
+    text: 'A new booking request has been made for {{studioName}} ({{roomName}}, {{startTime}} - {{endTime}}). Please log in to confirm or reject the booking.',
+    html: '<p>A new booking request has been made for {{studioName}} ({{roomName}}, {{startTime}} - {{endTime}}).</p><p>Please log in to confirm or reject the booking.</p>',
+    short: 'New booking request at {{studioName}}: {{roomName}}, {{startTime}}.',
+  },
+
+  booking_confirmed: {
+    subject: 'Booking Confirmed',
+    text: 'Your booking for {{studioName}} on {{startTime}} has been confirmed. Your invoice is attached.',
+    html: '<p>Your booking for {{studioName}} on {{startTime}} has been confirmed.</p><p>Your invoice is attached. Please log in to view details.</p>',
+    short: 'Your booking at {{studioName}} on {{startTime}} is confirmed.',
+  },
+
+  booking_updated: {
+    subject: 'Booking Updated',
+    text: 'Your booking for {{studioName}} ({{roomName}}) has been moved to {{startTime}} - {{endTime}}. The attached invite updates your calendar.',
+    html: '<p>Your booking for {{studioName}} ({{roomName}}) has been moved to {{startTime}} - {{endTime}}.</p><p>The attached invite updates your calendar.</p>',
+    short: 'Your booking at {{studioName}} has moved to {{startTime}}.',
+  },
+
+  booking_checked_in: {
+    subject: 'Booking Checked In',
+    text: 'Your booking for {{studioName}} has been marked as checked in. Please log in to view details.',
+    html: '<p>Your booking for {{studioName}} has been marked as checked in.</p><p>Please log in to view details.</p>',
+  },
+
+  booking_completed: {
+    subject: 'Booking Completed',
+    text: 'Your booking for {{studioName}} has been marked as completed. Please log in to view details.',
+    html: '<p>Your booking for {{studioName}} has been marked as completed.</p><p>Please log in to view details.</p>',
+  },
+
+  booking_no_show: {
+    subject: 'Booking No-Show',
+    text: 'Your booking for {{studioName}} has been marked as a no-show. Please log in to view details.',
+    html: '<p>Your booking for {{studioName}} has been marked as a no-show.</p><p>Please log in to view details.</p>',
+  },
+
+  booking_rejected: {
+    subject: 'Booking Request Declined',
+    text: 'Your booking request for {{studioName}} has been declined. Reason: {{reason}}.{{#refundAmount}} A refund of {{refundAmount}} has been issued.{{/refundAmount}}',
+    html: '<p>Your booking request for {{studioName}} has been declined.</p><p>Reason: {{reason}}</p>{{#refundAmount}}<p>A refund of {{refundAmount}} has been issued.</p>{{/refundAmount}}',
+    short: 'Your booking request at {{studioName}} was declined.',
+  },
+
+  booking_cancelled: {
+    subject: 'Booking Cancelled',
+    text: 'Your booking for {{studioName}} has been cancelled. Reason: {{reason}}. {{#refundAmount}}A refund of {{refundAmount}} has been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}',
+    html: '<p>Your booking for {{studioName}} has been cancelled.</p><p>Reason: {{reason}}</p><p>{{#refundAmount}}A refund of {{refundAmount}} has been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}</p>',
+    short: 'Your booking at {{studioName}} was cancelled.{{#refundAmount}} Refund: {{refundAmount}}.{{/refundAmount}}',
+  },
+
+  booking_cancelled_by_client: {
+    subject: 'Booking Cancelled by Client',
+    text: 'A booking for {{studioName}} has been cancelled by the client. Reason: {{reason}}. {{#refundAmount}}A refund of {{refundAmount}} has been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}',
+    html: '<p>A booking for {{studioName}} has been cancelled by the client.</p><p>Reason: {{reason}}</p><p>{{#refundAmount}}A refund of {{refundAmount}} has been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}</p>',
+    short: 'A client cancelled their booking at {{studioName}}.',
+  },
+
+  series_request: {
+    subject: 'New Recurring Booking Request',
+    text: 'A new recurring booking request for {{sessionCount}} sessions has been made for {{studioName}}. Please log in to confirm or reject the bookings.',
+    html: '<p>A new recurring booking request for {{sessionCount}} sessions has been made for {{studioName}}.</p><p>Please log in to confirm or reject the bookings.</p>',
+    short: 'New recurring booking request at {{studioName}} ({{sessionCount}} sessions).',
+  },
+
+  series_cancelled: {
+    subject: 'Recurring Booking Cancelled',
+    text: '{{sessionCount}} sessions of your recurring booking for {{studioName}} have been cancelled. Reason: {{reason}}. {{#refundAmount}}Refunds totalling {{refundAmount}} have been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}',
+    html: '<p>{{sessionCount}} sessions of your recurring booking for {{studioName}} have been cancelled.</p><p>Reason: {{reason}}</p><p>{{#refundAmount}}Refunds totalling {{refundAmount}} have been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}</p>',
+    short: '{{sessionCount}} sessions of your recurring booking at {{studioName}} were cancelled.',
+  },
+
+  series_cancelled_by_client: {
+    subject: 'Recurring Booking Cancelled by Client',
+    text: '{{sessionCount}} sessions of a recurring booking for {{studioName}} have been cancelled by the client. Reason: {{reason}}. {{#refundAmount}}Refunds totalling {{refundAmount}} have been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}',
+    html: '<p>{{sessionCount}} sessions of a recurring booking for {{studioName}} have been cancelled by the client.</p><p>Reason: {{reason}}</p><p>{{#refundAmount}}Refunds totalling {{refundAmount}} have been issued.{{/refundAmount}}{{^refundAmount}}No refund is due under the studio cancellation policy.{{/refundAmount}}</p>',
+    short: 'A client cancelled {{sessionCount}} sessions of a recurring booking at {{studioName}}.',
+  },
+
+  payment_received: {
+    subject: 'Payment Received',
+    text: 'We have received your {{#deposit}}deposit {{/deposit}}payment of {{amount}} for your booking at {{studioName}} on {{startTime}}. Thank you!',
+    html: '<p>We have received your {{#deposit}}deposit {{/deposit}}payment of {{amount}} for your booking at {{studioName}} on {{startTime}}.</p><p>Thank you!</p>',
+    short: 'Payment of {{amount}} received for your booking at {{studioName}}. Thank you!',
+  },
+
+  waitlist_offer: {
+    subject: 'A Waitlisted Session Is Available',
+    text: '{{roomName}} at {{studioName}} is now available for {{startTime}} - {{endTime}}. The slot is held for you until {{expiresAt}}. Accept the offer here: {{acceptUrl}}',
+    html: '<p>{{roomName}} at {{studioName}} is now available for {{startTime}} - {{endTime}}.</p><p>The slot is held for you until {{expiresAt}}.</p><p>Please click <a href="{{acceptUrl}}">here</a> to book it.</p>',
+  },
+
+  booking_reminder: {
+    subject: 'Reminder: Your Session at {{studioName}}',
+    text: 'This is a reminder of your session at {{studioName}} ({{roomName}}) on {{startTime}} - {{endTime}}, starting in {{hours}} hours.{{#address}} {{address}}{{/address}} View your booking: {{bookingUrl}}',
+    html: '<p>This is a reminder of your session at {{studioName}} ({{roomName}}) on {{startTime}} - {{endTime}}, starting in {{hours}} hours.</p>{{#address}}<p>{{address}}</p>{{/address}}<p>Please click <a href="{{bookingUrl}}">here</a> to view your booking.</p>',
+    short: 'Reminder: your session at {{studioName}} ({{roomName}}) starts {{startTime}}.',
+  },
+
+  booking_follow_up: {
+    subject: 'How Was Your Session at {{studioName}}?',
+    text: 'Thank you for recording at {{studioName}}. We would love to hear how your session went. Leave a review here: {{reviewUrl}}',
+    html: '<p>Thank you for recording at {{studioName}}.</p><p>We would love to hear how your session went. Please click <a href="{{reviewUrl}}">here</a> to leave a review.</p>',
+  },
+
+  password_reset: {
+    subject: 'Password Reset',
+    text: 'You requested a password reset. Please go to this link to reset your password: {{resetUrl}}',
+    html: '<p>You requested a password reset.</p><p>Please click <a href="{{resetUrl}}">here</a> to reset your password.</p>',
+  },
+};
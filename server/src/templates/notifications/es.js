@@ -0,0 +1,117 @@
+/**
+ * Spanish notification templates (see en.js)
+ */
+module.exports = {
+  booking_request: {
+    subject: 'Nueva solicitud de reserva',
+    text: 'Se ha realizado una nueva solicitud de reserva para {{studioName}} ({{roomName}}, {{startTime}} - {{endTime}}). Inicia sesión para confirmar o rechazar la reserva.',
+    html: '<p>Se ha realizado una nueva solicitud de reserva para {{studioName}} ({{roomName}}, {{startTime}} - {{endTime}}).</p><p>Inicia sesión para confirmar o rechazar la reserva.</p>',
+    short: 'Nueva solicitud de reserva en {{studioName}}: {{roomName}}, {{startTime}}.',
+  },
+
+  booking_confirmed: {
+    subject: 'Reserva confirmada',
+    text: 'Tu reserva en {{studioName}} para el {{startTime}} ha sido confirmada. Adjuntamos tu factura.',
+    html: '<p>Tu reserva en {{studioName}} para el {{startTime}} ha sido confirmada.</p><p>Adjuntamos tu factura. Inicia sesión para ver los detalles.</p>',
+    short: 'Tu reserva en {{studioName}} para el {{startTime}} está confirmada.',
+  },
+
+  booking_updated: {
+    subject: 'Reserva modificada',
+    text: 'Tu reserva en {{studioName}} ({{roomName}}) se ha cambiado al {{startTime}} - {{endTime}}. La invitación adjunta actualiza tu calendario.',
+    html: '<p>Tu reserva en {{studioName}} ({{roomName}}) se ha cambiado al {{startTime}} - {{endTime}}.</p><p>La invitación adjunta actualiza tu calendario.</p>',
+    short: 'Tu reserva en {{studioName}} se ha cambiado al {{startTime}}.',
+  },
+
+  booking_checked_in: {
+    subject: 'Llegada registrada',
+    text: 'Se ha registrado tu llegada a tu reserva en {{studioName}}. Inicia sesión para ver los detalles.',
+    html: '<p>Se ha registrado tu llegada a tu reserva en {{studioName}}.</p><p>Inicia sesión para ver los detalles.</p>',
+  },
+
+  booking_completed: {
+    subject: 'Reserva completada',
+    text: 'Tu reserva en {{studioName}} se ha marcado como completada. Inicia sesión para ver los detalles.',
+    html: '<p>Tu reserva en {{studioName}} se ha marcado como completada.</p><p>Inicia sesión para ver los detalles.</p>',
+  },
+
+  booking_no_show: {
+    subject: 'Reserva no presentada',
+    text: 'Tu reserva en {{studioName}} se ha marcado como no presentada. Inicia sesión para ver los detalles.',
+    html: '<p>Tu reserva en {{studioName}} se ha marcado como no presentada.</p><p>Inicia sesión para ver los detalles.</p>',
+  },
+
+  booking_rejected: {
+    subject: 'Solicitud de reserva rechazada',
+    text: 'Tu solicitud de reserva en {{studioName}} ha sido rechazada. Motivo: {{reason}}.{{#refundAmount}} Se ha emitido un reembolso de {{refundAmount}}.{{/refundAmount}}',
+    html: '<p>Tu solicitud de reserva en {{studioName}} ha sido rechazada.</p><p>Motivo: {{reason}}</p>{{#refundAmount}}<p>Se ha emitido un reembolso de {{refundAmount}}.</p>{{/refundAmount}}',
+    short: 'Tu solicitud de reserva en {{studioName}} ha sido rechazada.',
+  },
+
+  booking_cancelled: {
+    subject: 'Reserva cancelada',
+    text: 'Tu reserva en {{studioName}} ha sido cancelada. Motivo: {{reason}}. {{#refundAmount}}Se ha emitido un reembolso de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}',
+    html: '<p>Tu reserva en {{studioName}} ha sido cancelada.</p><p>Motivo: {{reason}}</p><p>{{#refundAmount}}Se ha emitido un reembolso de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}</p>',
+    short: 'Tu reserva en {{studioName}} ha sido cancelada.{{#refundAmount}} Reembolso: {{refundAmount}}.{{/refundAmount}}',
+  },
+
+  booking_cancelled_by_client: {
+    subject: 'Reserva cancelada por el cliente',
+    text: 'El cliente ha cancelado una reserva en {{studioName}}. Motivo: {{reason}}. {{#refundAmount}}Se ha emitido un reembolso de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}',
+    html: '<p>El cliente ha cancelado una reserva en {{studioName}}.</p><p>Motivo: {{reason}}</p><p>{{#refundAmount}}Se ha emitido un reembolso de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}</p>',
+    short: 'Un cliente ha cancelado su reserva en {{studioName}}.',
+  },
+
+  series_request: {
+    subject: 'Nueva solicitud de reserva periódica',
+    text: 'Se ha realizado una nueva solicitud de reserva periódica de {{sessionCount}} sesiones para {{studioName}}. Inicia sesión para confirmar o rechazar las reservas.',
+    html: '<p>Se ha realizado una nueva solicitud de reserva periódica de {{sessionCount}} sesiones para {{studioName}}.</p><p>Inicia sesión para confirmar o rechazar las reservas.</p>',
+    short: 'Nueva solicitud de reserva recurrente en {{studioName}} ({{sessionCount}} sesiones).',
+  },
+
+  series_cancelled: {
+    subject: 'Reserva periódica cancelada',
+    text: 'Se han cancelado {{sessionCount}} sesiones de tu reserva periódica en {{studioName}}. Motivo: {{reason}}. {{#refundAmount}}Se han emitido reembolsos por un total de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}',
+    html: '<p>Se han cancelado {{sessionCount}} sesiones de tu reserva periódica en {{studioName}}.</p><p>Motivo: {{reason}}</p><p>{{#refundAmount}}Se han emitido reembolsos por un total de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}</p>',
+    short: 'Se han cancelado {{sessionCount}} sesiones de tu reserva recurrente en {{studioName}}.',
+  },
+
+  series_cancelled_by_client: {
+    subject: 'Reserva periódica cancelada por el cliente',
+    text: 'El cliente ha cancelado {{sessionCount}} sesiones de una reserva periódica en {{studioName}}. Motivo: {{reason}}. {{#refundAmount}}Se han emitido reembolsos por un total de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}',
+    html: '<p>El cliente ha cancelado {{sessionCount}} sesiones de una reserva periódica en {{studioName}}.</p><p>Motivo: {{reason}}</p><p>{{#refundAmount}}Se han emitido reembolsos por un total de {{refundAmount}}.{{/refundAmount}}{{^refundAmount}}La política de cancelación del estudio no prevé ningún reembolso.{{/refundAmount}}</p>',
+    short: 'Un cliente ha cancelado {{sessionCount}} sesiones de una reserva recurrente en {{studioName}}.',
+  },
+
+  payment_received: {
+    subject: 'Pago recibido',
+    text: 'Hemos recibido tu pago{{#deposit}} del depósito{{/deposit}} de {{amount}} por tu reserva en {{studioName}} para el {{startTime}}. ¡Gracias!',
+    html: '<p>Hemos recibido tu pago{{#deposit}} del depósito{{/deposit}} de {{amount}} por tu reserva en {{studioName}} para el {{startTime}}.</p><p>¡Gracias!</p>',
+    short: 'Hemos recibido tu pago de {{amount}} por tu reserva en {{studioName}}. ¡Gracias!',
+  },
+
+  waitlist_offer: {
+    subject: 'Una sesión de tu lista de espera está disponible',
+    text: '{{roomName}} en {{studioName}} está disponible para {{startTime}} - {{endTime}}. Te reservamos el hueco hasta el {{expiresAt}}. Acepta la oferta aquí: {{acceptUrl}}',
+    html: '<p>{{roomName}} en {{studioName}} está disponible para {{startTime}} - {{endTime}}.</p><p>Te reservamos el hueco hasta el {{expiresAt}}.</p><p>Haz clic <a href="{{acceptUrl}}">aquí</a> para reservarlo.</p>',
+  },
+
+  booking_reminder: {
+    subject: 'Recordatorio: tu sesión en {{studioName}}',
+    text: 'Te recordamos tu sesión en {{studioName}} ({{roomName}}) el {{startTime}} - {{endTime}}, que empieza dentro de {{hours}} horas.{{#address}} {{address}}{{/address}} Consulta tu reserva: {{bookingUrl}}',
+    html: '<p>Te recordamos tu sesión en {{studioName}} ({{roomName}}) el {{startTime}} - {{endTime}}, que empieza dentro de {{hours}} horas.</p>{{#address}}<p>{{address}}</p>{{/address}}<p>Haz clic <a href="{{bookingUrl}}">aquí</a> para ver tu reserva.</p>',
+    short: 'Recordatorio: tu sesión en {{studioName}} ({{roomName}}) empieza el {{startTime}}.',
+  },
+
+  booking_follow_up: {
+    subject: '¿Qué tal tu sesión en {{studioName}}?',
+    text: 'Gracias por grabar en {{studioName}}. Nos encantaría saber qué tal fue tu sesión. Deja tu opinión aquí: {{reviewUrl}}',
+    html: '<p>Gracias por grabar en {{studioName}}.</p><p>Nos encantaría saber qué tal fue tu sesión. Haz clic <a href="{{reviewUrl}}">aquí</a> para dejar tu opinión.</p>',
+  },
+
+  password_reset: {
+    subject: 'Restablecer contraseña',
+    text: 'Has solicitado restablecer tu contraseña. Sigue este enlace para hacerlo: {{resetUrl}}',
+    html: '<p>Has solicitado restablecer tu contraseña.</p><p>Haz clic <a href="{{resetUrl}}">aquí</a> para restablecerla.</p>',
+  },
+};
@@ -0,0 +1,10 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process bus for committed booking changes. bookingAudit.service emits
+ * a 'change' event ({ action, before, after, actor }) once each audited
+ * write has been committed; listeners must handle their own errors.
+ */
+const bookingEvents = new EventEmitter();
+
+module.exports = bookingEvents;
@@ -0,0 +1,293 @@
+const { formatDateTime } = require('./ical');
+const { publicFetch } = require('./publicFetch');
+
+// Requests to a CalDAV server give up after this long
+const REQUEST_TIMEOUT_MS = Number(process.env.CALDAV_TIMEOUT_MS || 30000);
+// Events fetched per calendar-multiget report
+const MULTIGET_BATCH_SIZE = 50;
+
+const XML_HEADER = '<?xml version="1.0" encoding="utf-8"?>';
+const NAMESPACES = 'xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav" xmlns:CS="http://calendarserver.org/ns/"';
+
+/**
+ * Error of a CalDAV server rejecting a request
+ */
+class CalDavError extends Error {
+  constructor(message, statusCode, { invalidSyncToken = false } = {}) {
+    super(message);
+    this.name = 'CalDavError';
+    this.statusCode = statusCode;
+    this.invalidSyncToken = invalidSyncToken;
+  }
+
+  // The resource changed since its entity tag was read
+  get isPreconditionFailed() {
+    return this.statusCode === 412;
+  }
+
+  get isNotFound() {
+    return this.statusCode === 404 || this.statusCode === 410;
+  }
+
+  get isUnauthorized() {
+    return this.statusCode === 401 || this.statusCode === 403;
+  }
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const decodeXml = (value) =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Inner XML of every element with the given local name, whatever its
+ * namespace prefix. Enough for multistatus responses, whose elements of
+ * interest never nest in themselves.
+ */
+const findElements = (xml, name) => {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${name}(?:\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`,
+    'g'
+  );
+  return [...xml.matchAll(pattern)].map((match) => match[1] || '');
+};
+
+const findText = (xml, name) => {
+  const [element] = findElements(xml, name);
+  return element === undefined ? undefined : decodeXml(element).trim();
+};
+
+const parseStatus = (xml) => {
+  const status = findText(xml, 'status');
+  const match = status && /\s(\d{3})\s?/.exec(status);
+  return match ? Number(match[1]) : 200;
+};
+
+/**
+ * The response elements of a multistatus body, with the properties of
+ * their successful propstat
+ *
+ * @returns {Array<{ href: string, status: number, props: string }>}
+ */
+const parseMultistatus = (xml) =>
+  findElements(xml, 'response').map((response) => {
+    const propstats = findElements(response, 'propstat');
+    const ok = propstats.find((propstat) => parseStatus(propstat) < 300);
+    // Removed and missing resources have a status of their own instead
+    const own = response.replace(/<(?:[\w.-]+:)?propstat[\s\S]*<\/(?:[\w.-]+:)?propstat\s*>/, '');
+
+    let status = 200;
+    if (findElements(own, 'status').length) status = parseStatus(own);
+    else if (!ok && propstats.length) status = parseStatus(propstats[0]);
+
+    return { href: findText(response, 'href'), status, props: ok || '' };
+  });
+
+/**
+ * URL path of a resource, as multistatus responses name it
+ */
+const toPath = (account, href) => decodeURIComponent(new URL(href, account.url).pathname);
+
+const request = async (account, method, href, { headers = {}, body } = {}) => {
+  const url = new URL(href || account.url, account.url);
+  const authorization = account.username
+    ? { Authorization: `Basic ${Buffer.from(`${account.username}:${account.password || ''}`).toString('base64')}` }
+    : {};
+
+  // Calendar URLs are supplied by users, so only public servers are reached
+  const response = await publicFetch(url, {
+    method,
+    headers: {
+      ...authorization,
+      ...(body && method !== 'PUT' ? { 'Content-Type': 'application/xml; charset=utf-8' } : {}),
+      ...headers,
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const text = await response.text();
+
+  // The response body is not repeated in the error, which is shown to users
+  if (!response.ok) {
+    throw new CalDavError(
+      `CalDAV server responded ${response.status} to ${method}`,
+      response.status,
+      { invalidSyncToken: /valid-sync-token/.test(text) }
+    );
+  }
+
+  return { response, text };
+};
+
+/**
+ * Properties of a calendar collection: its display name, whether it is a
+ * calendar and its current sync token
+ *
+ * @param {Object} account  url of the collection, username and password
+ * @returns {Promise<{ displayName, isCalendar: boolean, syncToken }>}
+ */
+const getCalendar = async (account) => {
+  const { text } = await request(account, 'PROPFIND', null, {
+    headers: { Depth: '0' },
+    body: `${XML_HEADER}<D:propfind ${NAMESPACES}><D:prop>`
+      + '<D:displayname/><D:resourcetype/><D:sync-token/><CS:getctag/>'
+      + '</D:prop></D:propfind>',
+  });
+
+  const [collection] = parseMultistatus(text);
+  const props = collection ? collection.props : '';
+
+  return {
+    displayName: findText(props, 'displayname') || null,
+    isCalendar: findElements(findElements(props, 'resourcetype')[0] || '', 'calendar').length > 0,
+    syncToken: findText(props, 'sync-token') || null,
+  };
+};
+
+/**
+ * Changes to a calendar since a sync token (RFC 6578), or every event with
+ * no token. Truncated results are followed until complete.
+ *
+ * @param {Object} account
+ * @param {string|null} syncToken
+ * @returns {Promise<{ changed: Array<{ href, etag }>, deleted: string[], syncToken }>}
+ * @throws {CalDavError} with invalidSyncToken when the server no longer
+ *   knows the token and a full sync is needed
+ */
+const syncCollection = async (account, syncToken) => {
+  const collectionPath = toPath(account, account.url).replace(/\/?$/, '/');
+  const changed = new Map();
+  const deleted = new Set();
+  let token = syncToken;
+
+  for (;;) {
+    const { text } = await request(account, 'REPORT', null, {
+      headers: { Depth: '0' },
+      body: `${XML_HEADER}<D:sync-collection ${NAMESPACES}>`
+        + `<D:sync-token>${token ? escapeXml(token) : ''}</D:sync-token>`
+        + '<D:sync-level>1</D:sync-level>'
+        + '<D:prop><D:getetag/></D:prop>'
+        + '</D:sync-collection>',
+    });
+
+    let truncated = false;
+    for (const { href, status, props } of parseMultistatus(text)) {
+      const path = toPath(account, href);
+      if (path.replace(/\/?$/, '/') === collectionPath) {
+        truncated = truncated || status === 507;
+      } else if (status === 404 || status === 410) {
+        changed.delete(path);
+        deleted.add(path);
+      } else if (!path.endsWith('/')) {
+        deleted.delete(path);
+        changed.set(path, findText(props, 'getetag') || null);
+      }
+    }
+
+    const nextToken = findText(text.replace(/<(?:[\w.-]+:)?response[\s\S]*<\/(?:[\w.-]+:)?response\s*>/, ''), 'sync-token');
+    if (!nextToken) {
+      throw new CalDavError('CalDAV server did not return a sync token', 502);
+    }
+    token = nextToken;
+    if (!truncated) break;
+  }
+
+  return {
+    changed: [...changed].map(([href, etag]) => ({ href, etag })),
+    deleted: [...deleted],
+    syncToken: token,
+  };
+};
+
+/**
+ * Calendar data of events by href, with recurring events expanded by the
+ * server to their occurrences within [start, end)
+ *
+ * @returns {Promise<{ events: Array<{ href, etag, data }>, missing: string[] }>}
+ */
+const getEvents = async (account, hrefs, { start, end }) => {
+  const events = [];
+  const missing = [];
+
+  for (let index = 0; index < hrefs.length; index += MULTIGET_BATCH_SIZE) {
+    const batch = hrefs.slice(index, index + MULTIGET_BATCH_SIZE);
+    const { text } = await request(account, 'REPORT', null, {
+      headers: { Depth: '1' },
+      body: `${XML_HEADER}<C:calendar-multiget ${NAMESPACES}>`
+        + '<D:prop><D:getetag/><C:calendar-data>'
+        + `<C:expand start="${formatDateTime(start)}" end="${formatDateTime(end)}"/>`
+        + '</C:calendar-data></D:prop>'
+        + batch.map((href) => `<D:href>${escapeXml(encodeURI(href))}</D:href>`).join('')
+        + '</C:calendar-multiget>',
+    });
+
+    for (const { href, status, props } of parseMultistatus(text)) {
+      const data = findText(props, 'calendar-data');
+      if (status === 404 || status === 410) missing.push(toPath(account, href));
+      else if (data) events.push({ href: toPath(account, href), etag: findText(props, 'getetag') || null, data });
+    }
+  }
+
+  return { events, missing };
+};
+
+/**
+ * Path of a new event resource in the calendar
+ */
+const getEventHref = (account, name) =>
+  toPath(account, new URL(encodeURIComponent(`${name}.ics`), account.url.replace(/\/?$/, '/')).href);
+
+/**
+ * Create or replace an event. With an etag the server only replaces the
+ * event if it is unchanged; without one, create refuses to replace an
+ * existing resource.
+ *
+ * @returns {Promise<string|null>} the new entity tag, when the server
+ *   returns one
+ * @throws {CalDavError} isPreconditionFailed when the event changed or
+ *   already exists
+ */
+const putEvent = async (account, href, calendar, { etag, create = false } = {}) => {
+  const conditions = {};
+  if (etag) conditions['If-Match'] = etag;
+  else if (create) conditions['If-None-Match'] = '*';
+
+  const { response } = await request(account, 'PUT', encodeURI(href), {
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...conditions },
+    body: calendar,
+  });
+  return response.headers.get('etag');
+};
+
+/**
+ * Delete an event; one that is already gone counts as deleted
+ *
+ * @throws {CalDavError} isPreconditionFailed when an etag is given and the
+ *   event changed since
+ */
+const deleteEvent = async (account, href, { etag } = {}) => {
+  try {
+    await request(account, 'DELETE', encodeURI(href), { headers: etag ? { 'If-Match': etag } : {} });
+  } catch (error) {
+    if (!(error instanceof CalDavError && error.isNotFound)) throw error;
+  }
+};
+
+module.exports = {
+  CalDavError,
+  getCalendar,
+  syncCollection,
+  getEvents,
+  getEventHref,
+  putEvent,
+  deleteEvent,
+};
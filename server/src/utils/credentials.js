@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Key for stored third-party credentials, derived from
+ * CREDENTIALS_ENCRYPTION_KEY or, when unset, JWT_SECRET. Changing it makes
+ * stored credentials unreadable.
+ */
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY or JWT_SECRET must be set to store credentials');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage, as iv.tag.ciphertext in base64url
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a secret stored with encryptSecret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+};
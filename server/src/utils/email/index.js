@@ -0,0 +1,48 @@
+const outbox = require('./outbox');
+const sendgrid = require('./sendgrid');
+const smtp = require('./smtp');
+
+// Adapters by EMAIL_TRANSPORT name. Each sends one message and resolves to
+// { providerMessageId }, or throws when the message was not accepted.
+const TRANSPORTS = { outbox, sendgrid, smtp };
+
+// The outbox only records messages; production must choose a transport
+// rather than silently deliver nothing
+if (!process.env.EMAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error(`EMAIL_TRANSPORT must be set in production, expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+const TRANSPORT = process.env.EMAIL_TRANSPORT || 'outbox';
+const EMAIL_FROM = process.env.EMAIL_FROM
+  || process.env.SENDGRID_FROM_EMAIL
+  || 'no-reply@studiobookingassistant.com';
+
+if (!TRANSPORTS[TRANSPORT]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT "${TRANSPORT}", expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+/**
+ * Name of the configured transport
+ */
+exports.getTransportName = () => TRANSPORT;
+
+/**
+ * Send an email with the configured transport (EMAIL_TRANSPORT: smtp,
+ * sendgrid or outbox)
+ *
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} [message.from]  Defaults to EMAIL_FROM
+ * @param {string} message.subject
+ * @param {string} [message.text]
+ * @param {string} [message.html]
+ * @param {Object[]} [message.attachments]  { filename, content (Buffer), contentType }
+ * @returns {Promise<{ transport: string, providerMessageId: string|null }>}
+ */
+exports.sendEmail = async ({ to, from = EMAIL_FROM, subject, text, html, attachments = [] }) => {
+  const { providerMessageId } = await TRANSPORTS[TRANSPORT].send({ to, from, subject, text, html, attachments });
+
+  return { transport: TRANSPORT, providerMessageId: providerMessageId || null };
+};
+
+exports.EMAIL_FROM = EMAIL_FROM;
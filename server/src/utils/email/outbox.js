@@ -0,0 +1,25 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Builds the raw message without sending it
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Keep a message instead of sending it, for development and tests. Every
+ * message is already in the send log (email_messages); with
+ * EMAIL_OUTBOX_DIR set it is also written there as an .eml file that mail
+ * clients can open.
+ */
+exports.send = async ({ to, from, subject, text, html, attachments }) => {
+  const info = await builder.sendMail({ to, from, subject, text, html, attachments });
+
+  const directory = process.env.EMAIL_OUTBOX_DIR;
+  if (directory) {
+    const filename = `${Date.now()}-${info.messageId.replace(/[^a-z0-9.-]/gi, '')}.eml`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, filename), info.message);
+  }
+
+  return { providerMessageId: info.messageId };
+};
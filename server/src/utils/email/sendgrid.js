@@ -0,0 +1,42 @@
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+/**
+ * Send a message with the SendGrid v3 mail API (SENDGRID_API_KEY)
+ */
+exports.send = async ({ to, from, subject, text, html, attachments }) => {
+  if (!process.env.SENDGRID_API_KEY) {
+    throw new Error('SENDGRID_API_KEY is not set');
+  }
+
+  const content = [];
+  if (text) content.push({ type: 'text/plain', value: text });
+  if (html) content.push({ type: 'text/html', value: html });
+
+  const response = await fetch(SENDGRID_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: from },
+      subject,
+      content,
+      attachments: attachments.length
+        ? attachments.map((attachment) => ({
+          filename: attachment.filename,
+          type: attachment.contentType,
+          content: Buffer.from(attachment.content).toString('base64'),
+          disposition: 'attachment',
+        }))
+        : undefined,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`SendGrid responded ${response.status}: ${await response.text()}`);
+  }
+
+  return { providerMessageId: response.headers.get('x-message-id') };
+};
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+/**
+ * Nodemailer SMTP transporter, created on first use from SMTP_HOST,
+ * SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a message through an SMTP server
+ */
+exports.send = async ({ to, from, subject, text, html, attachments }) => {
+  const info = await getTransporter().sendMail({ to, from, subject, text, html, attachments });
+
+  return { providerMessageId: info.messageId };
+};
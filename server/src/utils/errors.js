@@ -0,0 +1,37 @@
+/**
+ * Error raised by models and services that maps directly to an HTTP response
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.details };
+  }
+}
+
+/**
+ * A booking overlaps another non-cancelled booking of the same room,
+ * equipment item or staff member
+ */
+class BookingConflictError extends AppError {
+  constructor(message, { resource, startTime, endTime, bookingId }) {
+    super(message, 409, {
+      conflict: {
+        resource,
+        bookingId,
+        startTime,
+        endTime,
+      },
+    });
+  }
+}
+
+module.exports = {
+  AppError,
+  BookingConflictError,
+};
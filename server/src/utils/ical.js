@@ -0,0 +1,259 @@
+const { DAY_MS, isValidTimeZone, zonedTimeToUtc } = require('./time');
+
+// Content lines are folded at this many octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Studio Booking Assistant//Bookings//EN';
+
+/**
+ * Escape a TEXT value
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Escape a parameter value such as CN, quoting it when needed
+ */
+const escapeParam = (value) => {
+  const text = String(value).replace(/["\r\n]/g, '');
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Date-time in UTC, e.g. 20250801T180000Z
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Split a content line into lines of at most 75 octets, continuation lines
+ * starting with a space, without breaking multi-byte characters
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+const buildEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  if (event.organizer) {
+    lines.push(`ORGANIZER;CN=${escapeParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+  for (const attendee of event.attendees || []) {
+    lines.push(`ATTENDEE;CN=${escapeParam(attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render an iCalendar (RFC 5545) document
+ *
+ * @param {Object} calendar
+ * @param {string} [calendar.name]  Display name of a subscribed calendar
+ * @param {string} [calendar.method]  iTIP method of an invite, e.g. REQUEST or CANCEL
+ * @param {Object[]} calendar.events  uid, sequence, start, end, summary,
+ *   description, location, url, status (CONFIRMED, TENTATIVE, CANCELLED),
+ *   updatedAt, organizer and attendees ({ name, email })
+ * @returns {string}
+ */
+const buildCalendar = ({ name, method, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) {
+    lines.push(...buildEvent(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Undo TEXT escaping
+ */
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+
+/**
+ * Split a content line into its name, parameters and value. Parameter
+ * values may be quoted and contain colons.
+ */
+const parseLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+  for (let index = 0; index < line.length; index += 1) {
+    if (line[index] === '"') quoted = !quoted;
+    else if (line[index] === ':' && !quoted) {
+      colon = index;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((result, param) => {
+      const [key, ...value] = param.split('=');
+      result[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+      return result;
+    }, {}),
+    value: line.slice(colon + 1),
+  };
+};
+
+/**
+ * Instant of a DATE or DATE-TIME property. Times without a Z suffix are
+ * read in their TZID zone, or in the fallback zone when the TZID is not
+ * one Intl knows (e.g. a Windows zone name) or the time is floating.
+ *
+ * @returns {{ date: Date, allDay: boolean }|null}
+ */
+const parseDateValue = ({ params, value }, timezone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const date = { year: Number(year), month: Number(month), day: Number(day) };
+  if (hour === undefined) {
+    return { date: zonedTimeToUtc(date, timezone), allDay: true };
+  }
+
+  const minutes = Number(hour) * 60 + Number(minute) + Number(second) / 60;
+  if (utc) {
+    return { date: zonedTimeToUtc({ ...date, minutes }, 'UTC'), allDay: false };
+  }
+
+  const zone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : timezone;
+  return { date: zonedTimeToUtc({ ...date, minutes }, zone), allDay: false };
+};
+
+/**
+ * Length of a DURATION value (e.g. PT1H30M or P1D) in milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const toParsedEvent = (properties, timezone) => {
+  const start = properties.DTSTART && parseDateValue(properties.DTSTART, timezone);
+  if (!start) return null;
+
+  let end = properties.DTEND && parseDateValue(properties.DTEND, timezone);
+  if (!end && properties.DURATION) {
+    const duration = parseDuration(properties.DURATION.value);
+    if (duration !== null) end = { date: new Date(start.date.getTime() + duration) };
+  }
+  if (!end) {
+    // Without an end, a date lasts the whole day and a date-time no time
+    end = { date: new Date(start.date.getTime() + (start.allDay ? DAY_MS : 0)) };
+  }
+
+  const text = (name) => (properties[name] ? unescapeText(properties[name].value) : undefined);
+
+  return {
+    uid: text('UID'),
+    recurrenceId: properties['RECURRENCE-ID'] ? properties['RECURRENCE-ID'].value : undefined,
+    start: start.date,
+    end: end.date,
+    allDay: start.allDay,
+    summary: text('SUMMARY'),
+    status: (text('STATUS') || 'CONFIRMED').toUpperCase(),
+    transparent: (text('TRANSP') || '').toUpperCase() === 'TRANSPARENT',
+  };
+};
+
+/**
+ * Read the events of an iCalendar (RFC 5545) document. Recurring events
+ * are returned as written; expand them on the server (CalDAV expand) to
+ * get every occurrence.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.timezone]  Zone of floating times, dates and
+ *   unknown TZIDs (default UTC)
+ * @returns {Array<{ uid, recurrenceId, start: Date, end: Date, allDay,
+ *   summary, status, transparent }>}
+ */
+const parseCalendar = (text, { timezone = 'UTC' } = {}) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const components = [];
+  let properties = null;
+
+  for (const line of lines) {
+    const property = line && parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      components.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') properties = {};
+    } else if (property.name === 'END') {
+      if (components.pop() === 'VEVENT' && properties) {
+        const event = toParsedEvent(properties, timezone);
+        if (event) events.push(event);
+        properties = null;
+      }
+    } else if (properties && components[components.length - 1] === 'VEVENT' && !properties[property.name]) {
+      // Properties of nested components such as VALARM are skipped
+      properties[property.name] = property;
+    }
+  }
+
+  return events;
+};
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  escapeText,
+  formatDateTime,
+};
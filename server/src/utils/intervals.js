@@ -0,0 +1,101 @@
+/**
+ * Helpers for half-open time intervals ({ start, end } as Date or timestamp)
+ */
+
+const toMs = (value) => new Date(value).getTime();
+
+/**
+ * Normalize intervals to { start, end } in milliseconds, dropping empty ones
+ */
+const normalize = (intervals) =>
+  intervals
+    .map(({ start, end }) => ({ start: toMs(start), end: toMs(end) }))
+    .filter(({ start, end }) => end > start);
+
+/**
+ * Sort and merge overlapping or touching intervals
+ */
+const mergeIntervals = (intervals) =>
+  normalize(intervals)
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+
+/**
+ * Remove the busy intervals from the free intervals
+ */
+const subtractIntervals = (free, busy) => {
+  const blocked = mergeIntervals(busy);
+
+  return mergeIntervals(free).flatMap((interval) => {
+    const remaining = [];
+    let cursor = interval.start;
+
+    for (const block of blocked) {
+      if (block.end <= cursor || block.start >= interval.end) continue;
+      if (block.start > cursor) remaining.push({ start: cursor, end: block.start });
+      cursor = Math.max(cursor, block.end);
+    }
+
+    if (cursor < interval.end) remaining.push({ start: cursor, end: interval.end });
+    return remaining;
+  });
+};
+
+/**
+ * Clip intervals to the window [start, end)
+ */
+const clipIntervals = (intervals, start, end) =>
+  normalize(intervals)
+    .map((interval) => ({
+      start: Math.max(interval.start, toMs(start)),
+      end: Math.min(interval.end, toMs(end)),
+    }))
+    .filter((interval) => interval.end > interval.start);
+
+/**
+ * Check whether [start, end) lies entirely inside one of the intervals
+ */
+const containsInterval = (intervals, start, end) =>
+  mergeIntervals(intervals).some(
+    (interval) => interval.start <= toMs(start) && interval.end >= toMs(end)
+  );
+
+/**
+ * Intervals during which overlapping quantities ({ start, end, quantity })
+ * add up to at least the limit, e.g. when every unit of an item is in use
+ */
+const findSaturatedIntervals = (intervals, limit) => {
+  const events = intervals
+    .map(({ start, end, quantity }) => ({ start: toMs(start), end: toMs(end), quantity }))
+    .filter(({ start, end }) => end > start)
+    .flatMap(({ start, end, quantity }) => [{ at: start, delta: quantity }, { at: end, delta: -quantity }])
+    .sort((a, b) => a.at - b.at);
+
+  const saturated = [];
+  let level = 0;
+  events.forEach(({ at, delta }, index) => {
+    level += delta;
+    const next = events[index + 1];
+    if (level >= limit && next && next.at > at) {
+      saturated.push({ start: at, end: next.at });
+    }
+  });
+
+  return mergeIntervals(saturated);
+};
+
+module.exports = {
+  mergeIntervals,
+  subtractIntervals,
+  clipIntervals,
+  containsInterval,
+  findSaturatedIntervals,
+};
@@ -0,0 +1,183 @@
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('../services/pricing.service');
+const { formatZonedDateTime } = require('./time');
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const PAYMENT_LABELS = {
+  deposit: 'Deposit',
+  full: 'Payment',
+  balance: 'Balance payment',
+  refund: 'Refund',
+};
+
+/**
+ * Text rows shared by the HTML and PDF renderings
+ */
+const describe = ({ invoice, studio, booking, payments, amountPaid, balanceDue, isPaid }) => {
+  const money = (amount) => formatMoney(amount, invoice.currency);
+  const timezone = studio.timezone;
+
+  const totals = [['Subtotal', money(invoice.subtotal)]];
+  if (invoice.discountAmount) {
+    totals.push(['Discount', money(-invoice.discountAmount)]);
+  }
+  if (invoice.tax) {
+    const label = `${invoice.tax.name} (${invoice.tax.rate}%${invoice.tax.inclusive ? ', included' : ''})`;
+    totals.push([label, money(invoice.tax.amount)]);
+  }
+  totals.push(['Total', money(invoice.total)]);
+
+  return {
+    title: isPaid ? 'Receipt' : 'Invoice',
+    number: invoice.invoiceNumber,
+    issued: formatZonedDateTime(invoice.issuedAt, timezone, { dateOnly: true }),
+    studio: [studio.name, studio.address, studio.taxSettings && studio.taxSettings.registrationNumber
+      ? `Tax number: ${studio.taxSettings.registrationNumber}`
+      : null].filter(Boolean),
+    billTo: [booking.client.name, booking.client.email].filter(Boolean),
+    session: `${booking.room.name}, ${formatZonedDateTime(booking.startTime, timezone)} - ${formatZonedDateTime(booking.endTime, timezone)} (${timezone})`,
+    status: booking.status,
+    lineItems: invoice.lineItems.map((item) => ({
+      description: item.description,
+      quantity: `${item.quantity} ${item.unit}${item.quantity === 1 ? '' : 's'}`,
+      unitPrice: money(item.unitPrice),
+      amount: money(item.amount),
+    })),
+    totals,
+    payments: payments.map((payment) => ({
+      date: formatZonedDateTime(payment.paymentDate, timezone, { dateOnly: true }),
+      description: `${PAYMENT_LABELS[payment.paymentType] || 'Payment'} (${payment.paymentMethod})`,
+      amount: money(payment.appliedAmount),
+    })),
+    amountPaid: money(amountPaid),
+    balanceDue: money(balanceDue),
+  };
+};
+
+/**
+ * Render an invoice document (see invoice.service getInvoiceDocument) as a
+ * standalone HTML page
+ */
+const renderInvoiceHtml = (document) => {
+  const view = describe(document);
+  const rows = (cells) => cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(view.title)} ${escapeHtml(view.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  td:last-child, th:last-child { text-align: right; }
+  .totals td { border: none; }
+  .muted { color: #666; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(view.title)} ${escapeHtml(view.number)}</h1>
+<p class="muted">Issued ${escapeHtml(view.issued)}</p>
+<p>${view.studio.map(escapeHtml).join('<br>')}</p>
+<h3>Bill to</h3>
+<p>${view.billTo.map(escapeHtml).join('<br>')}</p>
+<p>${escapeHtml(view.session)}<br><span class="muted">Booking status: ${escapeHtml(view.status)}</span></p>
+<table>
+<thead><tr><th>Description</th><th>Quantity</th><th>Unit price</th><th>Amount</th></tr></thead>
+<tbody>
+${view.lineItems.map((item) => `<tr>${rows([item.description, item.quantity, item.unitPrice, item.amount])}</tr>`).join('\n')}
+</tbody>
+</table>
+<table class="totals">
+${view.totals.map(([label, amount]) => `<tr>${rows([label, amount])}</tr>`).join('\n')}
+</table>
+<h3>Payments</h3>
+<table>
+${view.payments.length
+    ? view.payments.map((payment) => `<tr>${rows([payment.date, payment.description, payment.amount])}</tr>`).join('\n')
+    : '<tr><td>No payments yet</td></tr>'}
+</table>
+<table class="totals">
+<tr>${rows(['Amount paid', view.amountPaid])}</tr>
+<tr>${rows(['Balance due', view.balanceDue])}</tr>
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render an invoice document as a PDF
+ *
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (document) =>
+  new Promise((resolve, reject) => {
+    const view = describe(document);
+    const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const columns = [50, 280, 370, 460];
+    const row = (cells, { bold = false } = {}) => {
+      const y = pdf.y;
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((cell, index) => {
+        const last = index === cells.length - 1;
+        const x = last ? columns[columns.length - 1] : columns[index];
+        pdf.text(cell, x, y, { width: last ? 85 : columns[index + 1] - x - 10, align: last ? 'right' : 'left' });
+      });
+      pdf.moveDown(0.4);
+    };
+
+    pdf.fontSize(20).font('Helvetica-Bold').text(`${view.title} ${view.number}`);
+    pdf.fontSize(10).font('Helvetica').fillColor('#666').text(`Issued ${view.issued}`).fillColor('#000');
+    pdf.moveDown();
+    view.studio.forEach((line) => pdf.text(line));
+    pdf.moveDown();
+    pdf.font('Helvetica-Bold').text('Bill to');
+    pdf.font('Helvetica');
+    view.billTo.forEach((line) => pdf.text(line));
+    pdf.moveDown();
+    pdf.text(view.session);
+    pdf.fillColor('#666').text(`Booking status: ${view.status}`).fillColor('#000');
+    pdf.moveDown();
+
+    row(['Description', 'Quantity', 'Unit price', 'Amount'], { bold: true });
+    view.lineItems.forEach((item) => row([item.description, item.quantity, item.unitPrice, item.amount]));
+    pdf.moveDown();
+    view.totals.forEach(([label, amount], index) =>
+      row(['', '', label, amount], { bold: index === view.totals.length - 1 }));
+
+    pdf.moveDown();
+    pdf.x = columns[0];
+    pdf.font('Helvetica-Bold').text('Payments');
+    pdf.moveDown(0.4);
+    if (view.payments.length) {
+      view.payments.forEach((payment) => row([payment.date, payment.description, '', payment.amount]));
+    } else {
+      row(['No payments yet', '']);
+    }
+    pdf.moveDown();
+    row(['', '', 'Amount paid', view.amountPaid]);
+    row(['', '', 'Balance due', view.balanceDue], { bold: true });
+
+    pdf.end();
+  });
+
+module.exports = {
+  escapeHtml,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
@@ -0,0 +1,94 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, buildConnector, fetch } = require('undici');
+
+// Addresses a user-supplied URL must not reach: loopback, private,
+// link-local (including cloud metadata services), shared, multicast and
+// reserved ranges. One list per family, as a list matches IPv4 addresses
+// against IPv4-mapped IPv6 ranges too.
+const toBlockList = (family, subnets) => {
+  const list = new net.BlockList();
+  subnets.forEach(([address, prefix]) => list.addSubnet(address, prefix, family));
+  return list;
+};
+
+const BLOCKED = {
+  4: toBlockList('ipv4', [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+  ]),
+  6: toBlockList('ipv6', [
+    // IPv4-mapped and NAT64 addresses could reach any of the above
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  ]),
+};
+
+/**
+ * A URL resolved to an address it may not reach
+ */
+class BlockedAddressError extends Error {
+  constructor(host) {
+    super(`${host} is not a public address`);
+    this.name = 'BlockedAddressError';
+  }
+}
+
+/**
+ * Whether requests to user-supplied URLs may reach private addresses, for
+ * development against local servers (PUBLIC_FETCH_ALLOW_PRIVATE=true)
+ */
+const allowsPrivate = () => process.env.PUBLIC_FETCH_ALLOW_PRIVATE === 'true';
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED[family].check(address, `ipv${family}`);
+};
+
+// Checks the addresses a host name resolves to as the connection is made,
+// so a later DNS answer cannot swap in a private one
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const allowed = addresses.filter(({ address }) => allowsPrivate() || isPublicAddress(address));
+    if (!allowed.length) return callback(new BlockedAddressError(hostname));
+
+    return options.all
+      ? callback(null, allowed)
+      : callback(null, allowed[0].address, allowed[0].family);
+  });
+};
+
+const connect = buildConnector({ lookup });
+
+// Address literals are connected to without a lookup, so they are checked
+// here; redirects go through the same agent
+const agent = new Agent({
+  connect: (options, callback) => {
+    const host = options.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !allowsPrivate() && !isPublicAddress(host)) {
+      return callback(new BlockedAddressError(host), null);
+    }
+    return connect(options, callback);
+  },
+});
+
+/**
+ * fetch() for URLs supplied by users, which refuses to connect to anything
+ * but public addresses. A refused request rejects with a
+ * BlockedAddressError.
+ */
+const publicFetch = async (url, options = {}) => {
+  try {
+    return await fetch(url, { ...options, dispatcher: agent });
+  } catch (error) {
+    throw error.cause instanceof BlockedAddressError ? error.cause : error;
+  }
+};
+
+module.exports = {
+  BlockedAddressError,
+  isPublicAddress,
+  publicFetch,
+};
@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request details (client IP and user agent) available to services
+ * without passing them through every call. Outside a request, e.g. in
+ * background jobs, the context is empty.
+ */
+const storage = new AsyncLocalStorage();
+
+// Longer user agents are cut; the audit log keeps them for reference only
+const MAX_USER_AGENT_LENGTH = 1000;
+
+const requestContext = (req, res, next) => {
+  const userAgent = req.get('user-agent');
+  storage.run({
+    ipAddress: req.ip,
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+  }, next);
+};
+
+const getRequestContext = () => storage.getStore() || {};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+};
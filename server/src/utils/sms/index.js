@@ -0,0 +1,27 @@
+const stub = require('./stub');
+const twilio = require('./twilio');
+
+// Providers by SMS_PROVIDER name. Each sends one text message and
+// resolves to { providerMessageId }, or throws when it was not accepted.
+const PROVIDERS = { stub, twilio };
+
+const PROVIDER = process.env.SMS_PROVIDER || 'stub';
+
+if (!PROVIDERS[PROVIDER]) {
+  throw new Error(`Unknown SMS_PROVIDER "${PROVIDER}", expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+/**
+ * Send a text message with the configured provider (SMS_PROVIDER: stub or
+ * twilio)
+ *
+ * @param {Object} message
+ * @param {string} message.to  Phone number in E.164 format, e.g. +15551234567
+ * @param {string} message.body
+ * @returns {Promise<{ provider: string, providerMessageId: string|null }>}
+ */
+exports.sendSms = async ({ to, body }) => {
+  const { providerMessageId } = await PROVIDERS[PROVIDER].send({ to, body });
+
+  return { provider: PROVIDER, providerMessageId: providerMessageId || null };
+};
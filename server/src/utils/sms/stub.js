@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+/**
+ * Print text messages instead of sending them, for development and tests
+ */
+exports.send = async ({ to, body }) => {
+  const providerMessageId = `stub-${crypto.randomUUID()}`;
+  console.log(`SMS to ${to} (${providerMessageId}): ${body}`);
+
+  return { providerMessageId };
+};
@@ -0,0 +1,26 @@
+/**
+ * Send a text message with the Twilio Messages API (TWILIO_ACCOUNT_SID,
+ * TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+ */
+exports.send = async ({ to, body }) => {
+  const { TWILIO_ACCOUNT_SID: accountSid, TWILIO_AUTH_TOKEN: authToken } = process.env;
+  if (!accountSid || !authToken) {
+    throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are not set');
+  }
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Twilio responded ${response.status}: ${await response.text()}`);
+  }
+
+  const message = await response.json();
+  return { providerMessageId: message.sid };
+};
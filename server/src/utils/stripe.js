@@ -0,0 +1,15 @@
+const Stripe = require('stripe');
+
+/**
+ * Shared Stripe client. STRIPE_API_HOST/PORT/PROTOCOL point it at a local
+ * stripe-mock server in development and tests.
+ */
+const options = {};
+
+if (process.env.STRIPE_API_HOST) {
+  options.host = process.env.STRIPE_API_HOST;
+  options.port = process.env.STRIPE_API_PORT;
+  options.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+}
+
+module.exports = Stripe(process.env.STRIPE_SECRET_KEY, options);
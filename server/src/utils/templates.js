@@ -0,0 +1,128 @@
+/**
+ * Logic-less templates for notifications. Templates cannot run code:
+ *
+ *   {{ path }}               value at a dotted path, HTML-escaped when rendering HTML
+ *   {{#path}} ... {{/path}}  rendered when the value is truthy, once per item
+ *                            for lists (with the item as {{ . }})
+ *   {{^path}} ... {{/path}}  rendered when the value is falsy or an empty list
+ *
+ * Unknown paths render as empty strings.
+ */
+
+const TAG = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Error raised for a template that cannot be parsed
+ */
+class TemplateError extends Error {}
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ */
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, kind, path] = match;
+    const parent = stack[stack.length - 1];
+
+    if (match.index > cursor) {
+      parent.children.push({ type: 'text', value: source.slice(cursor, match.index) });
+    }
+    cursor = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', inverted: kind === '^', path, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || parent.path !== path) {
+        throw new TemplateError(`Unexpected {{/${path}}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'variable', path });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed section {{#${stack[stack.length - 1].path}}}`);
+  }
+  if (cursor < source.length) {
+    root.children.push({ type: 'text', value: source.slice(cursor) });
+  }
+
+  return root.children;
+};
+
+/**
+ * Value of a dotted path, looked up from the innermost section context out
+ */
+const lookup = (contexts, path) => {
+  if (path === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = path.split('.');
+  for (let i = contexts.length - 1; i >= 0; i -= 1) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && Object.prototype.hasOwnProperty.call(context, first)) {
+      return rest.reduce(
+        (value, key) => (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+          ? value[key]
+          : undefined),
+        context[first]
+      );
+    }
+  }
+  return undefined;
+};
+
+const renderNodes = (nodes, contexts, escape) =>
+  nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(contexts, node.path);
+
+    if (node.type === 'variable') {
+      if (value === undefined || value === null) return '';
+      return escape ? escapeHtml(value) : String(value);
+    }
+
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      return isEmpty ? renderNodes(node.children, contexts, escape) : '';
+    }
+    if (isEmpty) return '';
+
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item) => renderNodes(node.children, [...contexts, item], escape)).join('');
+  }).join('');
+
+/**
+ * Render a template with data
+ *
+ * @param {string} source
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false]  Escape values for HTML
+ * @throws {TemplateError} when the template cannot be parsed
+ */
+const renderTemplate = (source, data, { html = false } = {}) =>
+  renderNodes(parse(source), [data], html);
+
+module.exports = {
+  TemplateError,
+  escapeHtml,
+  renderTemplate,
+};
@@ -0,0 +1,156 @@
+/**
+ * Time zone helpers built on Intl, used to interpret studio-local schedules
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a time zone Intl understands
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in the given time zone
+ *
+ * @returns {{ year, month, day, hour, minute, second, weekday }} month is 1-12,
+ *   weekday is the lower-case day name
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .reduce((acc, part) => {
+      if (part.type !== 'literal') acc[part.type] = Number(part.value);
+      return acc;
+    }, {});
+
+  return {
+    ...parts,
+    weekday: WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()],
+  };
+};
+
+/**
+ * Offset of the time zone from UTC at the given instant, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (instant.getTime() - instant.getUTCMilliseconds());
+};
+
+/**
+ * Convert a wall-clock time in the given time zone to an instant.
+ * Minutes past 24:00 roll over into the following day.
+ */
+const zonedTimeToUtc = ({ year, month, day, minutes = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+  const offset = getTimeZoneOffset(guess - getTimeZoneOffset(guess, timeZone), timeZone);
+  return new Date(guess - offset);
+};
+
+/**
+ * Parse an "HH:mm" string into minutes after midnight ("24:00" is allowed)
+ */
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) return null;
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+};
+
+/**
+ * Minutes after local midnight of an instant in the given time zone
+ */
+const getZonedMinutes = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return parts.hour * 60 + parts.minute;
+};
+
+/**
+ * Shift a calendar date ({ year, month, day }) by a number of days
+ */
+const addDays = ({ year, month, day }, days) => {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: WEEKDAYS[shifted.getUTCDay()],
+  };
+};
+
+/**
+ * Calendar dates (in the given time zone) touched by the range [start, end)
+ */
+const eachZonedDate = (start, end, timeZone) => {
+  const first = getZonedParts(start, timeZone);
+  const last = getZonedParts(new Date(new Date(end).getTime() - 1), timeZone);
+  const lastKey = Date.UTC(last.year, last.month - 1, last.day);
+
+  const dates = [];
+  for (let date = addDays(first, 0); Date.UTC(date.year, date.month - 1, date.day) <= lastKey; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Human-readable date and time of an instant in the given time zone,
+ * e.g. "Jul 4, 2025, 6:00 PM", in the given locale's format
+ */
+const formatZonedDateTime = (date, timeZone, { dateOnly = false, locale = 'en-US' } = {}) =>
+  new Intl.DateTimeFormat(locale, {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: dateOnly ? undefined : 'short',
+  }).format(new Date(date));
+
+module.exports = {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  getZonedMinutes,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseTimeOfDay,
+  addDays,
+  eachZonedDate,
+  formatZonedDateTime,
+};
@@ -0,0 +1,93 @@
+const webPush = require('web-push');
+
+// How long push services keep an undelivered message, in seconds
+const DEFAULT_TTL = 24 * 60 * 60;
+// Milliseconds to wait for a push service to accept a message
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Hosts of the browser push services (Chrome, Firefox, Edge, Safari).
+// Subscriptions may only point at these, so the server never posts to an
+// address a user chose. WEB_PUSH_HOSTS replaces the list, comma-separated;
+// a leading dot matches any subdomain.
+const PUSH_SERVICE_HOSTS = (process.env.WEB_PUSH_HOSTS
+  || 'fcm.googleapis.com,updates.push.services.mozilla.com,.notify.windows.com,.push.apple.com')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const { WebPushError } = webPush;
+
+/**
+ * Whether VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set
+ */
+const isConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+/**
+ * A new VAPID key pair as base64url strings, for VAPID_PUBLIC_KEY and
+ * VAPID_PRIVATE_KEY
+ */
+const generateVapidKeys = () => webPush.generateVAPIDKeys();
+
+/**
+ * Whether an endpoint is an https URL of a known push service
+ */
+const isPushServiceEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  const host = url.hostname.toLowerCase();
+  return url.protocol === 'https:' && !url.port && PUSH_SERVICE_HOSTS.some((allowed) =>
+    allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed);
+};
+
+/**
+ * Whether a push service error means the subscription has expired or been
+ * removed by the browser
+ */
+const isGone = (error) => error instanceof WebPushError && (error.statusCode === 404 || error.statusCode === 410);
+
+/**
+ * Send a message to a browser push subscription, encrypted (RFC 8291) and
+ * signed with the server's VAPID key (RFC 8292)
+ *
+ * @param {Object} subscription  endpoint and keys ({ p256dh, auth })
+ * @param {Object|string} payload  Sent as JSON when an object
+ * @param {Object} [options]
+ * @param {number} [options.ttl]  Seconds the push service keeps the message
+ * @throws {WebPushError} when the push service rejects the message
+ */
+const sendNotification = async (subscription, payload, { ttl = DEFAULT_TTL } = {}) => {
+  if (!isConfigured()) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set');
+  }
+  if (!isPushServiceEndpoint(subscription.endpoint)) {
+    throw new Error('Subscription endpoint is not a known push service');
+  }
+
+  await webPush.sendNotification(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    typeof payload === 'string' ? payload : JSON.stringify(payload),
+    {
+      TTL: ttl,
+      timeout: REQUEST_TIMEOUT_MS,
+      vapidDetails: {
+        subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@studiobookingassistant.com',
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+      },
+    }
+  );
+};
+
+module.exports = {
+  WebPushError,
+  isConfigured,
+  generateVapidKeys,
+  isPushServiceEndpoint,
+  isGone,
+  sendNotification,
+};
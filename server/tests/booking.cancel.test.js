@@ -0,0 +1,89 @@
+jest.mock('../src/database', () => ({ transaction: jest.fn((work) => work({})) }));
+jest.mock('../src/models/studio.model');
+jest.mock('../src/models/user.model');
+jest.mock('../src/services/bookingState.service');
+jest.mock('../src/services/refund.service');
+jest.mock('../src/services/notification.service');
+
+const Studio = require('../src/models/studio.model');
+const User = require('../src/models/user.model');
+const notificationService = require('../src/services/notification.service');
+const bookingState = require('../src/services/bookingState.service');
+const refundService = require('../src/services/refund.service');
+const bookingService = require('../src/services/booking.service');
+
+const booking = {
+  id: 'booking-1',
+  status: 'pending',
+  startTime: new Date(Date.now() + 72 * 3600 * 1000),
+  endTime: new Date(Date.now() + 74 * 3600 * 1000),
+  room: { id: 'room-1', name: 'A', studio: { id: 'studio-1', name: 'Studio', ownerId: 'owner-1' } },
+  rooms: [{ id: 'room-1' }],
+  client: { id: 'client-1', name: 'Client' },
+  staff: [],
+};
+const owner = { id: 'owner-1' };
+
+describe('ending a booking with a refund', () => {
+  beforeEach(() => {
+    Studio.findById.mockResolvedValue({ id: 'studio-1', ownerId: 'owner-1' });
+    bookingState.getRole.mockReturnValue('studio');
+    bookingState.transition.mockImplementation(async (current, status) => ({ ...current, status }));
+    refundService.planRefund.mockResolvedValue({ amount: 10, currency: 'usd', allocations: [] });
+    refundService.recordRefund.mockResolvedValue([]);
+    refundService.issueRefunds.mockResolvedValue({ amount: 10, currency: 'usd', payments: [], pending: 0 });
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it.each([
+    ['cancelBooking', (user) => bookingService.cancelBooking(booking, user, 'Closed', { notify: false })],
+    ['rejectBooking', (user) => bookingService.rejectBooking(booking, user, 'Closed', { notify: false })],
+  ])('%s leaves the booking untouched when the refund cannot be worked out', async (name, end) => {
+    refundService.planRefund.mockRejectedValue(Object.assign(new Error('Invalid policy'), { statusCode: 400 }));
+
+    await expect(end(owner)).rejects.toThrow('Invalid policy');
+    expect(bookingState.transition).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['cancelBooking', 'cancelled', (user) => bookingService.cancelBooking(booking, user, 'Closed', { notify: false })],
+    ['rejectBooking', 'rejected', (user) => bookingService.rejectBooking(booking, user, 'Closed', { notify: false })],
+  ])('%s records the refund in the status change transaction before issuing it', async (name, status, end) => {
+    const result = await end(owner);
+
+    const trx = bookingState.transition.mock.calls[0][3];
+    expect(bookingState.transition).toHaveBeenCalledWith(booking, status, expect.anything(), trx);
+    expect(refundService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 10 }), trx);
+    expect(refundService.issueRefunds.mock.invocationCallOrder[0])
+      .toBeGreaterThan(refundService.recordRefund.mock.invocationCallOrder[0]);
+    expect(result).toMatchObject({ status, refund: { amount: 10 } });
+  });
+
+  it.each([
+    ['client', { id: 'client-1' }],
+    ['studio', owner],
+  ])('sends the client a calendar cancellation when the %s cancels a confirmed booking', async (role, user) => {
+    bookingState.getRole.mockReturnValue(role);
+    User.findById.mockResolvedValue({ id: 'owner-1', email: 'owner@example.com' });
+    const confirmed = { ...booking, status: 'confirmed', client: { ...booking.client, email: 'client@example.com' } };
+
+    await bookingService.cancelBooking(confirmed, user, 'Closed');
+
+    const [, { to, attachments }] = notificationService.notify.mock.calls
+      .find(([name]) => name === 'booking_cancelled');
+    expect(to).toBe(confirmed.client);
+    expect(attachments).toHaveLength(1);
+    expect(attachments[0].content.toString()).toContain('METHOD:CANCEL');
+  });
+
+  it('does not email a client cancelling their own pending request', async () => {
+    bookingState.getRole.mockReturnValue('client');
+    User.findById.mockResolvedValue({ id: 'owner-1', email: 'owner@example.com' });
+
+    await bookingService.cancelBooking(booking, { id: 'client-1' }, 'Changed plans');
+
+    expect(notificationService.notify).toHaveBeenCalledTimes(1);
+    expect(notificationService.notify).toHaveBeenCalledWith('booking_cancelled_by_client', expect.anything());
+  });
+});
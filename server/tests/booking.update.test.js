@@ -0,0 +1,44 @@
+jest.mock('../src/models/booking.model');
+jest.mock('../src/services/bookingAudit.service', () => ({
+  SYSTEM_ACTOR: { id: null, role: 'system' },
+  toActor: (user) => ({ id: user.id, role: 'client' }),
+  recordChange: jest.fn((change, work) => work('trx')),
+}));
+
+const Booking = require('../src/models/booking.model');
+const bookingService = require('../src/services/booking.service');
+
+const booking = {
+  id: 'booking-1',
+  status: 'pending',
+  notes: 'Bring cables',
+  room: { id: 'room-1', name: 'A', studio: { id: 'studio-1', ownerId: 'owner-1' } },
+  rooms: [{ id: 'room-1' }],
+  client: { id: 'client-1', name: 'Client' },
+  equipment: [],
+  staff: [],
+};
+const client = { id: 'client-1', userType: 'client' };
+
+describe('updating the notes of a booking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Booking.update.mockImplementation(async (id, attributes) => ({ ...booking, ...attributes }));
+  });
+
+  it.each([
+    ['changes', 'No cables'],
+    ['clears with an empty string', ''],
+    ['clears with null', null],
+  ])('%s them', async (label, notes) => {
+    const updated = await bookingService.updateBooking(booking, client, { notes });
+
+    expect(Booking.update).toHaveBeenCalledWith('booking-1', expect.objectContaining({ notes }), 'trx');
+    expect(updated.notes).toBe(notes);
+  });
+
+  it('leaves them alone when they are not sent', async () => {
+    await expect(bookingService.updateBooking(booking, client, {})).resolves.toBe(booking);
+    expect(Booking.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../src/database', () => ({ transaction: jest.fn() }));
+jest.mock('../src/models/bookingAudit.model');
+
+const db = require('../src/database');
+const BookingAudit = require('../src/models/bookingAudit.model');
+const bookingEvents = require('../src/utils/bookingEvents');
+const { diffBookings, recordChange } = require('../src/services/bookingAudit.service');
+
+const booking = {
+  id: 'booking-1',
+  status: 'pending',
+  room: { id: 'room-1', studio: { id: 'studio-1' } },
+  rooms: [{ id: 'room-2' }, { id: 'room-1' }],
+  startTime: '2030-01-01T10:00:00Z',
+  endTime: new Date('2030-01-01T12:00:00Z'),
+  notes: 'Bring cables',
+  equipment: [{ id: 'mic-2', quantity: 1 }, { id: 'mic-1', quantity: 2 }],
+  staff: [{ id: 'staff-1' }],
+  totalAmount: 100,
+  depositAmount: 25,
+  depositPaid: false,
+  cancellationReason: null,
+  rejectionReason: null,
+  deletedAt: null,
+  holdExpiresAt: null,
+};
+const actor = { id: 'user-1', role: 'client' };
+
+// A promise settled by the test, standing in for a commit or rollback
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('diffBookings', () => {
+  it('is empty for the same booking, whatever the order of lists or type of dates', () => {
+    expect(diffBookings(booking, {
+      ...booking,
+      rooms: [{ id: 'room-1' }, { id: 'room-2' }],
+      startTime: new Date(booking.startTime),
+      endTime: booking.endTime.toISOString(),
+      equipment: [...booking.equipment].reverse(),
+    })).toEqual({});
+  });
+
+  it('lists only the changed fields', () => {
+    expect(diffBookings(booking, {
+      ...booking,
+      status: 'cancelled',
+      notes: '',
+      equipment: [{ id: 'mic-1', quantity: 3 }],
+      cancellationReason: 'Ill',
+    })).toEqual({
+      status: { from: 'pending', to: 'cancelled' },
+      notes: { from: 'Bring cables', to: '' },
+      equipment: { from: [{ id: 'mic-1', quantity: 2 }, { id: 'mic-2', quantity: 1 }], to: [{ id: 'mic-1', quantity: 3 }] },
+      cancellationReason: { from: null, to: 'Ill' },
+    });
+  });
+
+  it('compares against nothing for created and deleted bookings', () => {
+    expect(diffBookings(null, booking)).toMatchObject({
+      status: { from: null, to: 'pending' },
+      rooms: { from: null, to: ['room-1', 'room-2'] },
+    });
+    expect(diffBookings(booking, null).totalAmount).toEqual({ from: 100, to: null });
+  });
+});
+
+describe('recordChange', () => {
+  const listener = jest.fn();
+  let commit;
+
+  beforeAll(() => bookingEvents.on('change', listener));
+  afterAll(() => bookingEvents.off('change', listener));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    commit = deferred();
+    db.transaction.mockImplementation(async (work) => {
+      const result = await work('trx');
+      await commit.promise;
+      return result;
+    });
+  });
+
+  it('appends the audit entry in the transaction of the write', async () => {
+    const after = { ...booking, status: 'confirmed' };
+    commit.resolve();
+
+    await expect(recordChange({ action: 'confirm', before: booking, actor }, async () => after)).resolves.toBe(after);
+
+    expect(BookingAudit.append).toHaveBeenCalledWith(expect.objectContaining({
+      bookingId: 'booking-1',
+      studioId: 'studio-1',
+      action: 'confirm',
+      actorId: 'user-1',
+      actorRole: 'client',
+      changes: { status: { from: 'pending', to: 'confirmed' } },
+    }), 'trx');
+  });
+
+  it('emits the change once, after the commit', async () => {
+    const after = { ...booking, notes: 'No cables' };
+
+    const recording = recordChange({ action: 'update', before: booking, actor }, async () => after);
+    await new Promise(setImmediate);
+
+    expect(BookingAudit.append).toHaveBeenCalled();
+    expect(listener).not.toHaveBeenCalled();
+
+    commit.resolve();
+    await recording;
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ action: 'update', before: booking, after, actor });
+  });
+
+  it('emits nothing when the transaction rolls back', async () => {
+    commit.reject(new Error('deadlock'));
+
+    await expect(recordChange({ action: 'update', before: booking, actor }, async () => booking)).rejects.toThrow('deadlock');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('records and emits nothing when nothing was written', async () => {
+    commit.resolve();
+
+    await expect(recordChange({ action: 'confirm', before: booking, actor }, async () => null)).resolves.toBeNull();
+
+    expect(BookingAudit.append).not.toHaveBeenCalled();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('records deletes with no booking after them', async () => {
+    commit.resolve();
+
+    await recordChange({ action: 'delete', before: booking, actor }, async () => true);
+
+    expect(BookingAudit.append.mock.calls[0][0].changes.status).toEqual({ from: 'pending', to: null });
+    expect(listener).toHaveBeenCalledWith({ action: 'delete', before: booking, after: null, actor });
+  });
+
+  describe('in the caller\'s transaction', () => {
+    it('waits for the caller to commit before emitting', async () => {
+      const execution = deferred();
+      const trx = { executionPromise: execution.promise };
+      const after = { ...booking, status: 'cancelled' };
+
+      await recordChange({ action: 'cancel', before: booking, actor }, async (t) => t === trx && after, trx);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+      expect(BookingAudit.append).toHaveBeenCalledWith(expect.anything(), trx);
+      expect(listener).not.toHaveBeenCalled();
+
+      execution.resolve();
+      await execution.promise;
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ action: 'cancel', after }));
+    });
+
+    it('emits nothing when the caller rolls back', async () => {
+      const execution = deferred();
+      const trx = { executionPromise: execution.promise };
+
+      await recordChange({ action: 'cancel', before: booking, actor }, async () => booking, trx);
+      execution.reject(new Error('rolled back'));
+      await new Promise(setImmediate);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { AppError } = require('../src/utils/errors');
+const { getBookingRules, checkBookingTimes, assertBookingTimes } = require('../src/services/bookingRules.service');
+
+const weekdays = (windows) =>
+  ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].reduce((hours, day) => ({ ...hours, [day]: windows }), {});
+
+// Open 09:00-18:00 Berlin time on weekdays, and until 02:00 on Friday nights
+const studio = {
+  timezone: 'Europe/Berlin',
+  workingHours: { ...weekdays([{ open: '09:00', close: '18:00' }]), friday: [{ open: '09:00', close: '02:00' }] },
+  bookingRules: {},
+};
+const alwaysOpen = { timezone: 'UTC', workingHours: null };
+
+// Monday 7 January 2030, 09:00 in Berlin
+const now = new Date('2030-01-07T08:00:00Z');
+
+const rulesBroken = (target, startTime, endTime) =>
+  checkBookingTimes(target, startTime, endTime, { now }).map(({ rule }) => rule);
+
+describe('getBookingRules', () => {
+  it('lays the studio rules over the defaults', () => {
+    expect(getBookingRules({ bookingRules: { minLeadTimeMinutes: 0 } })).toMatchObject({
+      minLeadTimeMinutes: 0,
+      maxDurationMinutes: 12 * 60,
+    });
+  });
+});
+
+describe('checkBookingTimes', () => {
+  it('accepts a session within the rules and opening hours', () => {
+    expect(rulesBroken(studio, '2030-01-07T10:00:00Z', '2030-01-07T12:00:00Z')).toEqual([]);
+  });
+
+  it('only reports the order of reversed times', () => {
+    expect(rulesBroken(studio, '2030-01-07T12:00:00Z', '2030-01-07T10:00:00Z')).toEqual(['timeOrder']);
+  });
+
+  describe('lead time', () => {
+    it('refuses sessions starting too soon', () => {
+      const [violation] = checkBookingTimes(alwaysOpen, '2030-01-07T08:30:00Z', '2030-01-07T09:30:00Z', { now });
+
+      expect(violation).toEqual({ rule: 'minLeadTime', message: 'Sessions must be booked at least 1 hour in advance' });
+    });
+
+    it('refuses sessions in the past', () => {
+      const [violation] = checkBookingTimes(alwaysOpen, '2030-01-07T07:00:00Z', '2030-01-07T08:00:00Z', { now });
+
+      expect(violation.message).toBe('Sessions cannot be booked in the past');
+    });
+
+    it('follows the studio lead time', () => {
+      const target = { ...alwaysOpen, bookingRules: { minLeadTimeMinutes: 0 } };
+
+      expect(rulesBroken(target, '2030-01-07T08:00:00Z', '2030-01-07T09:00:00Z')).toEqual([]);
+    });
+
+    it('refuses sessions too far ahead', () => {
+      expect(rulesBroken(alwaysOpen, '2030-08-01T08:00:00Z', '2030-08-01T09:00:00Z')).toEqual(['maxAdvance']);
+    });
+  });
+
+  describe('duration', () => {
+    it('refuses sessions longer than the maximum', () => {
+      const [violation] = checkBookingTimes(alwaysOpen, '2030-01-08T08:00:00Z', '2030-01-08T20:30:00Z', { now });
+
+      expect(violation).toEqual({ rule: 'maxDuration', message: 'Sessions can be at most 12 hours long' });
+    });
+
+    it('refuses sessions shorter than the minimum', () => {
+      expect(rulesBroken(alwaysOpen, '2030-01-08T08:00:00Z', '2030-01-08T08:30:00Z')).toEqual(['minDuration']);
+    });
+
+    it('refuses times off the slot granularity in studio time', () => {
+      // Kolkata is 5:30 ahead, so 04:30 UTC is 10:00 there
+      const kolkata = { ...alwaysOpen, timezone: 'Asia/Kolkata' };
+
+      expect(rulesBroken(kolkata, '2030-01-08T04:30:00Z', '2030-01-08T05:30:00Z')).toEqual([]);
+      expect(rulesBroken(kolkata, '2030-01-08T04:15:00Z', '2030-01-08T05:15:00Z')).toEqual(['slotGranularity']);
+    });
+  });
+
+  describe('opening hours', () => {
+    it('refuses sessions running past closing time in the studio zone', () => {
+      const [violation] = checkBookingTimes(studio, '2030-01-07T16:00:00Z', '2030-01-07T18:00:00Z', { now });
+
+      expect(violation).toEqual({
+        rule: 'workingHours',
+        message: 'The studio is closed during part of the requested time (Europe/Berlin)',
+      });
+    });
+
+    it('refuses days the studio is closed', () => {
+      // Saturday 12 January
+      expect(rulesBroken(studio, '2030-01-12T10:00:00Z', '2030-01-12T12:00:00Z')).toEqual(['workingHours']);
+    });
+
+    it('accepts sessions in opening hours that run past midnight', () => {
+      // Friday 11 January 23:00 to Saturday 01:00 in Berlin
+      expect(rulesBroken(studio, '2030-01-11T22:00:00Z', '2030-01-12T00:00:00Z')).toEqual([]);
+    });
+
+    it('reads opening hours in local time across daylight saving time', () => {
+      // 07:00 UTC is 09:00 in Berlin in summer and 08:00 in winter
+      expect(rulesBroken(studio, '2030-07-01T07:00:00Z', '2030-07-01T09:00:00Z')).toEqual([]);
+      expect(rulesBroken(studio, '2030-01-14T07:00:00Z', '2030-01-14T09:00:00Z')).toEqual(['workingHours']);
+    });
+  });
+});
+
+describe('assertBookingTimes', () => {
+  it('throws a 400 listing every broken rule', () => {
+    let error;
+    try {
+      assertBookingTimes(alwaysOpen, '2030-01-07T07:00:00Z', '2030-01-07T07:30:00Z', { now });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Sessions cannot be booked in the past. Sessions must be at least 1 hour long');
+    expect(error.details.violations.map(({ rule }) => rule)).toEqual(['minLeadTime', 'minDuration']);
+  });
+
+  it('passes a session within the rules', () => {
+    expect(() => assertBookingTimes(studio, '2030-01-07T10:00:00Z', '2030-01-07T12:00:00Z', { now })).not.toThrow();
+  });
+});
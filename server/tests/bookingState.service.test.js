@@ -0,0 +1,139 @@
+jest.mock('../src/models/booking.model');
+jest.mock('../src/services/bookingAudit.service', () => ({
+  SYSTEM_ACTOR: { id: null, role: 'system' },
+  recordChange: jest.fn((change, work, trx) => work(trx || 'trx')),
+}));
+
+const Booking = require('../src/models/booking.model');
+const { recordChange } = require('../src/services/bookingAudit.service');
+const { AppError } = require('../src/utils/errors');
+const bookingState = require('../src/services/bookingState.service');
+
+const booking = { id: 'booking-1', status: 'pending' };
+
+const catchError = (work) => {
+  try {
+    work();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('getRole', () => {
+  it.each([
+    [{ isStudioOwner: true, isClient: true }, 'studio'],
+    [{ isStaff: true }, 'studio'],
+    [{ isClient: true }, 'client'],
+    [{}, null],
+  ])('of %j is %s', (access, role) => {
+    expect(bookingState.getRole(access)).toBe(role);
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it.each([
+    ['held', 'client', ['pending', 'cancelled']],
+    ['held', 'system', ['expired']],
+    ['pending', 'studio', ['confirmed', 'rejected', 'cancelled']],
+    ['pending', 'client', ['cancelled']],
+    ['pending', 'system', ['confirmed']],
+    ['confirmed', 'studio', ['checked_in', 'completed', 'no_show', 'cancelled']],
+    ['confirmed', 'client', ['cancelled']],
+    ['checked_in', 'client', []],
+    ['completed', 'studio', []],
+    ['cancelled', 'studio', []],
+  ])('from %s as %s', (status, role, allowed) => {
+    expect(bookingState.getAllowedTransitions({ status }, role)).toEqual(allowed);
+  });
+});
+
+describe('assertTransition', () => {
+  it.each([
+    ['pending', 'confirmed', 'studio'],
+    ['pending', 'confirmed', 'system'],
+    ['confirmed', 'checked_in', 'studio'],
+    ['checked_in', 'completed', 'system'],
+    ['held', 'expired', 'system'],
+  ])('lets a %s booking become %s as %s', (status, target, role) => {
+    expect(() => bookingState.assertTransition({ status }, target, role)).not.toThrow();
+  });
+
+  it.each([
+    ['pending', 'confirmed', 'client'],
+    ['pending', 'rejected', 'client'],
+    ['confirmed', 'checked_in', 'client'],
+    ['held', 'expired', 'client'],
+    ['held', 'pending', 'studio'],
+    ['pending', 'rejected', 'system'],
+  ])('forbids a %s booking to become %s as %s', (status, target, role) => {
+    const error = catchError(() => bookingState.assertTransition({ status }, target, role));
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(403);
+  });
+
+  it.each([
+    ['completed', 'cancelled'],
+    ['cancelled', 'confirmed'],
+    ['pending', 'checked_in'],
+    ['checked_in', 'cancelled'],
+    ['expired', 'pending'],
+  ])('refuses to move a %s booking to %s', (status, target) => {
+    const error = catchError(() => bookingState.assertTransition({ status }, target, 'studio'));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe(`Cannot change a ${status.replace('_', '-')} booking to ${target.replace('_', '-')}`);
+  });
+
+  it('refuses unknown statuses', () => {
+    expect(catchError(() => bookingState.assertTransition(booking, 'archived', 'studio')).statusCode).toBe(400);
+  });
+});
+
+describe('transition', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Booking.updateIfStatus.mockImplementation(async (id, status, attributes) => ({ ...booking, ...attributes }));
+  });
+
+  it('updates the booking only from the status it was loaded with, stamping the time', async () => {
+    const actor = { id: 'owner-1', role: 'studio_owner' };
+
+    const updated = await bookingState.transition(booking, 'confirmed', { role: 'studio', actor });
+
+    expect(updated.status).toBe('confirmed');
+    expect(recordChange).toHaveBeenCalledWith({ action: 'confirm', before: booking, actor }, expect.any(Function), undefined);
+    expect(Booking.updateIfStatus).toHaveBeenCalledWith(
+      'booking-1',
+      'pending',
+      { status: 'confirmed', confirmedAt: expect.any(Date) },
+      'trx'
+    );
+  });
+
+  it('sets other attributes with the status in the caller\'s transaction', async () => {
+    await bookingState.transition(booking, 'rejected', { role: 'studio', attributes: { rejectionReason: 'Closed' } }, 'outer');
+
+    expect(Booking.updateIfStatus).toHaveBeenCalledWith(
+      'booking-1',
+      'pending',
+      { rejectionReason: 'Closed', status: 'rejected', rejectedAt: expect.any(Date) },
+      'outer'
+    );
+  });
+
+  it('fails with a 409 when the status changed meanwhile', async () => {
+    Booking.updateIfStatus.mockResolvedValue(null);
+
+    await expect(bookingState.transition(booking, 'cancelled', { role: 'client' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'The booking was changed by someone else, please reload it and try again',
+    });
+  });
+
+  it('does not write a forbidden transition', async () => {
+    await expect(bookingState.transition(booking, 'confirmed', { role: 'client' })).rejects.toMatchObject({ statusCode: 403 });
+    expect(Booking.updateIfStatus).not.toHaveBeenCalled();
+  });
+});
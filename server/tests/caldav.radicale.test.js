@@ -0,0 +1,122 @@
+/**
+ * CalDAV sync against a local Radicale server (see docker-compose.yml).
+ * Runs when CALDAV_TEST_URL points at a collection home the test user may
+ * create calendars in, e.g.
+ * CALDAV_TEST_URL=http://localhost:5232/test/ npm test
+ * CALDAV_TEST_USERNAME and CALDAV_TEST_PASSWORD default to test.
+ */
+const crypto = require('crypto');
+const caldav = require('../src/utils/caldav');
+const { buildCalendar, parseCalendar } = require('../src/utils/ical');
+
+const describeWithCalDav = process.env.CALDAV_TEST_URL ? describe : describe.skip;
+
+const eventCalendar = (uid, start, summary) => buildCalendar({
+  events: [{ uid, start, end: new Date(start.getTime() + 3600 * 1000), summary }],
+});
+
+describeWithCalDav('calendar sync against a CalDAV server', () => {
+  const env = process.env;
+  const username = process.env.CALDAV_TEST_USERNAME || 'test';
+  const password = process.env.CALDAV_TEST_PASSWORD || 'test';
+  const authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  const account = { username, password };
+  // On the hour, as event times are written to the second
+  const start = new Date(Math.ceil((Date.now() + 7 * 24 * 3600 * 1000) / (3600 * 1000)) * 3600 * 1000);
+  const window = { start: new Date(), end: new Date(Date.now() + 30 * 24 * 3600 * 1000) };
+  const hrefs = {};
+  const etags = {};
+  let syncToken;
+
+  beforeAll(async () => {
+    // The server runs locally
+    process.env = { ...env, PUBLIC_FETCH_ALLOW_PRIVATE: 'true' };
+    account.url = new URL(`sync-${crypto.randomUUID()}/`, process.env.CALDAV_TEST_URL.replace(/\/?$/, '/')).href;
+    const response = await fetch(account.url, { method: 'MKCALENDAR', headers: { Authorization: authorization } });
+    expect(response.status).toBe(201);
+  });
+
+  afterAll(async () => {
+    await fetch(account.url, { method: 'DELETE', headers: { Authorization: authorization } });
+    process.env = env;
+  });
+
+  it('reads the calendar', async () => {
+    const calendar = await caldav.getCalendar(account);
+
+    expect(calendar.isCalendar).toBe(true);
+    expect(calendar.syncToken).toEqual(expect.any(String));
+  });
+
+  it('lists every event in a full sync', async () => {
+    for (const name of ['lunch', 'dentist']) {
+      hrefs[name] = caldav.getEventHref(account, name);
+      etags[name] = await caldav.putEvent(account, hrefs[name], eventCalendar(`${name}@example.com`, start, name), { create: true });
+    }
+
+    const changes = await caldav.syncCollection(account, null);
+
+    expect(changes.changed).toHaveLength(2);
+    expect(changes.changed).toEqual(expect.arrayContaining([
+      { href: hrefs.lunch, etag: etags.lunch || expect.any(String) },
+      { href: hrefs.dentist, etag: etags.dentist || expect.any(String) },
+    ]));
+    expect(changes.deleted).toEqual([]);
+    changes.changed.forEach(({ href, etag }) => {
+      etags[Object.keys(hrefs).find((name) => hrefs[name] === href)] = etag;
+    });
+    syncToken = changes.syncToken;
+  });
+
+  it('fetches the events', async () => {
+    const { events, missing } = await caldav.getEvents(account, [hrefs.lunch, caldav.getEventHref(account, 'nothing')], window);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ href: hrefs.lunch, etag: etags.lunch });
+    expect(parseCalendar(events[0].data)).toEqual([
+      expect.objectContaining({ uid: 'lunch@example.com', summary: 'lunch', start }),
+    ]);
+    expect(missing).toEqual([caldav.getEventHref(account, 'nothing')]);
+  });
+
+  it('lists only the changes since the token in an incremental sync', async () => {
+    etags.lunch = await caldav.putEvent(account, hrefs.lunch, eventCalendar('lunch@example.com', start, 'late lunch'), {
+      etag: etags.lunch,
+    });
+    await caldav.deleteEvent(account, hrefs.dentist, { etag: etags.dentist });
+
+    const changes = await caldav.syncCollection(account, syncToken);
+
+    expect(changes.changed).toEqual([{ href: hrefs.lunch, etag: etags.lunch || expect.any(String) }]);
+    expect(changes.deleted).toEqual([hrefs.dentist]);
+    expect(changes.syncToken).not.toBe(syncToken);
+    etags.lunch = changes.changed[0].etag;
+  });
+
+  it('refuses to replace an event changed since its entity tag was read', async () => {
+    // Edited elsewhere after the last sync
+    await caldav.putEvent(account, hrefs.lunch, eventCalendar('lunch@example.com', start, 'lunch'));
+
+    const error = await caldav.putEvent(account, hrefs.lunch, eventCalendar('lunch@example.com', start, 'brunch'), {
+      etag: etags.lunch,
+    }).catch((caught) => caught);
+    expect(error).toBeInstanceOf(caldav.CalDavError);
+    expect(error.isPreconditionFailed).toBe(true);
+  });
+
+  it('refuses to create an event that exists', async () => {
+    const error = await caldav.putEvent(account, hrefs.lunch, eventCalendar('lunch@example.com', start, 'lunch'), {
+      create: true,
+    }).catch((caught) => caught);
+
+    expect(error.isPreconditionFailed).toBe(true);
+  });
+
+  it('flags a sync token the server does not know', async () => {
+    const error = await caldav.syncCollection(account, `http://radicale.org/ns/sync/${'0'.repeat(64)}`)
+      .catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(caldav.CalDavError);
+    expect(error.invalidSyncToken).toBe(true);
+  });
+});
@@ -0,0 +1,242 @@
+const http = require('http');
+const caldav = require('../src/utils/caldav');
+
+const multistatus = (responses, extra = '') =>
+  `<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses}${extra}</d:multistatus>`;
+
+const changedResponse = (href, etag) =>
+  `<d:response><d:href>${href}</d:href><d:propstat><d:prop><d:getetag>${etag}</d:getetag></d:prop>`
+  + '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+
+const deletedResponse = (href) =>
+  `<d:response><d:href>${href}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`;
+
+describe('caldav', () => {
+  const env = process.env;
+  let server;
+  let account;
+  let requests;
+  let replies;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        const { status = 207, headers = {}, body: reply = '' } = replies.shift() || { status: 500 };
+        res.writeHead(status, { 'Content-Type': 'application/xml; charset=utf-8', ...headers });
+        res.end(reply);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    account = { url: `http://127.0.0.1:${server.address().port}/cal/`, username: 'test', password: 'secret' };
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    process.env = { ...env, PUBLIC_FETCH_ALLOW_PRIVATE: 'true' };
+    requests = [];
+    replies = [];
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  describe('getCalendar', () => {
+    it('reads the properties whatever the namespace prefixes', async () => {
+      replies.push({
+        body: '<multistatus xmlns="DAV:"><response><href>/cal/</href><propstat><prop>'
+          + '<displayname><![CDATA[Studio & Co]]></displayname>'
+          + '<resourcetype><collection/><C:calendar xmlns:C="urn:ietf:params:xml:ns:caldav"/></resourcetype>'
+          + '<sync-token>http://example.com/sync/1</sync-token>'
+          + '</prop><status>HTTP/1.1 200 OK</status></propstat>'
+          + '<propstat><prop><CS:getctag xmlns:CS="http://calendarserver.org/ns/"/></prop>'
+          + '<status>HTTP/1.1 404 Not Found</status></propstat></response></multistatus>',
+      });
+
+      await expect(caldav.getCalendar(account)).resolves.toEqual({
+        displayName: 'Studio & Co',
+        isCalendar: true,
+        syncToken: 'http://example.com/sync/1',
+      });
+      expect(requests[0]).toMatchObject({ method: 'PROPFIND', url: '/cal/', headers: { depth: '0' } });
+      expect(requests[0].headers.authorization).toBe(`Basic ${Buffer.from('test:secret').toString('base64')}`);
+    });
+
+    it('tells collections that are not calendars apart', async () => {
+      replies.push({
+        body: multistatus('<d:response><d:href>/cal/</d:href><d:propstat><d:prop>'
+          + '<d:resourcetype><d:collection/></d:resourcetype></d:prop>'
+          + '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>'),
+      });
+
+      await expect(caldav.getCalendar(account)).resolves.toMatchObject({ isCalendar: false, syncToken: null });
+    });
+  });
+
+  describe('syncCollection', () => {
+    it('lists changed and deleted events since the token', async () => {
+      replies.push({
+        body: multistatus(
+          changedResponse('/cal/', '"collection"')
+            + changedResponse('/cal/lunch%20break.ics', '&quot;2&quot;')
+            + deletedResponse('http://calendar.example.com/cal/dentist.ics'),
+          '<d:sync-token>token-2</d:sync-token>'
+        ),
+      });
+
+      const changes = await caldav.syncCollection(account, 'token-1 & more');
+
+      expect(changes).toEqual({
+        changed: [{ href: '/cal/lunch break.ics', etag: '"2"' }],
+        deleted: ['/cal/dentist.ics'],
+        syncToken: 'token-2',
+      });
+      expect(requests[0]).toMatchObject({ method: 'REPORT', headers: { depth: '0' } });
+      expect(requests[0].body).toContain('<D:sync-token>token-1 &amp; more</D:sync-token>');
+    });
+
+    it('asks for every event without a token', async () => {
+      replies.push({ body: multistatus('', '<d:sync-token>token-1</d:sync-token>') });
+
+      await expect(caldav.syncCollection(account, null)).resolves.toEqual({ changed: [], deleted: [], syncToken: 'token-1' });
+      expect(requests[0].body).toContain('<D:sync-token></D:sync-token>');
+    });
+
+    it('follows truncated results with the token they return', async () => {
+      replies.push(
+        {
+          body: multistatus(
+            changedResponse('/cal/a.ics', '"1"')
+              + changedResponse('/cal/b.ics', '"1"')
+              + '<d:response><d:href>/cal/</d:href><d:status>HTTP/1.1 507 Insufficient Storage</d:status></d:response>',
+            '<d:sync-token>token-2</d:sync-token>'
+          ),
+        },
+        {
+          body: multistatus(
+            deletedResponse('/cal/a.ics') + changedResponse('/cal/c.ics', '"1"'),
+            '<d:sync-token>token-3</d:sync-token>'
+          ),
+        }
+      );
+
+      const changes = await caldav.syncCollection(account, 'token-1');
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].body).toContain('<D:sync-token>token-2</D:sync-token>');
+      expect(changes).toEqual({
+        changed: [{ href: '/cal/b.ics', etag: '"1"' }, { href: '/cal/c.ics', etag: '"1"' }],
+        deleted: ['/cal/a.ics'],
+        syncToken: 'token-3',
+      });
+    });
+
+    it('flags a token the server no longer knows', async () => {
+      replies.push({
+        status: 403,
+        body: '<?xml version="1.0"?><D:error xmlns:D="DAV:"><D:valid-sync-token/></D:error>',
+      });
+
+      const error = await caldav.syncCollection(account, 'token-1').catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(caldav.CalDavError);
+      expect(error).toMatchObject({ statusCode: 403, invalidSyncToken: true, isUnauthorized: true });
+    });
+
+    it('does not flag other refusals as an invalid token', async () => {
+      replies.push({ status: 403, body: '<D:error xmlns:D="DAV:"><D:need-privileges/></D:error>' });
+
+      await expect(caldav.syncCollection(account, 'token-1')).rejects.toMatchObject({ invalidSyncToken: false });
+    });
+
+    it('fails without a new sync token', async () => {
+      replies.push({ body: multistatus(changedResponse('/cal/a.ics', '"1"')) });
+
+      await expect(caldav.syncCollection(account, null)).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+
+  describe('getEvents', () => {
+    it('returns the calendar data of each event and the missing ones', async () => {
+      replies.push({
+        body: multistatus(
+          '<d:response><d:href>/cal/a.ics</d:href><d:propstat><d:prop><d:getetag>"1"</d:getetag>'
+            + '<cal:calendar-data><![CDATA[BEGIN:VCALENDAR\r\nSUMMARY:A & B\r\nEND:VCALENDAR]]></cal:calendar-data>'
+            + '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>'
+            + '<d:response><d:href>/cal/b.ics</d:href><d:propstat><d:prop><d:getetag>"2"</d:getetag>'
+            + '<cal:calendar-data>BEGIN:VCALENDAR&#13;\nSUMMARY:&lt;C&gt;&#13;\nEND:VCALENDAR</cal:calendar-data>'
+            + '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>'
+            + deletedResponse('/cal/c.ics')
+        ),
+      });
+
+      const result = await caldav.getEvents(account, ['/cal/a.ics', '/cal/b.ics', '/cal/c.ics'], {
+        start: new Date('2030-01-01T00:00:00Z'),
+        end: new Date('2030-02-01T00:00:00Z'),
+      });
+
+      expect(result).toEqual({
+        events: [
+          { href: '/cal/a.ics', etag: '"1"', data: 'BEGIN:VCALENDAR\r\nSUMMARY:A & B\r\nEND:VCALENDAR' },
+          { href: '/cal/b.ics', etag: '"2"', data: 'BEGIN:VCALENDAR\r\nSUMMARY:<C>\r\nEND:VCALENDAR' },
+        ],
+        missing: ['/cal/c.ics'],
+      });
+      expect(requests[0].headers.depth).toBe('1');
+      expect(requests[0].body).toContain('<C:expand start="20300101T000000Z" end="20300201T000000Z"/>');
+      expect(requests[0].body).toContain('<D:href>/cal/a.ics</D:href>');
+    });
+  });
+
+  describe('putEvent', () => {
+    it('creates an event only if it does not exist', async () => {
+      replies.push({ status: 201, headers: { ETag: '"1"' } });
+
+      await expect(caldav.putEvent(account, '/cal/booking 1.ics', 'BEGIN:VCALENDAR', { create: true })).resolves.toBe('"1"');
+      expect(requests[0]).toMatchObject({
+        method: 'PUT',
+        url: '/cal/booking%201.ics',
+        headers: { 'if-none-match': '*', 'content-type': 'text/calendar; charset=utf-8' },
+        body: 'BEGIN:VCALENDAR',
+      });
+    });
+
+    it('replaces an event only if its entity tag still matches', async () => {
+      replies.push({ status: 204, headers: { ETag: '"2"' } });
+
+      await expect(caldav.putEvent(account, '/cal/a.ics', 'BEGIN:VCALENDAR', { etag: '"1"' })).resolves.toBe('"2"');
+      expect(requests[0].headers['if-match']).toBe('"1"');
+      expect(requests[0].headers['if-none-match']).toBeUndefined();
+    });
+
+    it('reports an event changed since as a failed precondition', async () => {
+      replies.push({ status: 412 });
+
+      const error = await caldav.putEvent(account, '/cal/a.ics', 'BEGIN:VCALENDAR', { etag: '"1"' }).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(caldav.CalDavError);
+      expect(error.isPreconditionFailed).toBe(true);
+    });
+  });
+
+  describe('deleteEvent', () => {
+    it('treats an event that is already gone as deleted', async () => {
+      replies.push({ status: 404 });
+
+      await expect(caldav.deleteEvent(account, '/cal/a.ics', { etag: '"1"' })).resolves.toBeUndefined();
+      expect(requests[0]).toMatchObject({ method: 'DELETE', headers: { 'if-match': '"1"' } });
+    });
+
+    it('reports an event changed since as a failed precondition', async () => {
+      replies.push({ status: 412 });
+
+      await expect(caldav.deleteEvent(account, '/cal/a.ics', { etag: '"1"' })).rejects.toMatchObject({ statusCode: 412 });
+    });
+  });
+});
@@ -0,0 +1,267 @@
+jest.mock('../src/database', () => ({ transaction: jest.fn((work) => work('trx')) }));
+jest.mock('../src/models/booking.model');
+jest.mock('../src/models/calendarConnection.model');
+jest.mock('../src/models/calendarSyncEvent.model');
+jest.mock('../src/models/externalBusyBlock.model');
+jest.mock('../src/models/room.model');
+jest.mock('../src/models/staff.model');
+jest.mock('../src/models/studio.model');
+jest.mock('../src/services/calendar.service', () => ({
+  ...jest.requireActual('../src/services/calendar.service'),
+  getBookingEvent: jest.fn(() => 'BEGIN:VCALENDAR'),
+}));
+jest.mock('../src/utils/caldav', () => {
+  const actual = jest.requireActual('../src/utils/caldav');
+  return {
+    CalDavError: actual.CalDavError,
+    syncCollection: jest.fn(),
+    getEvents: jest.fn(),
+    getEventHref: jest.fn((account, name) => `/cal/${name}.ics`),
+    putEvent: jest.fn(),
+    deleteEvent: jest.fn(),
+  };
+});
+
+const Booking = require('../src/models/booking.model');
+const CalendarConnection = require('../src/models/calendarConnection.model');
+const CalendarSyncEvent = require('../src/models/calendarSyncEvent.model');
+const ExternalBusyBlock = require('../src/models/externalBusyBlock.model');
+const Staff = require('../src/models/staff.model');
+const Studio = require('../src/models/studio.model');
+const caldav = require('../src/utils/caldav');
+const calendarSyncService = require('../src/services/calendarSync.service');
+
+const EVENT = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:dentist@example.com',
+  'DTSTART:20300101T100000Z',
+  'DTEND:20300101T110000Z',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const connection = {
+  id: 'connection-1',
+  staffId: 'staff-1',
+  url: 'https://calendar.example.com/cal/',
+  writeBack: false,
+  syncToken: null,
+  lastFullSyncAt: null,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  CalendarConnection.findById.mockResolvedValue(connection);
+  CalendarConnection.update.mockImplementation(async (id, attributes) => ({ ...connection, ...attributes }));
+  CalendarSyncEvent.findByConnection.mockResolvedValue([]);
+  Booking.find.mockResolvedValue([]);
+  Staff.findById.mockResolvedValue({ id: 'staff-1', studioId: 'studio-1', userId: 'user-2' });
+  Studio.findById.mockResolvedValue({ id: 'studio-1', ownerId: 'owner-1', timezone: 'UTC' });
+  caldav.syncCollection.mockResolvedValue({
+    changed: [{ href: '/cal/dentist.ics', etag: '"1"' }],
+    deleted: [],
+    syncToken: 'token-1',
+  });
+  caldav.getEvents.mockResolvedValue({ events: [{ href: '/cal/dentist.ics', etag: '"1"', data: EVENT }], missing: [] });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('full sync', () => {
+  it('keeps the existing busy blocks when the events cannot be fetched', async () => {
+    caldav.getEvents.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(calendarSyncService.syncConnection('connection-1')).rejects.toThrow('socket hang up');
+
+    expect(ExternalBusyBlock.removeForConnection).not.toHaveBeenCalled();
+    expect(ExternalBusyBlock.replaceForHref).not.toHaveBeenCalled();
+    expect(CalendarConnection.update).toHaveBeenLastCalledWith('connection-1', expect.objectContaining({ status: 'error' }));
+  });
+
+  it('replaces the busy blocks in one transaction after fetching', async () => {
+    const { pulled } = await calendarSyncService.syncConnection('connection-1');
+
+    expect(pulled).toMatchObject({ changed: 1, full: true });
+    expect(ExternalBusyBlock.removeForConnection).toHaveBeenCalledWith('connection-1', 'trx');
+    expect(ExternalBusyBlock.replaceForHref).toHaveBeenCalledWith('connection-1', '/cal/dentist.ics', [
+      expect.objectContaining({ uid: 'dentist@example.com', startTime: new Date('2030-01-01T10:00:00Z') }),
+    ], 'trx');
+    expect(CalendarConnection.update).toHaveBeenCalledWith('connection-1', expect.objectContaining({ syncToken: 'token-1' }), 'trx');
+  });
+});
+
+describe('incremental sync', () => {
+  const synced = { ...connection, syncToken: 'token-0', lastFullSyncAt: new Date() };
+  const writtenEvent = {
+    id: 'sync-1',
+    bookingId: 'booking-1',
+    href: '/cal/booking-booking-1.ics',
+    etag: '"1"',
+    remoteChanged: false,
+  };
+
+  beforeEach(() => {
+    CalendarConnection.findById.mockResolvedValue(synced);
+  });
+
+  it('reads the changes since the stored token', async () => {
+    const { pulled } = await calendarSyncService.syncConnection('connection-1');
+
+    expect(caldav.syncCollection).toHaveBeenCalledWith(expect.objectContaining({ url: connection.url }), 'token-0');
+    expect(pulled).toMatchObject({ full: false });
+    expect(ExternalBusyBlock.removeForConnection).not.toHaveBeenCalled();
+    expect(ExternalBusyBlock.replaceForHref).toHaveBeenCalledWith('connection-1', '/cal/dentist.ics', expect.any(Array), 'trx');
+    expect(CalendarConnection.update).toHaveBeenCalledWith('connection-1', { syncToken: 'token-1', lastFullSyncAt: undefined }, 'trx');
+  });
+
+  it('falls back to a full sync when the server no longer knows the token', async () => {
+    caldav.syncCollection.mockRejectedValueOnce(new caldav.CalDavError('CalDAV server responded 403 to REPORT', 403, { invalidSyncToken: true }));
+
+    const { pulled } = await calendarSyncService.syncConnection('connection-1');
+
+    expect(caldav.syncCollection).toHaveBeenNthCalledWith(2, expect.anything(), null);
+    expect(pulled).toMatchObject({ full: true });
+    expect(ExternalBusyBlock.removeForConnection).toHaveBeenCalledWith('connection-1', 'trx');
+    expect(CalendarConnection.update).toHaveBeenCalledWith('connection-1', expect.objectContaining({
+      syncToken: 'token-1',
+      lastFullSyncAt: expect.any(Date),
+    }), 'trx');
+  });
+
+  it('does not retry other errors as a full sync', async () => {
+    caldav.syncCollection.mockRejectedValueOnce(new caldav.CalDavError('CalDAV server responded 403 to REPORT', 403));
+
+    await expect(calendarSyncService.syncConnection('connection-1')).rejects.toThrow('403');
+    expect(caldav.syncCollection).toHaveBeenCalledTimes(1);
+  });
+
+  it('removes the busy blocks and written events of deleted resources', async () => {
+    CalendarSyncEvent.findByConnection.mockResolvedValue([writtenEvent]);
+    caldav.syncCollection.mockResolvedValue({
+      changed: [],
+      deleted: ['/cal/dentist.ics', writtenEvent.href],
+      syncToken: 'token-1',
+    });
+    caldav.getEvents.mockResolvedValue({ events: [], missing: [] });
+
+    const { pulled } = await calendarSyncService.syncConnection('connection-1');
+
+    expect(pulled).toMatchObject({ deleted: 2 });
+    expect(ExternalBusyBlock.removeForHrefs).toHaveBeenCalledWith('connection-1', ['/cal/dentist.ics', writtenEvent.href], 'trx');
+    expect(CalendarSyncEvent.remove).toHaveBeenCalledWith('sync-1', 'trx');
+  });
+
+  it('drops the busy blocks of changed resources that have gone missing', async () => {
+    caldav.getEvents.mockResolvedValue({ events: [], missing: ['/cal/dentist.ics'] });
+
+    await calendarSyncService.syncConnection('connection-1');
+
+    expect(ExternalBusyBlock.replaceForHref).not.toHaveBeenCalled();
+    expect(ExternalBusyBlock.removeForHrefs).toHaveBeenCalledWith('connection-1', ['/cal/dentist.ics'], 'trx');
+  });
+
+  it('flags written events whose entity tag changed, without reading them as busy time', async () => {
+    CalendarSyncEvent.findByConnection.mockResolvedValue([writtenEvent]);
+    caldav.syncCollection.mockResolvedValue({
+      changed: [{ href: writtenEvent.href, etag: '"2"' }],
+      deleted: [],
+      syncToken: 'token-1',
+    });
+    caldav.getEvents.mockResolvedValue({ events: [], missing: [] });
+
+    await calendarSyncService.syncConnection('connection-1');
+
+    expect(CalendarSyncEvent.markRemoteChanged).toHaveBeenCalledWith(['sync-1'], 'trx');
+    expect(caldav.getEvents).toHaveBeenCalledWith(expect.anything(), [], expect.anything());
+  });
+
+  it('does not flag our own writes coming back', async () => {
+    CalendarSyncEvent.findByConnection.mockResolvedValue([writtenEvent]);
+    caldav.syncCollection.mockResolvedValue({
+      changed: [{ href: writtenEvent.href, etag: '"1"' }],
+      deleted: [],
+      syncToken: 'token-1',
+    });
+
+    await calendarSyncService.syncConnection('connection-1');
+
+    expect(CalendarSyncEvent.markRemoteChanged).toHaveBeenCalledWith([], 'trx');
+  });
+});
+
+describe('write-back', () => {
+  const writing = { ...connection, writeBack: true, syncToken: 'token-0', lastFullSyncAt: new Date() };
+  const booking = {
+    id: 'booking-1',
+    status: 'confirmed',
+    startTime: new Date(Date.now() + 24 * 3600 * 1000),
+    updatedAt: new Date('2030-01-01T00:00:00Z'),
+  };
+  const writtenEvent = {
+    id: 'sync-1',
+    bookingId: 'booking-1',
+    href: '/cal/booking-booking-1.ics',
+    etag: '"1"',
+    remoteChanged: false,
+    startTime: booking.startTime,
+    bookingUpdatedAt: new Date('2029-12-31T00:00:00Z'),
+  };
+
+  beforeEach(() => {
+    CalendarConnection.findById.mockResolvedValue(writing);
+    Booking.find.mockResolvedValue([booking]);
+    caldav.putEvent.mockResolvedValue('"2"');
+  });
+
+  it('creates the event of a new booking without replacing an existing one', async () => {
+    const { pushed } = await calendarSyncService.syncConnection('connection-1', { pullChanges: false });
+
+    expect(pushed).toEqual({ written: 1, removed: 0, conflicts: 0 });
+    expect(caldav.putEvent).toHaveBeenCalledWith(expect.anything(), '/cal/booking-booking-1.ics', 'BEGIN:VCALENDAR', { create: true });
+    expect(CalendarSyncEvent.upsert).toHaveBeenCalledWith(expect.objectContaining({ bookingId: 'booking-1', etag: '"2"' }));
+  });
+
+  it('replaces a changed booking only if its event is unchanged', async () => {
+    CalendarSyncEvent.findByConnection.mockResolvedValue([writtenEvent]);
+
+    const { pushed } = await calendarSyncService.syncConnection('connection-1', { pullChanges: false });
+
+    expect(pushed).toEqual({ written: 1, removed: 0, conflicts: 0 });
+    expect(caldav.putEvent).toHaveBeenCalledWith(expect.anything(), writtenEvent.href, 'BEGIN:VCALENDAR', { etag: '"1"' });
+  });
+
+  it('overwrites an event edited in the external calendar and counts the conflict', async () => {
+    CalendarSyncEvent.findByConnection.mockResolvedValue([{ ...writtenEvent, bookingUpdatedAt: booking.updatedAt, remoteChanged: true }]);
+
+    const { pushed } = await calendarSyncService.syncConnection('connection-1', { pullChanges: false });
+
+    expect(pushed).toEqual({ written: 1, removed: 0, conflicts: 1 });
+    expect(caldav.putEvent).toHaveBeenCalledWith(expect.anything(), writtenEvent.href, 'BEGIN:VCALENDAR', { create: false });
+  });
+
+  it('overwrites an event whose entity tag no longer matches', async () => {
+    CalendarSyncEvent.findByConnection.mockResolvedValue([writtenEvent]);
+    caldav.putEvent.mockRejectedValueOnce(new caldav.CalDavError('CalDAV server responded 412 to PUT', 412));
+
+    const { pushed } = await calendarSyncService.syncConnection('connection-1', { pullChanges: false });
+
+    expect(pushed).toEqual({ written: 1, removed: 0, conflicts: 1 });
+    expect(caldav.putEvent).toHaveBeenLastCalledWith(expect.anything(), writtenEvent.href, 'BEGIN:VCALENDAR');
+    expect(CalendarSyncEvent.upsert).toHaveBeenCalledWith(expect.objectContaining({ etag: '"2"' }));
+  });
+
+  it('removes the events of bookings that are no longer confirmed', async () => {
+    Booking.find.mockResolvedValue([{ ...booking, status: 'cancelled' }]);
+    CalendarSyncEvent.findByConnection.mockResolvedValue([writtenEvent]);
+    caldav.deleteEvent.mockRejectedValueOnce(new caldav.CalDavError('CalDAV server responded 412 to DELETE', 412));
+
+    const { pushed } = await calendarSyncService.syncConnection('connection-1', { pullChanges: false });
+
+    expect(pushed).toEqual({ written: 0, removed: 1, conflicts: 1 });
+    expect(caldav.deleteEvent).toHaveBeenNthCalledWith(1, expect.anything(), writtenEvent.href, { etag: '"1"' });
+    expect(caldav.deleteEvent).toHaveBeenNthCalledWith(2, expect.anything(), writtenEvent.href);
+    expect(CalendarSyncEvent.remove).toHaveBeenCalledWith('sync-1');
+  });
+});
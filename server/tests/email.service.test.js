@@ -0,0 +1,116 @@
+jest.mock('../src/models/emailMessage.model');
+jest.mock('../src/services/jobQueue.service');
+jest.mock('../src/utils/email', () => ({
+  EMAIL_FROM: 'no-reply@studio.example',
+  getTransportName: () => 'outbox',
+  sendEmail: jest.fn(),
+}));
+
+const EmailMessage = require('../src/models/emailMessage.model');
+const jobQueue = require('../src/services/jobQueue.service');
+const { sendEmail } = require('../src/utils/email');
+const emailService = require('../src/services/email.service');
+
+const [[, retryMessage]] = jobQueue.registerHandler.mock.calls;
+
+const message = {
+  to: 'client@example.com',
+  subject: 'Booking Confirmed',
+  text: 'See you soon',
+  html: '<p>See you soon</p>',
+  template: 'booking_confirmed',
+  studioId: 'studio-1',
+  bookingId: 'booking-1',
+};
+
+describe('email.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    EmailMessage.create.mockImplementation(async (attributes) => ({ id: 'message-1', ...attributes }));
+    sendEmail.mockResolvedValue({ transport: 'outbox', providerMessageId: '<1@studio.example>' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('logs each message before sending it and records the delivery', async () => {
+    await expect(emailService.send({
+      ...message,
+      attachments: [{ filename: 'invite.ics', contentType: 'text/calendar', content: Buffer.from('BEGIN:VCALENDAR') }],
+    })).resolves.toBe(true);
+
+    expect(EmailMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+      ...message,
+      from: 'no-reply@studio.example',
+      transport: 'outbox',
+      attachments: [{ filename: 'invite.ics', contentType: 'text/calendar', content: Buffer.from('BEGIN:VCALENDAR').toString('base64') }],
+    }));
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      text: 'See you soon',
+      attachments: [expect.objectContaining({ content: Buffer.from('BEGIN:VCALENDAR') })],
+    }));
+    expect(EmailMessage.markSent).toHaveBeenCalledWith('message-1', { transport: 'outbox', providerMessageId: '<1@studio.example>' });
+  });
+
+  it('records a failed delivery and schedules a retry without throwing', async () => {
+    sendEmail.mockRejectedValue(new Error('connection refused'));
+
+    await expect(emailService.send(message)).resolves.toBe(false);
+
+    expect(EmailMessage.markFailed).toHaveBeenCalledWith('message-1', { transport: 'outbox', error: 'connection refused' });
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('email_retry', { messageId: 'message-1' }, expect.objectContaining({
+      dedupeKey: 'email_retry:message-1',
+    }));
+  });
+
+  it('sends password reset links without keeping them in the log', async () => {
+    const reset = {
+      to: 'client@example.com',
+      subject: 'Reset your password',
+      text: 'Open https://app.example/reset-password/secret-token',
+      html: '<a href="https://app.example/reset-password/secret-token">Reset</a>',
+      template: 'password_reset',
+    };
+
+    await emailService.send(reset);
+
+    const [[stored]] = EmailMessage.create.mock.calls;
+    expect(JSON.stringify(stored)).not.toContain('secret-token');
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ text: reset.text, html: reset.html }));
+  });
+
+  it('does not retry password reset emails, whose link was not kept', async () => {
+    sendEmail.mockRejectedValue(new Error('connection refused'));
+
+    await emailService.send({ ...message, template: 'password_reset' });
+
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  describe('retries', () => {
+    it('resend a failed message from the log', async () => {
+      EmailMessage.findById.mockResolvedValue({ id: 'message-1', status: 'failed', ...message, from: 'a@b.c', attachments: [] });
+
+      await retryMessage({ messageId: 'message-1' });
+
+      expect(EmailMessage.findById).toHaveBeenCalledWith('message-1', { withContent: true });
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: message.to, text: message.text }));
+      expect(EmailMessage.markSent).toHaveBeenCalledWith('message-1', expect.anything());
+    });
+
+    it('throw so the job queue tries again later', async () => {
+      EmailMessage.findById.mockResolvedValue({ id: 'message-1', status: 'failed', ...message, attachments: [] });
+      sendEmail.mockRejectedValue(new Error('timeout'));
+
+      await expect(retryMessage({ messageId: 'message-1' })).rejects.toThrow('timeout');
+    });
+
+    it('skip messages already sent', async () => {
+      EmailMessage.findById.mockResolvedValue({ id: 'message-1', status: 'sent', ...message, attachments: [] });
+
+      await retryMessage({ messageId: 'message-1' });
+
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+jest.mock('../src/utils/email/outbox');
+jest.mock('../src/utils/email/sendgrid');
+jest.mock('../src/utils/email/smtp');
+
+describe('email transport', () => {
+  const env = process.env;
+
+  // The transport is chosen when the module loads
+  const load = (variables) => {
+    process.env = { ...env, EMAIL_TRANSPORT: undefined, EMAIL_FROM: undefined, NODE_ENV: 'test', ...variables };
+    Object.keys(process.env).forEach((key) => process.env[key] === undefined && delete process.env[key]);
+
+    let modules;
+    jest.isolateModules(() => {
+      modules = {
+        email: require('../src/utils/email'),
+        outbox: require('../src/utils/email/outbox'),
+        sendgrid: require('../src/utils/email/sendgrid'),
+      };
+    });
+    return modules;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('keeps messages in the outbox when no transport is set outside production', () => {
+    expect(load({}).email.getTransportName()).toBe('outbox');
+  });
+
+  it('requires a transport in production', () => {
+    expect(() => load({ NODE_ENV: 'production' })).toThrow('EMAIL_TRANSPORT must be set in production');
+  });
+
+  it('rejects unknown transports', () => {
+    expect(() => load({ EMAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown EMAIL_TRANSPORT "pigeon"');
+  });
+
+  it('sends with the chosen transport from the configured address', async () => {
+    const { email, outbox, sendgrid } = load({
+      NODE_ENV: 'production',
+      EMAIL_TRANSPORT: 'sendgrid',
+      EMAIL_FROM: 'bookings@studio.example',
+    });
+    sendgrid.send.mockResolvedValue({ providerMessageId: 'sg-1' });
+
+    const result = await email.sendEmail({ to: 'client@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(result).toEqual({ transport: 'sendgrid', providerMessageId: 'sg-1' });
+    expect(sendgrid.send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'client@example.com',
+      from: 'bookings@studio.example',
+      attachments: [],
+    }));
+    expect(outbox.send).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the SendGrid sender address', () => {
+    expect(load({ SENDGRID_FROM_EMAIL: 'studio@example.com' }).email.EMAIL_FROM).toBe('studio@example.com');
+  });
+});
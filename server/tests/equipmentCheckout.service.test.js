@@ -0,0 +1,57 @@
+jest.mock('../src/database', () => ({ transaction: jest.fn((work) => work('trx')) }));
+jest.mock('../src/models/booking.model');
+jest.mock('../src/models/equipmentCheckout.model');
+jest.mock('../src/services/booking.service', () => ({ getAccess: jest.fn() }));
+jest.mock('../src/services/bookingAudit.service', () => ({
+  toActor: jest.fn(() => ({ id: 'owner-1', role: 'studio_owner' })),
+  recordChange: jest.fn((change, write, trx) => write(trx)),
+}));
+jest.mock('../src/services/invoice.service');
+
+const Booking = require('../src/models/booking.model');
+const EquipmentCheckout = require('../src/models/equipmentCheckout.model');
+const bookingService = require('../src/services/booking.service');
+const { refreshInvoice } = require('../src/services/invoice.service');
+const equipmentCheckoutService = require('../src/services/equipmentCheckout.service');
+
+const loaded = { id: 'booking-1', totalAmount: 100, priceBreakdown: null };
+const owner = { id: 'owner-1' };
+
+describe('checkIn', () => {
+  beforeEach(() => {
+    bookingService.getAccess.mockResolvedValue({ isStudioOwner: true });
+    EquipmentCheckout.findById.mockResolvedValue({
+      id: 'checkout-1',
+      bookingId: 'booking-1',
+      checkedInAt: null,
+      equipment: { id: 'mic-1', name: 'Mic' },
+    });
+    EquipmentCheckout.checkIn.mockImplementation(async (id, attributes) => ({ id, ...attributes }));
+    Booking.update.mockImplementation(async (id, attributes) => ({ ...loaded, ...attributes }));
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('adds a damage charge to the locked current total, not the one loaded before', async () => {
+    // Another check-in charged 30 since the booking was loaded
+    Booking.findByIdForUpdate.mockResolvedValue({ ...loaded, totalAmount: 130 });
+
+    const { booking } = await equipmentCheckoutService.checkIn(loaded, owner, 'checkout-1', {
+      condition: 'damaged',
+      damageCharge: 20,
+    });
+
+    expect(Booking.findByIdForUpdate).toHaveBeenCalledWith('booking-1', 'trx');
+    expect(Booking.update).toHaveBeenCalledWith('booking-1', expect.objectContaining({ totalAmount: 150 }), 'trx');
+    expect(booking.totalAmount).toBe(150);
+    expect(refreshInvoice).toHaveBeenCalledWith(booking);
+  });
+
+  it('leaves the booking alone without a charge', async () => {
+    await equipmentCheckoutService.checkIn(loaded, owner, 'checkout-1', { condition: 'good' });
+
+    expect(Booking.findByIdForUpdate).not.toHaveBeenCalled();
+    expect(Booking.update).not.toHaveBeenCalled();
+    expect(refreshInvoice).not.toHaveBeenCalled();
+  });
+});
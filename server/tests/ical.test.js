@@ -0,0 +1,107 @@
+const { parseCalendar } = require('../src/utils/ical');
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('parseCalendar', () => {
+  it('reads folded and escaped text', () => {
+    const [event] = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'UID:lunch@example.com',
+      'DTSTART:20300115T120000Z',
+      'DTEND:20300115T130000Z',
+      'SUMMARY:Lunch\\, with Sam\\; then',
+      '  a walk',
+      'END:VEVENT'
+    ));
+
+    expect(event).toEqual({
+      uid: 'lunch@example.com',
+      recurrenceId: undefined,
+      start: new Date('2030-01-15T12:00:00Z'),
+      end: new Date('2030-01-15T13:00:00Z'),
+      allDay: false,
+      summary: 'Lunch, with Sam; then a walk',
+      status: 'CONFIRMED',
+      transparent: false,
+    });
+  });
+
+  it('reads times in their TZID zone and floating times in the given zone', () => {
+    const [zoned, floating, unknown] = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;TZID=Europe/Berlin:20300115T100000',
+      'DURATION:PT1H30M',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20300715T100000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;TZID="W. Europe Standard Time":20300115T100000',
+      'END:VEVENT'
+    ), { timezone: 'America/New_York' });
+
+    expect(zoned).toMatchObject({ start: new Date('2030-01-15T09:00:00Z'), end: new Date('2030-01-15T10:30:00Z') });
+    expect(floating).toMatchObject({ start: new Date('2030-07-15T14:00:00Z'), end: new Date('2030-07-15T14:00:00Z') });
+    expect(unknown.start).toEqual(new Date('2030-01-15T15:00:00Z'));
+  });
+
+  it('reads all-day events as whole days in the given zone', () => {
+    const [single, multiple] = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20300115',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20300115',
+      'DTEND;VALUE=DATE:20300118',
+      'END:VEVENT'
+    ), { timezone: 'America/New_York' });
+
+    expect(single).toMatchObject({
+      allDay: true,
+      start: new Date('2030-01-15T05:00:00Z'),
+      end: new Date('2030-01-16T05:00:00Z'),
+    });
+    expect(multiple.end).toEqual(new Date('2030-01-18T05:00:00Z'));
+  });
+
+  it('reads the status, transparency and recurrence id', () => {
+    const [event] = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'UID:class@example.com',
+      'RECURRENCE-ID:20300115T100000Z',
+      'DTSTART:20300115T100000Z',
+      'DTEND:20300115T110000Z',
+      'STATUS:cancelled',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ));
+
+    expect(event).toMatchObject({ recurrenceId: '20300115T100000Z', status: 'CANCELLED', transparent: true });
+  });
+
+  it('skips the properties of nested components and events without a start', () => {
+    const events = parseCalendar(calendar(
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/Berlin',
+      'BEGIN:STANDARD',
+      'DTSTART:19701025T030000',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+      'BEGIN:VEVENT',
+      'SUMMARY:Rehearsal',
+      'DTSTART:20300115T100000Z',
+      'DTEND:20300115T110000Z',
+      'BEGIN:VALARM',
+      'SUMMARY:Reminder',
+      'TRIGGER:-PT15M',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No start',
+      'END:VEVENT'
+    ));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].summary).toBe('Rehearsal');
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../src/database', () => ({ transaction: jest.fn((work) => work('trx')) }));
+jest.mock('../src/models/invoice.model');
+jest.mock('../src/models/payment.model');
+jest.mock('../src/models/studio.model');
+
+const Invoice = require('../src/models/invoice.model');
+const Payment = require('../src/models/payment.model');
+const Studio = require('../src/models/studio.model');
+const invoiceService = require('../src/services/invoice.service');
+
+const booking = {
+  id: 'booking-1',
+  status: 'pending',
+  totalAmount: 100,
+  priceBreakdown: null,
+  room: { id: 'room-1', name: 'Room A', studio: { id: 'studio-1' } },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Studio.findById.mockResolvedValue({ id: 'studio-1' });
+  Studio.nextInvoiceNumber.mockResolvedValue({ sequenceNumber: 7, prefix: 'INV' });
+  Invoice.create.mockImplementation(async (attributes) => ({ id: 'invoice-1', ...attributes }));
+  Payment.findByBooking.mockResolvedValue([]);
+});
+
+describe('getInvoiceDocument', () => {
+  it('does not issue an invoice just to view it', async () => {
+    Invoice.findByBooking.mockResolvedValue(null);
+
+    await expect(invoiceService.getInvoiceDocument(booking)).rejects.toMatchObject({ statusCode: 404 });
+    expect(Studio.nextInvoiceNumber).not.toHaveBeenCalled();
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+
+  it('issues the next number when asked to', async () => {
+    Invoice.findByBooking.mockResolvedValue(null);
+
+    const document = await invoiceService.getInvoiceDocument(booking, { issue: true });
+
+    expect(document.invoice.invoiceNumber).toBe('INV-000007');
+    expect(document.balanceDue).toBe(100);
+  });
+
+  it('renders an issued invoice without updating it', async () => {
+    Invoice.findByBooking.mockResolvedValue({ id: 'invoice-1', invoiceNumber: 'INV-000003', subtotal: 80, total: 80 });
+
+    const document = await invoiceService.getInvoiceDocument(booking);
+
+    expect(document.invoice.invoiceNumber).toBe('INV-000003');
+    expect(Invoice.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('refreshInvoice', () => {
+  it('leaves bookings without an invoice alone', async () => {
+    Invoice.findByBooking.mockResolvedValue(null);
+
+    await expect(invoiceService.refreshInvoice(booking)).resolves.toBeNull();
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+
+  it('credits an issued invoice and issues a replacement at the new price', async () => {
+    const issued = {
+      id: 'invoice-1',
+      studioId: 'studio-1',
+      currency: 'usd',
+      lineItems: [{ type: 'room', description: 'Room A', quantity: 1, unit: 'session', unitPrice: 80, amount: 80 }],
+      subtotal: 80,
+      discountAmount: 0,
+      tax: { name: 'VAT', rate: 20, inclusive: true, amount: 13.33 },
+      total: 80,
+    };
+    Invoice.findByBooking.mockResolvedValue(issued);
+    Studio.nextInvoiceNumber
+      .mockResolvedValueOnce({ sequenceNumber: 8, prefix: 'INV' })
+      .mockResolvedValueOnce({ sequenceNumber: 9, prefix: 'INV' });
+
+    const replacement = await invoiceService.refreshInvoice(booking);
+
+    expect(Invoice.update).not.toHaveBeenCalled();
+    expect(Invoice.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      kind: 'credit_note',
+      relatedInvoiceId: 'invoice-1',
+      invoiceNumber: 'INV-000008',
+      lineItems: [expect.objectContaining({ unitPrice: 80, amount: -80 })],
+      subtotal: -80,
+      discountAmount: 0,
+      tax: { name: 'VAT', rate: 20, inclusive: true, amount: -13.33 },
+      total: -80,
+    }), 'trx');
+    expect(replacement).toMatchObject({ relatedInvoiceId: 'invoice-1', invoiceNumber: 'INV-000009', total: 100 });
+    expect(replacement.kind).toBeUndefined();
+  });
+
+  it('leaves an invoice alone when the price has not changed', async () => {
+    const issued = { id: 'invoice-1', subtotal: 100, total: 100 };
+    Invoice.findByBooking.mockResolvedValue(issued);
+
+    await expect(invoiceService.refreshInvoice(booking)).resolves.toBe(issued);
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+
+  it('returns the replacement of a concurrent reprice', async () => {
+    const replacement = { id: 'invoice-2', subtotal: 100, total: 100 };
+    Invoice.findByBooking
+      .mockResolvedValueOnce({ id: 'invoice-1', studioId: 'studio-1', lineItems: [], subtotal: 80, total: 80 })
+      .mockResolvedValueOnce(replacement);
+    Invoice.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+    await expect(invoiceService.refreshInvoice(booking)).resolves.toBe(replacement);
+  });
+});
+
+describe('payments applied to an invoice', () => {
+  const payment = (paymentType, status, amount) => ({ paymentType, status, amount, paymentMethod: 'card' });
+
+  beforeEach(() => {
+    Invoice.findByBooking.mockResolvedValue({ id: 'invoice-1', subtotal: 100, total: 100 });
+  });
+
+  it('counts completed payments and refunds that were paid out', async () => {
+    Payment.findByBooking.mockResolvedValue([
+      payment('deposit', 'completed', 50),
+      payment('balance', 'failed', 50),
+      payment('balance', 'pending', 50),
+      payment('refund', 'refunded', 10),
+      payment('refund', 'pending', 20),
+      payment('refund', 'failed', 30),
+    ]);
+
+    const document = await invoiceService.getInvoiceDocument(booking);
+
+    expect(document.payments.map(({ appliedAmount }) => appliedAmount)).toEqual([50, -10]);
+    expect(document.amountPaid).toBe(40);
+    expect(document.balanceDue).toBe(60);
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/models/payment.model');
+jest.mock('../src/utils/stripe', () => ({
+  paymentIntents: { create: jest.fn(), retrieve: jest.fn() },
+}));
+
+const Payment = require('../src/models/payment.model');
+const stripe = require('../src/utils/stripe');
+const paymentService = require('../src/services/payment.service');
+
+const booking = {
+  id: 'booking-1',
+  status: 'pending',
+  totalAmount: 100,
+  depositAmount: 25,
+  depositPaid: false,
+  priceBreakdown: { currency: 'usd' },
+};
+
+describe('createPaymentIntent', () => {
+  let payments;
+
+  beforeEach(() => {
+    payments = [];
+    Payment.sumCompleted.mockResolvedValue(0);
+    Payment.findPending.mockImplementation(async ({ paymentType, amount }) => payments
+      .filter((payment) => payment.status === 'pending' && payment.transactionId)
+      .find((payment) => payment.paymentType === paymentType && payment.amount === amount) || null);
+    Payment.create.mockImplementation(async (attributes) => {
+      const payment = { id: `payment-${payments.length + 1}`, ...attributes };
+      payments.push(payment);
+      return payment;
+    });
+    Payment.update.mockImplementation(async (id, attributes) => {
+      const payment = payments.find((candidate) => candidate.id === id);
+      Object.assign(payment, attributes);
+      return { ...payment };
+    });
+    stripe.paymentIntents.create.mockImplementation(async (params, { idempotencyKey }) => ({
+      id: `pi_${idempotencyKey}`,
+      client_secret: `secret_${idempotencyKey}`,
+      status: 'requires_payment_method',
+    }));
+  });
+
+  afterEach(() => jest.resetAllMocks());
+
+  it('keys each attempt by its payment row', async () => {
+    const { payment, clientSecret } = await paymentService.createPaymentIntent(booking, 'deposit');
+
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 2500, currency: 'usd' }),
+      { idempotencyKey: 'payment-payment-1' }
+    );
+    expect(payment).toMatchObject({ transactionId: 'pi_payment-payment-1', status: 'pending' });
+    expect(clientSecret).toBe('secret_payment-payment-1');
+  });
+
+  it('reuses an open intent for the same amount', async () => {
+    await paymentService.createPaymentIntent(booking, 'deposit');
+    stripe.paymentIntents.retrieve.mockResolvedValue({ status: 'requires_payment_method', client_secret: 'reused' });
+
+    const { payment, clientSecret } = await paymentService.createPaymentIntent(booking, 'deposit');
+
+    expect(stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+    expect(payment.id).toBe('payment-1');
+    expect(clientSecret).toBe('reused');
+  });
+
+  it('creates a new intent with a new key after the last one failed', async () => {
+    await paymentService.createPaymentIntent(booking, 'deposit');
+    payments[0].status = 'failed';
+
+    const { payment } = await paymentService.createPaymentIntent(booking, 'deposit');
+
+    expect(stripe.paymentIntents.create).toHaveBeenLastCalledWith(
+      expect.anything(),
+      { idempotencyKey: 'payment-payment-2' }
+    );
+    expect(payment.transactionId).toBe('pi_payment-payment-2');
+  });
+
+  it('replaces an intent canceled before its webhook arrived', async () => {
+    await paymentService.createPaymentIntent(booking, 'deposit');
+    stripe.paymentIntents.retrieve.mockResolvedValue({ status: 'canceled', client_secret: 'old' });
+
+    const { payment } = await paymentService.createPaymentIntent(booking, 'deposit');
+
+    expect(payments[0].status).toBe('failed');
+    expect(payment.id).toBe('payment-2');
+  });
+
+  it('marks the attempt failed when Stripe rejects it', async () => {
+    stripe.paymentIntents.create.mockRejectedValue(new Error('card_declined'));
+
+    await expect(paymentService.createPaymentIntent(booking, 'deposit')).rejects.toThrow('card_declined');
+    expect(payments[0].status).toBe('failed');
+  });
+});
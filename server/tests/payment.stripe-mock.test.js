@@ -0,0 +1,70 @@
+/**
+ * Payment flow against a local stripe-mock server (see docker-compose.yml).
+ * Runs when STRIPE_API_HOST points at it, e.g.
+ * STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 npm test
+ */
+jest.mock('../src/models/payment.model');
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test';
+
+const Payment = require('../src/models/payment.model');
+const stripe = require('../src/utils/stripe');
+const paymentService = require('../src/services/payment.service');
+
+const describeWithStripeMock = process.env.STRIPE_API_HOST ? describe : describe.skip;
+
+describeWithStripeMock('payments against stripe-mock', () => {
+  const booking = {
+    id: 'booking-1',
+    status: 'pending',
+    totalAmount: 120,
+    depositAmount: 30,
+    depositPaid: false,
+    priceBreakdown: { currency: 'usd' },
+  };
+  let payments;
+
+  beforeEach(() => {
+    payments = [];
+    Payment.sumCompleted.mockResolvedValue(0);
+    Payment.findPending.mockResolvedValue(null);
+    Payment.create.mockImplementation(async (attributes) => {
+      const payment = { id: `payment-${payments.length + 1}`, ...attributes };
+      payments.push(payment);
+      return payment;
+    });
+    Payment.update.mockImplementation(async (id, attributes) => {
+      const payment = payments.find((candidate) => candidate.id === id);
+      return Object.assign(payment, attributes);
+    });
+  });
+
+  it('creates an intent and records its transaction', async () => {
+    const { payment, clientSecret } = await paymentService.createPaymentIntent(booking, 'deposit');
+
+    expect(payment.transactionId).toMatch(/^pi_/);
+    expect(clientSecret).toEqual(expect.any(String));
+  });
+
+  it('creates a second intent for a retry after a failed attempt', async () => {
+    await paymentService.createPaymentIntent(booking, 'deposit');
+    payments[0].status = 'failed';
+
+    const { payment } = await paymentService.createPaymentIntent(booking, 'deposit');
+
+    expect(payment.id).toBe('payment-2');
+    expect(payment.transactionId).toMatch(/^pi_/);
+  });
+
+  it('accepts webhooks signed with the webhook secret', () => {
+    const payload = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } });
+    const signature = stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: process.env.STRIPE_WEBHOOK_SECRET,
+    });
+
+    expect(paymentService.constructWebhookEvent(payload, signature)).toMatchObject({ id: 'evt_1' });
+    expect(() => paymentService.constructWebhookEvent(payload, 'invalid')).toThrow('Webhook signature verification failed');
+  });
+});
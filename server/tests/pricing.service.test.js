@@ -0,0 +1,192 @@
+jest.mock('../src/models/equipment.model');
+jest.mock('../src/models/room.model');
+jest.mock('../src/models/staff.model');
+jest.mock('../src/models/studio.model');
+
+const Equipment = require('../src/models/equipment.model');
+const Room = require('../src/models/room.model');
+const Staff = require('../src/models/staff.model');
+const Studio = require('../src/models/studio.model');
+const { calculatePrice, quoteBooking } = require('../src/services/pricing.service');
+
+const studio = { id: 'studio-1', timezone: 'UTC', pricingRules: {}, taxSettings: null };
+const room = { id: 'room-1', name: 'Live room', hourlyRate: 50, isActive: true, studio: { id: 'studio-1' } };
+const session = { startTime: '2030-01-01T10:00:00Z', endTime: '2030-01-01T12:00:00Z' };
+
+describe('quoteBooking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Room.findById.mockResolvedValue(room);
+    Room.findByIds.mockImplementation(async (ids) => ids.map((id) => ({ ...room, id, name: 'Booth' })));
+    Equipment.findByIds.mockResolvedValue([{ id: 'mic-1', name: 'Mic', quantity: 4, dailyRate: 10, studioId: 'studio-1' }]);
+    Staff.findByIds.mockResolvedValue([{ id: 'staff-1', name: 'Sam', role: 'engineer', hourlyRate: 30, studioId: 'studio-1' }]);
+    Studio.findById.mockResolvedValue(studio);
+  });
+
+  it('prices the rooms, equipment and staff of the studio', async () => {
+    const { rooms, price } = await quoteBooking({
+      ...session,
+      roomId: 'room-1',
+      roomIds: ['room-1', 'room-2'],
+      equipmentIds: ['mic-1'],
+      staffIds: ['staff-1'],
+    });
+
+    expect(rooms.map(({ id }) => id)).toEqual(['room-1', 'room-2']);
+    expect(price.subtotal).toBe(2 * 100 + 10 + 60);
+  });
+
+  it.each([
+    ['an inactive room', () => Room.findById.mockResolvedValue({ ...room, isActive: false }), 'not open for booking'],
+    [
+      'an inactive extra room',
+      () => Room.findByIds.mockResolvedValue([{ ...room, id: 'room-2', name: 'Booth', isActive: false }]),
+      'Booth is not open for booking',
+    ],
+    [
+      'another studio\'s equipment',
+      () => Equipment.findByIds.mockResolvedValue([{ id: 'mic-1', name: 'Mic', quantity: 4, dailyRate: 10, studioId: 'studio-2' }]),
+      'Equipment of a booking must belong to the studio',
+    ],
+    [
+      'another studio\'s staff',
+      () => Staff.findByIds.mockResolvedValue([{ id: 'staff-1', name: 'Sam', role: 'engineer', hourlyRate: 30, studioId: 'studio-2' }]),
+      'Staff of a booking must work at the studio',
+    ],
+  ])('rejects %s', async (label, arrange, message) => {
+    arrange();
+
+    await expect(quoteBooking({
+      ...session,
+      roomId: 'room-1',
+      roomIds: ['room-1', 'room-2'],
+      equipmentIds: ['mic-1'],
+      staffIds: ['staff-1'],
+    })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining(message) });
+  });
+});
+
+describe('calculatePrice', () => {
+  const price = ({ pricingRules = {}, taxSettings = null, timezone = 'UTC', ...session }) =>
+    calculatePrice({ studio: { timezone, pricingRules, taxSettings }, room, ...session });
+  const roomItems = (result) => result.lineItems.map(({ description, quantity, unitPrice }) => [description, quantity, unitPrice]);
+
+  describe('rate rules', () => {
+    const night = { name: 'Night', start: '22:00', end: '02:00', multiplier: 1.5 };
+
+    it('charges the hours a rule covers at its multiplier, past midnight', () => {
+      const result = price({
+        pricingRules: { rateRules: [night] },
+        startTime: '2030-01-01T21:00:00Z',
+        endTime: '2030-01-02T03:00:00Z',
+      });
+
+      expect(roomItems(result)).toEqual([['Live room', 2, 50], ['Live room (Night)', 4, 75]]);
+      expect(result.subtotal).toBe(2 * 50 + 4 * 75);
+    });
+
+    it('applies a rule of one weekday into the early hours of the next', () => {
+      const friday = { ...night, weekdays: ['friday'] };
+
+      // Saturday 12 January 00:00-02:00, then Saturday 22:00-23:00
+      expect(roomItems(price({ pricingRules: { rateRules: [friday] }, startTime: '2030-01-12T00:00:00Z', endTime: '2030-01-12T02:00:00Z' })))
+        .toEqual([['Live room (Night)', 2, 75]]);
+      expect(roomItems(price({ pricingRules: { rateRules: [friday] }, startTime: '2030-01-12T22:00:00Z', endTime: '2030-01-12T23:00:00Z' })))
+        .toEqual([['Live room', 1, 50]]);
+    });
+
+    it('uses the first rule that matches', () => {
+      const weekend = { name: 'Weekend', weekdays: ['saturday', 'sunday'], multiplier: 1.2 };
+
+      expect(roomItems(price({
+        pricingRules: { rateRules: [weekend, night] },
+        startTime: '2030-01-12T21:00:00Z',
+        endTime: '2030-01-12T23:00:00Z',
+      }))).toEqual([['Live room (Weekend)', 2, 60]]);
+    });
+
+    it('reads rule times in the studio zone across daylight saving time', () => {
+      const evening = { name: 'Evening', start: '18:00', end: '22:00', multiplier: 2 };
+      const berlin = { pricingRules: { rateRules: [evening] }, timezone: 'Europe/Berlin' };
+
+      // 16:00-18:00 UTC is 18:00-20:00 in summer and 17:00-19:00 in winter
+      expect(roomItems(price({ ...berlin, startTime: '2030-07-01T16:00:00Z', endTime: '2030-07-01T18:00:00Z' })))
+        .toEqual([['Live room (Evening)', 2, 100]]);
+      expect(roomItems(price({ ...berlin, startTime: '2030-01-07T16:00:00Z', endTime: '2030-01-07T18:00:00Z' })))
+        .toEqual([['Live room', 1, 50], ['Live room (Evening)', 1, 100]]);
+    });
+  });
+
+  it('charges equipment per started day and staff per hour', () => {
+    const result = price({
+      startTime: '2030-01-01T10:00:00Z',
+      endTime: '2030-01-02T11:00:00Z',
+      equipment: [{ item: { id: 'mic-1', name: 'Mic', dailyRate: 10 }, quantity: 2 }],
+      staff: [{ id: 'staff-1', name: 'Sam', role: 'engineer', hourlyRate: 30 }],
+    });
+
+    expect(result.lineItems.slice(1)).toEqual([
+      expect.objectContaining({ description: 'Mic x2', quantity: 4, unit: 'day', amount: 40 }),
+      expect.objectContaining({ description: 'Sam (engineer)', quantity: 25, unit: 'hour', amount: 750 }),
+    ]);
+  });
+
+  describe('discounts', () => {
+    const discounts = [
+      { name: 'Half day', minHours: 4, percent: 5 },
+      { name: 'Full day', minHours: 8, percent: 10 },
+      { name: 'With engineer', minHours: 4, requiresStaff: true, percent: 15 },
+    ];
+    const staff = [{ id: 'staff-1', name: 'Sam', role: 'engineer', hourlyRate: 0 }];
+    const session = { pricingRules: { discounts }, startTime: '2030-01-01T09:00:00Z' };
+
+    it('gives the largest discount the session qualifies for', () => {
+      expect(price({ ...session, endTime: '2030-01-01T17:00:00Z' }).discount)
+        .toEqual({ name: 'Full day', percent: 10, amount: 40 });
+      expect(price({ ...session, endTime: '2030-01-01T14:00:00Z' }).discount)
+        .toEqual({ name: 'Half day', percent: 5, amount: 12.5 });
+      expect(price({ ...session, endTime: '2030-01-01T17:00:00Z', staff }).discount)
+        .toMatchObject({ name: 'With engineer', amount: 60 });
+    });
+
+    it('gives no discount below every minimum', () => {
+      const result = price({ ...session, endTime: '2030-01-01T11:00:00Z' });
+
+      expect(result.discount).toBeNull();
+      expect(result.total).toBe(100);
+    });
+  });
+
+  describe('tax', () => {
+    const session = { startTime: '2030-01-01T10:00:00Z', endTime: '2030-01-01T12:00:00Z' };
+
+    it('adds exclusive tax to the discounted subtotal', () => {
+      const result = price({
+        ...session,
+        pricingRules: { discounts: [{ name: 'Promo', percent: 10 }] },
+        taxSettings: { name: 'Sales tax', rate: 8 },
+      });
+
+      expect(result.tax).toEqual({ name: 'Sales tax', rate: 8, inclusive: false, amount: 7.2 });
+      expect(result.total).toBe(97.2);
+    });
+
+    it('only reports inclusive tax, which is part of the price', () => {
+      const result = price({ ...session, taxSettings: { name: 'VAT', rate: 20, inclusive: true } });
+
+      expect(result.tax).toEqual({ name: 'VAT', rate: 20, inclusive: true, amount: 16.67 });
+      expect(result.total).toBe(100);
+    });
+
+    it('leaves out tax without a rate', () => {
+      expect(price({ ...session, taxSettings: { name: 'VAT', rate: 0 } }).tax).toBeNull();
+    });
+  });
+
+  it('takes the deposit as a share of the total', () => {
+    const session = { startTime: '2030-01-01T10:00:00Z', endTime: '2030-01-01T12:00:00Z', taxSettings: { rate: 10 } };
+
+    expect(price(session).deposit).toBe(27.5);
+    expect(price({ ...session, pricingRules: { depositPercent: 50 } }).deposit).toBe(55);
+  });
+});
@@ -0,0 +1,68 @@
+const http = require('http');
+const caldav = require('../src/utils/caldav');
+const { BlockedAddressError, isPublicAddress, publicFetch } = require('../src/utils/publicFetch');
+
+describe('isPublicAddress', () => {
+  it.each(['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'])('accepts %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', 'localhost',
+  ])('rejects %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+});
+
+describe('publicFetch', () => {
+  const env = process.env;
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it.each([
+    'http://127.0.0.1:5999/',
+    'http://localhost:5999/',
+    'http://[::1]:5999/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0x7f000001:5999/',
+  ])('does not connect to %s', async (url) => {
+    await expect(publicFetch(url)).rejects.toBeInstanceOf(BlockedAddressError);
+  });
+
+  describe('against a local server', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        res.writeHead(500);
+        res.end('<secret>internal details</secret>');
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    it('reaches private addresses only when allowed', async () => {
+      await expect(publicFetch(url)).rejects.toBeInstanceOf(BlockedAddressError);
+
+      process.env = { ...env, PUBLIC_FETCH_ALLOW_PRIVATE: 'true' };
+      const response = await publicFetch(url);
+      expect(response.status).toBe(500);
+      await response.text();
+    });
+
+    it('does not repeat the CalDAV response body in errors', async () => {
+      process.env = { ...env, PUBLIC_FETCH_ALLOW_PRIVATE: 'true' };
+
+      const error = await caldav.getCalendar({ url: `${url}/cal/` }).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(caldav.CalDavError);
+      expect(error.statusCode).toBe(500);
+      expect(error.message).not.toContain('internal details');
+    });
+  });
+});
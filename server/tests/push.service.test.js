@@ -0,0 +1,93 @@
+jest.mock('../src/models/pushSubscription.model');
+jest.mock('web-push', () => {
+  const actual = jest.requireActual('web-push');
+  return { ...actual, sendNotification: jest.fn() };
+});
+
+const webPushLibrary = require('web-push');
+const PushSubscription = require('../src/models/pushSubscription.model');
+const pushService = require('../src/services/push.service');
+const { isPushServiceEndpoint } = require('../src/utils/webPush');
+
+const user = { id: 'user-1' };
+const keys = { p256dh: 'client-key', auth: 'client-auth' };
+const FCM_ENDPOINT = 'https://fcm.googleapis.com/fcm/send/abc';
+
+describe('isPushServiceEndpoint', () => {
+  it.each([
+    FCM_ENDPOINT,
+    'https://updates.push.services.mozilla.com/wpush/v2/abc',
+    'https://wns2-par02p.notify.windows.com/w/?token=abc',
+    'https://web.push.apple.com/abc',
+  ])('accepts %s', (endpoint) => {
+    expect(isPushServiceEndpoint(endpoint)).toBe(true);
+  });
+
+  it.each([
+    'http://fcm.googleapis.com/fcm/send/abc',
+    'https://fcm.googleapis.com:8443/fcm/send/abc',
+    'https://169.254.169.254/latest/meta-data',
+    'https://localhost/push',
+    'https://notify.windows.com.attacker.example/abc',
+    'https://attacker.example/fcm.googleapis.com',
+    'not a url',
+  ])('rejects %s', (endpoint) => {
+    expect(isPushServiceEndpoint(endpoint)).toBe(false);
+  });
+});
+
+describe('push.service', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    const { publicKey, privateKey } = webPushLibrary.generateVAPIDKeys();
+    process.env = { ...env, VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey };
+    PushSubscription.upsert.mockImplementation(async (attributes) => attributes);
+    PushSubscription.removeByEndpoint.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.clearAllMocks();
+  });
+
+  it('does not register endpoints outside the push services', async () => {
+    await expect(pushService.subscribe(user, { endpoint: 'https://10.0.0.5/hook', keys }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(PushSubscription.upsert).not.toHaveBeenCalled();
+  });
+
+  it('registers push service endpoints', async () => {
+    await pushService.subscribe(user, { endpoint: FCM_ENDPOINT, keys });
+
+    expect(PushSubscription.upsert).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', endpoint: FCM_ENDPOINT }));
+  });
+
+  it('signs messages with the VAPID keys and removes gone subscriptions', async () => {
+    const goneEndpoint = 'https://updates.push.services.mozilla.com/wpush/v2/gone';
+    PushSubscription.findByUser.mockResolvedValue([
+      { endpoint: FCM_ENDPOINT, keys },
+      { endpoint: goneEndpoint, keys },
+      { endpoint: 'https://internal.example/legacy', keys },
+    ]);
+    webPushLibrary.sendNotification.mockImplementation(async (subscription) => {
+      if (subscription.endpoint === goneEndpoint) {
+        throw new webPushLibrary.WebPushError('Gone', 410, {}, '', goneEndpoint);
+      }
+    });
+
+    const sent = await pushService.sendToUser('user-1', { title: 'Booked', body: 'See you' });
+
+    expect(sent).toBe(1);
+    expect(webPushLibrary.sendNotification).toHaveBeenCalledTimes(2);
+    expect(webPushLibrary.sendNotification).toHaveBeenCalledWith(
+      { endpoint: FCM_ENDPOINT, keys },
+      JSON.stringify({ title: 'Booked', body: 'See you' }),
+      expect.objectContaining({
+        vapidDetails: expect.objectContaining({ publicKey: process.env.VAPID_PUBLIC_KEY }),
+      })
+    );
+    expect(PushSubscription.removeByEndpoint).toHaveBeenCalledWith(goneEndpoint);
+    expect(PushSubscription.removeByEndpoint).toHaveBeenCalledWith('https://internal.example/legacy');
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../src/models/staff.model');
+jest.mock('../src/models/studio.model');
+jest.mock('../src/models/user.model');
+
+const Studio = require('../src/models/studio.model');
+const bookingEvents = require('../src/utils/bookingEvents');
+const realtimeService = require('../src/services/realtime.service');
+
+const owner = { id: 'owner-1', userType: 'studio_owner' };
+const booking = {
+  id: 'booking-1',
+  status: 'pending',
+  room: { id: 'room-1', studio: { id: 'studio-1' } },
+  client: { id: 'client-1' },
+};
+
+describe('realtime.service', () => {
+  let send;
+  let unsubscribe;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    Studio.findByOwner.mockResolvedValue([{ id: 'studio-1' }]);
+    send = jest.fn();
+    unsubscribe = await realtimeService.subscribe(owner, send);
+  });
+
+  afterEach(() => unsubscribe());
+
+  it('sends booking changes to subscribers who may see them', () => {
+    bookingEvents.emit('change', { action: 'create', before: null, after: booking });
+    bookingEvents.emit('change', {
+      action: 'create',
+      before: null,
+      after: { ...booking, id: 'booking-2', room: { id: 'room-2', studio: { id: 'studio-2' } } },
+    });
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith({ type: 'booking.created', action: 'create', booking });
+  });
+
+  it('does not send holds being placed, released or expiring', () => {
+    const hold = { ...booking, status: 'held' };
+
+    bookingEvents.emit('change', { action: 'hold', before: null, after: hold });
+    bookingEvents.emit('change', { action: 'cancel', before: hold, after: { ...hold, status: 'cancelled' } });
+    bookingEvents.emit('change', { action: 'expire', before: hold, after: { ...hold, status: 'expired' } });
+
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('sends a converted hold as an update', () => {
+    bookingEvents.emit('change', { action: 'convert_hold', before: { ...booking, status: 'held' }, after: booking });
+
+    expect(send).toHaveBeenCalledWith({ type: 'booking.updated', action: 'convert_hold', booking });
+  });
+});
@@ -0,0 +1,101 @@
+const { AppError } = require('../src/utils/errors');
+const { expandRecurrence, shiftOccurrence } = require('../src/services/recurrence.service');
+
+// Tuesday 1 January 2030, 10:00-11:00 UTC
+const session = {
+  startTime: new Date('2030-01-01T10:00:00Z'),
+  endTime: new Date('2030-01-01T11:00:00Z'),
+  timezone: 'UTC',
+};
+
+const catchError = (work) => {
+  try {
+    work();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+const startTimes = (occurrences) => occurrences.map(({ startTime }) => startTime.toISOString());
+
+describe('expandRecurrence', () => {
+  it('repeats daily up to the end date, inclusive', () => {
+    expect(startTimes(expandRecurrence({ frequency: 'daily', until: '2030-01-03' }, session))).toEqual([
+      '2030-01-01T10:00:00.000Z',
+      '2030-01-02T10:00:00.000Z',
+      '2030-01-03T10:00:00.000Z',
+    ]);
+  });
+
+  it('repeats weekly on the first session\'s weekday by default', () => {
+    expect(startTimes(expandRecurrence({ frequency: 'weekly', interval: 2, count: 3 }, session))).toEqual([
+      '2030-01-01T10:00:00.000Z',
+      '2030-01-15T10:00:00.000Z',
+      '2030-01-29T10:00:00.000Z',
+    ]);
+  });
+
+  it('repeats weekly on the given weekdays from the first session on', () => {
+    const occurrences = expandRecurrence({ frequency: 'weekly', weekdays: ['wednesday', 'monday'], count: 3 }, session);
+
+    expect(startTimes(occurrences)).toEqual([
+      '2030-01-02T10:00:00.000Z',
+      '2030-01-07T10:00:00.000Z',
+      '2030-01-09T10:00:00.000Z',
+    ]);
+    expect(occurrences[0].endTime).toEqual(new Date('2030-01-02T11:00:00Z'));
+  });
+
+  it('keeps the studio-local start time across daylight saving changes', () => {
+    const occurrences = expandRecurrence({ frequency: 'daily', count: 2 }, {
+      startTime: new Date('2030-03-30T09:00:00Z'),
+      endTime: new Date('2030-03-30T10:00:00Z'),
+      timezone: 'Europe/Berlin',
+    });
+
+    expect(startTimes(occurrences)).toEqual(['2030-03-30T09:00:00.000Z', '2030-03-31T08:00:00.000Z']);
+  });
+
+  it('uses custom dates once each, in order, from the first session on', () => {
+    const occurrences = expandRecurrence({
+      frequency: 'custom',
+      dates: ['2030-01-10', '2029-12-31', '2030-01-05', '2030-01-10'],
+    }, session);
+
+    expect(startTimes(occurrences)).toEqual(['2030-01-05T10:00:00.000Z', '2030-01-10T10:00:00.000Z']);
+  });
+
+  it.each([
+    [{ frequency: 'monthly', count: 2 }, 'frequency'],
+    [{ frequency: 'daily', interval: 0, count: 2 }, 'interval'],
+    [{ frequency: 'daily', count: 500 }, 'count'],
+    [{ frequency: 'daily' }, 'end date or an occurrence count'],
+    [{ frequency: 'daily', until: '31/12/2030' }, 'YYYY-MM-DD'],
+    [{ frequency: 'weekly', weekdays: ['someday'], count: 2 }, 'weekdays'],
+    [{ frequency: 'weekly', weekdays: [], count: 2 }, 'at least one day'],
+    [{ frequency: 'custom', dates: [] }, 'list of YYYY-MM-DD dates'],
+  ])('rejects %j', (rule, message) => {
+    const error = catchError(() => expandRecurrence(rule, session));
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toContain(message);
+  });
+});
+
+describe('shiftOccurrence', () => {
+  it('applies the same wall-clock shift across daylight saving changes', () => {
+    const moved = shiftOccurrence(
+      { startTime: new Date('2030-04-01T08:00:00Z') },
+      { startTime: new Date('2030-03-25T09:00:00Z') },
+      { startTime: new Date('2030-03-25T10:30:00Z'), endTime: new Date('2030-03-25T12:30:00Z') },
+      'Europe/Berlin'
+    );
+
+    expect(moved).toEqual({
+      startTime: new Date('2030-04-01T09:30:00Z'),
+      endTime: new Date('2030-04-01T11:30:00Z'),
+    });
+  });
+});
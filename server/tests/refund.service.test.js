@@ -0,0 +1,82 @@
+jest.mock('../src/models/payment.model');
+jest.mock('../src/services/jobQueue.service', () => ({ registerHandler: jest.fn(), enqueue: jest.fn() }));
+jest.mock('../src/utils/stripe', () => ({ refunds: { create: jest.fn() } }));
+
+const Payment = require('../src/models/payment.model');
+const jobQueue = require('../src/services/jobQueue.service');
+const stripe = require('../src/utils/stripe');
+const { planRefund, recordRefund, issueRefunds } = require('../src/services/refund.service');
+
+const retryRefund = jobQueue.registerHandler.mock.calls.find(([type]) => type === 'refund_retry')[1];
+
+const booking = { id: 'booking-1', startTime: new Date(Date.now() + 72 * 3600 * 1000), priceBreakdown: { currency: 'usd' } };
+const deposit = {
+  id: 'payment-1',
+  bookingId: 'booking-1',
+  amount: 40,
+  currency: 'usd',
+  paymentMethod: 'stripe',
+  transactionId: 'pi_1',
+  refundedAmount: 0,
+};
+
+describe('refunds', () => {
+  let payments;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    payments = [deposit];
+    Payment.sumCompleted.mockResolvedValue(40);
+    Payment.sumRefunded.mockResolvedValue(0);
+    Payment.findRefundable.mockResolvedValue([deposit]);
+    Payment.findById.mockImplementation(async (id) => payments.find((payment) => payment.id === id));
+    Payment.create.mockImplementation(async (attributes) => {
+      const payment = { id: `refund-${payments.length}`, ...attributes };
+      payments.push(payment);
+      return payment;
+    });
+    Payment.update.mockImplementation(async (id, attributes) => Object.assign(payments.find((payment) => payment.id === id), attributes));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects an invalid stored policy before anything is recorded', async () => {
+    const studio = { cancellationPolicy: { tiers: [{ minHoursBefore: -1, refundPercent: 150 }] } };
+
+    await expect(planRefund(studio, booking, {})).rejects.toMatchObject({ statusCode: 400 });
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  it('records a pending refund and issues it keyed by the refund payment', async () => {
+    stripe.refunds.create.mockResolvedValue({ id: 're_1' });
+    const plan = await planRefund({}, booking, {});
+    const refund = await issueRefunds(plan, await recordRefund(plan, {}));
+
+    expect(plan.amount).toBe(40);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      { payment_intent: 'pi_1', amount: 4000 },
+      { idempotencyKey: 'refund-refund-1' }
+    );
+    expect(refund).toMatchObject({ amount: 40, pending: 0 });
+    expect(refund.payments[0]).toMatchObject({ status: 'refunded', transactionId: 're_1' });
+  });
+
+  it('keeps a failed refund pending and retries it from the job queue', async () => {
+    stripe.refunds.create.mockRejectedValueOnce(new Error('Stripe is down'));
+    const plan = await planRefund({}, booking, { byStudio: true });
+    const refund = await issueRefunds(plan, await recordRefund(plan, {}));
+
+    expect(refund.pending).toBe(1);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      'refund_retry',
+      { paymentId: 'refund-1' },
+      expect.objectContaining({ dedupeKey: 'refund_retry:refund-1', bookingId: 'booking-1' })
+    );
+
+    stripe.refunds.create.mockResolvedValue({ id: 're_2' });
+    await retryRefund({ paymentId: 'refund-1' });
+
+    expect(stripe.refunds.create).toHaveBeenLastCalledWith(expect.anything(), { idempotencyKey: 'refund-refund-1' });
+    expect(payments[1]).toMatchObject({ status: 'refunded', transactionId: 're_2' });
+  });
+});
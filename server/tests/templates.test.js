@@ -0,0 +1,83 @@
+const en = require('../src/templates/notifications/en');
+const { TemplateError, escapeHtml, renderTemplate } = require('../src/utils/templates');
+
+describe('renderTemplate', () => {
+  it('fills in values at dotted paths', () => {
+    expect(renderTemplate('Hi {{ client.name }}, see you at {{studio.name}}', {
+      client: { name: 'Alex' },
+      studio: { name: 'Sound Lab' },
+    })).toBe('Hi Alex, see you at Sound Lab');
+  });
+
+  it('renders unknown paths, null and inherited properties as nothing', () => {
+    expect(renderTemplate('[{{missing}}|{{a.b.c}}|{{none}}|{{constructor}}|{{a.toString}}]', { a: {}, none: null }))
+      .toBe('[||||]');
+  });
+
+  it('renders sections for truthy values and inverted sections otherwise', () => {
+    const template = '{{#refund}}Refund: {{refund}}{{/refund}}{{^refund}}No refund{{/refund}}';
+
+    expect(renderTemplate(template, { refund: '$5.00' })).toBe('Refund: $5.00');
+    expect(renderTemplate(template, { refund: null })).toBe('No refund');
+    expect(renderTemplate(template, {})).toBe('No refund');
+  });
+
+  it('repeats sections for each item of a list, looking up names from the inside out', () => {
+    const template = '{{#items}}{{.}} at {{studio}}; {{/items}}{{^items}}nothing{{/items}}';
+
+    expect(renderTemplate(template, { studio: 'Sound Lab', items: ['Mic', 'Amp'] })).toBe('Mic at Sound Lab; Amp at Sound Lab; ');
+    expect(renderTemplate(template, { items: [] })).toBe('nothing');
+    expect(renderTemplate('{{#room}}{{name}} in {{studio.name}}{{/room}}', {
+      studio: { name: 'Sound Lab' },
+      room: { name: 'Booth' },
+    })).toBe('Booth in Sound Lab');
+  });
+
+  it('rejects unbalanced sections', () => {
+    expect(() => renderTemplate('{{#a}}open', {})).toThrow(TemplateError);
+    expect(() => renderTemplate('{{#a}}{{/b}}', {})).toThrow('Unexpected {{/b}}');
+    expect(() => renderTemplate('{{/a}}', {})).toThrow(TemplateError);
+  });
+
+  it('does not evaluate anything but paths', () => {
+    expect(renderTemplate('{{ process.exit() }}{{a + b}}', { a: 1, b: 2 })).toBe('{{ process.exit() }}{{a + b}}');
+  });
+});
+
+describe('HTML escaping', () => {
+  const hostile = '<script>alert("x")</script> & \'quotes\'';
+
+  it('escapes every HTML special character', () => {
+    expect(escapeHtml(hostile)).toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;quotes&#39;');
+  });
+
+  it('escapes values, including list items, when rendering HTML', () => {
+    expect(renderTemplate('<p>{{reason}}</p><ul>{{#items}}<li>{{.}}</li>{{/items}}</ul>', {
+      reason: hostile,
+      items: ['<b>Mic</b>'],
+    }, { html: true })).toBe(
+      `<p>${escapeHtml(hostile)}</p><ul><li>&lt;b&gt;Mic&lt;/b&gt;</li></ul>`
+    );
+  });
+
+  it('keeps values from breaking out of attributes', () => {
+    expect(renderTemplate('<img src="{{logoUrl}}">', { logoUrl: 'x" onerror="alert(1)' }, { html: true }))
+      .toBe('<img src="x&quot; onerror=&quot;alert(1)">');
+  });
+
+  it('leaves the template\'s own markup alone and plain text unescaped', () => {
+    expect(renderTemplate('<p>{{name}}</p>', { name: 'Tom & Jerry' }, { html: true })).toBe('<p>Tom &amp; Jerry</p>');
+    expect(renderTemplate('{{name}}', { name: 'Tom & Jerry' })).toBe('Tom & Jerry');
+  });
+
+  it('escapes user-supplied fields in the built-in notification templates', () => {
+    const html = renderTemplate(en.booking_cancelled.html, {
+      studioName: '<i>Studio</i>',
+      reason: '<a href="https://phish.example">Click here</a>',
+    }, { html: true });
+
+    expect(html).not.toContain('<a href');
+    expect(html).not.toContain('<i>');
+    expect(html).toContain('Reason: &lt;a href=&quot;https://phish.example&quot;&gt;Click here&lt;/a&gt;');
+  });
+});
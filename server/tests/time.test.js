@@ -0,0 +1,112 @@
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getZonedMinutes,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseTimeOfDay,
+  addDays,
+  eachZonedDate,
+} = require('../src/utils/time');
+
+const HOUR_MS = 3600 * 1000;
+
+describe('isValidTimeZone', () => {
+  it.each(['UTC', 'Europe/Berlin', 'America/Los_Angeles'])('accepts %s', (zone) => {
+    expect(isValidTimeZone(zone)).toBe(true);
+  });
+
+  it.each(['Mars/Olympus_Mons', 'W. Europe Standard Time', ''])('rejects %j', (zone) => {
+    expect(isValidTimeZone(zone)).toBe(false);
+  });
+});
+
+describe('getZonedParts', () => {
+  it('reads the wall clock and weekday in the zone', () => {
+    expect(getZonedParts('2030-01-01T00:30:00Z', 'America/Los_Angeles')).toEqual({
+      year: 2029, month: 12, day: 31, hour: 16, minute: 30, second: 0, weekday: 'monday',
+    });
+  });
+
+  it('follows daylight saving time', () => {
+    expect(getZonedParts('2030-03-31T00:30:00Z', 'Europe/Berlin')).toMatchObject({ hour: 1, minute: 30 });
+    expect(getZonedParts('2030-03-31T01:30:00Z', 'Europe/Berlin')).toMatchObject({ hour: 3, minute: 30, weekday: 'sunday' });
+    expect(getZonedMinutes('2030-07-01T07:15:00Z', 'Europe/Berlin')).toBe(9 * 60 + 15);
+  });
+
+  it('reads midnight as hour 0', () => {
+    expect(getZonedParts('2030-01-01T23:00:00Z', 'Europe/Berlin')).toMatchObject({ day: 2, hour: 0 });
+  });
+});
+
+describe('getTimeZoneOffset', () => {
+  it.each([
+    ['2030-01-15T12:00:00Z', 'Europe/Berlin', 1],
+    ['2030-07-15T12:00:00Z', 'Europe/Berlin', 2],
+    ['2030-07-15T12:00:00.789Z', 'America/New_York', -4],
+    ['2030-01-15T12:00:00Z', 'Asia/Kolkata', 5.5],
+    ['2030-01-15T12:00:00Z', 'UTC', 0],
+  ])('at %s in %s is %d hours', (date, zone, hours) => {
+    expect(getTimeZoneOffset(date, zone)).toBe(hours * HOUR_MS);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts wall-clock times on either side of a daylight saving change', () => {
+    expect(zonedTimeToUtc({ year: 2030, month: 3, day: 30, minutes: 10 * 60 }, 'Europe/Berlin'))
+      .toEqual(new Date('2030-03-30T09:00:00Z'));
+    expect(zonedTimeToUtc({ year: 2030, month: 3, day: 31, minutes: 10 * 60 }, 'Europe/Berlin'))
+      .toEqual(new Date('2030-03-31T08:00:00Z'));
+  });
+
+  it('moves times skipped by the clocks going forward past the gap', () => {
+    expect(zonedTimeToUtc({ year: 2030, month: 3, day: 31, minutes: 2 * 60 + 30 }, 'Europe/Berlin'))
+      .toEqual(new Date('2030-03-31T01:30:00Z'));
+  });
+
+  it('reads times repeated by the clocks going back as one of their instants', () => {
+    const instant = zonedTimeToUtc({ year: 2030, month: 10, day: 27, minutes: 2 * 60 + 30 }, 'Europe/Berlin');
+
+    expect(['2030-10-27T00:30:00.000Z', '2030-10-27T01:30:00.000Z']).toContain(instant.toISOString());
+    expect(getZonedParts(instant, 'Europe/Berlin')).toMatchObject({ hour: 2, minute: 30 });
+  });
+
+  it('rolls minutes past 24:00 into the next day', () => {
+    expect(zonedTimeToUtc({ year: 2030, month: 1, day: 1, minutes: 25 * 60 }, 'America/New_York'))
+      .toEqual(new Date('2030-01-02T06:00:00Z'));
+  });
+
+  it('round-trips with getZonedParts', () => {
+    const instant = zonedTimeToUtc({ year: 2030, month: 6, day: 15, minutes: 23 * 60 + 45 }, 'Australia/Adelaide');
+
+    expect(getZonedParts(instant, 'Australia/Adelaide')).toMatchObject({ year: 2030, month: 6, day: 15, hour: 23, minute: 45 });
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  it.each([['09:30', 570], ['0:00', 0], ['24:00', 1440]])('reads %s', (value, minutes) => {
+    expect(parseTimeOfDay(value)).toBe(minutes);
+  });
+
+  it.each(['24:30', '09:75', '9', 'nine', null])('rejects %j', (value) => {
+    expect(parseTimeOfDay(value)).toBeNull();
+  });
+});
+
+describe('addDays', () => {
+  it('rolls over months, years and leap days', () => {
+    expect(addDays({ year: 2028, month: 2, day: 28 }, 1)).toEqual({ year: 2028, month: 2, day: 29, weekday: 'tuesday' });
+    expect(addDays({ year: 2029, month: 12, day: 31 }, 1)).toEqual({ year: 2030, month: 1, day: 1, weekday: 'tuesday' });
+    expect(addDays({ year: 2030, month: 3, day: 1 }, -1)).toMatchObject({ month: 2, day: 28 });
+  });
+});
+
+describe('eachZonedDate', () => {
+  it('lists the local dates a range touches, its end excluded', () => {
+    const dates = eachZonedDate(new Date('2030-01-01T22:00:00Z'), new Date('2030-01-02T23:00:00Z'), 'Europe/Berlin');
+
+    expect(dates.map(({ day }) => day)).toEqual([1, 2]);
+    expect(eachZonedDate(new Date('2030-01-01T22:00:00Z'), new Date('2030-01-02T23:00:01Z'), 'Europe/Berlin'))
+      .toHaveLength(3);
+  });
+});
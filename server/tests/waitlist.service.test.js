@@ -0,0 +1,106 @@
+jest.mock('../src/models/booking.model');
+jest.mock('../src/models/equipment.model');
+jest.mock('../src/models/staff.model');
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/waitlist.model');
+jest.mock('../src/services/booking.service', () => ({ assertResourcesAvailable: jest.fn() }));
+jest.mock('../src/services/notification.service');
+
+const Booking = require('../src/models/booking.model');
+const Equipment = require('../src/models/equipment.model');
+const Staff = require('../src/models/staff.model');
+const Waitlist = require('../src/models/waitlist.model');
+const bookingService = require('../src/services/booking.service');
+const notificationService = require('../src/services/notification.service');
+const { BookingConflictError } = require('../src/utils/errors');
+const waitlistService = require('../src/services/waitlist.service');
+
+const slot = {
+  roomId: 'room-1',
+  startTime: new Date('2030-01-01T10:00:00Z'),
+  endTime: new Date('2030-01-01T12:00:00Z'),
+};
+
+const entry = {
+  id: 'entry-1',
+  ...slot,
+  equipmentIds: ['mic-1'],
+  staffIds: ['staff-1'],
+  room: { id: 'room-1', name: 'Room A', studio: { id: 'studio-1', name: 'Studio', timezone: 'Europe/Berlin' } },
+  client: { id: 'client-1', email: 'client@example.com' },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Waitlist.findWaiting.mockResolvedValue([entry]);
+  Waitlist.findOpenOffers.mockResolvedValue([]);
+  Waitlist.updateIfStatus.mockImplementation(async (id, status, attributes) => ({ ...entry, ...attributes }));
+  Booking.findRoomConflict.mockResolvedValue(null);
+  Booking.findStaffConflict.mockResolvedValue(null);
+  Equipment.findAvailableQuantity.mockResolvedValue(1);
+  Staff.findByIds.mockResolvedValue([{ id: 'staff-1', name: 'Sam' }]);
+  bookingService.assertResourcesAvailable.mockResolvedValue();
+  notificationService.notify.mockResolvedValue({ email: true, sms: false, push: false });
+});
+
+describe('offerFreedSlot', () => {
+  it('links the offer to the client accept page', async () => {
+    const offered = await waitlistService.offerFreedSlot(slot);
+
+    expect(offered).toHaveLength(1);
+    const [, { data }] = notificationService.notify.mock.calls[0];
+    expect(data.acceptUrl).toMatch(/\/waitlist\/accept\/[0-9a-f]{64}$/);
+  });
+
+  it('puts the entry back to waiting when the client could not be notified', async () => {
+    notificationService.notify.mockResolvedValue({ email: false, sms: false, push: false });
+
+    const offered = await waitlistService.offerFreedSlot(slot);
+
+    expect(offered).toEqual([]);
+    expect(Waitlist.updateIfStatus).toHaveBeenLastCalledWith('entry-1', 'offered', expect.objectContaining({
+      status: 'waiting',
+      offerTokenHash: null,
+    }));
+  });
+
+  it('does not offer equipment another offer holds', async () => {
+    Waitlist.findOpenOffers.mockResolvedValue([
+      { id: 'entry-0', roomId: 'room-2', equipmentIds: ['mic-1'], staffIds: [], ...slot },
+    ]);
+
+    await expect(waitlistService.offerFreedSlot(slot)).resolves.toEqual([]);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+  });
+
+  it('does not offer staff another offer holds', async () => {
+    Waitlist.findOpenOffers.mockResolvedValue([
+      { id: 'entry-0', roomId: 'room-2', equipmentIds: [], staffIds: ['staff-1'], ...slot },
+    ]);
+
+    await expect(waitlistService.offerFreedSlot(slot)).resolves.toEqual([]);
+  });
+
+  it('checks the room and staff can take the session as a booking would', async () => {
+    await waitlistService.offerFreedSlot(slot);
+
+    expect(bookingService.assertResourcesAvailable).toHaveBeenCalledWith({
+      roomIds: ['room-1'],
+      staff: [{ id: 'staff-1', name: 'Sam' }],
+      timezone: 'Europe/Berlin',
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    });
+  });
+
+  it.each([
+    ['the room is blocked in its linked calendar', 'Room is blocked in its linked calendar at the requested time'],
+    ['a staff member is on time off', 'Staff member Sam is on time off at the requested time'],
+  ])('does not offer the slot when %s', async (label, message) => {
+    bookingService.assertResourcesAvailable.mockRejectedValue(new BookingConflictError(message, { resource: { type: 'room', id: 'room-1' } }));
+
+    await expect(waitlistService.offerFreedSlot(slot)).resolves.toEqual([]);
+    expect(Waitlist.updateIfStatus).not.toHaveBeenCalled();
+    expect(notificationService.notify).not.toHaveBeenCalled();
+  });
+});